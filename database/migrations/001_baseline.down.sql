@@ -0,0 +1,9 @@
+-- Menghapus seluruh tabel inti beserta datanya
+DROP TABLE IF EXISTS marketing;
+DROP TABLE IF EXISTS peserta;
+DROP TABLE IF EXISTS transactions;
+DROP TABLE IF EXISTS participants;
+DROP TABLE IF EXISTS bookings;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS packages;
+DROP TABLE IF EXISTS cities;
@@ -0,0 +1,117 @@
+-- Skema awal tabel inti (sebelum modul-modul di migrasi berikutnya).
+-- Kolom paket mengikuti server.js (name / city_id / trip_code), bukan title / slug / category_id
+-- di src/routes/packageRoutes.js yang tidak pernah dipakai.
+-- Database lama yang sudah berisi tabel ini: jalankan `npm run migrate -- mark-applied --to=<versi terakhir yang sudah diterapkan>`.
+
+CREATE TABLE IF NOT EXISTS cities (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  city_name VARCHAR(100) NOT NULL,
+  city_code VARCHAR(20) NOT NULL,
+  UNIQUE KEY uq_cities_code (city_code)
+);
+
+CREATE TABLE IF NOT EXISTS packages (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  city_id INT NOT NULL,
+  trip_code VARCHAR(50) NULL,
+  description TEXT NULL,
+  price DECIMAL(15, 2) NOT NULL,
+  imageUrl VARCHAR(500) NULL,
+  duration VARCHAR(50) NULL,
+  max_participants INT NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_packages_trip_code (trip_code),
+  KEY idx_packages_city (city_id),
+  CONSTRAINT fk_packages_city FOREIGN KEY (city_id) REFERENCES cities (id)
+);
+
+-- Akun staff (role & status aktif ditambahkan di 002_auth)
+CREATE TABLE IF NOT EXISTS users (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  username VARCHAR(50) NOT NULL,
+  password VARCHAR(255) NOT NULL,
+  full_name VARCHAR(100) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_users_username (username),
+  UNIQUE KEY uq_users_email (email)
+);
+
+-- booking_id = kode booking yang dilihat customer
+CREATE TABLE IF NOT EXISTS bookings (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  booking_id VARCHAR(50) NOT NULL,
+  package_id INT NOT NULL,
+  customer_name VARCHAR(100) NOT NULL,
+  customer_email VARCHAR(255) NOT NULL,
+  customer_phone VARCHAR(30) NULL,
+  total_price DECIMAL(15, 2) NOT NULL DEFAULT 0,
+  status VARCHAR(30) NOT NULL DEFAULT 'menunggu_pembayaran',
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_bookings_booking_id (booking_id),
+  CONSTRAINT fk_bookings_package FOREIGN KEY (package_id) REFERENCES packages (id)
+);
+
+-- Peserta per booking; status tiket: valid / sudah_digunakan / hangus
+CREATE TABLE IF NOT EXISTS participants (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  booking_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  phone VARCHAR(30) NULL,
+  address VARCHAR(255) NULL,
+  birth_place VARCHAR(100) NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'valid',
+  scanned_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_participants_booking (booking_id),
+  CONSTRAINT fk_participants_booking FOREIGN KEY (booking_id) REFERENCES bookings (id) ON DELETE CASCADE
+);
+
+-- Pembayaran booking (refund / reversal ditambahkan di 004_payments)
+CREATE TABLE IF NOT EXISTS transactions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  booking_id INT NOT NULL,
+  payment_type VARCHAR(20) NOT NULL,
+  amount_paid DECIMAL(15, 2) NOT NULL,
+  payment_method VARCHAR(50) NULL,
+  va_number VARCHAR(50) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_transactions_booking FOREIGN KEY (booking_id) REFERENCES bookings (id)
+);
+
+-- Buku tamu (form publik)
+CREATE TABLE IF NOT EXISTS peserta (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  nama VARCHAR(100) NULL,
+  alamat VARCHAR(255) NULL,
+  tempat_lahir VARCHAR(100) NULL,
+  tanggal_lahir DATE NULL,
+  telepon VARCHAR(30) NULL,
+  tujuan VARCHAR(100) NULL,
+  tanggal DATE NOT NULL,
+  KEY idx_peserta_tanggal (tanggal)
+);
+
+-- Kunjungan marketing
+CREATE TABLE IF NOT EXISTS marketing (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tanggal DATE NOT NULL,
+  nama VARCHAR(100) NULL,
+  alamat VARCHAR(255) NOT NULL,
+  perusahaan VARCHAR(150) NULL,
+  nama_kordinator VARCHAR(100) NULL,
+  kota_kordinator VARCHAR(100) NULL,
+  rencana_wisata VARCHAR(255) NULL,
+  rencana_pemberangkatan VARCHAR(100) NULL,
+  destinasi_tujuan VARCHAR(255) NULL,
+  jenis_trip VARCHAR(100) NULL,
+  telepon VARCHAR(30) NULL,
+  foto_kunjungan VARCHAR(255) NULL,
+  catatan TEXT NULL,
+  KEY idx_marketing_tanggal (tanggal)
+);
@@ -0,0 +1,6 @@
+ALTER TABLE users
+  DROP COLUMN role,
+  DROP COLUMN is_active,
+  DROP COLUMN deactivated_at;
+
+DROP TABLE IF EXISTS user_sessions;
@@ -0,0 +1,22 @@
+-- Sesi login staff (refresh token disimpan dalam bentuk hash SHA-256)
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  refresh_token_hash CHAR(64) NOT NULL,
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_user_sessions_token (refresh_token_hash),
+  KEY idx_user_sessions_user (user_id),
+  CONSTRAINT fk_user_sessions_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Role dan status aktif staff. User lama dijadikan admin agar tidak kehilangan akses.
+ALTER TABLE users
+  ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'admin',
+  ADD COLUMN is_active TINYINT(1) NOT NULL DEFAULT 1,
+  ADD COLUMN deactivated_at DATETIME NULL;
+
+ALTER TABLE users ALTER COLUMN role SET DEFAULT 'scanner';
@@ -0,0 +1,2 @@
+-- Normalisasi status booking tidak dikembalikan (label lama tetap diterima bookingStatusService)
+DROP TABLE IF EXISTS booking_status_history;
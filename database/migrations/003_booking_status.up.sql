@@ -0,0 +1,20 @@
+-- Riwayat perubahan status booking (siapa, kapan, dari, ke, alasan)
+CREATE TABLE IF NOT EXISTS booking_status_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  booking_id INT NOT NULL,
+  from_status VARCHAR(30) NULL,
+  to_status VARCHAR(30) NOT NULL,
+  changed_by INT NULL,
+  reason VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_booking_status_history_booking (booking_id),
+  CONSTRAINT fk_booking_status_history_booking FOREIGN KEY (booking_id) REFERENCES bookings (id) ON DELETE CASCADE,
+  CONSTRAINT fk_booking_status_history_user FOREIGN KEY (changed_by) REFERENCES users (id) ON DELETE SET NULL
+);
+
+-- Samakan status lama ke status kanonik
+-- (dulu 'selesai' ditulis oleh POST /api/transactions untuk pelunasan)
+UPDATE bookings SET status = 'lunas' WHERE status IN ('selesai', 'LUNAS');
+UPDATE bookings SET status = 'menunggu_pembayaran' WHERE status = 'PENDING';
+UPDATE bookings SET status = 'dp_lunas' WHERE status = 'CONFIRMED';
+UPDATE bookings SET status = 'dibatalkan' WHERE status IN ('CANCELED', 'CANCELLED');
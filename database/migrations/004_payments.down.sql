@@ -0,0 +1,15 @@
+-- Refund & reversal ikut terhapus agar saldo tidak salah dihitung tanpa kolom entry_type.
+-- idx_transactions_booking dibiarkan: dipakai foreign key fk_transactions_booking.
+DELETE FROM transactions WHERE entry_type <> 'payment';
+
+ALTER TABLE transactions
+  DROP FOREIGN KEY fk_transactions_reverses,
+  DROP FOREIGN KEY fk_transactions_user;
+
+ALTER TABLE transactions
+  DROP INDEX uq_transactions_reverses,
+  DROP INDEX fk_transactions_user,
+  DROP COLUMN entry_type,
+  DROP COLUMN reverses_id,
+  DROP COLUMN note,
+  DROP COLUMN created_by;
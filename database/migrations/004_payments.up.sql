@@ -0,0 +1,10 @@
+-- Buku besar pembayaran: tabel transactions menampung payment, refund dan reversal
+ALTER TABLE transactions
+  ADD COLUMN entry_type VARCHAR(20) NOT NULL DEFAULT 'payment' AFTER booking_id,
+  ADD COLUMN reverses_id INT NULL AFTER va_number,
+  ADD COLUMN note VARCHAR(255) NULL AFTER reverses_id,
+  ADD COLUMN created_by INT NULL AFTER note,
+  ADD UNIQUE KEY uq_transactions_reverses (reverses_id),
+  ADD KEY idx_transactions_booking (booking_id),
+  ADD CONSTRAINT fk_transactions_reverses FOREIGN KEY (reverses_id) REFERENCES transactions (id),
+  ADD CONSTRAINT fk_transactions_user FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL;
@@ -0,0 +1,26 @@
+-- Tagihan VA / QRIS yang dibuat lewat payment gateway
+CREATE TABLE IF NOT EXISTS payment_charges (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  booking_id INT NOT NULL,
+  provider VARCHAR(30) NOT NULL,
+  reference VARCHAR(64) NOT NULL,
+  provider_reference VARCHAR(100) NULL,
+  method VARCHAR(10) NOT NULL,
+  bank VARCHAR(30) NULL,
+  amount DECIMAL(15, 2) NOT NULL,
+  va_number VARCHAR(50) NULL,
+  qr_string TEXT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  expires_at DATETIME NULL,
+  paid_at DATETIME NULL,
+  transaction_id INT NULL,
+  raw_notification JSON NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_payment_charges_reference (reference),
+  UNIQUE KEY uq_payment_charges_transaction (transaction_id),
+  KEY idx_payment_charges_booking (booking_id),
+  CONSTRAINT fk_payment_charges_booking FOREIGN KEY (booking_id) REFERENCES bookings (id) ON DELETE CASCADE,
+  CONSTRAINT fk_payment_charges_transaction FOREIGN KEY (transaction_id) REFERENCES transactions (id)
+);
@@ -0,0 +1,3 @@
+ALTER TABLE bookings DROP COLUMN price_breakdown;
+
+DROP TABLE IF EXISTS package_price_rules;
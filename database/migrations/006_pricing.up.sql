@@ -0,0 +1,20 @@
+-- Surcharge / diskon yang diterapkan saat server menghitung harga booking
+CREATE TABLE IF NOT EXISTS package_price_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  package_id INT NULL,
+  name VARCHAR(100) NOT NULL,
+  rule_type VARCHAR(20) NOT NULL,
+  calc_type VARCHAR(20) NOT NULL,
+  value DECIMAL(15, 2) NOT NULL,
+  min_pax INT NULL,
+  max_pax INT NULL,
+  valid_from DATE NULL,
+  valid_until DATE NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_package_price_rules_package (package_id),
+  CONSTRAINT fk_package_price_rules_package FOREIGN KEY (package_id) REFERENCES packages (id) ON DELETE CASCADE
+);
+
+-- Rincian perhitungan harga yang disimpan bersama booking
+ALTER TABLE bookings ADD COLUMN price_breakdown JSON NULL AFTER total_price;
@@ -0,0 +1,6 @@
+ALTER TABLE bookings DROP FOREIGN KEY fk_bookings_departure;
+ALTER TABLE bookings
+  DROP INDEX idx_bookings_departure,
+  DROP COLUMN departure_id;
+
+DROP TABLE IF EXISTS departures;
@@ -0,0 +1,21 @@
+-- Jadwal keberangkatan per paket dengan kuota kursi
+CREATE TABLE IF NOT EXISTS departures (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  package_id INT NOT NULL,
+  departure_date DATE NOT NULL,
+  return_date DATE NULL,
+  quota INT NOT NULL,
+  seats_reserved INT NOT NULL DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  notes VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_departures_package_date (package_id, departure_date),
+  CONSTRAINT fk_departures_package FOREIGN KEY (package_id) REFERENCES packages (id) ON DELETE CASCADE,
+  CONSTRAINT chk_departures_seats CHECK (seats_reserved <= quota)
+);
+
+ALTER TABLE bookings
+  ADD COLUMN departure_id INT NULL AFTER package_id,
+  ADD KEY idx_bookings_departure (departure_id),
+  ADD CONSTRAINT fk_bookings_departure FOREIGN KEY (departure_id) REFERENCES departures (id);
@@ -0,0 +1,3 @@
+-- Perangkat yang melakukan check-in (untuk sinkronisasi scanner offline)
+ALTER TABLE participants
+  ADD COLUMN scanned_device VARCHAR(64) NULL AFTER scanned_at;
@@ -0,0 +1,19 @@
+-- Log setiap percobaan scan tiket (online, offline dan undo oleh supervisor).
+-- Scan yang ditolak (token palsu, tidak ditemukan, sudah dipakai, hangus) tetap dicatat.
+CREATE TABLE IF NOT EXISTS scan_events (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  participant_id INT NULL,
+  booking_id INT NULL,
+  departure_id INT NULL,
+  token_hash CHAR(64) NULL,
+  result VARCHAR(20) NOT NULL,
+  mode ENUM('online', 'offline', 'undo') NOT NULL,
+  operator_id INT NULL,
+  device_id VARCHAR(64) NULL,
+  reason VARCHAR(255) NULL,
+  scanned_at DATETIME NOT NULL,
+  created_at DATETIME NOT NULL,
+  INDEX idx_scan_events_departure (departure_id, result),
+  INDEX idx_scan_events_participant (participant_id),
+  INDEX idx_scan_events_operator (operator_id)
+);
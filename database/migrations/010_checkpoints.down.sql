@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS checkpoint_attendance;
+DROP TABLE IF EXISTS departure_checkpoints;
@@ -0,0 +1,24 @@
+-- Checkpoint absensi per keberangkatan (naik bus, hotel, objek wisata, bus pulang)
+CREATE TABLE IF NOT EXISTS departure_checkpoints (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  departure_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  sequence INT NOT NULL DEFAULT 1,
+  scheduled_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_checkpoints_departure (departure_id, sequence),
+  CONSTRAINT fk_checkpoints_departure FOREIGN KEY (departure_id) REFERENCES departures (id) ON DELETE CASCADE
+);
+
+-- Kehadiran peserta di checkpoint. Tidak mengubah status tiket peserta.
+CREATE TABLE IF NOT EXISTS checkpoint_attendance (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  checkpoint_id INT NOT NULL,
+  participant_id INT NOT NULL,
+  operator_id INT NULL,
+  device_id VARCHAR(64) NULL,
+  scanned_at DATETIME NOT NULL,
+  UNIQUE KEY uq_attendance_checkpoint_participant (checkpoint_id, participant_id),
+  CONSTRAINT fk_attendance_checkpoint FOREIGN KEY (checkpoint_id) REFERENCES departure_checkpoints (id) ON DELETE CASCADE,
+  CONSTRAINT fk_attendance_participant FOREIGN KEY (participant_id) REFERENCES participants (id) ON DELETE CASCADE
+);
@@ -0,0 +1,14 @@
+-- Log email notifikasi ke customer (booking dibuat, pembayaran diterima, e-tiket)
+CREATE TABLE IF NOT EXISTS email_log (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  booking_id INT NULL,
+  event VARCHAR(40) NOT NULL,
+  recipient VARCHAR(255) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  transport VARCHAR(20) NULL,
+  status ENUM('sent', 'failed') NOT NULL,
+  message_id VARCHAR(255) NULL,
+  error TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_email_log_booking (booking_id, event)
+);
@@ -0,0 +1,26 @@
+-- Antrean pesan WhatsApp (konfirmasi booking, pengingat pembayaran & keberangkatan, pesan manual).
+-- Dikirim oleh worker dengan retry + backoff; dedupe_key mencegah pesan otomatis ganda.
+CREATE TABLE IF NOT EXISTS whatsapp_outbox (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  booking_id INT NULL,
+  recipient_type VARCHAR(20) NOT NULL DEFAULT 'manual',
+  recipient_id INT NULL,
+  phone VARCHAR(20) NOT NULL,
+  template VARCHAR(40) NOT NULL,
+  message TEXT NOT NULL,
+  status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 5,
+  next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  provider VARCHAR(20) NULL,
+  provider_message_id VARCHAR(100) NULL,
+  last_error VARCHAR(500) NULL,
+  dedupe_key VARCHAR(120) NULL,
+  created_by INT NULL,
+  sent_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_whatsapp_outbox_dedupe (dedupe_key),
+  KEY idx_whatsapp_outbox_due (status, next_attempt_at),
+  KEY idx_whatsapp_outbox_booking (booking_id)
+);
@@ -0,0 +1,6 @@
+ALTER TABLE bookings DROP INDEX idx_bookings_created_at;
+ALTER TABLE transactions DROP INDEX idx_transactions_created_at;
+
+ALTER TABLE marketing
+  DROP INDEX idx_marketing_created_by,
+  DROP COLUMN created_by;
@@ -0,0 +1,8 @@
+-- Salesperson yang menginput kunjungan marketing (untuk statistik dashboard)
+ALTER TABLE marketing
+  ADD COLUMN created_by INT NULL,
+  ADD KEY idx_marketing_created_by (created_by);
+
+-- Index untuk agregasi dashboard per rentang tanggal
+ALTER TABLE transactions ADD KEY idx_transactions_created_at (created_at);
+ALTER TABLE bookings ADD KEY idx_bookings_created_at (created_at);
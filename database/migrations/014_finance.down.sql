@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS cash_entries;
+DROP TABLE IF EXISTS trip_expenses;
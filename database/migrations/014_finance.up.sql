@@ -0,0 +1,32 @@
+-- Biaya operasional trip (bus, hotel, makan, guide, dll) per paket atau keberangkatan
+CREATE TABLE IF NOT EXISTS trip_expenses (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  package_id INT NOT NULL,
+  departure_id INT NULL,
+  category VARCHAR(30) NOT NULL,
+  description VARCHAR(255) NULL,
+  amount DECIMAL(15, 2) NOT NULL,
+  expense_date DATE NOT NULL,
+  receipt_file VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_trip_expenses_departure (departure_id),
+  KEY idx_trip_expenses_package_date (package_id, expense_date),
+  CONSTRAINT fk_trip_expenses_package FOREIGN KEY (package_id) REFERENCES packages (id),
+  CONSTRAINT fk_trip_expenses_departure FOREIGN KEY (departure_id) REFERENCES departures (id)
+);
+
+-- Kas masuk / keluar umum (di luar pembayaran booking dan biaya trip)
+CREATE TABLE IF NOT EXISTS cash_entries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  direction ENUM('in', 'out') NOT NULL,
+  category VARCHAR(50) NOT NULL,
+  description VARCHAR(255) NULL,
+  amount DECIMAL(15, 2) NOT NULL,
+  entry_date DATE NOT NULL,
+  receipt_file VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_cash_entries_date (entry_date, direction)
+);
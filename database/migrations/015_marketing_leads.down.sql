@@ -0,0 +1,16 @@
+ALTER TABLE bookings
+  DROP INDEX idx_bookings_marketing,
+  DROP COLUMN marketing_id;
+
+DROP TABLE IF EXISTS marketing_followups;
+DROP TABLE IF EXISTS marketing_stage_history;
+
+ALTER TABLE marketing
+  DROP INDEX idx_marketing_stage,
+  DROP INDEX idx_marketing_assigned_to,
+  DROP COLUMN stage,
+  DROP COLUMN stage_updated_at,
+  DROP COLUMN lost_reason,
+  DROP COLUMN assigned_to,
+  DROP COLUMN converted_booking_id,
+  DROP COLUMN converted_at;
@@ -0,0 +1,49 @@
+-- Pipeline lead dari kunjungan marketing
+ALTER TABLE marketing
+  ADD COLUMN stage ENUM('visited', 'follow_up', 'quotation_sent', 'deal', 'lost') NOT NULL DEFAULT 'visited',
+  ADD COLUMN stage_updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ADD COLUMN lost_reason VARCHAR(255) NULL,
+  ADD COLUMN assigned_to INT NULL,
+  ADD COLUMN converted_booking_id INT NULL,
+  ADD COLUMN converted_at DATETIME NULL,
+  ADD KEY idx_marketing_stage (stage),
+  ADD KEY idx_marketing_assigned_to (assigned_to);
+
+-- Lead lama dianggap milik user yang menginput
+UPDATE marketing SET assigned_to = created_by WHERE assigned_to IS NULL;
+
+-- Riwayat perpindahan stage (untuk mengukur konversi)
+CREATE TABLE IF NOT EXISTS marketing_stage_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  marketing_id INT NOT NULL,
+  from_stage VARCHAR(20) NULL,
+  to_stage VARCHAR(20) NOT NULL,
+  changed_by INT NULL,
+  note VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_marketing_stage_history_lead (marketing_id),
+  CONSTRAINT fk_marketing_stage_history_lead FOREIGN KEY (marketing_id) REFERENCES marketing (id) ON DELETE CASCADE
+);
+
+-- Follow-up terjadwal per lead
+CREATE TABLE IF NOT EXISTS marketing_followups (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  marketing_id INT NOT NULL,
+  assigned_to INT NOT NULL,
+  scheduled_at DATETIME NOT NULL,
+  channel VARCHAR(20) NULL,
+  notes TEXT NULL,
+  status ENUM('scheduled', 'done', 'cancelled') NOT NULL DEFAULT 'scheduled',
+  outcome VARCHAR(255) NULL,
+  completed_at DATETIME NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_marketing_followups_due (assigned_to, status, scheduled_at),
+  CONSTRAINT fk_marketing_followups_lead FOREIGN KEY (marketing_id) REFERENCES marketing (id) ON DELETE CASCADE
+);
+
+-- Draft booking hasil konversi lead
+ALTER TABLE bookings
+  ADD COLUMN marketing_id INT NULL,
+  ADD KEY idx_bookings_marketing (marketing_id);
@@ -0,0 +1,14 @@
+-- Metadata file upload (hash isi untuk deduplikasi, dimensi gambar)
+CREATE TABLE IF NOT EXISTS uploaded_files (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  hash CHAR(64) NOT NULL,
+  filename VARCHAR(255) NOT NULL,
+  original_name VARCHAR(255) NULL,
+  mime VARCHAR(50) NOT NULL,
+  size INT NOT NULL,
+  width INT NULL,
+  height INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_uploaded_files_hash (hash),
+  KEY idx_uploaded_files_filename (filename)
+);
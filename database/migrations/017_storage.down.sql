@@ -0,0 +1,2 @@
+ALTER TABLE uploaded_files RENAME INDEX idx_uploaded_files_object_key TO idx_uploaded_files_filename;
+ALTER TABLE uploaded_files CHANGE object_key filename VARCHAR(255) NOT NULL;
@@ -0,0 +1,3 @@
+-- Storage upload pluggable (disk lokal / S3): kolom berisi object key, bukan path di uploads/
+ALTER TABLE uploaded_files CHANGE filename object_key VARCHAR(255) NOT NULL;
+ALTER TABLE uploaded_files RENAME INDEX idx_uploaded_files_filename TO idx_uploaded_files_object_key;
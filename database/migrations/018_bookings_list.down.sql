@@ -0,0 +1,3 @@
+DROP INDEX idx_bookings_customer_name ON bookings;
+DROP INDEX idx_bookings_total_price ON bookings;
+DROP INDEX idx_bookings_status_created ON bookings;
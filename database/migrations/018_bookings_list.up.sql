@@ -0,0 +1,5 @@
+-- Index untuk daftar booking admin (filter status / paket / tanggal / harga + sorting).
+-- created_at sudah ter-index di 013_dashboard, package_id lewat foreign key fk_bookings_package.
+CREATE INDEX idx_bookings_status_created ON bookings (status, created_at);
+CREATE INDEX idx_bookings_total_price ON bookings (total_price);
+CREATE INDEX idx_bookings_customer_name ON bookings (customer_name);
@@ -0,0 +1,20 @@
+-- Jejak audit perubahan data admin (booking, paket, user, marketing, peserta).
+-- before_data / after_data: create -> hanya after, delete -> hanya before, update -> hanya kolom yang berubah.
+-- actor_username / actor_role disalin agar log tetap terbaca walau akun sudah dihapus / ganti role.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  entity VARCHAR(30) NOT NULL,
+  entity_id VARCHAR(50) NOT NULL,
+  action ENUM('create', 'update', 'delete') NOT NULL,
+  actor_id INT NULL,
+  actor_username VARCHAR(50) NULL,
+  actor_role VARCHAR(20) NULL,
+  before_data JSON NULL,
+  after_data JSON NULL,
+  ip VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_audit_log_entity (entity, entity_id, created_at),
+  KEY idx_audit_log_actor (actor_id, created_at),
+  KEY idx_audit_log_created (created_at)
+);
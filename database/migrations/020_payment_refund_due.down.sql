@@ -0,0 +1,3 @@
+ALTER TABLE payment_charges
+  DROP KEY idx_payment_charges_refund_due,
+  DROP COLUMN refund_due;
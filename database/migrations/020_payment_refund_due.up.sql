@@ -0,0 +1,5 @@
+-- Kelebihan dana dari notifikasi payment gateway yang tetap dicatat (sisa tagihan sudah berkurang /
+-- booking sudah ditutup saat dana masuk). Dikembalikan admin lewat refund.
+ALTER TABLE payment_charges
+  ADD COLUMN refund_due DECIMAL(15, 2) NOT NULL DEFAULT 0 AFTER transaction_id,
+  ADD KEY idx_payment_charges_refund_due (refund_due);
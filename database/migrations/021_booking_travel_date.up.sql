@@ -0,0 +1,11 @@
+-- Tanggal perjalanan yang dipakai saat menghitung harga, disimpan agar harga bisa dihitung ulang
+-- dengan aturan musim yang sama (booking tanpa keberangkatan tidak punya departure_date)
+ALTER TABLE bookings ADD COLUMN travel_date DATE NULL AFTER departure_id;
+
+-- Isi dari keberangkatan, atau dari rincian harga yang tersimpan
+UPDATE bookings b
+LEFT JOIN departures d ON b.departure_id = d.id
+SET b.travel_date = COALESCE(
+  d.departure_date,
+  NULLIF(JSON_UNQUOTE(JSON_EXTRACT(b.price_breakdown, '$.travel_date')), 'null')
+);
@@ -0,0 +1,9 @@
+-- Kota tujuan wisata. Aman dijalankan ulang: kota yang sudah ada (city_code sama) tidak diubah.
+INSERT INTO cities (city_name, city_code) VALUES
+  ('Yogyakarta', 'YOG'),
+  ('Bandung', 'BDG'),
+  ('Malang', 'MLG'),
+  ('Bali', 'DPS'),
+  ('Jakarta', 'JKT'),
+  ('Semarang', 'SRG')
+ON DUPLICATE KEY UPDATE id = id;
@@ -0,0 +1,22 @@
+-- Contoh paket wisata per kota. Aman dijalankan ulang: paket dengan trip_code yang sama tidak diubah.
+INSERT INTO packages (name, city_id, trip_code, description, price, duration, max_participants, is_active)
+SELECT seed.name, c.id, seed.trip_code, seed.description, seed.price, seed.duration, seed.max_participants, 1
+FROM (
+  SELECT 'Jogja Heritage 3H2M' AS name, 'YOG' AS city_code, 'YOG-3H2M' AS trip_code,
+         'Candi Borobudur, Prambanan, Keraton, Malioboro dan Pantai Parangtritis.' AS description,
+         1750000 AS price, '3 Hari 2 Malam' AS duration, 45 AS max_participants
+  UNION ALL SELECT 'Bandung Lembang Ceria 2H1M', 'BDG', 'BDG-2H1M',
+         'Tangkuban Perahu, Floating Market Lembang, Kawah Putih dan belanja di Cihampelas.',
+         950000, '2 Hari 1 Malam', 45
+  UNION ALL SELECT 'Malang Bromo Sunrise 3H2M', 'MLG', 'MLG-3H2M',
+         'Sunrise Gunung Bromo, Museum Angkut, Jatim Park dan petik apel Batu.',
+         1950000, '3 Hari 2 Malam', 40
+  UNION ALL SELECT 'Bali Eksotis 4H3M', 'DPS', 'DPS-4H3M',
+         'Tanah Lot, Uluwatu, Kintamani, Ubud dan Pantai Kuta.',
+         3250000, '4 Hari 3 Malam', 40
+  UNION ALL SELECT 'Jakarta City Tour 1 Hari', 'JKT', 'JKT-1H',
+         'Monas, Kota Tua, Taman Mini Indonesia Indah dan Ancol.',
+         450000, '1 Hari', 50
+) AS seed
+JOIN cities c ON c.city_code = seed.city_code
+ON DUPLICATE KEY UPDATE id = packages.id;
@@ -0,0 +1,31 @@
+// scripts/cleanup-uploads.js
+// Bersihkan folder uploads/: gabungkan file duplikat dan hapus file yang tidak dirujuk record.
+//
+//   npm run uploads:cleanup -- [--dry-run] [--dedupe] [--min-age-hours=24]
+import "dotenv/config";
+import pool from "../src/config/db.js";
+import { cleanupOrphanFiles, dedupeExistingFiles } from "../src/services/uploadService.js";
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const minAgeArg = args.find((arg) => arg.startsWith("--min-age-hours="));
+const minAgeHours = minAgeArg ? Number(minAgeArg.split("=")[1]) : 24;
+
+async function main() {
+  if (args.includes("--dedupe")) {
+    const merged = await dedupeExistingFiles({ dryRun });
+    console.log(`🔁 Duplikat${dryRun ? " (dry run)" : ""}: ${merged.length} grup`);
+    merged.forEach((group) => console.log(`   ${group.keep} <- ${group.removed.join(", ")}`));
+  }
+
+  const result = await cleanupOrphanFiles({ dryRun, minAgeHours });
+  console.log(`🧹 File yatim${dryRun ? " (dry run)" : ""}: ${result.removed.length} file, ${result.freed_bytes} byte, ${result.removed_variants} varian`);
+  result.removed.forEach((file) => console.log(`   ${file.filename}`));
+}
+
+main()
+  .catch((err) => {
+    console.error("❌ Error cleaning uploads:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,62 @@
+// scripts/migrate-uploads.js
+// Pindahkan file lama dari folder uploads/ ke driver storage yang aktif (STORAGE_DRIVER).
+// Object key = path relatif di uploads/, sama dengan nilai yang tersimpan di record.
+//
+//   STORAGE_DRIVER=s3 npm run uploads:migrate -- [--dry-run] [--delete-local] [--source=uploads]
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { getDefaultDriver } from "../src/services/storageDrivers/index.js";
+import { createLocalDriver } from "../src/services/storageDrivers/local.js";
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const deleteLocal = args.includes("--delete-local");
+const sourceArg = args.find((arg) => arg.startsWith("--source="));
+const source = path.resolve(sourceArg ? sourceArg.split("=")[1] : "uploads");
+
+async function main() {
+  const target = getDefaultDriver();
+  if (target.name === "local" && source === path.resolve(process.env.STORAGE_LOCAL_DIR || "uploads")) {
+    console.log("ℹ️  STORAGE_DRIVER=local memakai folder yang sama, tidak ada yang perlu dipindah.");
+    return;
+  }
+  if (!fs.existsSync(source)) {
+    console.log(`ℹ️  Folder ${source} tidak ada.`);
+    return;
+  }
+
+  // Baca folder sumber lewat driver local agar daftar key sama persis dengan yang dipakai aplikasi
+  const local = createLocalDriver(source);
+  const objects = await local.list();
+
+  let copied = 0;
+  let skipped = 0;
+  for (const object of objects) {
+    if (await target.exists(object.key)) {
+      skipped++;
+    } else {
+      if (!dryRun) {
+        await target.put(object.key, await local.read(object.key), { contentType: contentTypeOf(object.key) });
+      }
+      copied++;
+      console.log(`   ${dryRun ? "akan disalin" : "disalin"}: ${object.key}`);
+    }
+
+    if (deleteLocal && !dryRun) {
+      await local.remove(object.key);
+    }
+  }
+
+  console.log(`📦 ${objects.length} file di ${source}: ${copied} ${dryRun ? "akan disalin" : "disalin"}, ${skipped} sudah ada di ${target.name}`);
+}
+
+function contentTypeOf(key) {
+  const types = { ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png", ".webp": "image/webp", ".pdf": "application/pdf" };
+  return types[path.extname(key).toLowerCase()] || "application/octet-stream";
+}
+
+main().catch((err) => {
+  console.error("❌ Error migrating uploads:", err);
+  process.exitCode = 1;
+});
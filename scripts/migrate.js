@@ -0,0 +1,95 @@
+// scripts/migrate.js
+// Migrasi skema database + seed data.
+//
+//   npm run migrate                                   -> jalankan semua migrasi yang belum diterapkan
+//   npm run migrate -- up [--to=005] [--dry-run]
+//   npm run migrate -- down [--steps=1] [--dry-run]   (alias: npm run migrate:down)
+//   npm run migrate -- status                         (alias: npm run migrate:status)
+//   npm run migrate -- mark-applied --to=018          -> database lama yang dibuat manual dari file SQL
+//   npm run db:seed                                   -> data kota + contoh paket
+import "dotenv/config";
+import pool from "../src/config/db.js";
+import {
+  MigrationError,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  markApplied,
+  runSeeds,
+} from "../src/services/migrationService.js";
+
+const [command = "up", ...args] = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const option = (name) => {
+  const arg = args.find((item) => item.startsWith(`--${name}=`));
+  return arg ? arg.split("=")[1] : null;
+};
+
+const STATE_ICONS = { applied: "✅", pending: "⏳", changed: "⚠️ ", missing: "❓" };
+const label = (migration) => `${migration.version}_${migration.name}`;
+
+const commands = {
+  async up() {
+    const applied = await migrateUp({
+      to: option("to"),
+      dryRun,
+      onMigrate: (migration) => console.log(`⬆️  ${label(migration)}${dryRun ? " (dry run)" : ""}`),
+    });
+    console.log(applied.length ? `✅ ${applied.length} migrasi${dryRun ? " akan" : ""} diterapkan.` : "✅ Skema database sudah terbaru.");
+  },
+
+  async down() {
+    const steps = option("steps") ? parseInt(option("steps"), 10) : 1;
+    if (!(steps > 0)) throw new MigrationError("--steps harus angka > 0.");
+
+    const reverted = await migrateDown({
+      steps,
+      dryRun,
+      onMigrate: (migration) => console.log(`⬇️  ${label(migration)}${dryRun ? " (dry run)" : ""}`),
+    });
+    console.log(reverted.length ? `✅ ${reverted.length} migrasi${dryRun ? " akan" : ""} dibatalkan.` : "ℹ️  Tidak ada migrasi untuk dibatalkan.");
+  },
+
+  async status() {
+    const status = await getMigrationStatus();
+    status.forEach((migration) => {
+      const appliedAt = migration.applied_at ? `  (${new Date(migration.applied_at).toLocaleString("sv-SE")})` : "";
+      console.log(`${STATE_ICONS[migration.state]} ${label(migration)} - ${migration.state}${appliedAt}`);
+    });
+    const pending = status.filter((migration) => migration.state === "pending").length;
+    console.log(pending ? `⏳ ${pending} migrasi belum dijalankan.` : "✅ Skema database sudah terbaru.");
+  },
+
+  async "mark-applied"() {
+    const to = option("to");
+    if (!to) throw new MigrationError("--to=<versi> wajib diisi.");
+
+    const marked = await markApplied({ to });
+    marked.forEach((migration) => console.log(`📝 ${label(migration)}`));
+    console.log(`✅ ${marked.length} migrasi ditandai sudah diterapkan.`);
+  },
+
+  async seed() {
+    const files = await runSeeds({ onSeed: (file) => console.log(`🌱 ${file}`) });
+    console.log(`✅ ${files.length} file seed dijalankan.`);
+  },
+};
+
+async function main() {
+  if (!commands[command]) {
+    throw new MigrationError(`Perintah tidak dikenal: ${command}. Gunakan: ${Object.keys(commands).join(", ")}`);
+  }
+  await commands[command]();
+}
+
+main()
+  .catch((err) => {
+    if (err instanceof MigrationError) {
+      console.error(`❌ ${err.message}`);
+      if (err.details) console.error(Array.isArray(err.details) ? err.details.map((item) => `   ${item}`).join("\n") : err.details);
+    } else {
+      console.error("❌ Error running migrations:", err);
+    }
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,80 @@
+// app.js
+// Aplikasi Express Barokah Tour: middleware global, health check dan mount semua router API.
+// Dijalankan oleh server.js; test/ memakainya langsung lewat supertest tanpa membuka port.
+import express from "express";
+import cors from "cors";
+import dotenv from "dotenv";
+import pool from "./config/db.js";
+import { authenticate } from "./middleware/auth.js";
+import { responseEnvelope, notFoundHandler, errorHandler } from "./middleware/errorHandler.js";
+import allRoutes from "./routes/allRoutes.js";
+import fileRoutes from "./routes/fileRoutes.js";
+
+// Load environment variables
+dotenv.config();
+
+const app = express();
+
+// Middleware
+app.use(cors());
+app.use(responseEnvelope);
+app.use(express.json());
+
+// File upload lewat driver storage (disk lokal / S3), lihat src/routes/fileRoutes.js
+app.use("/uploads", fileRoutes);
+
+// Semua route /api wajib login kecuali yang terdaftar publik di middleware/auth.js
+app.use("/api", authenticate);
+
+// Health check endpoints
+app.get("/", (req, res) => {
+  res.json({ 
+    success: true, 
+    message: "🎉 Server backend Barokah Tour berhasil berjalan!",
+    environment: process.env.NODE_ENV,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get("/api", async (req, res) => {
+  try {
+    const [rows] = await pool.execute("SELECT 1 + 1 AS result");
+    res.json({ 
+      success: true, 
+      message: "API Barokah jalan 🚀", 
+      db: rows[0],
+      environment: process.env.NODE_ENV
+    });
+  } catch (err) {
+    console.error("❌ DB Connection Error:", err.message);
+    res.status(500).json({ 
+      success: false, 
+      message: "Kesalahan server DB",
+      error: err.message 
+    });
+  }
+});
+
+// Test database endpoint
+app.get("/api/test-db", async (req, res) => {
+  try {
+    const [rows] = await pool.execute("SELECT NOW() as waktu, DATABASE() as db_name");
+    res.json({ success: true, data: rows[0] });
+  } catch (err) {
+    console.error("❌ Query gagal:", err.message);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Semua endpoint API, lihat src/routes/allRoutes.js
+app.use("/api", allRoutes);
+
+// ------------------ ERROR HANDLING ------------------
+
+// Body JSON rusak, error yang diteruskan lewat next(err) dan error tak tertangani lainnya
+app.use(errorHandler);
+
+// 404 handler
+app.use("*", notFoundHandler);
+
+export default app;
@@ -48,9 +48,25 @@ const testConnection = async () => {
   }
 };
 
+// Jalankan fn(connection) di dalam satu transaksi: commit jika selesai, rollback jika error dilempar
+const withTransaction = async (fn) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await fn(connection);
+    await connection.commit();
+    return result;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+};
+
 // Jalankan tes koneksi saat modul ini di-load
 testConnection();
 
 export default pool;
-export { testConnection };
+export { testConnection, withTransaction };
 
@@ -0,0 +1,6 @@
+// config/env.js
+// Deteksi lingkungan production (NODE_ENV=production atau berjalan di Railway).
+// Dibaca saat dipakai karena dotenv baru di-load setelah semua import selesai.
+const isProduction = () => process.env.NODE_ENV === "production" || Boolean(process.env.RAILWAY_ENVIRONMENT);
+
+export { isProduction };
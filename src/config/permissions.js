@@ -0,0 +1,40 @@
+// config/permissions.js
+// Daftar role staff dan matriks hak akses per fitur
+
+const ROLES = ["admin", "finance", "scanner", "supervisor", "marketing"];
+
+// permission -> role yang diizinkan
+const PERMISSIONS = {
+  "bookings:read": ["admin", "finance"],
+  "bookings:update": ["admin"],
+  "bookings:delete": ["admin"],
+  "bookings:status": ["admin", "finance"],
+  "bookings:scan": ["admin", "scanner", "supervisor"],
+  "scans:undo": ["admin", "supervisor"],
+  "scans:report": ["admin", "supervisor"],
+  "transactions:create": ["admin", "finance"],
+  "transactions:refund": ["admin", "finance"],
+  "notifications:send": ["admin", "finance"],
+  "packages:manage": ["admin"],
+  "departures:manage": ["admin"],
+  "users:manage": ["admin"],
+  "peserta:manage": ["admin"],
+  "marketing:write": ["admin", "marketing"],
+  "marketing:manage": ["admin"],
+  "dashboard:read": ["admin", "finance"],
+  "finance:read": ["admin", "finance"],
+  "finance:manage": ["admin", "finance"],
+  "uploads:manage": ["admin"],
+  "audit:read": ["admin"],
+};
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+function hasPermission(role, permission) {
+  const allowed = PERMISSIONS[permission] || [];
+  return allowed.includes(role);
+}
+
+export { ROLES, PERMISSIONS, isValidRole, hasPermission };
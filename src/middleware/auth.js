@@ -0,0 +1,83 @@
+// middleware/auth.js
+// Autentikasi staff dengan Bearer token untuk semua route /api non-publik
+import { verifyAccessToken, findActiveSession } from "../services/tokenService.js";
+import { hasPermission } from "../config/permissions.js";
+
+// Route yang boleh diakses tanpa login (path relatif terhadap mount /api)
+const PUBLIC_ROUTES = [
+  { method: "GET", path: /^\/?$/ },
+  { method: "POST", path: /^\/bookings\/?$/ },
+  { method: "POST", path: /^\/bookings\/quote\/?$/ },
+  { method: "GET", path: /^\/bookings\/\d+\/ticket(\.pdf)?\/?$/ },
+  { method: "GET", path: /^\/packages(\/\d+)?\/?$/ },
+  { method: "GET", path: /^\/cities\/?$/ },
+  { method: "GET", path: /^\/departures(\/\d+)?\/?$/ },
+  { method: "POST", path: /^\/peserta\/?$/ },
+  { method: "POST", path: /^\/users\/(login|refresh)\/?$/ },
+  // Webhook payment gateway diverifikasi lewat signature provider
+  { method: "POST", path: /^\/payments\/webhook\/[a-z]+\/?$/ },
+];
+
+function isPublicRoute(req) {
+  return PUBLIC_ROUTES.some(
+    (route) => route.method === req.method && route.path.test(req.path)
+  );
+}
+
+async function authenticate(req, res, next) {
+  if (req.method === "OPTIONS" || isPublicRoute(req)) {
+    return next();
+  }
+
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({ success: false, code: "TOKEN_MISSING", message: "Token akses tidak ditemukan." });
+  }
+
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (err) {
+    const expired = err.name === "TokenExpiredError";
+    return res.status(401).json({
+      success: false,
+      code: expired ? "TOKEN_EXPIRED" : "TOKEN_INVALID",
+      message: expired ? "Token akses sudah kedaluwarsa." : "Token akses tidak valid.",
+    });
+  }
+
+  let session;
+  try {
+    // Sesi yang sudah logout / user nonaktif tidak boleh dipakai lagi walau JWT belum expired
+    session = await findActiveSession(payload.sid);
+  } catch (err) {
+    console.error("❌ Error checking session:", err);
+    return res.status(500).json({ success: false, message: "Kesalahan server." });
+  }
+
+  if (!session) {
+    return res.status(401).json({ success: false, code: "SESSION_EXPIRED", message: "Sesi sudah berakhir, silakan login kembali." });
+  }
+
+  req.user = {
+    id: session.user_id,
+    username: payload.username,
+    role: session.role,
+    sessionId: session.id,
+  };
+  next();
+}
+
+// Batasi route ke role yang punya permission tertentu (lihat config/permissions.js)
+function authorize(permission) {
+  return (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+      return res.status(403).json({ success: false, message: "Anda tidak memiliki akses ke fitur ini." });
+    }
+    next();
+  };
+}
+
+export { authenticate, authorize, isPublicRoute };
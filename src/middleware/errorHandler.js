@@ -0,0 +1,132 @@
+// middleware/errorHandler.js
+// Envelope respons bersama + pemetaan error terpusat.
+//
+// Semua respons JSON memakai bentuk:
+//   sukses -> { success: true, message?, data?, ... }
+//   gagal  -> { success: false, code, message, errors?, details? }
+// `code` bisa dibaca mesin (mis. VALIDATION_ERROR, DUPLICATE_ENTRY), `message` untuk ditampilkan ke user.
+
+// Kode default per HTTP status jika route tidak mengirim code sendiri
+const STATUS_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  410: "GONE",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  422: "UNPROCESSABLE_ENTITY",
+  429: "TOO_MANY_REQUESTS",
+  500: "INTERNAL_ERROR",
+  502: "BAD_GATEWAY",
+  503: "SERVICE_UNAVAILABLE",
+};
+
+// Error MySQL yang dikenal -> status, code dan pesan untuk user
+const DB_ERRORS = {
+  ER_DUP_ENTRY: { httpStatus: 409, code: "DUPLICATE_ENTRY", message: "Data sudah ada." },
+  ER_ROW_IS_REFERENCED: { httpStatus: 409, code: "RECORD_IN_USE", message: "Data masih dipakai oleh data lain dan tidak dapat dihapus." },
+  ER_ROW_IS_REFERENCED_2: { httpStatus: 409, code: "RECORD_IN_USE", message: "Data masih dipakai oleh data lain dan tidak dapat dihapus." },
+  ER_NO_REFERENCED_ROW: { httpStatus: 404, code: "REFERENCE_NOT_FOUND", message: "Data yang dirujuk tidak ditemukan." },
+  ER_NO_REFERENCED_ROW_2: { httpStatus: 404, code: "REFERENCE_NOT_FOUND", message: "Data yang dirujuk tidak ditemukan." },
+  ER_DATA_TOO_LONG: { httpStatus: 400, code: "VALUE_TOO_LONG", message: "Isian terlalu panjang." },
+  ER_BAD_NULL_ERROR: { httpStatus: 400, code: "MISSING_VALUE", message: "Ada isian wajib yang kosong." },
+  ER_TRUNCATED_WRONG_VALUE: { httpStatus: 400, code: "INVALID_VALUE", message: "Format isian tidak valid." },
+  ER_TRUNCATED_WRONG_VALUE_FOR_FIELD: { httpStatus: 400, code: "INVALID_VALUE", message: "Format isian tidak valid." },
+  WARN_DATA_TRUNCATED: { httpStatus: 400, code: "INVALID_VALUE", message: "Format isian tidak valid." },
+  ER_LOCK_DEADLOCK: { httpStatus: 503, code: "TRY_AGAIN", message: "Server sedang sibuk, silakan coba lagi." },
+  ER_LOCK_WAIT_TIMEOUT: { httpStatus: 503, code: "TRY_AGAIN", message: "Server sedang sibuk, silakan coba lagi." },
+  ECONNREFUSED: { httpStatus: 503, code: "DATABASE_UNAVAILABLE", message: "Database sedang tidak dapat diakses." },
+  PROTOCOL_CONNECTION_LOST: { httpStatus: 503, code: "DATABASE_UNAVAILABLE", message: "Database sedang tidak dapat diakses." },
+};
+
+function mapDatabaseError(err) {
+  return (err && DB_ERRORS[err.code]) || null;
+}
+
+// Balasan error dari blok catch route:
+//  - error class service (punya httpStatus) -> status + pesan dari error tersebut
+//  - error MySQL yang dikenal -> lihat DB_ERRORS (pesan bisa diganti per route lewat `messages`)
+//  - selain itu 500 INTERNAL_ERROR dengan pesan fallback
+// Contoh: sendError(res, err, "Gagal menambahkan user.", { DUPLICATE_ENTRY: "Username atau Email sudah digunakan." })
+function sendError(res, err, fallbackMessage, messages = {}) {
+  if (err && Number.isInteger(err.httpStatus)) {
+    return res.status(err.httpStatus).json({
+      success: false,
+      code: err.code || STATUS_CODES[err.httpStatus],
+      message: err.message,
+      details: err.details,
+    });
+  }
+
+  const mapped = mapDatabaseError(err);
+  if (mapped) {
+    return res.status(mapped.httpStatus).json({
+      success: false,
+      code: mapped.code,
+      message: messages[mapped.code] || mapped.message,
+    });
+  }
+
+  return res.status(500).json({ success: false, code: STATUS_CODES[500], message: fallbackMessage || "Kesalahan server." });
+}
+
+// Lengkapi setiap respons error dengan success: false + code, dan ubah bentuk lama { error } ke envelope.
+// Dipasang sebelum semua route.
+function responseEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === "object" && !Array.isArray(body)) {
+      const { error, ...rest } = body;
+      body = {
+        ...rest,
+        success: false,
+        code: body.code || STATUS_CODES[res.statusCode] || (res.statusCode >= 500 ? STATUS_CODES[500] : STATUS_CODES[400]),
+        message: body.message || (res.statusCode < 500 && typeof error === "string" ? error : "Terjadi kesalahan."),
+      };
+      // Detail error internal (5xx) hanya ditampilkan saat development
+      if (res.statusCode >= 500 && process.env.NODE_ENV === "development" && typeof error === "string") {
+        body.error = error;
+      }
+    }
+    return json(body);
+  };
+  next();
+}
+
+function notFoundHandler(req, res) {
+  res.status(404).json({
+    success: false,
+    code: "ROUTE_NOT_FOUND",
+    message: "Endpoint tidak ditemukan",
+    path: req.originalUrl,
+  });
+}
+
+// Error yang dilempar / diteruskan lewat next(err), termasuk body JSON yang rusak.
+// Express mengenali error handler dari 4 parameter, jadi `next` tetap dicantumkan.
+function errorHandler(err, req, res, next) {
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ success: false, code: "INVALID_JSON", message: "Body request bukan JSON yang valid." });
+  }
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ success: false, code: STATUS_CODES[413], message: "Body request terlalu besar." });
+  }
+
+  if (!Number.isInteger(err.httpStatus) && !mapDatabaseError(err)) {
+    console.error("🔥 Global Error Handler:", err.stack);
+  }
+  sendError(res, err, "Internal Server Error");
+}
+
+export {
+  STATUS_CODES,
+  DB_ERRORS,
+  mapDatabaseError,
+  sendError,
+  responseEnvelope,
+  notFoundHandler,
+  errorHandler,
+};
@@ -0,0 +1,86 @@
+// middleware/upload.js
+// Upload file: multer menampung di memori, lalu file divalidasi (tipe + ukuran),
+// diberi nama aman, dideduplikasi dan (untuk gambar) dibuatkan thumbnail lewat services/uploadService.js.
+// Setelah middleware ini req.file.filename berisi object key file di storage (lihat services/storageDrivers).
+import path from "path";
+import multer from "multer";
+import { UploadError, storeUpload } from "../services/uploadService.js";
+
+const MB = 1024 * 1024;
+
+// Jenis upload -> tipe yang diizinkan, ekstensi nama file dan batas ukuran default
+const UPLOAD_KINDS = {
+  image: {
+    types: ["image/jpeg", "image/png", "image/webp"],
+    extensions: [".jpg", ".jpeg", ".png", ".webp"],
+    maxBytes: () => parseInt(process.env.UPLOAD_MAX_IMAGE_BYTES) || 5 * MB,
+  },
+  document: {
+    types: ["image/jpeg", "image/png", "image/webp", "application/pdf"],
+    extensions: [".jpg", ".jpeg", ".png", ".webp", ".pdf"],
+    maxBytes: () => parseInt(process.env.UPLOAD_MAX_DOCUMENT_BYTES) || 10 * MB,
+  },
+};
+
+function rejectUpload(res, err) {
+  if (err instanceof multer.MulterError) {
+    const tooLarge = err.code === "LIMIT_FILE_SIZE";
+    return res.status(tooLarge ? 413 : 400).json({
+      success: false,
+      code: tooLarge ? "FILE_TOO_LARGE" : "INVALID_UPLOAD",
+      message: tooLarge ? "Ukuran file melebihi batas." : `Upload tidak valid: ${err.message}`,
+    });
+  }
+  if (err instanceof UploadError) {
+    return res.status(err.httpStatus).json({
+      success: false,
+      code: err.httpStatus === 415 ? "UNSUPPORTED_FILE_TYPE" : "INVALID_UPLOAD",
+      message: err.message,
+    });
+  }
+  console.error("❌ Error processing upload:", err);
+  return res.status(500).json({ success: false, message: "Gagal memproses file upload." });
+}
+
+// Satu file di field tertentu. Multer dibuat saat request pertama agar batas ukuran dari .env terbaca.
+function singleUpload(field, kind) {
+  const config = UPLOAD_KINDS[kind];
+  let handler = null;
+
+  return async (req, res, next) => {
+    handler =
+      handler ||
+      multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: config.maxBytes(), files: 1 },
+        fileFilter: (req, file, cb) => {
+          const ext = path.extname(file.originalname || "").toLowerCase();
+          if (!config.extensions.includes(ext) || !config.types.includes(file.mimetype)) {
+            return cb(new UploadError(`Tipe file tidak diizinkan. Hanya: ${config.extensions.join(", ")}`, 415));
+          }
+          cb(null, true);
+        },
+      }).single(field);
+
+    handler(req, res, async (err) => {
+      if (err) return rejectUpload(res, err);
+      if (!req.file) return next();
+
+      try {
+        const stored = await storeUpload(req.file, { allowedTypes: config.types });
+        req.file.filename = stored.filename;
+        req.file.hash = stored.hash;
+        req.file.duplicate = stored.duplicate;
+        req.file.buffer = undefined;
+        next();
+      } catch (uploadErr) {
+        rejectUpload(res, uploadErr);
+      }
+    });
+  };
+}
+
+const uploadImage = (field) => singleUpload(field, "image");
+const uploadDocument = (field) => singleUpload(field, "document");
+
+export { UPLOAD_KINDS, uploadImage, uploadDocument };
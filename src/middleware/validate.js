@@ -0,0 +1,231 @@
+// middleware/validate.js
+// Validasi request deklaratif. Schema per bagian request berisi aturan per field:
+//
+//   validate({
+//     params: { id: { type: "id", required: true } },
+//     body: {
+//       name: { type: "string", required: true, max: 255 },
+//       price: { type: "number", min: 0 },
+//       status: { type: "enum", values: ["open", "closed"] },
+//       participants: { type: "array", required: true, min: 1, items: { type: "object", fields: { name: { type: "string", required: true } } } },
+//     },
+//   })
+//
+// Tipe: string, email, phone, int, id (int >= 1), number, boolean, date (YYYY-MM-DD), datetime, enum, array, object.
+// Opsi: required, notEmpty (boleh tidak dikirim, tapi jika dikirim tidak boleh kosong), min / max (panjang string, nilai angka, jumlah item array), pattern, values (enum),
+//       items (aturan item array), fields (schema object), trim (string; default true, false untuk password).
+// Nilai yang lolos sudah dikonversi ("12" -> 12, "true" -> true) dan ditulis kembali ke req.
+// Field yang tidak dikirim tetap tidak ada (penting untuk update parsial); isian kosong pada field opsional menjadi null.
+// Field di luar schema dibiarkan apa adanya.
+// Gagal -> 400 VALIDATION_ERROR dengan daftar error per field.
+import { DATE_PATTERN } from "../utils/dateRange.js";
+
+const TRUE_VALUES = [true, "true", "1", 1, "on", "yes"];
+const FALSE_VALUES = [false, "false", "0", 0, "off", "no"];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+function checkLength(length, rule, unit) {
+  if (rule.min !== undefined && length < rule.min) {
+    return { code: "too_short", message: `minimal ${rule.min} ${unit}.` };
+  }
+  if (rule.max !== undefined && length > rule.max) {
+    return { code: "too_long", message: `maksimal ${rule.max} ${unit}.` };
+  }
+  return null;
+}
+
+function checkRange(number, rule) {
+  if (rule.min !== undefined && number < rule.min) {
+    return { code: "too_small", message: `minimal ${rule.min}.` };
+  }
+  if (rule.max !== undefined && number > rule.max) {
+    return { code: "too_large", message: `maksimal ${rule.max}.` };
+  }
+  return null;
+}
+
+// Mengembalikan { value } jika valid atau { error: { code, message } }
+const TYPES = {
+  string(value, rule) {
+    if (typeof value !== "string" && typeof value !== "number") {
+      return { error: { code: "invalid_type", message: "harus berupa teks." } };
+    }
+    // trim: false -> spasi di awal / akhir ikut disimpan (password)
+    const text = rule.trim === false ? String(value) : String(value).trim();
+    const error = checkLength(text.length, rule, "karakter");
+    if (error) return { error };
+    if (rule.pattern && !rule.pattern.test(text)) {
+      return { error: { code: "invalid_format", message: rule.patternMessage || "formatnya tidak valid." } };
+    }
+    return { value: text };
+  },
+
+  email(value, rule) {
+    const result = TYPES.string(value, { max: 255, ...rule });
+    if (result.error) return result;
+    if (!EMAIL_PATTERN.test(result.value)) {
+      return { error: { code: "invalid_email", message: "harus berupa alamat email yang valid." } };
+    }
+    return { value: result.value.toLowerCase() };
+  },
+
+  // Nomor telepon: angka, spasi, +, -, (), minimal 8 digit
+  phone(value, rule) {
+    const result = TYPES.string(value, { max: 30, ...rule });
+    if (result.error) return result;
+    const digits = result.value.replace(/\D/g, "");
+    if (!/^[0-9+\-\s()]+$/.test(result.value) || digits.length < 8 || digits.length > 15) {
+      return { error: { code: "invalid_phone", message: "harus berupa nomor telepon yang valid." } };
+    }
+    return { value: result.value };
+  },
+
+  number(value, rule) {
+    const number = typeof value === "string" ? Number(value.trim()) : value;
+    if (typeof number !== "number" || !Number.isFinite(number)) {
+      return { error: { code: "invalid_number", message: "harus berupa angka." } };
+    }
+    const error = checkRange(number, rule);
+    return error ? { error } : { value: number };
+  },
+
+  int(value, rule) {
+    const result = TYPES.number(value, rule);
+    if (result.error) return result;
+    if (!Number.isInteger(result.value)) {
+      return { error: { code: "invalid_integer", message: "harus berupa bilangan bulat." } };
+    }
+    return result;
+  },
+
+  id(value, rule) {
+    const result = TYPES.int(value, { min: 1, ...rule });
+    if (result.error) {
+      return { error: { code: "invalid_id", message: "harus berupa ID yang valid." } };
+    }
+    return result;
+  },
+
+  boolean(value) {
+    if (TRUE_VALUES.includes(value)) return { value: true };
+    if (FALSE_VALUES.includes(value)) return { value: false };
+    return { error: { code: "invalid_boolean", message: "harus berupa true atau false." } };
+  },
+
+  date(value) {
+    const text = typeof value === "string" ? value.trim() : "";
+    if (!DATE_PATTERN.test(text) || Number.isNaN(new Date(`${text}T00:00:00Z`).getTime())) {
+      return { error: { code: "invalid_date", message: "harus berupa tanggal dengan format YYYY-MM-DD." } };
+    }
+    return { value: text };
+  },
+
+  datetime(value) {
+    const text = typeof value === "string" ? value.trim() : "";
+    if (!/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(text) || Number.isNaN(new Date(text).getTime())) {
+      return { error: { code: "invalid_datetime", message: "harus berupa tanggal & jam yang valid (YYYY-MM-DD HH:mm)." } };
+    }
+    return { value: text };
+  },
+
+  enum(value, rule) {
+    const text = typeof value === "string" ? value.trim() : value;
+    if (!rule.values.includes(text)) {
+      return { error: { code: "invalid_option", message: `harus salah satu dari: ${rule.values.join(", ")}.` } };
+    }
+    return { value: text };
+  },
+
+  array(value, rule, field) {
+    if (!Array.isArray(value)) {
+      return { error: { code: "invalid_type", message: "harus berupa array." } };
+    }
+    const error = checkLength(value.length, rule, "item");
+    if (error) return { error };
+    if (!rule.items) return { value };
+
+    const errors = [];
+    const items = value.map((item, index) => checkField(`${field}[${index}]`, item, rule.items, errors));
+    return errors.length ? { errors } : { value: items };
+  },
+
+  object(value, rule, field) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      return { error: { code: "invalid_type", message: "harus berupa object." } };
+    }
+    if (!rule.fields) return { value };
+
+    const errors = [];
+    const output = checkObject(value, rule.fields, errors, `${field}.`);
+    return errors.length ? { errors } : { value: output };
+  },
+};
+
+// Validasi satu field; error ditambahkan ke `errors`, mengembalikan nilai hasil konversi
+function checkField(field, value, rule, errors) {
+  if (isEmpty(value)) {
+    if (rule.required) {
+      errors.push({ field, code: "required", message: `${field} wajib diisi.` });
+    } else if (rule.notEmpty && value !== undefined) {
+      errors.push({ field, code: "empty", message: `${field} tidak boleh kosong.` });
+    }
+    return value === undefined ? undefined : null;
+  }
+
+  const result = TYPES[rule.type](value, rule, field);
+  if (result.errors) {
+    errors.push(...result.errors);
+  } else if (result.error) {
+    errors.push({ field, code: result.error.code, message: `${field} ${result.error.message}` });
+  }
+  return result.value;
+}
+
+function checkObject(source, schema, errors, prefix = "") {
+  const output = { ...source };
+  for (const [name, rule] of Object.entries(schema)) {
+    const value = checkField(`${prefix}${name}`, source[name], rule, errors);
+    if (value !== undefined) {
+      output[name] = value;
+    }
+  }
+  return output;
+}
+
+// Salinan schema dengan semua field opsional, untuk PUT / PATCH parsial.
+// Field yang tadinya wajib tetap tidak boleh dikosongkan.
+function partial(schema) {
+  return Object.fromEntries(
+    Object.entries(schema).map(([name, rule]) => [name, { ...rule, required: false, notEmpty: rule.required || rule.notEmpty }])
+  );
+}
+
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    const results = {};
+
+    for (const part of ["params", "query", "body"]) {
+      if (schemas[part]) {
+        results[part] = checkObject(req[part] || {}, schemas[part], errors);
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_ERROR",
+        message: errors[0].message,
+        errors,
+      });
+    }
+
+    Object.assign(req, results);
+    next();
+  };
+}
+
+export { validate, partial };
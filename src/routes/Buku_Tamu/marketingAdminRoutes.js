@@ -0,0 +1,33 @@
+// routes/Buku_Tamu/marketingAdminRoutes.js
+// Koreksi data kunjungan marketing oleh admin (di-mount di /api/admin/marketing)
+import express from "express";
+import { authorize } from "../../middleware/auth.js";
+import { uploadImage } from "../../middleware/upload.js";
+import { validate, partial } from "../../middleware/validate.js";
+import { sendError } from "../../middleware/errorHandler.js";
+import { idParams } from "../../schemas/common.js";
+import { marketingBody } from "../../schemas/guests.js";
+import { LeadError, updateVisit } from "../../services/marketingLeadService.js";
+import { auditActor } from "../../services/auditService.js";
+
+const router = express.Router();
+
+// PUT /api/admin/marketing/:id - hanya field yang dikirim yang diubah; foto diganti jika ada upload baru / foto_kunjungan dikirim
+router.put("/:id", authorize("marketing:manage"), uploadImage("foto_kunjungan"), validate({ params: idParams, body: partial(marketingBody) }), async (req, res) => {
+  const foto_kunjungan = req.file ? req.file.filename : req.body.foto_kunjungan || null;
+
+  try {
+    const updated = await updateVisit(req.params.id, req.body, foto_kunjungan, auditActor(req));
+    if (!updated) {
+      return res.status(404).json({ success: false, message: "Data marketing tidak ditemukan" });
+    }
+    res.status(200).json({ success: true, message: "Data marketing berhasil diupdate" });
+  } catch (err) {
+    if (!(err instanceof LeadError)) {
+      console.error("❌ Error updating marketing:", err);
+    }
+    sendError(res, err, "Gagal mengupdate data marketing.");
+  }
+});
+
+export default router;
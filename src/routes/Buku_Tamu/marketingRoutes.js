@@ -0,0 +1,165 @@
+// routes/Buku_Tamu/marketingRoutes.js
+// Kunjungan & pipeline lead marketing: stage, follow-up dan konversi ke draft booking (di-mount di /api/marketing)
+import express from "express";
+import { authorize } from "../../middleware/auth.js";
+import { uploadImage } from "../../middleware/upload.js";
+import { validate } from "../../middleware/validate.js";
+import { sendError } from "../../middleware/errorHandler.js";
+import { idParams, dateRangeQuery } from "../../schemas/common.js";
+import {
+  marketingBody,
+  listLeadsQuery,
+  stageBody,
+  assignBody,
+  followUpBody,
+  updateFollowUpBody,
+  listFollowUpsQuery,
+  convertBody,
+} from "../../schemas/guests.js";
+import { PricingError } from "../../services/pricingService.js";
+import { DepartureError } from "../../services/departureService.js";
+import {
+  LEAD_STAGES,
+  FOLLOWUP_STATUSES,
+  FOLLOWUP_CHANNELS,
+  LeadError,
+  createVisit,
+  getLead,
+  listLeads,
+  changeStage,
+  assignLead,
+  getStageHistory,
+  scheduleFollowUp,
+  listFollowUps,
+  updateFollowUp,
+  convertLead,
+  getConversionReport,
+} from "../../services/marketingLeadService.js";
+import { auditActor } from "../../services/auditService.js";
+
+const router = express.Router();
+
+router.use(authorize("marketing:write"));
+
+function handleError(res, err, label, message) {
+  if (!(err instanceof LeadError || err instanceof PricingError || err instanceof DepartureError)) {
+    console.error(`❌ Error ${label}:`, err);
+  }
+  sendError(res, err, message);
+}
+
+// POST /api/marketing - catat kunjungan (multipart, foto_kunjungan opsional)
+router.post("/", uploadImage("foto_kunjungan"), validate({ body: marketingBody }), async (req, res) => {
+  const foto_kunjungan = req.file ? req.file.filename : req.body.foto_kunjungan || null;
+
+  try {
+    const id = await createVisit(req.body, foto_kunjungan, req.user, auditActor(req));
+    res.status(201).json({ success: true, message: "Data marketing berhasil disimpan", id });
+  } catch (err) {
+    handleError(res, err, "saving marketing", "Gagal menyimpan data marketing.");
+  }
+});
+
+// GET /api/marketing/pipeline - daftar stage, status dan channel follow-up
+router.get("/pipeline", (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { stages: LEAD_STAGES, followup_statuses: FOLLOWUP_STATUSES, followup_channels: FOLLOWUP_CHANNELS },
+  });
+});
+
+// GET /api/marketing/leads?stage=&assigned_to=&q=&from=&to=
+router.get("/leads", validate({ query: listLeadsQuery }), async (req, res) => {
+  try {
+    res.status(200).json({ success: true, data: await listLeads(req.user, req.query) });
+  } catch (err) {
+    handleError(res, err, "fetching leads", "Gagal mengambil data lead.");
+  }
+});
+
+// GET /api/marketing/leads/:id - detail + riwayat stage + follow-up
+router.get("/leads/:id", validate({ params: idParams }), async (req, res) => {
+  try {
+    const lead = await getLead(req.params.id, req.user);
+    const [stageHistory, followUps] = await Promise.all([
+      getStageHistory(lead.id),
+      listFollowUps(req.user, { marketing_id: lead.id }),
+    ]);
+    res.status(200).json({ success: true, data: { ...lead, stage_history: stageHistory, followups: followUps } });
+  } catch (err) {
+    handleError(res, err, "fetching lead", "Gagal mengambil data lead.");
+  }
+});
+
+// PATCH /api/marketing/leads/:id/stage - body { stage, note, lost_reason }
+router.patch("/leads/:id/stage", validate({ params: idParams, body: stageBody }), async (req, res) => {
+  const { stage, note, lost_reason } = req.body;
+
+  try {
+    const lead = await changeStage(req.params.id, stage, req.user, { note, lost_reason }, auditActor(req));
+    res.status(200).json({ success: true, message: `Stage lead diubah menjadi ${lead.stage}.`, data: lead });
+  } catch (err) {
+    handleError(res, err, "changing lead stage", "Gagal mengubah stage lead.");
+  }
+});
+
+// PATCH /api/marketing/leads/:id/assign - body { assigned_to } (khusus admin)
+router.patch("/leads/:id/assign", authorize("marketing:manage"), validate({ params: idParams, body: assignBody }), async (req, res) => {
+  try {
+    const lead = await assignLead(req.params.id, req.body.assigned_to, req.user, auditActor(req));
+    res.status(200).json({ success: true, message: "Lead berhasil ditugaskan.", data: lead });
+  } catch (err) {
+    handleError(res, err, "assigning lead", "Gagal menugaskan lead.");
+  }
+});
+
+// POST /api/marketing/leads/:id/followups - body { scheduled_at, assigned_to, channel, notes }
+router.post("/leads/:id/followups", validate({ params: idParams, body: followUpBody }), async (req, res) => {
+  try {
+    const followUp = await scheduleFollowUp(req.params.id, req.body, req.user, auditActor(req));
+    res.status(201).json({ success: true, message: "Follow-up berhasil dijadwalkan.", data: followUp });
+  } catch (err) {
+    handleError(res, err, "scheduling follow-up", "Gagal menjadwalkan follow-up.");
+  }
+});
+
+// GET /api/marketing/followups?status=scheduled&due_before=&assigned_to=
+router.get("/followups", validate({ query: listFollowUpsQuery }), async (req, res) => {
+  try {
+    res.status(200).json({ success: true, data: await listFollowUps(req.user, req.query) });
+  } catch (err) {
+    handleError(res, err, "fetching follow-ups", "Gagal mengambil follow-up.");
+  }
+});
+
+// PATCH /api/marketing/followups/:id - body { status, outcome, scheduled_at }
+router.patch("/followups/:id", validate({ params: idParams, body: updateFollowUpBody }), async (req, res) => {
+  try {
+    const followUp = await updateFollowUp(req.params.id, req.body, req.user, auditActor(req));
+    res.status(200).json({ success: true, message: "Follow-up berhasil diupdate.", data: followUp });
+  } catch (err) {
+    handleError(res, err, "updating follow-up", "Gagal mengupdate follow-up.");
+  }
+});
+
+// POST /api/marketing/leads/:id/convert
+// body { package_id, participant_count, departure_id | travel_date, customer_name, customer_email, customer_phone }
+router.post("/leads/:id/convert", validate({ params: idParams, body: convertBody }), async (req, res) => {
+  try {
+    const result = await convertLead(req.params.id, req.body, req.user, auditActor(req));
+    res.status(201).json({ success: true, message: "Lead berhasil dikonversi menjadi draft booking.", data: result });
+  } catch (err) {
+    handleError(res, err, "converting lead", "Gagal mengonversi lead.");
+  }
+});
+
+// GET /api/marketing/reports/conversion?from=&to= (khusus admin)
+router.get("/reports/conversion", authorize("marketing:manage"), validate({ query: dateRangeQuery }), async (req, res) => {
+  try {
+    res.status(200).json({ success: true, data: await getConversionReport(req.query) });
+  } catch (err) {
+    handleError(res, err, "building conversion report", "Gagal membuat laporan konversi.");
+  }
+});
+
+export default router;
@@ -0,0 +1,27 @@
+// routes/Buku_Tamu/pesertaFormRoutes.js
+// Form buku tamu publik (di-mount di /api/peserta)
+import express from "express";
+import { validate } from "../../middleware/validate.js";
+import { sendError } from "../../middleware/errorHandler.js";
+import { pesertaBody } from "../../schemas/guests.js";
+import { createPeserta } from "../../services/pesertaService.js";
+
+const router = express.Router();
+
+// POST /api/peserta
+router.post("/", validate({ body: pesertaBody }), async (req, res) => {
+  try {
+    const id = await createPeserta(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Data peserta berhasil disimpan",
+      id,
+    });
+  } catch (err) {
+    console.error("❌ Error saving peserta:", err);
+    sendError(res, err, "Gagal menyimpan data peserta.");
+  }
+});
+
+export default router;
@@ -0,0 +1,108 @@
+// routes/Buku_Tamu/pesertaRoutes.js
+// Admin buku tamu: daftar, cari, ubah, hapus dan ekspor (di-mount di /api/admin/peserta)
+import express from "express";
+import { authorize } from "../../middleware/auth.js";
+import { validate, partial } from "../../middleware/validate.js";
+import { sendError } from "../../middleware/errorHandler.js";
+import { idParams } from "../../schemas/common.js";
+import { pesertaBody, listPesertaQuery, exportPesertaQuery, bulkDeleteBody } from "../../schemas/guests.js";
+import {
+  PesertaError,
+  listPeserta,
+  getPeserta,
+  updatePeserta,
+  deletePeserta,
+  bulkDeletePeserta,
+  exportPeserta,
+} from "../../services/pesertaService.js";
+import { auditActor } from "../../services/auditService.js";
+
+const router = express.Router();
+
+router.use(authorize("peserta:manage"));
+
+// GET /api/admin/peserta?page=&limit=&from=&to=&tujuan=&q=
+router.get("/", validate({ query: listPesertaQuery }), async (req, res) => {
+  try {
+    const result = await listPeserta(req.query);
+    res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    console.error("❌ Error fetching peserta:", err);
+    sendError(res, err, "Gagal mengambil data buku tamu.");
+  }
+});
+
+// GET /api/admin/peserta/export?format=csv|xlsx&from=&to=&tujuan=&q=
+router.get("/export", validate({ query: exportPesertaQuery }), async (req, res) => {
+  const format = req.query.format || "csv";
+
+  try {
+    const file = await exportPeserta(req.query, format);
+    const filename = `buku-tamu-${new Date().toLocaleDateString("sv-SE")}.${file.extension}`;
+    res.setHeader("Content-Type", file.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.status(200).send(file.buffer);
+  } catch (err) {
+    console.error("❌ Error exporting peserta:", err);
+    sendError(res, err, "Gagal mengekspor data buku tamu.");
+  }
+});
+
+// POST /api/admin/peserta/bulk-delete - body { ids: [1, 2, 3] }
+router.post("/bulk-delete", validate({ body: bulkDeleteBody }), async (req, res) => {
+  try {
+    const result = await bulkDeletePeserta(req.body.ids, auditActor(req));
+    res.status(200).json({ success: true, message: `${result.deleted} data buku tamu berhasil dihapus.`, ...result });
+  } catch (err) {
+    if (!(err instanceof PesertaError)) {
+      console.error("❌ Error bulk deleting peserta:", err);
+    }
+    sendError(res, err, "Gagal menghapus data buku tamu.");
+  }
+});
+
+// GET /api/admin/peserta/:id
+router.get("/:id", validate({ params: idParams }), async (req, res) => {
+  try {
+    const peserta = await getPeserta(req.params.id);
+    if (!peserta) {
+      return res.status(404).json({ success: false, message: "Data peserta tidak ditemukan." });
+    }
+    res.status(200).json({ success: true, data: peserta });
+  } catch (err) {
+    console.error("❌ Error fetching peserta:", err);
+    sendError(res, err, "Gagal mengambil data buku tamu.");
+  }
+});
+
+// PUT /api/admin/peserta/:id - hanya field yang dikirim yang diubah
+router.put("/:id", validate({ params: idParams, body: partial(pesertaBody) }), async (req, res) => {
+  try {
+    const updated = await updatePeserta(req.params.id, req.body, auditActor(req));
+    if (!updated) {
+      return res.status(404).json({ success: false, message: "Data peserta tidak ditemukan" });
+    }
+    res.status(200).json({ success: true, message: "Data peserta berhasil diupdate" });
+  } catch (err) {
+    if (!(err instanceof PesertaError)) {
+      console.error("❌ Error updating peserta:", err);
+    }
+    sendError(res, err, "Gagal mengupdate data peserta.");
+  }
+});
+
+// DELETE /api/admin/peserta/:id
+router.delete("/:id", validate({ params: idParams }), async (req, res) => {
+  try {
+    const deleted = await deletePeserta(req.params.id, auditActor(req));
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: "Data peserta tidak ditemukan." });
+    }
+    res.status(200).json({ success: true, message: "Data peserta berhasil dihapus." });
+  } catch (err) {
+    console.error("❌ Error deleting peserta:", err);
+    sendError(res, err, "Gagal menghapus data buku tamu.");
+  }
+});
+
+export default router;
@@ -1,21 +1,73 @@
-// const express = require("express");
-// const router = express.Router();
-// const controller = require("../controllers/mainController");
+// routes/allRoutes.js
+// Semua router API, di-mount di /api oleh server.js (setelah middleware authenticate)
+import express from "express";
+import bookingRoutes from "./bookingRoutes.js";
+import packageRoutes from "./packageRoutes.js";
+import cityRoutes from "./cityRoutes.js";
+import transactionRoutes from "./transactionRoutes.js";
+import userRoutes from "./userRoutes.js";
+import departureRoutes from "./departureRoutes.js";
+import priceRuleRoutes from "./priceRuleRoutes.js";
+import paymentRoutes from "./paymentRoutes.js";
+import scannerRoutes from "./scannerRoutes.js";
+import notificationRoutes from "./notificationRoutes.js";
+import dashboardRoutes from "./dashboard.js";
+import financeRoutes from "./uang.js";
+import uploadRoutes from "./uploadRoutes.js";
+import pesertaFormRoutes from "./Buku_Tamu/pesertaFormRoutes.js";
+import pesertaRoutes from "./Buku_Tamu/pesertaRoutes.js";
+import marketingRoutes from "./Buku_Tamu/marketingRoutes.js";
+import marketingAdminRoutes from "./Buku_Tamu/marketingAdminRoutes.js";
+import auditRoutes from "./auditRoutes.js";
 
-// // Rute untuk mendapatkan SEMUA booking
-// router.get("/bookings", controller.getAllBookings);
+const router = express.Router();
 
-// // Rute untuk mendapatkan SATU booking spesifik
-// router.get("/bookings/:bookingId", controller.getBookingById);
+// Booking, e-tiket & scan QR
+router.use("/bookings", bookingRoutes);
 
-// // Rute untuk MEMBUAT booking baru
-// router.post("/bookings", controller.createBooking);
+// Katalog paket & kota
+router.use("/packages", packageRoutes);
+router.use("/cities", cityRoutes);
 
-// // --- RUTE YANG PERLU ANDA TAMBAHKAN ADA DI SINI ---
-// // Rute untuk MENGUBAH status pembayaran (DP/Lunas)
-// router.put("/bookings/:id/status", controller.updatePaymentStatus);
+// Pembayaran manual, refund & pembatalan transaksi
+router.use("/transactions", transactionRoutes);
 
-// // Rute Validasi Scanner
-// router.post("/scan/validate", controller.validateParticipant);
+// Akun staff, role & sesi login
+router.use("/users", userRoutes);
 
-// module.exports = router;
+// Jadwal keberangkatan & sisa kursi
+router.use("/departures", departureRoutes);
+
+// Aturan surcharge / diskon harga paket
+router.use("/price-rules", priceRuleRoutes);
+
+// Payment gateway (VA / QRIS + webhook)
+router.use("/payments", paymentRoutes);
+
+// Scanner offline: manifest per keberangkatan + upload batch check-in
+router.use("/scanner", scannerRoutes);
+
+// Log email notifikasi, kirim ulang e-tiket, outbox WhatsApp
+router.use("/notifications", notificationRoutes);
+
+// Analitik dashboard admin
+router.use("/dashboard", dashboardRoutes);
+
+// Keuangan: biaya trip, kas, laporan laba
+router.use("/finance", financeRoutes);
+
+// Perawatan file upload (hapus duplikat & file yatim)
+router.use("/admin/uploads", uploadRoutes);
+
+// Buku tamu: form publik + admin (daftar, cari, ubah, hapus, ekspor)
+router.use("/peserta", pesertaFormRoutes);
+router.use("/admin/peserta", pesertaRoutes);
+
+// Kunjungan & pipeline lead marketing; koreksi data kunjungan oleh admin
+router.use("/marketing", marketingRoutes);
+router.use("/admin/marketing", marketingAdminRoutes);
+
+// Audit log perubahan data admin (booking, paket, harga, jadwal, checkpoint, user, marketing, peserta, keuangan, transaksi)
+router.use("/admin/audit-logs", auditRoutes);
+
+export default router;
@@ -0,0 +1,48 @@
+// routes/auditRoutes.js
+// Audit log perubahan data admin: per data dan per user (di-mount di /api/admin/audit-logs)
+import express from "express";
+import { authorize } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { sendError } from "../middleware/errorHandler.js";
+import { idParams } from "../schemas/common.js";
+import { auditLogQuery, entityParams } from "../schemas/audit.js";
+import { listAuditLogs } from "../services/auditService.js";
+
+const router = express.Router();
+
+router.use(authorize("audit:read"));
+
+// GET /api/admin/audit-logs?entity=&entity_id=&actor_id=&action=&from=&to=&page=&limit=
+router.get("/", validate({ query: auditLogQuery }), async (req, res) => {
+  try {
+    const result = await listAuditLogs(req.query);
+    res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    console.error("❌ Error fetching audit logs:", err);
+    sendError(res, err, "Gagal mengambil audit log.");
+  }
+});
+
+// GET /api/admin/audit-logs/entities/:entity/:id - riwayat perubahan satu data, mis. /entities/booking/12
+router.get("/entities/:entity/:id", validate({ params: entityParams, query: auditLogQuery }), async (req, res) => {
+  try {
+    const result = await listAuditLogs({ ...req.query, entity: req.params.entity, entity_id: req.params.id });
+    res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    console.error("❌ Error fetching entity audit logs:", err);
+    sendError(res, err, "Gagal mengambil audit log.");
+  }
+});
+
+// GET /api/admin/audit-logs/users/:id - semua perubahan yang dilakukan satu user
+router.get("/users/:id", validate({ params: idParams, query: auditLogQuery }), async (req, res) => {
+  try {
+    const result = await listAuditLogs({ ...req.query, actor_id: req.params.id });
+    res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    console.error("❌ Error fetching user audit logs:", err);
+    sendError(res, err, "Gagal mengambil audit log.");
+  }
+});
+
+export default router;
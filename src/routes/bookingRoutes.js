@@ -0,0 +1,605 @@
+// routes/bookingRoutes.js
+// Booking customer: quote, buat / ubah / hapus, status, e-tiket dan scan QR (di-mount di /api/bookings)
+import express from "express";
+import pool from "../config/db.js";
+import { authorize } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { sendError } from "../middleware/errorHandler.js";
+import { idParams } from "../schemas/common.js";
+import {
+  quoteBody,
+  createBookingBody,
+  updateBookingBody,
+  statusBody,
+  listBookingsQuery,
+  ticketQuery,
+  scanBody,
+} from "../schemas/bookings.js";
+import { generateBookingCode } from "../services/bookingService.js";
+import { auditActor, recordAudit } from "../services/auditService.js";
+import {
+  BookingStatusError,
+  recordInitialStatus,
+  changeBookingStatus,
+  getStatusHistory,
+} from "../services/bookingStatusService.js";
+import { PaymentError, getBalance, syncBookingStatus, getPaymentHistory } from "../services/paymentService.js";
+import { DepartureError, reserveSeats, releaseBookingSeats } from "../services/departureService.js";
+import { TicketError, getTicketData, renderQrDataUrl } from "../services/ticketService.js";
+import { SCAN_RESULTS, checkInTicket } from "../services/scanService.js";
+import { renderTicketPdf } from "../services/ticketPdfService.js";
+import { BookingListError, listBookings } from "../services/bookingListService.js";
+import { PricingError, quoteBooking, assertTravelDate, assertClientTotal } from "../services/pricingService.js";
+import { notifyBookingCreated } from "../services/notificationService.js";
+
+const router = express.Router();
+
+// Kolom booking yang dicatat di audit log
+const AUDIT_FIELDS = [
+  "booking_id", "package_id", "departure_id", "travel_date", "customer_name", "customer_email", "customer_phone", "total_price", "status",
+];
+
+// POST /api/bookings/quote - preview harga sebelum booking dikirim
+router.post("/quote", validate({ body: quoteBody }), async (req, res) => {
+  const { package_id, participants, participant_count, travel_date } = req.body;
+  const count = Array.isArray(participants) ? participants.length : participant_count;
+
+  if (!count) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "participants atau participant_count wajib diisi.",
+      errors: [{ field: "participant_count", code: "required", message: "participants atau participant_count wajib diisi." }],
+    });
+  }
+
+  try {
+    const breakdown = await quoteBooking(pool, package_id, count, { travelDate: travel_date });
+    res.status(200).json({ success: true, data: breakdown });
+  } catch (err) {
+    if (err instanceof PricingError) {
+      return res.status(err.httpStatus).json({ success: false, message: err.message });
+    }
+    console.error("❌ Error quoting booking:", err);
+    sendError(res, err, "Gagal menghitung harga.");
+  }
+});
+
+// POST /api/bookings
+router.post("/", validate({ body: createBookingBody }), async (req, res) => {
+  console.log("📥 POST /api/bookings - Menerima permintaan booking baru...");
+  const {
+    package_id,
+    customer_name,
+    customer_email,
+    participants,
+    total_price,
+    travel_date,
+    departure_id,
+  } = req.body;
+
+  // total_price opsional: jika dikirim harus sama dengan hitungan server
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Ambil city_code dari package
+    const getPackageQuery = `SELECT p.id AS package_id, p.name AS package_name, c.city_code, c.city_name FROM packages p LEFT JOIN cities c ON p.city_id = c.id WHERE p.id = ? LIMIT 1`;
+
+    const [pkgRows] = await connection.execute(getPackageQuery, [package_id]);
+
+    if (!pkgRows || pkgRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ success: false, message: "Paket tidak ditemukan." });
+    }
+
+    const bookingCode = generateBookingCode(pkgRows[0]);
+
+    // Kursi dipesan di dalam transaksi yang sama agar tidak oversell
+    let departure = null;
+    if (departure_id) {
+      departure = await reserveSeats(connection, departure_id, package_id, participants.length);
+    } else {
+      assertTravelDate(travel_date);
+    }
+
+    // Harga selalu dihitung di server
+    const priceBreakdown = await quoteBooking(connection, package_id, participants.length, {
+      travelDate: departure ? departure.departure_date : travel_date,
+    });
+    assertClientTotal(total_price, priceBreakdown);
+
+    // Insert booking
+    const insertBookingSql = `INSERT INTO bookings (package_id, departure_id, travel_date, booking_id, customer_name, customer_email, total_price, price_breakdown, status, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'menunggu_pembayaran', NOW(), NOW())`;
+
+    const [result] = await connection.execute(insertBookingSql, [
+      package_id, departure ? departure.id : null, priceBreakdown.travel_date, bookingCode, customer_name, customer_email, priceBreakdown.total, JSON.stringify(priceBreakdown)
+    ]);
+
+    const newBookingId = result.insertId;
+    await recordInitialStatus(connection, newBookingId, "menunggu_pembayaran");
+
+    // Insert peserta ke participants
+    const insertParticipantSql = `INSERT INTO participants (booking_id, name, phone, address, birth_place, status, created_at) VALUES (?, ?, ?, ?, ?, 'valid', NOW())`;
+
+    for (const participant of participants) {
+      await connection.execute(insertParticipantSql, [
+        newBookingId, participant.name, participant.phone, participant.address, participant.birth_place
+      ]);
+    }
+
+    await recordAudit(connection, {
+      entity: "booking",
+      entityId: newBookingId,
+      action: "create",
+      after: {
+        booking_id: bookingCode,
+        package_id,
+        departure_id: departure ? departure.id : null,
+        travel_date: priceBreakdown.travel_date,
+        customer_name,
+        customer_email,
+        total_price: priceBreakdown.total,
+        status: "menunggu_pembayaran",
+        participant_count: participants.length,
+      },
+      actor: auditActor(req),
+    });
+
+    await connection.commit();
+
+    // Email dikirim di belakang, tidak menunda respons
+    notifyBookingCreated(newBookingId);
+
+    return res.status(201).json({
+      success: true,
+      message: "Booking berhasil dibuat!",
+      bookingId: newBookingId,
+      bookingCode,
+      departureId: departure ? departure.id : null,
+      status: "menunggu_pembayaran",
+      total_price: priceBreakdown.total,
+      price_breakdown: priceBreakdown,
+    });
+
+  } catch (err) {
+    await connection.rollback();
+    if (err instanceof PricingError || err instanceof DepartureError) {
+      return res.status(err.httpStatus).json({ success: false, message: err.message, details: err.details });
+    }
+    console.error("❌ Error creating booking:", err);
+    return sendError(res, err, "Gagal menyimpan booking.");
+  } finally {
+    connection.release();
+  }
+});
+
+// ✅ PUT /api/bookings/:id - Update booking (flexible update)
+router.put("/:id", authorize("bookings:update"), validate({ params: idParams, body: updateBookingBody }), async (req, res) => {
+  const { id } = req.params;
+  const {
+    customer_name,
+    customer_email,
+    customer_phone,
+    total_price,
+    recalculate_price,
+    status,
+    reason
+  } = req.body;
+
+  // Buat array untuk query dinamis
+  const fields = [];
+  const values = [];
+
+  // Hanya update field yang dikirim
+  if (customer_name !== undefined && customer_name !== null) {
+    fields.push("customer_name = ?");
+    values.push(customer_name);
+  }
+  if (customer_email !== undefined && customer_email !== null) {
+    fields.push("customer_email = ?");
+    values.push(customer_email);
+  }
+  if (customer_phone !== undefined && customer_phone !== null) {
+    fields.push("customer_phone = ?");
+    values.push(customer_phone || null); // Allow empty string to be saved as null
+  }
+
+  // Harga tidak bisa di-set bebas: dihitung ulang dari paket & jumlah peserta
+  const repricing = recalculate_price === true || (total_price !== undefined && total_price !== null);
+  const hasStatus = status !== undefined && status !== null;
+
+  if (fields.length === 0 && !hasStatus && !repricing) {
+    return res.status(400).json({
+      success: false,
+      message: "Tidak ada data yang valid untuk diupdate."
+    });
+  }
+
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // Cek apakah booking exists
+    const [existingBooking] = await connection.execute(
+      "SELECT * FROM bookings WHERE id = ? FOR UPDATE",
+      [parseInt(id)]
+    );
+
+    if (existingBooking.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: "Booking tidak ditemukan."
+      });
+    }
+
+    if (repricing) {
+      // Aturan musim memakai tanggal keberangkatan, atau travel_date yang disimpan saat booking dibuat
+      const [[counts]] = await connection.execute(
+        "SELECT b.package_id, COALESCE(d.departure_date, b.travel_date) AS travel_date, COUNT(pt.id) AS participant_count FROM bookings b LEFT JOIN departures d ON b.departure_id = d.id LEFT JOIN participants pt ON pt.booking_id = b.id WHERE b.id = ? GROUP BY b.id, d.departure_date",
+        [parseInt(id)]
+      );
+      const priceBreakdown = await quoteBooking(connection, counts.package_id, counts.participant_count, {
+        travelDate: counts.travel_date,
+      });
+      assertClientTotal(total_price, priceBreakdown);
+
+      fields.push("travel_date = ?", "total_price = ?", "price_breakdown = ?");
+      values.push(priceBreakdown.travel_date, priceBreakdown.total, JSON.stringify(priceBreakdown));
+    }
+
+    if (fields.length > 0) {
+      // Tambahkan updated_at dan id di akhir values untuk WHERE clause
+      fields.push("updated_at = CURRENT_TIMESTAMP");
+      values.push(parseInt(id));
+
+      const sql = `UPDATE bookings SET ${fields.join(", ")} WHERE id = ?`;
+      await connection.execute(sql, values);
+    }
+
+    // Harga berubah -> status pembayaran ikut menyesuaikan saldo
+    if (repricing) {
+      await syncBookingStatus(connection, parseInt(id), {
+        changedBy: req.user.id,
+        reason: "Total harga diubah",
+      });
+    }
+
+    // Status hanya boleh berubah lewat state machine
+    if (hasStatus) {
+      await changeBookingStatus(connection, parseInt(id), status, {
+        changedBy: req.user.id,
+        reason: reason || null,
+      });
+    }
+
+    // Ambil data booking yang sudah diupdate untuk audit log & response
+    const [updatedBooking] = await connection.execute(
+      "SELECT * FROM bookings WHERE id = ?",
+      [parseInt(id)]
+    );
+
+    await recordAudit(connection, {
+      entity: "booking",
+      entityId: id,
+      action: "update",
+      before: existingBooking[0],
+      after: updatedBooking[0],
+      fields: AUDIT_FIELDS,
+      actor: auditActor(req),
+    });
+
+    await connection.commit();
+
+    res.status(200).json({
+      success: true,
+      message: "Booking berhasil diupdate!",
+      data: updatedBooking[0]
+    });
+
+  } catch (err) {
+    if (connection) {
+      await connection.rollback();
+    }
+
+    if (err instanceof BookingStatusError || err instanceof PaymentError || err instanceof PricingError) {
+      return res.status(err.httpStatus).json({ success: false, message: err.message, details: err.details });
+    }
+
+    console.error("❌ Error updating booking:", err);
+    sendError(res, err, "Gagal mengupdate booking. Terjadi kesalahan server.");
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// ✅ DELETE /api/bookings/:id - Hapus booking + peserta
+router.delete("/:id", authorize("bookings:delete"), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // Cek apakah booking exists
+    const [existingBooking] = await connection.execute(
+      "SELECT * FROM bookings WHERE id = ?",
+      [parseInt(id)]
+    );
+
+    if (existingBooking.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: `Booking dengan ID ${id} tidak ditemukan.`
+      });
+    }
+
+    // 🔹 Kembalikan kursi keberangkatan sebelum peserta dihapus
+    await releaseBookingSeats(connection, parseInt(id));
+
+    // 🔹 Hapus dulu semua peserta yang terkait (jika ada tabel participants)
+    // Periksa dulu apakah ada peserta
+    const [participants] = await connection.execute(
+      "SELECT COUNT(*) as count FROM participants WHERE booking_id = ?",
+      [parseInt(id)]
+    );
+
+    if (participants[0].count > 0) {
+      const deleteParticipantsSql = "DELETE FROM participants WHERE booking_id = ?";
+      await connection.execute(deleteParticipantsSql, [parseInt(id)]);
+      console.log(`Deleted ${participants[0].count} participants for booking ${id}`);
+    }
+
+    // 🔹 Hapus booking utama
+    const deleteBookingSql = "DELETE FROM bookings WHERE id = ?";
+    const [deleteResult] = await connection.execute(deleteBookingSql, [parseInt(id)]);
+
+    if (deleteResult.affectedRows === 0) {
+      await connection.rollback();
+      return res.status(500).json({
+        success: false,
+        message: "Gagal menghapus booking. Terjadi kesalahan."
+      });
+    }
+
+    await recordAudit(connection, {
+      entity: "booking",
+      entityId: id,
+      action: "delete",
+      before: existingBooking[0],
+      fields: AUDIT_FIELDS,
+      actor: auditActor(req),
+    });
+
+    await connection.commit();
+
+    return res.status(200).json({
+      success: true,
+      message: `Booking "${existingBooking[0].customer_name}" berhasil dihapus beserta semua data terkait.`,
+      deleted_id: parseInt(id)
+    });
+
+  } catch (err) {
+    if (connection) {
+      await connection.rollback();
+    }
+
+    console.error("❌ Error deleting booking:", err);
+    sendError(res, err, "Gagal menghapus booking. Terjadi kesalahan server.", {
+      RECORD_IN_USE: "Booking masih memiliki data terkait (transaksi / tagihan) yang harus dihapus terlebih dahulu.",
+    });
+
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// ✅ PATCH/PUT /api/bookings/:id/status - Update hanya status booking lewat state machine
+async function updateBookingStatus(req, res) {
+  const { id } = req.params;
+  const { status, reason } = req.body;
+
+  let connection;
+
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const result = await changeBookingStatus(connection, parseInt(id), status, {
+      changedBy: req.user.id,
+      reason: reason || null,
+    });
+
+    if (result.changed) {
+      await recordAudit(connection, {
+        entity: "booking",
+        entityId: id,
+        action: "update",
+        before: { status: result.from },
+        after: { status: result.to },
+        actor: auditActor(req),
+      });
+    }
+
+    await connection.commit();
+
+    // Draft yang dikonfirmasi diperlakukan seperti booking baru (instruksi pembayaran)
+    if (result.changed && result.from === "draft" && result.to === "menunggu_pembayaran") {
+      notifyBookingCreated(parseInt(id));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Status booking berhasil diubah menjadi ${result.to}!`,
+      dbId: id,
+      status: result.to,
+      previous_status: result.from,
+    });
+
+  } catch (err) {
+    if (connection) {
+      await connection.rollback();
+    }
+
+    if (err instanceof BookingStatusError) {
+      return res.status(err.httpStatus).json({ success: false, message: err.message });
+    }
+
+    console.error("❌ Error updating booking status:", err);
+    sendError(res, err, "Gagal mengupdate status booking.");
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+}
+
+router.patch("/:id/status", authorize("bookings:status"), validate({ params: idParams, body: statusBody }), updateBookingStatus);
+router.put("/:id/status", authorize("bookings:status"), validate({ params: idParams, body: statusBody }), updateBookingStatus);
+
+// GET /api/bookings?page=&limit=&status=&package_id=&city_id=&from=&to=&departure_from=&departure_to=&min_price=&max_price=&q=&sort=&order= (admin)
+router.get("/", authorize("bookings:read"), validate({ query: listBookingsQuery }), async (req, res) => {
+  try {
+    const result = await listBookings(req.query);
+    res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    if (err instanceof BookingListError) {
+      return res.status(err.httpStatus).json({ success: false, message: err.message });
+    }
+    console.error("❌ Error fetching bookings:", err);
+    sendError(res, err, "Gagal mengambil data booking.");
+  }
+});
+
+// GET /api/bookings/:id - detail booking & peserta
+router.get("/:id", authorize("bookings:read"), validate({ params: idParams }), async (req, res) => {
+  const id = req.params.id;
+
+  try {
+    const bookingQuery = `SELECT b.id, b.booking_id AS bookingCode, b.package_id, p.name AS package_name, b.customer_name, b.customer_email, b.total_price, b.price_breakdown, b.status, b.departure_id, b.travel_date, d.departure_date, d.return_date, b.created_at FROM bookings b LEFT JOIN packages p ON b.package_id = p.id LEFT JOIN departures d ON b.departure_id = d.id WHERE b.id = ? LIMIT 1`;
+
+    const [bookingRows] = await pool.execute(bookingQuery, [id]);
+
+    if (bookingRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking tidak ditemukan.",
+      });
+    }
+
+    const booking = bookingRows[0];
+
+    const participantsQuery = `SELECT id, name, status, scanned_at, created_at, updated_at FROM participants WHERE booking_id = ?`;
+
+    const [participantsRows] = await pool.execute(participantsQuery, [id]);
+    booking.participants = participantsRows;
+    booking.status_history = await getStatusHistory(id);
+    booking.payments = await getPaymentHistory(id);
+    booking.balance = await getBalance(pool, id);
+
+    return res.status(200).json({ success: true, data: booking });
+  } catch (err) {
+    console.error("❌ Error fetching booking detail:", err);
+    return sendError(res, err, "Kesalahan server saat mengambil booking.");
+  }
+});
+
+// GET /api/bookings/:id/ticket?code=<kode booking> - tiket peserta
+// Endpoint publik, jadi wajib menyertakan kode booking agar tiket tidak bisa ditebak dari ID
+router.get("/:id/ticket", validate({ params: idParams, query: ticketQuery }), async (req, res) => {
+  try {
+    const { booking, participants } = await getTicketData(req.params.id, req.query.code);
+
+    // Satu QR per peserta, berisi token bertanda tangan HMAC
+    for (const participant of participants) {
+      participant.qr_code = await renderQrDataUrl(participant.ticket_token);
+    }
+
+    res.json({
+      success: true,
+      ticket: {
+        booking_id: booking.booking_id,
+        customer_name: booking.customer_name,
+        customer_email: booking.customer_email,
+        package_name: booking.package_name,
+        city_name: booking.city_name,
+        departure_date: booking.departure_date,
+        participants,
+        total_price: booking.total_price,
+        status: booking.status,
+      },
+    });
+  } catch (err) {
+    if (err instanceof TicketError) {
+      return res.status(err.httpStatus).json({ success: false, message: err.message });
+    }
+    console.error("❌ Error fetching ticket:", err);
+    sendError(res, err, "Gagal mengambil tiket.");
+  }
+});
+
+// GET /api/bookings/:id/ticket.pdf?code=<kode booking> - e-tiket / voucher siap cetak
+router.get("/:id/ticket.pdf", validate({ params: idParams, query: ticketQuery }), async (req, res) => {
+  try {
+    const ticket = await getTicketData(req.params.id, req.query.code);
+    const pdf = await renderTicketPdf(ticket);
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `inline; filename="e-tiket-${ticket.booking.booking_id}.pdf"`,
+      "Content-Length": pdf.length,
+    });
+    res.send(pdf);
+  } catch (err) {
+    if (err instanceof TicketError) {
+      return res.status(err.httpStatus).json({ success: false, message: err.message });
+    }
+    console.error("❌ Error rendering ticket PDF:", err);
+    sendError(res, err, "Gagal membuat e-tiket.");
+  }
+});
+
+// POST /api/bookings/scan - body { ticketToken, device_id } hasil scan QR tiket
+router.post("/scan", authorize("bookings:scan"), validate({ body: scanBody }), async (req, res) => {
+  const { ticketToken, device_id } = req.body;
+
+  try {
+    const { result, participant } = await checkInTicket(ticketToken, {
+      deviceId: device_id || null,
+      operatorId: req.user.id,
+    });
+    const name = participant ? participant.name : undefined;
+
+    switch (result) {
+      case SCAN_RESULTS.OK:
+        return res.status(200).json({ success: true, message: "VALIDASI BERHASIL", name });
+      case SCAN_RESULTS.NOT_FOUND:
+        return res.status(404).json({ success: false, message: "TIKET TIDAK DITEMUKAN" });
+      case SCAN_RESULTS.UNPAID:
+        return res.status(403).json({ success: false, message: "PEMBAYARAN BELUM LUNAS", name });
+      case SCAN_RESULTS.ALREADY_USED:
+        return res.status(409).json({ success: false, message: "TIKET SUDAH DIGUNAKAN", name });
+      case SCAN_RESULTS.HANGUS:
+        return res.status(410).json({ success: false, message: "TIKET HANGUS/BATAL", name });
+      default:
+        // QR palsu / isi token diubah
+        return res.status(401).json({ success: false, message: "TIKET TIDAK SAH" });
+    }
+  } catch (err) {
+    console.error("❌ Error scanning ticket:", err);
+    sendError(res, err, "Kesalahan server.");
+  }
+});
+
+export default router;
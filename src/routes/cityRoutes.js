@@ -0,0 +1,21 @@
+// routes/cityRoutes.js
+// Daftar kota untuk form paket & prefix kode booking (di-mount di /api/cities)
+import express from "express";
+import pool from "../config/db.js";
+import { sendError } from "../middleware/errorHandler.js";
+
+const router = express.Router();
+
+// Ambil daftar kota
+router.get("/", async (req, res) => {
+  try {
+    const sql = "SELECT id, city_name, city_code FROM cities";
+    const [results] = await pool.execute(sql);
+    res.status(200).json({ success: true, data: results });
+  } catch (err) {
+    console.error("❌ Error fetching cities:", err);
+    sendError(res, err, "Gagal mengambil data kota.");
+  }
+});
+
+export default router;
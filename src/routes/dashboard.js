@@ -0,0 +1,62 @@
+// routes/dashboard.js
+// Data dashboard admin (di-mount di /api/dashboard). Semua endpoint menerima ?from=&to= (YYYY-MM-DD).
+import express from "express";
+import { authorize } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { sendError } from "../middleware/errorHandler.js";
+import { dateRangeQuery } from "../schemas/common.js";
+import {
+  DashboardError,
+  parseDateRange,
+  getRevenueByMonth,
+  getBookingsByStatus,
+  getBookingsBreakdown,
+  getDepartureOccupancy,
+  getCheckInRates,
+  getMarketingVisits,
+  getSummary,
+} from "../services/dashboardService.js";
+
+const router = express.Router();
+
+router.use(authorize("dashboard:read"));
+router.use(validate({ query: dateRangeQuery }));
+
+// Bungkus handler: validasi rentang tanggal + format respons yang sama untuk semua endpoint
+const report = (label, load) => async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    res.status(200).json({ success: true, filters: range, data: await load(range, req) });
+  } catch (err) {
+    if (!(err instanceof DashboardError)) {
+      console.error(`❌ Error fetching dashboard ${label}:`, err);
+    }
+    sendError(res, err, "Gagal mengambil data dashboard.");
+  }
+};
+
+// GET /api/dashboard/summary - ringkasan untuk kartu dashboard
+router.get("/summary", report("summary", getSummary));
+
+// GET /api/dashboard/revenue - pendapatan bersih per bulan
+router.get("/revenue", report("revenue", getRevenueByMonth));
+
+// GET /api/dashboard/bookings/status
+router.get("/bookings/status", report("bookings by status", getBookingsByStatus));
+
+// GET /api/dashboard/bookings/cities - booking & peserta per kota
+router.get("/bookings/cities", report("bookings by city", (range) => getBookingsBreakdown("city", range)));
+
+// GET /api/dashboard/bookings/packages - booking & peserta per paket
+router.get("/bookings/packages", report("bookings by package", (range) => getBookingsBreakdown("package", range)));
+
+// GET /api/dashboard/departures/occupancy - okupansi keberangkatan mendatang
+router.get("/departures/occupancy", report("departure occupancy", getDepartureOccupancy));
+
+// GET /api/dashboard/check-ins - tingkat check-in per keberangkatan
+router.get("/check-ins", report("check-in rates", getCheckInRates));
+
+// GET /api/dashboard/marketing/visits - kunjungan marketing per salesperson
+router.get("/marketing/visits", report("marketing visits", getMarketingVisits));
+
+export default router;
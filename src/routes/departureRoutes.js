@@ -0,0 +1,276 @@
+// routes/departureRoutes.js
+// Jadwal keberangkatan paket + sisa kursi (di-mount di /api/departures)
+import express from "express";
+import pool, { withTransaction } from "../config/db.js";
+import { authorize } from "../middleware/auth.js";
+import { validate, partial } from "../middleware/validate.js";
+import { sendError } from "../middleware/errorHandler.js";
+import { idParams } from "../schemas/common.js";
+import {
+  listDeparturesQuery,
+  departureBody,
+  departureStatusBody,
+  checkpointParams,
+  checkpointBody,
+} from "../schemas/packages.js";
+import {
+  listDepartures,
+  getDeparture,
+} from "../services/departureService.js";
+import {
+  CheckpointError,
+  listCheckpoints,
+  getCheckpoint,
+  createCheckpoint,
+  updateCheckpoint,
+  deleteCheckpoint,
+} from "../services/checkpointService.js";
+import { auditActor, recordAudit } from "../services/auditService.js";
+
+const router = express.Router();
+
+// GET /api/departures?package_id=&from=&to=&status=&available=1 (publik)
+router.get("/", validate({ query: listDeparturesQuery }), async (req, res) => {
+  const { package_id, from, to, status, available } = req.query;
+
+  try {
+    const rows = await listDepartures({
+      packageId: package_id,
+      from,
+      to,
+      status,
+      availableOnly: available === true,
+    });
+    res.status(200).json({ success: true, data: rows });
+  } catch (err) {
+    console.error("❌ Error fetching departures:", err);
+    sendError(res, err, "Gagal mengambil jadwal keberangkatan.");
+  }
+});
+
+// GET /api/departures/:id (publik)
+router.get("/:id", validate({ params: idParams }), async (req, res) => {
+  try {
+    const departure = await getDeparture(req.params.id);
+    if (!departure) {
+      return res.status(404).json({ success: false, message: "Jadwal keberangkatan tidak ditemukan." });
+    }
+    res.status(200).json({ success: true, data: departure });
+  } catch (err) {
+    console.error("❌ Error fetching departure:", err);
+    sendError(res, err, "Gagal mengambil jadwal keberangkatan.");
+  }
+});
+
+// POST /api/departures
+router.post("/", authorize("departures:manage"), validate({ body: departureBody }), async (req, res) => {
+  const { package_id, departure_date, return_date, quota, notes } = req.body;
+
+  const departure = { package_id, departure_date, return_date: return_date || null, quota, notes: notes || null };
+
+  try {
+    const sql = `INSERT INTO departures (package_id, departure_date, return_date, quota, notes, seats_reserved, status, created_at, updated_at) VALUES (?, ?, ?, ?, ?, 0, 'open', NOW(), NOW())`;
+    const id = await withTransaction(async (connection) => {
+      const [result] = await connection.execute(sql, Object.values(departure));
+      await recordAudit(connection, {
+        entity: "departure",
+        entityId: result.insertId,
+        action: "create",
+        after: { ...departure, status: "open" },
+        actor: auditActor(req),
+      });
+      return result.insertId;
+    });
+
+    res.status(201).json({ success: true, message: "Jadwal keberangkatan berhasil dibuat.", id });
+  } catch (err) {
+    console.error("❌ Error creating departure:", err);
+    sendError(res, err, "Gagal membuat jadwal keberangkatan.", { REFERENCE_NOT_FOUND: "Paket tidak ditemukan." });
+  }
+});
+
+// PUT /api/departures/:id - kuota tidak boleh lebih kecil dari kursi yang sudah terisi
+router.put("/:id", authorize("departures:manage"), validate({ params: idParams, body: partial(departureBody) }), async (req, res) => {
+  const { id } = req.params;
+  const { departure_date, return_date, quota, notes } = req.body;
+
+  const changes = {};
+  if (departure_date !== undefined) changes.departure_date = departure_date;
+  if (return_date !== undefined) changes.return_date = return_date || null;
+  if (quota !== undefined) changes.quota = quota;
+  if (notes !== undefined) changes.notes = notes || null;
+
+  const fields = Object.keys(changes);
+  if (fields.length === 0) {
+    return res.status(400).json({ success: false, message: "Tidak ada data yang valid untuk diupdate." });
+  }
+
+  try {
+    const result = await withTransaction(async (connection) => {
+      const [rows] = await connection.execute("SELECT * FROM departures WHERE id = ? FOR UPDATE", [id]);
+      if (rows.length === 0) return { status: 404 };
+      if (quota !== undefined && Number(quota) < rows[0].seats_reserved) {
+        return { status: 409, seatsReserved: rows[0].seats_reserved };
+      }
+
+      await connection.execute(
+        `UPDATE departures SET ${fields.map((field) => `${field} = ?`).join(", ")}, updated_at = NOW() WHERE id = ?`,
+        [...Object.values(changes), id]
+      );
+      await recordAudit(connection, {
+        entity: "departure",
+        entityId: id,
+        action: "update",
+        before: rows[0],
+        after: changes,
+        actor: auditActor(req),
+      });
+      return { status: 200 };
+    });
+
+    if (result.status === 404) {
+      return res.status(404).json({ success: false, message: "Jadwal keberangkatan tidak ditemukan." });
+    }
+    if (result.status === 409) {
+      return res.status(409).json({
+        success: false,
+        message: `Quota tidak boleh kurang dari kursi yang sudah dipesan (${result.seatsReserved}).`,
+      });
+    }
+
+    res.status(200).json({ success: true, message: "Jadwal keberangkatan berhasil diupdate.", data: await getDeparture(id) });
+  } catch (err) {
+    console.error("❌ Error updating departure:", err);
+    sendError(res, err, "Gagal mengupdate jadwal keberangkatan.");
+  }
+});
+
+// PATCH /api/departures/:id/status - buka / tutup penjualan, tandai berangkat atau batal
+router.patch("/:id/status", authorize("departures:manage"), validate({ params: idParams, body: departureStatusBody }), async (req, res) => {
+  const { status } = req.body;
+
+  try {
+    const updated = await withTransaction(async (connection) => {
+      const [rows] = await connection.execute("SELECT * FROM departures WHERE id = ? FOR UPDATE", [req.params.id]);
+      if (rows.length === 0) return false;
+
+      await connection.execute("UPDATE departures SET status = ?, updated_at = NOW() WHERE id = ?", [status, req.params.id]);
+      await recordAudit(connection, {
+        entity: "departure",
+        entityId: req.params.id,
+        action: "update",
+        before: rows[0],
+        after: { status },
+        actor: auditActor(req),
+      });
+      return true;
+    });
+
+    if (!updated) {
+      return res.status(404).json({ success: false, message: "Jadwal keberangkatan tidak ditemukan." });
+    }
+
+    res.status(200).json({ success: true, message: `Status keberangkatan diubah menjadi ${status}.`, status });
+  } catch (err) {
+    console.error("❌ Error updating departure status:", err);
+    sendError(res, err, "Gagal mengubah status keberangkatan.");
+  }
+});
+
+// DELETE /api/departures/:id - hanya jika belum ada booking
+router.delete("/:id", authorize("departures:manage"), validate({ params: idParams }), async (req, res) => {
+  try {
+    const [[usage]] = await pool.execute(
+      "SELECT COUNT(*) AS count FROM bookings WHERE departure_id = ?",
+      [req.params.id]
+    );
+    if (usage.count > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Jadwal sudah memiliki booking. Ubah status menjadi cancelled atau closed.",
+      });
+    }
+
+    const deleted = await withTransaction(async (connection) => {
+      const [rows] = await connection.execute("SELECT * FROM departures WHERE id = ? FOR UPDATE", [req.params.id]);
+      if (rows.length === 0) return false;
+
+      await connection.execute("DELETE FROM departures WHERE id = ?", [req.params.id]);
+      await recordAudit(connection, {
+        entity: "departure",
+        entityId: req.params.id,
+        action: "delete",
+        before: rows[0],
+        actor: auditActor(req),
+      });
+      return true;
+    });
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: "Jadwal keberangkatan tidak ditemukan." });
+    }
+
+    res.status(200).json({ success: true, message: "Jadwal keberangkatan berhasil dihapus." });
+  } catch (err) {
+    console.error("❌ Error deleting departure:", err);
+    sendError(res, err, "Gagal menghapus jadwal keberangkatan.");
+  }
+});
+
+// GET /api/departures/:id/checkpoints (petugas scan memakai GET /api/scanner/departures/:id/checkpoints)
+router.get("/:id/checkpoints", authorize("departures:manage"), validate({ params: idParams }), async (req, res) => {
+  try {
+    res.status(200).json({ success: true, data: await listCheckpoints(req.params.id) });
+  } catch (err) {
+    console.error("❌ Error fetching checkpoints:", err);
+    sendError(res, err, "Gagal mengambil checkpoint.");
+  }
+});
+
+// POST /api/departures/:id/checkpoints - body { name, sequence?, scheduled_at? }
+router.post("/:id/checkpoints", authorize("departures:manage"), validate({ params: idParams, body: checkpointBody }), async (req, res) => {
+  try {
+    const checkpoint = await createCheckpoint(req.params.id, req.body, auditActor(req));
+    res.status(201).json({ success: true, message: "Checkpoint berhasil dibuat.", data: checkpoint });
+  } catch (err) {
+    if (!(err instanceof CheckpointError)) {
+      console.error("❌ Error creating checkpoint:", err);
+    }
+    sendError(res, err, "Gagal membuat checkpoint.");
+  }
+});
+
+// PUT /api/departures/:id/checkpoints/:checkpointId
+router.put("/:id/checkpoints/:checkpointId", authorize("departures:manage"), validate({ params: checkpointParams, body: partial(checkpointBody) }), async (req, res) => {
+  try {
+    const existing = await getCheckpoint(req.params.checkpointId);
+    if (!existing || String(existing.departure_id) !== String(req.params.id)) {
+      return res.status(404).json({ success: false, message: "Checkpoint tidak ditemukan." });
+    }
+    const checkpoint = await updateCheckpoint(existing.id, req.body, auditActor(req));
+    res.status(200).json({ success: true, message: "Checkpoint berhasil diupdate.", data: checkpoint });
+  } catch (err) {
+    if (!(err instanceof CheckpointError)) {
+      console.error("❌ Error updating checkpoint:", err);
+    }
+    sendError(res, err, "Gagal mengupdate checkpoint.");
+  }
+});
+
+// DELETE /api/departures/:id/checkpoints/:checkpointId
+router.delete("/:id/checkpoints/:checkpointId", authorize("departures:manage"), validate({ params: checkpointParams }), async (req, res) => {
+  try {
+    const existing = await getCheckpoint(req.params.checkpointId);
+    if (!existing || String(existing.departure_id) !== String(req.params.id)) {
+      return res.status(404).json({ success: false, message: "Checkpoint tidak ditemukan." });
+    }
+    await deleteCheckpoint(existing.id, auditActor(req));
+    res.status(200).json({ success: true, message: "Checkpoint berhasil dihapus." });
+  } catch (err) {
+    if (!(err instanceof CheckpointError)) {
+      console.error("❌ Error deleting checkpoint:", err);
+    }
+    sendError(res, err, "Gagal menghapus checkpoint.");
+  }
+});
+
+export default router;
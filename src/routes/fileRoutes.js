@@ -0,0 +1,49 @@
+// routes/fileRoutes.js
+// Unduh file upload lewat driver storage (di-mount di /uploads, publik seperti static folder sebelumnya).
+// STORAGE_URL_MODE=signed -> redirect ke signed URL bucket; selain itu file di-proxy lewat server ini.
+import express from "express";
+import path from "path";
+import { normalizeKey } from "../services/uploadService.js";
+import { getDefaultDriver } from "../services/storageDrivers/index.js";
+
+const router = express.Router();
+
+// GET /uploads/<object key>, mis. /uploads/3f2a9c...-foto.jpg atau /uploads/variants/3f2a9c...-thumb.webp
+router.get("/*", async (req, res) => {
+  const key = normalizeKey(req.params[0]);
+  if (!key) {
+    return res.status(404).json({ success: false, message: "File tidak ditemukan." });
+  }
+
+  try {
+    const driver = getDefaultDriver();
+
+    if (process.env.STORAGE_URL_MODE === "signed") {
+      const signedUrl = await driver.getSignedUrl(key);
+      if (signedUrl) {
+        return res.redirect(302, signedUrl);
+      }
+    }
+
+    const object = await driver.get(key);
+    if (!object) {
+      return res.status(404).json({ success: false, message: "File tidak ditemukan." });
+    }
+
+    // Nama file diawali hash isi -> aman di-cache lama
+    res.type(object.contentType || path.extname(key));
+    if (object.size !== undefined) res.setHeader("Content-Length", object.size);
+    res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+
+    object.stream.on("error", (err) => {
+      console.error("❌ Error streaming upload:", err);
+      res.destroy(err);
+    });
+    object.stream.pipe(res);
+  } catch (err) {
+    console.error("❌ Error fetching upload:", err);
+    res.status(500).json({ success: false, message: "Gagal mengambil file." });
+  }
+});
+
+export default router;
@@ -0,0 +1,101 @@
+// routes/notificationRoutes.js
+// Log email notifikasi customer + outbox WhatsApp (di-mount di /api/notifications)
+import express from "express";
+import { authorize } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { sendError } from "../middleware/errorHandler.js";
+import { idParams } from "../schemas/common.js";
+import { emailLogQuery, resendEmailBody, outboxQuery, whatsappBody } from "../schemas/operations.js";
+import { EMAIL_EVENTS, getEmailLog, notifyBookingCreated, notifyTicketReady } from "../services/notificationService.js";
+import {
+  WhatsAppError,
+  enqueueWhatsApp,
+  listOutbox,
+  retryOutboxMessage,
+  resolveRecipient,
+} from "../services/whatsappService.js";
+
+const router = express.Router();
+
+// GET /api/notifications/emails?booking_id=&event=&status=&limit=
+router.get("/emails", authorize("bookings:read"), validate({ query: emailLogQuery }), async (req, res) => {
+  const { booking_id, event, status, limit } = req.query;
+
+  try {
+    const rows = await getEmailLog({ bookingId: booking_id, event, status, limit });
+    res.status(200).json({ success: true, data: rows });
+  } catch (err) {
+    console.error("❌ Error fetching email log:", err);
+    sendError(res, err, "Gagal mengambil log email.");
+  }
+});
+
+// POST /api/notifications/bookings/:id/resend - body { event: "booking_created" | "ticket_ready" }
+router.post("/bookings/:id/resend", authorize("notifications:send"), validate({ params: idParams, body: resendEmailBody }), async (req, res) => {
+  const { event } = req.body;
+  const handlers = {
+    [EMAIL_EVENTS.BOOKING_CREATED]: () => notifyBookingCreated(req.params.id),
+    [EMAIL_EVENTS.TICKET_READY]: () => notifyTicketReady(req.params.id, { force: true }),
+  };
+
+  try {
+    const [previous] = await getEmailLog({ bookingId: req.params.id, event, limit: 1 });
+    await handlers[event]();
+    const [latest] = await getEmailLog({ bookingId: req.params.id, event, limit: 1 });
+
+    // Tidak ada log baru: booking tidak ditemukan, tanpa email, atau belum lunas (e-tiket)
+    if (!latest || (previous && previous.id === latest.id)) {
+      return res.status(409).json({ success: false, message: "Email tidak dapat dikirim untuk booking ini." });
+    }
+    if (latest.status !== "sent") {
+      return res.status(502).json({ success: false, message: "Email gagal dikirim.", data: latest });
+    }
+    res.status(200).json({ success: true, message: "Email berhasil dikirim ulang.", data: latest });
+  } catch (err) {
+    console.error("❌ Error resending email:", err);
+    sendError(res, err, "Gagal mengirim ulang email.");
+  }
+});
+
+// GET /api/notifications/whatsapp?status=&booking_id=&template=&limit=
+router.get("/whatsapp", authorize("bookings:read"), validate({ query: outboxQuery }), async (req, res) => {
+  const { status, booking_id, template, limit } = req.query;
+
+  try {
+    const rows = await listOutbox({ status, bookingId: booking_id, template, limit });
+    res.status(200).json({ success: true, data: rows });
+  } catch (err) {
+    console.error("❌ Error fetching WhatsApp outbox:", err);
+    sendError(res, err, "Gagal mengambil outbox WhatsApp.");
+  }
+});
+
+// POST /api/notifications/whatsapp - pesan manual
+// body { message, booking_id | peserta_id | marketing_id | phone }
+router.post("/whatsapp", authorize("notifications:send"), validate({ body: whatsappBody }), async (req, res) => {
+  try {
+    const recipient = await resolveRecipient(req.body);
+    const queued = await enqueueWhatsApp({ ...recipient, message: req.body.message, createdBy: req.user.id });
+    res.status(201).json({ success: true, message: "Pesan WhatsApp masuk antrean.", data: queued });
+  } catch (err) {
+    if (!(err instanceof WhatsAppError)) {
+      console.error("❌ Error queueing WhatsApp message:", err);
+    }
+    sendError(res, err, "Gagal mengantrekan pesan WhatsApp.");
+  }
+});
+
+// POST /api/notifications/whatsapp/:id/retry - kirim ulang pesan yang gagal
+router.post("/whatsapp/:id/retry", authorize("notifications:send"), validate({ params: idParams }), async (req, res) => {
+  try {
+    const message = await retryOutboxMessage(req.params.id);
+    res.status(200).json({ success: true, message: "Pesan dijadwalkan ulang.", data: message });
+  } catch (err) {
+    if (!(err instanceof WhatsAppError)) {
+      console.error("❌ Error retrying WhatsApp message:", err);
+    }
+    sendError(res, err, "Gagal menjadwalkan ulang pesan.");
+  }
+});
+
+export default router;
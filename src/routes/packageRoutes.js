@@ -1,67 +1,163 @@
-// file: src/routes/packageRoutes.js
+// routes/packageRoutes.js
+// Katalog paket wisata (di-mount di /api/packages)
+import express from "express";
+import pool, { withTransaction } from "../config/db.js";
+import { authorize } from "../middleware/auth.js";
+import { validate, partial } from "../middleware/validate.js";
+import { sendError } from "../middleware/errorHandler.js";
+import { idParams } from "../schemas/common.js";
+import { packageBody, listPackagesQuery } from "../schemas/packages.js";
+import { auditActor, recordAudit } from "../services/auditService.js";
 
-const express = require('express');
 const router = express.Router();
-const db = require('../config/db'); // <-- Sesuaikan path import
-
-// GET: Mengambil semua paket
-router.get('/packages', async (req, res) => {
-    try {
-        const [results] = await db.query("SELECT * FROM packages ORDER BY id DESC");
-        res.status(200).json(results);
-    } catch (err) {
-        res.status(500).json({ message: "Error pada server", error: err.message });
+
+// Kolom paket yang boleh diisi lewat POST / PUT (urutan = urutan kolom INSERT)
+const PACKAGE_FIELDS = ["name", "city_id", "trip_code", "description", "price", "imageUrl", "duration", "max_participants", "is_active"];
+
+// GET /api/packages
+router.get("/", validate({ query: listPackagesQuery }), async (req, res) => {
+  try {
+    const { city, code } = req.query;
+
+    let sql = `SELECT p.id, p.name AS package_name, p.price, p.imageUrl, c.city_name, c.city_code FROM packages p JOIN cities c ON p.city_id = c.id`;
+    const params = [];
+
+    if (city) {
+      sql += " WHERE c.city_name = ?";
+      params.push(city);
+    } else if (code) {
+      sql += " WHERE c.city_code = ?";
+      params.push(code);
     }
+
+    const [results] = await pool.execute(sql, params);
+    res.status(200).json({ success: true, data: results });
+  } catch (err) {
+    console.error("❌ Error fetching packages:", err);
+    sendError(res, err, "Gagal mengambil data paket.");
+  }
 });
 
-// GET: Mengambil satu paket berdasarkan ID
-router.get('/packages/:id', async (req, res) => {
-    try {
-        const { id } = req.params;
-        const [results] = await db.query("SELECT * FROM packages WHERE id = ?", [id]);
-        if (results.length === 0) {
-            return res.status(404).json({ message: "Paket tidak ditemukan" });
-        }
-        res.status(200).json(results[0]);
-    } catch (err) {
-        res.status(500).json({ message: "Error pada server", error: err.message });
+// GET /api/packages/:id
+router.get("/:id", validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const sql = `SELECT p.*, c.city_name, c.city_code FROM packages p LEFT JOIN cities c ON p.city_id = c.id WHERE p.id = ?`;
+    const [results] = await pool.execute(sql, [id]);
+
+    if (results.length === 0) {
+      return res.status(404).json({ success: false, message: "Paket tidak ditemukan." });
     }
+    res.status(200).json({ success: true, data: results[0] });
+  } catch (err) {
+    console.error("❌ Error fetching package:", err);
+    sendError(res, err, "Gagal mengambil data paket.");
+  }
 });
 
-// POST: Membuat paket baru
-router.post('/packages', async (req, res) => {
-    try {
-        const { category_id, title, slug, price, min_pax, duration, description } = req.body;
-        const query = "INSERT INTO packages (category_id, title, slug, price, min_pax, duration, description) VALUES (?, ?, ?, ?, ?, ?, ?)";
-        const [results] = await db.query(query, [category_id, title, slug, price, min_pax, duration, description]);
-        res.status(201).json({ message: "Paket berhasil dibuat", id: results.insertId });
-    } catch (err) {
-        res.status(500).json({ message: "Error pada server", error: err.message });
-    }
+// POST /api/packages
+router.post("/", authorize("packages:manage"), validate({ body: packageBody }), async (req, res) => {
+  const values = PACKAGE_FIELDS.map((field) => (req.body[field] === undefined ? null : req.body[field]));
+  // Paket baru aktif kecuali dikirim is_active: false
+  values[PACKAGE_FIELDS.indexOf("is_active")] = req.body.is_active === false ? 0 : 1;
+
+  try {
+    const sql = `INSERT INTO packages (${PACKAGE_FIELDS.join(", ")}, created_at, updated_at) VALUES (${PACKAGE_FIELDS.map(() => "?").join(", ")}, NOW(), NOW())`;
+    const id = await withTransaction(async (connection) => {
+      const [result] = await connection.execute(sql, values);
+      await recordAudit(connection, {
+        entity: "package",
+        entityId: result.insertId,
+        action: "create",
+        after: Object.fromEntries(PACKAGE_FIELDS.map((field, index) => [field, values[index]])),
+        actor: auditActor(req),
+      });
+      return result.insertId;
+    });
+
+    res.status(201).json({ success: true, message: "Paket berhasil dibuat.", id });
+  } catch (err) {
+    console.error("❌ Error creating package:", err);
+    sendError(res, err, "Gagal membuat paket.", {
+      DUPLICATE_ENTRY: "Paket dengan nama / kode trip tersebut sudah ada.",
+      REFERENCE_NOT_FOUND: "Kota tidak ditemukan.",
+    });
+  }
 });
 
-// PUT: Mengupdate paket berdasarkan ID
-router.put('/packages/:id', async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { category_id, title, slug, price, min_pax, duration, description } = req.body;
-        const query = "UPDATE packages SET category_id = ?, title = ?, slug = ?, price = ?, min_pax = ?, duration = ? , description = ? WHERE id = ?";
-        await db.query(query, [category_id, title, slug, price, min_pax, duration, description, id]);
-        res.status(200).json({ message: "Paket berhasil diupdate" });
-    } catch (err) {
-        res.status(500).json({ message: "Error pada server", error: err.message });
+// PUT /api/packages/:id - hanya field yang dikirim yang diubah
+router.put("/:id", authorize("packages:manage"), validate({ params: idParams, body: partial(packageBody) }), async (req, res) => {
+  const { id } = req.params;
+  const fields = PACKAGE_FIELDS.filter((field) => req.body[field] !== undefined);
+
+  if (fields.length === 0) {
+    return res.status(400).json({ success: false, message: "Tidak ada data yang valid untuk diupdate." });
+  }
+
+  try {
+    const sql = `UPDATE packages SET ${fields.map((field) => `${field} = ?`).join(", ")}, updated_at = NOW() WHERE id = ?`;
+    const values = fields.map((field) => (field === "is_active" ? (req.body.is_active ? 1 : 0) : req.body[field]));
+    const updated = await withTransaction(async (connection) => {
+      const [rows] = await connection.execute("SELECT * FROM packages WHERE id = ? FOR UPDATE", [id]);
+      if (rows.length === 0) return false;
+
+      await connection.execute(sql, [...values, id]);
+      await recordAudit(connection, {
+        entity: "package",
+        entityId: id,
+        action: "update",
+        before: rows[0],
+        after: Object.fromEntries(fields.map((field, index) => [field, values[index]])),
+        actor: auditActor(req),
+      });
+      return true;
+    });
+
+    if (!updated) {
+      return res.status(404).json({ success: false, message: "Paket tidak ditemukan." });
     }
+    res.status(200).json({ success: true, message: "Paket berhasil diupdate." });
+  } catch (err) {
+    console.error("❌ Error updating package:", err);
+    sendError(res, err, "Gagal mengupdate paket.", {
+      DUPLICATE_ENTRY: "Paket dengan nama / kode trip tersebut sudah ada.",
+      REFERENCE_NOT_FOUND: "Kota tidak ditemukan.",
+    });
+  }
 });
 
-// DELETE: Menghapus paket berdasarkan ID
-router.delete('/packages/:id', async (req, res) => {
-    try {
-        const { id } = req.params;
-        await db.query("DELETE FROM packages WHERE id = ?", [id]);
-        res.status(200).json({ message: "Paket berhasil dihapus" });
-    } catch (err) {
-        res.status(500).json({ message: "Error pada server", error: err.message });
+// DELETE /api/packages/:id
+router.delete("/:id", authorize("packages:manage"), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const deleted = await withTransaction(async (connection) => {
+      const [rows] = await connection.execute("SELECT * FROM packages WHERE id = ? FOR UPDATE", [id]);
+      if (rows.length === 0) return false;
+
+      await connection.execute("DELETE FROM packages WHERE id = ?", [id]);
+      await recordAudit(connection, {
+        entity: "package",
+        entityId: id,
+        action: "delete",
+        before: rows[0],
+        fields: PACKAGE_FIELDS,
+        actor: auditActor(req),
+      });
+      return true;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: "Paket tidak ditemukan." });
     }
+    res.status(200).json({ success: true, message: "Paket berhasil dihapus." });
+  } catch (err) {
+    console.error("❌ Error deleting package:", err);
+    sendError(res, err, "Gagal menghapus paket.", {
+      RECORD_IN_USE: "Paket sudah dipakai booking atau jadwal keberangkatan dan tidak dapat dihapus.",
+    });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+export default router;
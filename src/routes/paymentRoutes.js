@@ -0,0 +1,92 @@
+// routes/paymentRoutes.js
+// Payment gateway: tagihan VA/QRIS dan webhook notifikasi (di-mount di /api/payments)
+import express from "express";
+import { authorize } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { sendError } from "../middleware/errorHandler.js";
+import { idParams } from "../schemas/common.js";
+import { chargeBody, simulatorPayBody } from "../schemas/bookings.js";
+import { isSimulatorAllowed, getProvider } from "../services/paymentProviders/index.js";
+import { PaymentError } from "../services/paymentService.js";
+import { BookingStatusError } from "../services/bookingStatusService.js";
+import {
+  createCharge,
+  getCharge,
+  getChargeByReference,
+  handleNotification,
+} from "../services/paymentGatewayService.js";
+
+const router = express.Router();
+
+function sendPaymentError(res, err, logMessage) {
+  if (!(err instanceof PaymentError || err instanceof BookingStatusError)) {
+    console.error(logMessage, err);
+  }
+  return sendError(res, err, "Kesalahan server.");
+}
+
+// POST /api/payments/charges - buat VA / QRIS untuk booking
+router.post("/charges", authorize("transactions:create"), validate({ body: chargeBody }), async (req, res) => {
+  const { bookingDbId, method, bank, amount } = req.body;
+
+  try {
+    const charge = await createCharge(bookingDbId, { method, bank, amount, createdBy: req.user.id });
+    res.status(201).json({ success: true, message: "Tagihan berhasil dibuat.", data: charge });
+  } catch (err) {
+    sendPaymentError(res, err, "❌ Error creating payment charge:");
+  }
+});
+
+// GET /api/payments/charges/:id - cek status tagihan
+router.get("/charges/:id", authorize("transactions:create"), validate({ params: idParams }), async (req, res) => {
+  try {
+    const charge = await getCharge(req.params.id);
+    if (!charge) {
+      return res.status(404).json({ success: false, message: "Tagihan tidak ditemukan." });
+    }
+    res.status(200).json({ success: true, data: charge });
+  } catch (err) {
+    sendPaymentError(res, err, "❌ Error fetching payment charge:");
+  }
+});
+
+// POST /api/payments/webhook/:provider - notifikasi dari payment gateway (publik, diverifikasi signature)
+router.post("/webhook/:provider", async (req, res) => {
+  try {
+    const result = await handleNotification(req.params.provider, req.headers, req.body);
+    res.status(200).json({
+      success: true,
+      message: result.duplicate ? "Notifikasi sudah pernah diproses." : "Notifikasi diproses.",
+      status: result.charge.status,
+    });
+  } catch (err) {
+    sendPaymentError(res, err, "❌ Error handling payment notification:");
+  }
+});
+
+// POST /api/payments/simulator/:reference/pay - kirim notifikasi simulasi (non-production)
+router.post("/simulator/:reference/pay", authorize("transactions:create"), validate({ body: simulatorPayBody }), async (req, res) => {
+  if (!isSimulatorAllowed()) {
+    return res.status(404).json({ success: false, message: "Endpoint tidak ditemukan" });
+  }
+
+  try {
+    const charge = await getChargeByReference(req.params.reference);
+    if (!charge || charge.provider !== "simulator") {
+      return res.status(404).json({ success: false, message: "Tagihan simulator tidak ditemukan." });
+    }
+
+    const { body, headers } = getProvider("simulator").buildNotification({
+      reference: charge.reference,
+      amount: charge.amount,
+      status: req.body.status || "paid",
+    });
+    const result = await handleNotification("simulator", headers, body);
+
+    res.status(200).json({ success: true, message: "Notifikasi simulasi terkirim.", data: result.charge });
+  } catch (err) {
+    sendPaymentError(res, err, "❌ Error simulating payment:");
+  }
+});
+
+export default router;
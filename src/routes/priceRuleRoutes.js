@@ -0,0 +1,144 @@
+// routes/priceRuleRoutes.js
+// CRUD aturan surcharge / diskon harga paket (di-mount di /api/price-rules)
+import express from "express";
+import pool, { withTransaction } from "../config/db.js";
+import { authorize } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { sendError } from "../middleware/errorHandler.js";
+import { idParams } from "../schemas/common.js";
+import { priceRuleQuery, priceRuleBody, priceRuleActiveBody } from "../schemas/packages.js";
+import { auditActor, recordAudit } from "../services/auditService.js";
+
+const router = express.Router();
+
+router.use(authorize("packages:manage"));
+
+// GET /api/price-rules?package_id=
+router.get("/", validate({ query: priceRuleQuery }), async (req, res) => {
+  try {
+    let sql = "SELECT * FROM package_price_rules";
+    const params = [];
+
+    if (req.query.package_id) {
+      sql += " WHERE package_id = ? OR package_id IS NULL";
+      params.push(req.query.package_id);
+    }
+
+    const [rows] = await pool.execute(`${sql} ORDER BY id DESC`, params);
+    res.status(200).json({ success: true, data: rows });
+  } catch (err) {
+    console.error("❌ Error fetching price rules:", err);
+    sendError(res, err, "Gagal mengambil aturan harga.");
+  }
+});
+
+// POST /api/price-rules - package_id kosong berarti berlaku untuk semua paket
+router.post("/", validate({ body: priceRuleBody }), async (req, res) => {
+  const {
+    package_id,
+    name,
+    rule_type,
+    calc_type,
+    value,
+    min_pax,
+    max_pax,
+    valid_from,
+    valid_until,
+  } = req.body;
+
+  const rule = {
+    package_id: package_id || null,
+    name,
+    rule_type,
+    calc_type,
+    value,
+    min_pax: min_pax || null,
+    max_pax: max_pax || null,
+    valid_from: valid_from || null,
+    valid_until: valid_until || null,
+    is_active: 1,
+  };
+
+  try {
+    const sql = `INSERT INTO package_price_rules (package_id, name, rule_type, calc_type, value, min_pax, max_pax, valid_from, valid_until, is_active, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`;
+    const id = await withTransaction(async (connection) => {
+      const [result] = await connection.execute(sql, Object.values(rule));
+      await recordAudit(connection, {
+        entity: "price_rule",
+        entityId: result.insertId,
+        action: "create",
+        after: rule,
+        actor: auditActor(req),
+      });
+      return result.insertId;
+    });
+
+    res.status(201).json({ success: true, message: "Aturan harga berhasil dibuat.", id });
+  } catch (err) {
+    console.error("❌ Error creating price rule:", err);
+    sendError(res, err, "Gagal membuat aturan harga.", { REFERENCE_NOT_FOUND: "Paket tidak ditemukan." });
+  }
+});
+
+// PATCH /api/price-rules/:id/active - aktif / nonaktifkan aturan
+router.patch("/:id/active", validate({ params: idParams, body: priceRuleActiveBody }), async (req, res) => {
+  const isActive = req.body.is_active ? 1 : 0;
+
+  try {
+    const updated = await withTransaction(async (connection) => {
+      const [rows] = await connection.execute("SELECT * FROM package_price_rules WHERE id = ? FOR UPDATE", [req.params.id]);
+      if (rows.length === 0) return false;
+
+      await connection.execute("UPDATE package_price_rules SET is_active = ? WHERE id = ?", [isActive, req.params.id]);
+      await recordAudit(connection, {
+        entity: "price_rule",
+        entityId: req.params.id,
+        action: "update",
+        before: rows[0],
+        after: { is_active: isActive },
+        actor: auditActor(req),
+      });
+      return true;
+    });
+
+    if (!updated) {
+      return res.status(404).json({ success: false, message: "Aturan harga tidak ditemukan." });
+    }
+
+    res.status(200).json({ success: true, message: isActive ? "Aturan harga diaktifkan." : "Aturan harga dinonaktifkan." });
+  } catch (err) {
+    console.error("❌ Error updating price rule:", err);
+    sendError(res, err, "Gagal mengubah aturan harga.");
+  }
+});
+
+// DELETE /api/price-rules/:id
+router.delete("/:id", validate({ params: idParams }), async (req, res) => {
+  try {
+    const deleted = await withTransaction(async (connection) => {
+      const [rows] = await connection.execute("SELECT * FROM package_price_rules WHERE id = ? FOR UPDATE", [req.params.id]);
+      if (rows.length === 0) return false;
+
+      await connection.execute("DELETE FROM package_price_rules WHERE id = ?", [req.params.id]);
+      await recordAudit(connection, {
+        entity: "price_rule",
+        entityId: req.params.id,
+        action: "delete",
+        before: rows[0],
+        actor: auditActor(req),
+      });
+      return true;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: "Aturan harga tidak ditemukan." });
+    }
+
+    res.status(200).json({ success: true, message: "Aturan harga berhasil dihapus." });
+  } catch (err) {
+    console.error("❌ Error deleting price rule:", err);
+    sendError(res, err, "Gagal menghapus aturan harga.");
+  }
+});
+
+export default router;
@@ -0,0 +1,171 @@
+// routes/scannerRoutes.js
+// Dukungan scanner offline di lokasi wisata (di-mount di /api/scanner)
+import express from "express";
+import { authorize } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { sendError } from "../middleware/errorHandler.js";
+import { idParams } from "../schemas/common.js";
+import { checkinBatchBody, attendanceBody, undoCheckInBody } from "../schemas/operations.js";
+import {
+  SCAN_RESULTS,
+  getDepartureManifest,
+  syncOfflineBatch,
+  undoCheckIn,
+  getDepartureCheckInReport,
+} from "../services/scanService.js";
+import {
+  ATTENDANCE_RESULTS,
+  CheckpointError,
+  listCheckpoints,
+  recordAttendance,
+  getMissingParticipants,
+} from "../services/checkpointService.js";
+
+const router = express.Router();
+
+router.use(authorize("bookings:scan"));
+
+// GET /api/scanner/departures/:id/manifest - daftar tiket sah untuk divalidasi offline
+router.get("/departures/:id/manifest", validate({ params: idParams }), async (req, res) => {
+  try {
+    const manifest = await getDepartureManifest(req.params.id);
+    if (!manifest) {
+      return res.status(404).json({ success: false, message: "Jadwal keberangkatan tidak ditemukan." });
+    }
+    res.status(200).json({ success: true, data: manifest });
+  } catch (err) {
+    console.error("❌ Error building scanner manifest:", err);
+    sendError(res, err, "Gagal membuat manifest.");
+  }
+});
+
+// POST /api/scanner/checkins/batch
+// body { device_id, checkins: [{ local_id, ticketToken, scanned_at }] }
+router.post("/checkins/batch", validate({ body: checkinBatchBody }), async (req, res) => {
+  const { device_id, checkins } = req.body;
+
+  try {
+    const results = await syncOfflineBatch(device_id, checkins, { operatorId: req.user.id });
+    const summary = results.reduce((acc, item) => {
+      acc[item.result] = (acc[item.result] || 0) + 1;
+      return acc;
+    }, {});
+
+    res.status(200).json({
+      success: true,
+      message: "Sinkronisasi check-in selesai.",
+      summary,
+      conflicts: results.filter((item) => item.result === "conflict"),
+      results,
+    });
+  } catch (err) {
+    console.error("❌ Error syncing offline check-ins:", err);
+    sendError(res, err, "Gagal sinkronisasi check-in.");
+  }
+});
+
+// GET /api/scanner/departures/:id/checkpoints - daftar checkpoint + jumlah yang sudah hadir
+router.get("/departures/:id/checkpoints", validate({ params: idParams }), async (req, res) => {
+  try {
+    res.status(200).json({ success: true, data: await listCheckpoints(req.params.id) });
+  } catch (err) {
+    console.error("❌ Error fetching checkpoints:", err);
+    sendError(res, err, "Gagal mengambil checkpoint.");
+  }
+});
+
+// Hasil scan absensi -> status HTTP
+const ATTENDANCE_RESPONSES = {
+  [ATTENDANCE_RESULTS.PRESENT]: [200, "HADIR"],
+  [ATTENDANCE_RESULTS.DUPLICATE]: [200, "Peserta sudah tercatat hadir di checkpoint ini."],
+  [ATTENDANCE_RESULTS.INVALID]: [401, "TIKET TIDAK SAH"],
+  [ATTENDANCE_RESULTS.NOT_FOUND]: [404, "Peserta tidak ditemukan."],
+  [ATTENDANCE_RESULTS.WRONG_DEPARTURE]: [409, "Peserta bukan bagian dari keberangkatan ini."],
+  [ATTENDANCE_RESULTS.UNPAID]: [403, "Pembayaran belum lunas."],
+  [ATTENDANCE_RESULTS.HANGUS]: [410, "Tiket sudah hangus."],
+};
+
+// POST /api/scanner/checkpoints/:id/scan - absensi tanpa memakai tiket
+// body { ticketToken, device_id }
+router.post("/checkpoints/:id/scan", validate({ params: idParams, body: attendanceBody }), async (req, res) => {
+  const { ticketToken, device_id } = req.body;
+
+  try {
+    const { result, checkpoint, participant } = await recordAttendance(req.params.id, ticketToken, {
+      deviceId: device_id || null,
+      operatorId: req.user.id,
+    });
+    const [status, message] = ATTENDANCE_RESPONSES[result];
+
+    res.status(status).json({
+      success: status === 200,
+      message,
+      result,
+      checkpoint: checkpoint.name,
+      name: participant ? participant.name : undefined,
+    });
+  } catch (err) {
+    if (!(err instanceof CheckpointError)) {
+      console.error("❌ Error recording attendance:", err);
+    }
+    sendError(res, err, "Gagal mencatat kehadiran.");
+  }
+});
+
+// GET /api/scanner/checkpoints/:id/missing - peserta yang belum hadir di checkpoint
+router.get("/checkpoints/:id/missing", validate({ params: idParams }), async (req, res) => {
+  try {
+    res.status(200).json({ success: true, data: await getMissingParticipants(req.params.id) });
+  } catch (err) {
+    if (!(err instanceof CheckpointError)) {
+      console.error("❌ Error fetching missing participants:", err);
+    }
+    sendError(res, err, "Gagal mengambil daftar peserta yang belum hadir.");
+  }
+});
+
+// GET /api/scanner/departures/:id/report - rekap check-in per keberangkatan
+router.get("/departures/:id/report", authorize("scans:report"), validate({ params: idParams }), async (req, res) => {
+  try {
+    const manifest = await getDepartureManifest(req.params.id);
+    if (!manifest) {
+      return res.status(404).json({ success: false, message: "Jadwal keberangkatan tidak ditemukan." });
+    }
+    const report = await getDepartureCheckInReport(req.params.id);
+    res.status(200).json({ success: true, data: { departure: manifest.departure, ...report } });
+  } catch (err) {
+    console.error("❌ Error building check-in report:", err);
+    sendError(res, err, "Gagal membuat laporan check-in.");
+  }
+});
+
+// POST /api/scanner/participants/:id/undo - batalkan check-in yang salah (khusus supervisor)
+// body { reason }
+router.post("/participants/:id/undo", authorize("scans:undo"), validate({ params: idParams, body: undoCheckInBody }), async (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const { result, participant } = await undoCheckIn(req.params.id, { operatorId: req.user.id, reason });
+
+    if (result === SCAN_RESULTS.NOT_FOUND) {
+      return res.status(404).json({ success: false, message: "Peserta tidak ditemukan." });
+    }
+    if (result !== SCAN_RESULTS.UNDO) {
+      return res.status(409).json({
+        success: false,
+        message: `Tiket peserta berstatus ${participant.status}, tidak ada check-in untuk dibatalkan.`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Check-in berhasil dibatalkan. Tiket kembali valid.",
+      data: { id: participant.id, name: participant.name, status: "valid" },
+    });
+  } catch (err) {
+    console.error("❌ Error undoing check-in:", err);
+    sendError(res, err, "Gagal membatalkan check-in.");
+  }
+});
+
+export default router;
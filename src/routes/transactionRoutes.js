@@ -0,0 +1,133 @@
+// routes/transactionRoutes.js
+// Pembayaran manual: cicilan / pelunasan, refund dan pembatalan transaksi (di-mount di /api/transactions)
+import express from "express";
+import pool from "../config/db.js";
+import { authorize } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { sendError } from "../middleware/errorHandler.js";
+import { idParams } from "../schemas/common.js";
+import { paymentBody, refundBody, reverseBody } from "../schemas/bookings.js";
+import { BookingStatusError } from "../services/bookingStatusService.js";
+import { PaymentError, recordPayment, recordRefund, reverseTransaction } from "../services/paymentService.js";
+import { notifyPaymentReceived } from "../services/notificationService.js";
+import { auditActor } from "../services/auditService.js";
+
+const router = express.Router();
+
+// POST /api/transactions - catat cicilan / pelunasan
+router.post("/", authorize("transactions:create"), validate({ body: paymentBody }), async (req, res) => {
+  const { bookingDbId, payment_type, amount_paid, payment_method, va_number } = req.body;
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const result = await recordPayment(connection, bookingDbId, {
+      payment_type,
+      amount: amount_paid,
+      payment_method,
+      va_number,
+      createdBy: req.user.id,
+      actor: auditActor(req),
+    });
+
+    await connection.commit();
+    notifyPaymentReceived(bookingDbId, result.transactionId);
+
+    return res.status(201).json({
+      success: true,
+      message: "Pembayaran berhasil dicatat!",
+      transactionId: result.transactionId,
+      status: result.status,
+      balance: result.balance,
+    });
+  } catch (err) {
+    await connection.rollback();
+    if (err instanceof PaymentError || err instanceof BookingStatusError) {
+      return res.status(err.httpStatus).json({ success: false, message: err.message, details: err.details });
+    }
+    console.error("❌ Error processing transaction:", err);
+    sendError(res, err, "Gagal menyimpan transaksi.");
+  } finally {
+    connection.release();
+  }
+});
+
+// POST /api/transactions/refund - kembalikan dana ke customer
+router.post("/refund", authorize("transactions:refund"), validate({ body: refundBody }), async (req, res) => {
+  const { bookingDbId, amount, note, payment_method } = req.body;
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const result = await recordRefund(connection, bookingDbId, {
+      amount,
+      note,
+      payment_method,
+      createdBy: req.user.id,
+      actor: auditActor(req),
+    });
+
+    await connection.commit();
+
+    return res.status(201).json({
+      success: true,
+      message: "Refund berhasil dicatat!",
+      transactionId: result.transactionId,
+      status: result.status,
+      balance: result.balance,
+    });
+  } catch (err) {
+    await connection.rollback();
+    if (err instanceof PaymentError || err instanceof BookingStatusError) {
+      return res.status(err.httpStatus).json({ success: false, message: err.message, details: err.details });
+    }
+    console.error("❌ Error processing refund:", err);
+    sendError(res, err, "Gagal menyimpan refund.");
+  } finally {
+    connection.release();
+  }
+});
+
+// POST /api/transactions/:id/reverse - batalkan transaksi yang salah input
+router.post("/:id/reverse", authorize("transactions:refund"), validate({ params: idParams, body: reverseBody }), async (req, res) => {
+  const { id } = req.params;
+  const { note } = req.body;
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const result = await reverseTransaction(connection, parseInt(id), {
+      note,
+      createdBy: req.user.id,
+      actor: auditActor(req),
+    });
+
+    await connection.commit();
+
+    return res.status(201).json({
+      success: true,
+      message: "Transaksi berhasil dibalik.",
+      transactionId: result.transactionId,
+      bookingDbId: result.bookingId,
+      status: result.status,
+      balance: result.balance,
+    });
+  } catch (err) {
+    await connection.rollback();
+    if (err instanceof PaymentError || err instanceof BookingStatusError) {
+      return res.status(err.httpStatus).json({ success: false, message: err.message, details: err.details });
+    }
+    console.error("❌ Error reversing transaction:", err);
+    sendError(res, err, "Gagal membalik transaksi.");
+  } finally {
+    connection.release();
+  }
+});
+
+export default router;
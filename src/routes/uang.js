@@ -0,0 +1,202 @@
+// routes/uang.js
+// Modul keuangan: biaya trip, kas masuk / keluar dan laporan laba (di-mount di /api/finance)
+import express from "express";
+import { authorize } from "../middleware/auth.js";
+import { uploadDocument } from "../middleware/upload.js";
+import { validate, partial } from "../middleware/validate.js";
+import { sendError } from "../middleware/errorHandler.js";
+import { idParams, dateRangeQuery } from "../schemas/common.js";
+import { expenseBody, listExpensesQuery, cashEntryBody, listCashQuery } from "../schemas/finance.js";
+import { releaseFile } from "../services/uploadService.js";
+import { auditActor } from "../services/auditService.js";
+import {
+  EXPENSE_CATEGORIES,
+  CASH_DIRECTIONS,
+  FinanceError,
+  listExpenses,
+  getExpense,
+  createExpense,
+  updateExpense,
+  deleteExpense,
+  listCashEntries,
+  createCashEntry,
+  deleteCashEntry,
+  getTripReport,
+  getMonthlyReport,
+} from "../services/financeService.js";
+
+const router = express.Router();
+
+// Bukti / nota dikirim sebagai multipart field "bukti" (gambar atau PDF)
+const receiptUpload = uploadDocument("bukti");
+
+// Hapus file bukti yang tidak jadi dipakai (validasi gagal) atau datanya dihapus.
+// releaseFile hanya menghapus jika file tidak dirujuk record lain (hasil deduplikasi).
+function removeReceipt(filename) {
+  if (filename) {
+    releaseFile(filename).catch((err) => console.error("❌ Error releasing receipt file:", err));
+  }
+}
+
+// Validasi body multipart setelah upload; bukti yang sudah tersimpan dihapus jika validasi gagal
+function validateWithReceipt(schemas) {
+  const check = validate(schemas);
+  return (req, res, next) => {
+    let passed = false;
+    check(req, res, () => {
+      passed = true;
+      next();
+    });
+    if (!passed) {
+      removeReceipt(req.file ? req.file.filename : null);
+    }
+  };
+}
+
+function handleError(res, err, label, message) {
+  if (!(err instanceof FinanceError)) {
+    console.error(`❌ Error ${label}:`, err);
+  }
+  sendError(res, err, message);
+}
+
+// GET /api/finance/categories
+router.get("/categories", authorize("finance:read"), (req, res) => {
+  res.status(200).json({ success: true, data: { expense_categories: EXPENSE_CATEGORIES, cash_directions: CASH_DIRECTIONS } });
+});
+
+// ------------------ BIAYA TRIP ------------------
+
+// GET /api/finance/expenses?package_id=&departure_id=&category=&from=&to=
+router.get("/expenses", authorize("finance:read"), validate({ query: listExpensesQuery }), async (req, res) => {
+  const { package_id, departure_id, category, from, to } = req.query;
+
+  try {
+    const rows = await listExpenses({ packageId: package_id, departureId: departure_id, category, from, to });
+    const total = rows.reduce((sum, row) => sum + Number(row.amount), 0);
+    res.status(200).json({ success: true, total, data: rows });
+  } catch (err) {
+    handleError(res, err, "fetching expenses", "Gagal mengambil data biaya.");
+  }
+});
+
+// GET /api/finance/expenses/:id
+router.get("/expenses/:id", authorize("finance:read"), validate({ params: idParams }), async (req, res) => {
+  try {
+    const expense = await getExpense(req.params.id);
+    if (!expense) {
+      return res.status(404).json({ success: false, message: "Data biaya tidak ditemukan." });
+    }
+    res.status(200).json({ success: true, data: expense });
+  } catch (err) {
+    handleError(res, err, "fetching expense", "Gagal mengambil data biaya.");
+  }
+});
+
+// POST /api/finance/expenses (multipart: package_id / departure_id, category, description, amount, expense_date, bukti)
+router.post("/expenses", authorize("finance:manage"), receiptUpload, validateWithReceipt({ body: expenseBody }), async (req, res) => {
+  const receiptFile = req.file ? req.file.filename : null;
+
+  try {
+    const expense = await createExpense(req.body, { receiptFile, createdBy: req.user.id, actor: auditActor(req) });
+    res.status(201).json({ success: true, message: "Biaya berhasil dicatat.", data: expense });
+  } catch (err) {
+    removeReceipt(receiptFile);
+    handleError(res, err, "creating expense", "Gagal mencatat biaya.");
+  }
+});
+
+// PUT /api/finance/expenses/:id - bukti baru menggantikan bukti lama
+router.put("/expenses/:id", authorize("finance:manage"), receiptUpload, validateWithReceipt({ params: idParams, body: partial(expenseBody) }), async (req, res) => {
+  const receiptFile = req.file ? req.file.filename : null;
+
+  try {
+    const previous = await getExpense(req.params.id);
+    const expense = await updateExpense(req.params.id, req.body, { receiptFile, actor: auditActor(req) });
+    if (receiptFile && previous && previous.receipt_file !== receiptFile) {
+      removeReceipt(previous.receipt_file);
+    }
+    res.status(200).json({ success: true, message: "Biaya berhasil diupdate.", data: expense });
+  } catch (err) {
+    removeReceipt(receiptFile);
+    handleError(res, err, "updating expense", "Gagal mengupdate biaya.");
+  }
+});
+
+// DELETE /api/finance/expenses/:id
+router.delete("/expenses/:id", authorize("finance:manage"), validate({ params: idParams }), async (req, res) => {
+  try {
+    const expense = await deleteExpense(req.params.id, { actor: auditActor(req) });
+    removeReceipt(expense.receipt_file);
+    res.status(200).json({ success: true, message: "Biaya berhasil dihapus." });
+  } catch (err) {
+    handleError(res, err, "deleting expense", "Gagal menghapus biaya.");
+  }
+});
+
+// ------------------ KAS MASUK / KELUAR ------------------
+
+// GET /api/finance/cash?direction=&category=&from=&to=
+router.get("/cash", authorize("finance:read"), validate({ query: listCashQuery }), async (req, res) => {
+  const { direction, category, from, to } = req.query;
+
+  try {
+    const rows = await listCashEntries({ direction, category, from, to });
+    const summary = rows.reduce(
+      (acc, row) => {
+        acc[row.direction === "in" ? "cash_in" : "cash_out"] += Number(row.amount);
+        return acc;
+      },
+      { cash_in: 0, cash_out: 0 }
+    );
+    res.status(200).json({ success: true, summary: { ...summary, balance: summary.cash_in - summary.cash_out }, data: rows });
+  } catch (err) {
+    handleError(res, err, "fetching cash entries", "Gagal mengambil data kas.");
+  }
+});
+
+// POST /api/finance/cash (multipart: direction, category, description, amount, entry_date, bukti)
+router.post("/cash", authorize("finance:manage"), receiptUpload, validateWithReceipt({ body: cashEntryBody }), async (req, res) => {
+  const receiptFile = req.file ? req.file.filename : null;
+
+  try {
+    const entry = await createCashEntry(req.body, { receiptFile, createdBy: req.user.id, actor: auditActor(req) });
+    res.status(201).json({ success: true, message: "Kas berhasil dicatat.", data: entry });
+  } catch (err) {
+    removeReceipt(receiptFile);
+    handleError(res, err, "creating cash entry", "Gagal mencatat kas.");
+  }
+});
+
+// DELETE /api/finance/cash/:id
+router.delete("/cash/:id", authorize("finance:manage"), validate({ params: idParams }), async (req, res) => {
+  try {
+    const entry = await deleteCashEntry(req.params.id, { actor: auditActor(req) });
+    removeReceipt(entry.receipt_file);
+    res.status(200).json({ success: true, message: "Data kas berhasil dihapus." });
+  } catch (err) {
+    handleError(res, err, "deleting cash entry", "Gagal menghapus data kas.");
+  }
+});
+
+// ------------------ LAPORAN ------------------
+
+// GET /api/finance/reports/trips?from=&to= (tanggal keberangkatan)
+router.get("/reports/trips", authorize("finance:read"), validate({ query: dateRangeQuery }), async (req, res) => {
+  try {
+    res.status(200).json({ success: true, data: await getTripReport(req.query) });
+  } catch (err) {
+    handleError(res, err, "building trip report", "Gagal membuat laporan per trip.");
+  }
+});
+
+// GET /api/finance/reports/monthly?from=&to=
+router.get("/reports/monthly", authorize("finance:read"), validate({ query: dateRangeQuery }), async (req, res) => {
+  try {
+    res.status(200).json({ success: true, data: await getMonthlyReport(req.query) });
+  } catch (err) {
+    handleError(res, err, "building monthly report", "Gagal membuat laporan bulanan.");
+  }
+});
+
+export default router;
@@ -0,0 +1,50 @@
+// routes/uploadRoutes.js
+// URL unduh file + perawatan storage upload oleh admin (di-mount di /api/admin/uploads)
+import express from "express";
+import { authorize } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { sendError } from "../middleware/errorHandler.js";
+import { fileUrlQuery, cleanupBody } from "../schemas/operations.js";
+import { cleanupOrphanFiles, dedupeExistingFiles, fileUrls, normalizeKey } from "../services/uploadService.js";
+
+const router = express.Router();
+
+// GET /api/admin/uploads/url?key=<object key> - semua user login.
+// Mengembalikan signed URL (STORAGE_URL_MODE=signed) atau URL proxy /uploads/<key> beserta variannya.
+router.get("/url", validate({ query: fileUrlQuery }), async (req, res) => {
+  const key = normalizeKey(req.query.key);
+  if (!key) {
+    return res.status(400).json({ success: false, code: "VALIDATION_ERROR", message: "Parameter key tidak valid." });
+  }
+
+  try {
+    res.status(200).json({ success: true, data: { key, urls: await fileUrls(key) } });
+  } catch (err) {
+    console.error("❌ Error creating file url:", err);
+    sendError(res, err, "Gagal membuat URL file.");
+  }
+});
+
+router.use(authorize("uploads:manage"));
+
+// POST /api/admin/uploads/cleanup - body { dry_run, dedupe, min_age_hours }
+// Default dry run; kirim dry_run: false untuk benar-benar menghapus
+router.post("/cleanup", validate({ body: cleanupBody }), async (req, res) => {
+  const dryRun = req.body.dry_run !== false;
+  const minAgeHours = req.body.min_age_hours ?? 24;
+
+  try {
+    const duplicates = req.body.dedupe ? await dedupeExistingFiles({ dryRun }) : [];
+    const orphans = await cleanupOrphanFiles({ dryRun, minAgeHours });
+    res.status(200).json({
+      success: true,
+      message: dryRun ? "Simulasi pembersihan selesai (tidak ada file dihapus)." : "Pembersihan file selesai.",
+      data: { duplicates, ...orphans },
+    });
+  } catch (err) {
+    console.error("❌ Error cleaning uploads:", err);
+    sendError(res, err, "Gagal membersihkan file upload.");
+  }
+});
+
+export default router;
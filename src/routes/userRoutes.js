@@ -0,0 +1,321 @@
+// routes/userRoutes.js
+// Akun staff, role dan sesi login (di-mount di /api/users)
+import express from "express";
+import bcrypt from "bcryptjs";
+import pool, { withTransaction } from "../config/db.js";
+import { authorize } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { sendError } from "../middleware/errorHandler.js";
+import { idParams } from "../schemas/common.js";
+import { createUserBody, updateUserBody, roleBody, loginBody, refreshBody } from "../schemas/users.js";
+import { ROLES, PERMISSIONS } from "../config/permissions.js";
+import { auditActor, recordAudit } from "../services/auditService.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+} from "../services/tokenService.js";
+
+const saltRounds = 10;
+
+const router = express.Router();
+
+// Kolom user yang dicatat di audit log; password hanya tercatat "berubah", nilainya disamarkan
+const AUDIT_FIELDS = ["username", "full_name", "email", "role", "is_active", "password"];
+
+// UPDATE users SET <setSql> + audit log dalam satu transaksi. `after` = nilai baru yang dicatat.
+// false jika user tidak ditemukan.
+async function updateUser(req, id, setSql, params, after) {
+  return withTransaction(async (connection) => {
+    const [rows] = await connection.execute("SELECT * FROM users WHERE id = ? FOR UPDATE", [id]);
+    if (rows.length === 0) return false;
+
+    await connection.execute(`UPDATE users SET ${setSql} WHERE id = ?`, [...params, id]);
+    await recordAudit(connection, {
+      entity: "user",
+      entityId: id,
+      action: "update",
+      before: rows[0],
+      after,
+      fields: AUDIT_FIELDS,
+      actor: auditActor(req),
+    });
+    return true;
+  });
+}
+
+// GET /api/users
+router.get("/", authorize("users:manage"), async (req, res) => {
+  try {
+    const [results] = await pool.execute(
+      "SELECT id, username, full_name, email, role, is_active, deactivated_at, created_at FROM users"
+    );
+    res.status(200).json({ success: true, data: results });
+  } catch (err) {
+    console.error("❌ Error fetching users:", err);
+    sendError(res, err, "Kesalahan server.");
+  }
+});
+
+// POST /api/users
+router.post("/", authorize("users:manage"), validate({ body: createUserBody }), async (req, res) => {
+  const { username, password, full_name, email } = req.body;
+  const role = req.body.role || "scanner";
+
+  try {
+    const hash = await bcrypt.hash(password, saltRounds);
+    const sql = "INSERT INTO users (username, password, full_name, email, role) VALUES (?, ?, ?, ?, ?)";
+
+    await withTransaction(async (connection) => {
+      const [result] = await connection.execute(sql, [username, hash, full_name, email, role]);
+      await recordAudit(connection, {
+        entity: "user",
+        entityId: result.insertId,
+        action: "create",
+        after: { username, full_name, email, role },
+        actor: auditActor(req),
+      });
+    });
+    res.status(201).json({ success: true, message: "User berhasil dibuat!" });
+  } catch (err) {
+    console.error("❌ Error creating user:", err);
+    sendError(res, err, "Gagal menambahkan user.", { DUPLICATE_ENTRY: "Username atau Email sudah digunakan." });
+  }
+});
+
+// GET /api/users/roles - daftar role dan matriks permission untuk halaman admin
+router.get("/roles", authorize("users:manage"), (req, res) => {
+  res.status(200).json({ success: true, data: { roles: ROLES, permissions: PERMISSIONS } });
+});
+
+// PATCH /api/users/:id/role - ubah role staff
+router.patch("/:id/role", authorize("users:manage"), validate({ params: idParams, body: roleBody }), async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+
+  // Cegah admin mengunci dirinya sendiri
+  if (parseInt(id) === req.user.id) {
+    return res.status(400).json({ success: false, message: "Tidak dapat mengubah role akun sendiri." });
+  }
+
+  try {
+    const updated = await updateUser(req, id, "role = ?", [role], { role });
+
+    if (!updated) {
+      return res.status(404).json({ success: false, message: "Pengguna tidak ditemukan." });
+    }
+
+    res.status(200).json({ success: true, message: `Role pengguna diubah menjadi ${role}.`, role });
+  } catch (err) {
+    console.error("❌ Error updating user role:", err);
+    sendError(res, err, "Gagal mengubah role pengguna.");
+  }
+});
+
+// PATCH /api/users/:id/deactivate - nonaktifkan akun tanpa menghapus data
+router.patch("/:id/deactivate", authorize("users:manage"), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+
+  if (parseInt(id) === req.user.id) {
+    return res.status(400).json({ success: false, message: "Tidak dapat menonaktifkan akun sendiri." });
+  }
+
+  try {
+    const updated = await updateUser(req, id, "is_active = 0, deactivated_at = NOW()", [], { is_active: 0 });
+
+    if (!updated) {
+      return res.status(404).json({ success: false, message: "Pengguna tidak ditemukan." });
+    }
+
+    await revokeUserSessions(id);
+    res.status(200).json({ success: true, message: "Pengguna berhasil dinonaktifkan." });
+  } catch (err) {
+    console.error("❌ Error deactivating user:", err);
+    sendError(res, err, "Gagal menonaktifkan pengguna.");
+  }
+});
+
+// PATCH /api/users/:id/activate - aktifkan kembali akun
+router.patch("/:id/activate", authorize("users:manage"), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const updated = await updateUser(req, id, "is_active = 1, deactivated_at = NULL", [], { is_active: 1 });
+
+    if (!updated) {
+      return res.status(404).json({ success: false, message: "Pengguna tidak ditemukan." });
+    }
+
+    res.status(200).json({ success: true, message: "Pengguna berhasil diaktifkan kembali." });
+  } catch (err) {
+    console.error("❌ Error activating user:", err);
+    sendError(res, err, "Gagal mengaktifkan pengguna.");
+  }
+});
+
+// POST /api/users/login
+router.post("/login", validate({ body: loginBody }), async (req, res) => {
+  const { username, password } = req.body;
+
+  try {
+    const sql = "SELECT * FROM users WHERE username = ? LIMIT 1";
+    const [results] = await pool.execute(sql, [username]);
+
+    if (results.length === 0) {
+      return res.status(404).json({ success: false, message: "User tidak ditemukan." });
+    }
+
+    const user = results[0];
+    const isMatch = await bcrypt.compare(password, user.password);
+
+    if (!isMatch) {
+      return res.status(401).json({ success: false, message: "Password salah." });
+    }
+
+    if (!user.is_active) {
+      return res.status(403).json({ success: false, message: "Akun ini sudah dinonaktifkan." });
+    }
+
+    const tokens = await createSession(user, {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Login berhasil!",
+      user: {
+        id: user.id,
+        username: user.username,
+        full_name: user.full_name,
+        email: user.email,
+        role: user.role,
+      },
+      ...tokens,
+    });
+  } catch (err) {
+    console.error("❌ Error during login:", err);
+    sendError(res, err, "Kesalahan server.");
+  }
+});
+
+// POST /api/users/refresh - tukar refresh token dengan access token baru
+router.post("/refresh", validate({ body: refreshBody }), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    const tokens = await rotateSession(refreshToken);
+
+    if (!tokens) {
+      return res.status(401).json({ success: false, message: "Refresh token tidak valid atau sudah dicabut." });
+    }
+
+    res.status(200).json({ success: true, ...tokens });
+  } catch (err) {
+    console.error("❌ Error refreshing token:", err);
+    sendError(res, err, "Kesalahan server.");
+  }
+});
+
+// POST /api/users/logout - cabut sesi yang sedang dipakai
+router.post("/logout", async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId);
+    res.status(200).json({ success: true, message: "Logout berhasil." });
+  } catch (err) {
+    console.error("❌ Error during logout:", err);
+    sendError(res, err, "Kesalahan server.");
+  }
+});
+
+// GET /api/users/me - profil user yang sedang login
+router.get("/me", async (req, res) => {
+  try {
+    const [results] = await pool.execute(
+      "SELECT id, username, full_name, email, role, created_at FROM users WHERE id = ? LIMIT 1",
+      [req.user.id]
+    );
+
+    if (results.length === 0) {
+      return res.status(404).json({ success: false, message: "User tidak ditemukan." });
+    }
+
+    res.status(200).json({ success: true, data: results[0] });
+  } catch (err) {
+    console.error("❌ Error fetching current user:", err);
+    sendError(res, err, "Kesalahan server.");
+  }
+});
+
+// PUT /api/users/:id
+router.put("/:id", authorize("users:manage"), validate({ params: idParams, body: updateUserBody }), async (req, res) => {
+  const { id } = req.params;
+  const { full_name, email, username, password } = req.body;
+
+  try {
+    // Jika password diisi, kita hash dulu. Jika tidak, kita tidak update passwordnya.
+    let updated;
+    if (password) {
+      const hash = await bcrypt.hash(password, saltRounds);
+      updated = await updateUser(req, id, "full_name = ?, email = ?, username = ?, password = ?", [full_name, email, username, hash], {
+        full_name, email, username, password: hash,
+      });
+      // Paksa login ulang di semua perangkat setelah password diganti
+      if (updated) await revokeUserSessions(id);
+    } else {
+      updated = await updateUser(req, id, "full_name = ?, email = ?, username = ?", [full_name, email, username], {
+        full_name, email, username,
+      });
+    }
+
+    if (!updated) {
+      return res.status(404).json({ success: false, message: "Pengguna tidak ditemukan." });
+    }
+
+    res.status(200).json({ success: true, message: "Pengguna berhasil diupdate!" });
+
+  } catch (err) {
+    console.error("❌ Error updating user:", err);
+    sendError(res, err, "Gagal mengupdate pengguna.", {
+      DUPLICATE_ENTRY: "Username atau Email sudah digunakan oleh pengguna lain.",
+    });
+  }
+});
+
+// DELETE /api/users/:id (ENDPOINT BARU UNTUK DELETE)
+router.delete("/:id", authorize("users:manage"), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const deleted = await withTransaction(async (connection) => {
+      const [rows] = await connection.execute("SELECT * FROM users WHERE id = ? FOR UPDATE", [id]);
+      if (rows.length === 0) return false;
+
+      await connection.execute("DELETE FROM users WHERE id = ?", [id]);
+      await recordAudit(connection, {
+        entity: "user",
+        entityId: id,
+        action: "delete",
+        before: rows[0],
+        fields: AUDIT_FIELDS,
+        actor: auditActor(req),
+      });
+      return true;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: "Pengguna tidak ditemukan." });
+    }
+
+    res.status(200).json({ success: true, message: "Pengguna berhasil dihapus." });
+
+  } catch (err) {
+    console.error("❌ Error deleting user:", err);
+    sendError(res, err, "Gagal menghapus pengguna.", {
+      RECORD_IN_USE: "Pengguna sudah memiliki riwayat data. Nonaktifkan akun sebagai gantinya.",
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,21 @@
+// schemas/audit.js
+// Schema pencarian audit log perubahan data admin
+import { AUDIT_ENTITIES, AUDIT_ACTIONS } from "../services/auditService.js";
+import { paginationQuery, dateRangeQuery } from "./common.js";
+
+const auditLogQuery = {
+  ...paginationQuery,
+  ...dateRangeQuery,
+  entity: { type: "enum", values: AUDIT_ENTITIES },
+  entity_id: { type: "id" },
+  actor_id: { type: "id" },
+  action: { type: "enum", values: AUDIT_ACTIONS },
+};
+
+// Riwayat satu data: /entities/:entity/:id
+const entityParams = {
+  entity: { type: "enum", required: true, values: AUDIT_ENTITIES },
+  id: { type: "id", required: true },
+};
+
+export { auditLogQuery, entityParams };
@@ -0,0 +1,120 @@
+// schemas/bookings.js
+// Schema request booking, tiket, scan dan transaksi pembayaran
+import { CHARGE_METHODS } from "../services/paymentGatewayService.js";
+import { paginationQuery } from "./common.js";
+
+const participantItem = {
+  type: "object",
+  fields: {
+    name: { type: "string", required: true, max: 100 },
+    phone: { type: "string", max: 30 },
+    address: { type: "string", max: 255 },
+    birth_place: { type: "string", max: 100 },
+  },
+};
+
+const quoteBody = {
+  package_id: { type: "id", required: true },
+  participants: { type: "array", min: 1, max: 100 },
+  participant_count: { type: "int", min: 1, max: 100 },
+  travel_date: { type: "date" },
+};
+
+const createBookingBody = {
+  package_id: { type: "id", required: true },
+  departure_id: { type: "id" },
+  customer_name: { type: "string", required: true, max: 100 },
+  customer_email: { type: "email", required: true },
+  participants: { type: "array", required: true, min: 1, max: 100, items: participantItem },
+  total_price: { type: "number", min: 0 },
+  // Wajib jika departure_id kosong (dicek di pricingService.assertTravelDate)
+  travel_date: { type: "date" },
+};
+
+// Status divalidasi oleh state machine (bookingStatusService menerima label lama juga)
+const updateBookingBody = {
+  customer_name: { type: "string", notEmpty: true, max: 100 },
+  customer_email: { type: "email", notEmpty: true },
+  customer_phone: { type: "string", max: 30 },
+  total_price: { type: "number", min: 0 },
+  recalculate_price: { type: "boolean" },
+  status: { type: "string", max: 50 },
+  reason: { type: "string", max: 255 },
+};
+
+const statusBody = {
+  status: { type: "string", required: true, max: 50 },
+  reason: { type: "string", max: 255 },
+};
+
+// Sorting & filter detail divalidasi di bookingListService
+const listBookingsQuery = {
+  ...paginationQuery,
+  status: { type: "string", max: 200 },
+  package_id: { type: "id" },
+  city_id: { type: "id" },
+  from: { type: "date" },
+  to: { type: "date" },
+  departure_from: { type: "date" },
+  departure_to: { type: "date" },
+  min_price: { type: "number", min: 0 },
+  max_price: { type: "number", min: 0 },
+  q: { type: "string", max: 100 },
+  sort: { type: "string", max: 50 },
+  order: { type: "enum", values: ["asc", "desc"] },
+};
+
+const ticketQuery = {
+  code: { type: "string", required: true, max: 50 },
+};
+
+const scanBody = {
+  ticketToken: { type: "string", required: true, max: 255 },
+  device_id: { type: "string", max: 64 },
+};
+
+const paymentBody = {
+  bookingDbId: { type: "id", required: true },
+  payment_type: { type: "string", required: true, max: 50 },
+  amount_paid: { type: "number", required: true, min: 0 },
+  payment_method: { type: "string", max: 50 },
+  va_number: { type: "string", max: 50 },
+};
+
+const refundBody = {
+  bookingDbId: { type: "id", required: true },
+  amount: { type: "number", required: true, min: 0 },
+  note: { type: "string", max: 255 },
+  payment_method: { type: "string", max: 50 },
+};
+
+const reverseBody = {
+  note: { type: "string", max: 255 },
+};
+
+// Tagihan payment gateway; amount kosong berarti sisa tagihan booking
+const chargeBody = {
+  bookingDbId: { type: "id", required: true },
+  method: { type: "enum", required: true, values: CHARGE_METHODS },
+  bank: { type: "string", max: 20 },
+  amount: { type: "number", min: 1 },
+};
+
+const simulatorPayBody = {
+  status: { type: "enum", values: ["paid", "pending", "expired", "failed"] },
+};
+
+export {
+  quoteBody,
+  createBookingBody,
+  updateBookingBody,
+  statusBody,
+  listBookingsQuery,
+  ticketQuery,
+  scanBody,
+  paymentBody,
+  refundBody,
+  reverseBody,
+  chargeBody,
+  simulatorPayBody,
+};
@@ -0,0 +1,16 @@
+// schemas/common.js
+// Potongan schema yang dipakai banyak route (lihat middleware/validate.js)
+
+const idParams = { id: { type: "id", required: true } };
+
+const paginationQuery = {
+  page: { type: "int", min: 1 },
+  limit: { type: "int", min: 1, max: 100 },
+};
+
+const dateRangeQuery = {
+  from: { type: "date" },
+  to: { type: "date" },
+};
+
+export { idParams, paginationQuery, dateRangeQuery };
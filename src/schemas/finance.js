@@ -0,0 +1,42 @@
+// schemas/finance.js
+// Schema keuangan: biaya trip dan kas (laporan memakai dateRangeQuery di common.js)
+import { EXPENSE_CATEGORIES, CASH_DIRECTIONS } from "../services/financeService.js";
+import { dateRangeQuery } from "./common.js";
+
+// Dikirim sebagai multipart/form-data (bukti), jadi angka datang sebagai teks
+const expenseBody = {
+  package_id: { type: "id" },
+  departure_id: { type: "id" },
+  category: { type: "enum", required: true, values: EXPENSE_CATEGORIES },
+  description: { type: "string", max: 255 },
+  amount: { type: "number", required: true, min: 0.01 },
+  expense_date: { type: "date", required: true },
+};
+
+const listExpensesQuery = {
+  ...dateRangeQuery,
+  package_id: { type: "id" },
+  departure_id: { type: "id" },
+  category: { type: "enum", values: EXPENSE_CATEGORIES },
+};
+
+const cashEntryBody = {
+  direction: { type: "enum", required: true, values: CASH_DIRECTIONS },
+  category: { type: "string", required: true, max: 50 },
+  description: { type: "string", max: 255 },
+  amount: { type: "number", required: true, min: 0.01 },
+  entry_date: { type: "date", required: true },
+};
+
+const listCashQuery = {
+  ...dateRangeQuery,
+  direction: { type: "enum", values: CASH_DIRECTIONS },
+  category: { type: "string", max: 50 },
+};
+
+export {
+  expenseBody,
+  listExpensesQuery,
+  cashEntryBody,
+  listCashQuery,
+};
@@ -0,0 +1,109 @@
+// schemas/guests.js
+// Schema buku tamu (peserta), kunjungan marketing dan pipeline lead
+import { LEAD_STAGES, FOLLOWUP_STATUSES, FOLLOWUP_CHANNELS } from "../services/marketingLeadService.js";
+import { dateRangeQuery, paginationQuery } from "./common.js";
+
+const pesertaBody = {
+  nama: { type: "string", required: true, max: 100 },
+  alamat: { type: "string", max: 255 },
+  tempat_lahir: { type: "string", max: 100 },
+  tanggal_lahir: { type: "date" },
+  telepon: { type: "string", max: 30 },
+  tujuan: { type: "string", max: 100 },
+};
+
+const listPesertaQuery = {
+  ...paginationQuery,
+  ...dateRangeQuery,
+  tujuan: { type: "string", max: 100 },
+  q: { type: "string", max: 100 },
+};
+
+const exportPesertaQuery = {
+  ...dateRangeQuery,
+  format: { type: "enum", values: ["csv", "xlsx"] },
+  tujuan: { type: "string", max: 100 },
+  q: { type: "string", max: 100 },
+};
+
+const bulkDeleteBody = {
+  ids: { type: "array", required: true, min: 1, max: 500, items: { type: "id" } },
+};
+
+// Kunjungan marketing dikirim sebagai multipart/form-data (foto_kunjungan)
+const marketingBody = {
+  nama: { type: "string", max: 100 },
+  alamat: { type: "string", required: true, max: 255 },
+  perusahaan: { type: "string", max: 150 },
+  nama_kordinator: { type: "string", max: 100 },
+  kota_kordinator: { type: "string", max: 100 },
+  rencana_wisata: { type: "string", max: 255 },
+  rencana_pemberangkatan: { type: "string", max: 100 },
+  destinasi_tujuan: { type: "string", max: 255 },
+  jenis_trip: { type: "string", max: 100 },
+  telepon: { type: "string", max: 30 },
+  foto_kunjungan: { type: "string", max: 255 },
+  catatan: { type: "string", max: 2000 },
+};
+
+const listLeadsQuery = {
+  ...dateRangeQuery,
+  stage: { type: "enum", values: LEAD_STAGES },
+  assigned_to: { type: "id" },
+  q: { type: "string", max: 100 },
+};
+
+const stageBody = {
+  stage: { type: "enum", required: true, values: LEAD_STAGES },
+  note: { type: "string", max: 500 },
+  lost_reason: { type: "string", max: 255 },
+};
+
+const assignBody = {
+  assigned_to: { type: "id", required: true },
+};
+
+const followUpBody = {
+  scheduled_at: { type: "datetime", required: true },
+  assigned_to: { type: "id" },
+  channel: { type: "enum", values: FOLLOWUP_CHANNELS },
+  notes: { type: "string", max: 500 },
+};
+
+const updateFollowUpBody = {
+  status: { type: "enum", values: FOLLOWUP_STATUSES },
+  outcome: { type: "string", max: 500 },
+  scheduled_at: { type: "datetime", notEmpty: true },
+};
+
+const listFollowUpsQuery = {
+  assigned_to: { type: "id" },
+  status: { type: "enum", values: FOLLOWUP_STATUSES },
+  due_before: { type: "string", max: 30 },
+  marketing_id: { type: "id" },
+};
+
+const convertBody = {
+  package_id: { type: "id", required: true },
+  participant_count: { type: "int", min: 1, max: 100 },
+  departure_id: { type: "id" },
+  travel_date: { type: "date" },
+  customer_name: { type: "string", max: 100 },
+  customer_email: { type: "email" },
+  customer_phone: { type: "string", max: 30 },
+};
+
+export {
+  pesertaBody,
+  listPesertaQuery,
+  exportPesertaQuery,
+  bulkDeleteBody,
+  marketingBody,
+  listLeadsQuery,
+  stageBody,
+  assignBody,
+  followUpBody,
+  updateFollowUpBody,
+  listFollowUpsQuery,
+  convertBody,
+};
@@ -0,0 +1,71 @@
+// schemas/operations.js
+// Schema scanner, notifikasi (email / WhatsApp) dan perawatan file upload
+import { EMAIL_EVENTS } from "../services/notificationService.js";
+import { OUTBOX_STATUSES } from "../services/whatsappService.js";
+
+const MAX_BATCH_SIZE = 500;
+
+// Tiap item batch divalidasi di syncOfflineBatch agar satu item rusak tidak menggagalkan seluruh batch
+const checkinBatchBody = {
+  device_id: { type: "string", required: true, max: 64 },
+  checkins: { type: "array", required: true, min: 1, max: MAX_BATCH_SIZE, items: { type: "object" } },
+};
+
+const attendanceBody = {
+  ticketToken: { type: "string", required: true, max: 255 },
+  device_id: { type: "string", max: 64 },
+};
+
+const undoCheckInBody = {
+  reason: { type: "string", required: true, max: 255 },
+};
+
+const emailLogQuery = {
+  booking_id: { type: "id" },
+  event: { type: "enum", values: Object.values(EMAIL_EVENTS) },
+  status: { type: "enum", values: ["sent", "failed"] },
+  limit: { type: "int", min: 1, max: 500 },
+};
+
+const resendEmailBody = {
+  event: { type: "enum", required: true, values: [EMAIL_EVENTS.BOOKING_CREATED, EMAIL_EVENTS.TICKET_READY] },
+};
+
+const outboxQuery = {
+  status: { type: "enum", values: OUTBOX_STATUSES },
+  booking_id: { type: "id" },
+  template: { type: "string", max: 50 },
+  limit: { type: "int", min: 1, max: 500 },
+};
+
+// Penerima: salah satu dari booking_id / peserta_id / marketing_id / phone (dicek di resolveRecipient)
+const whatsappBody = {
+  message: { type: "string", required: true, max: 4000 },
+  booking_id: { type: "id" },
+  peserta_id: { type: "id" },
+  marketing_id: { type: "id" },
+  phone: { type: "string", max: 30 },
+};
+
+const fileUrlQuery = {
+  key: { type: "string", required: true, max: 255 },
+};
+
+const cleanupBody = {
+  dry_run: { type: "boolean" },
+  dedupe: { type: "boolean" },
+  min_age_hours: { type: "number", min: 0 },
+};
+
+export {
+  MAX_BATCH_SIZE,
+  checkinBatchBody,
+  attendanceBody,
+  undoCheckInBody,
+  emailLogQuery,
+  resendEmailBody,
+  outboxQuery,
+  whatsappBody,
+  fileUrlQuery,
+  cleanupBody,
+};
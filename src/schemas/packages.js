@@ -0,0 +1,85 @@
+// schemas/packages.js
+// Schema paket wisata, aturan harga dan jadwal keberangkatan
+import { RULE_TYPES, CALC_TYPES } from "../services/pricingService.js";
+import { DEPARTURE_STATUSES } from "../services/departureService.js";
+import { dateRangeQuery } from "./common.js";
+
+const packageBody = {
+  name: { type: "string", required: true, max: 255 },
+  city_id: { type: "id", required: true },
+  trip_code: { type: "string", max: 50 },
+  description: { type: "string", max: 5000 },
+  price: { type: "number", required: true, min: 0 },
+  imageUrl: { type: "string", max: 500 },
+  duration: { type: "string", max: 50 },
+  max_participants: { type: "int", min: 1 },
+  is_active: { type: "boolean" },
+};
+
+const listPackagesQuery = {
+  city: { type: "string", max: 100 },
+  code: { type: "string", max: 20 },
+};
+
+const priceRuleQuery = {
+  package_id: { type: "id" },
+};
+
+const priceRuleBody = {
+  package_id: { type: "id" },
+  name: { type: "string", required: true, max: 100 },
+  rule_type: { type: "enum", required: true, values: RULE_TYPES },
+  calc_type: { type: "enum", required: true, values: CALC_TYPES },
+  value: { type: "number", required: true, min: 0 },
+  min_pax: { type: "int", min: 1 },
+  max_pax: { type: "int", min: 1 },
+  valid_from: { type: "date" },
+  valid_until: { type: "date" },
+};
+
+const priceRuleActiveBody = {
+  is_active: { type: "boolean", required: true },
+};
+
+const listDeparturesQuery = {
+  ...dateRangeQuery,
+  package_id: { type: "id" },
+  status: { type: "enum", values: DEPARTURE_STATUSES },
+  available: { type: "boolean" },
+};
+
+const departureBody = {
+  package_id: { type: "id", required: true },
+  departure_date: { type: "date", required: true },
+  return_date: { type: "date" },
+  quota: { type: "int", required: true, min: 1 },
+  notes: { type: "string", max: 500 },
+};
+
+const departureStatusBody = {
+  status: { type: "enum", required: true, values: DEPARTURE_STATUSES },
+};
+
+const checkpointParams = {
+  id: { type: "id", required: true },
+  checkpointId: { type: "id", required: true },
+};
+
+const checkpointBody = {
+  name: { type: "string", required: true, max: 100 },
+  sequence: { type: "int", min: 0 },
+  scheduled_at: { type: "datetime" },
+};
+
+export {
+  packageBody,
+  listPackagesQuery,
+  priceRuleQuery,
+  priceRuleBody,
+  priceRuleActiveBody,
+  listDeparturesQuery,
+  departureBody,
+  departureStatusBody,
+  checkpointParams,
+  checkpointBody,
+};
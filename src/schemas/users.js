@@ -0,0 +1,45 @@
+// schemas/users.js
+// Schema akun staff dan login
+import { ROLES } from "../config/permissions.js";
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]+$/;
+
+const username = {
+  type: "string",
+  required: true,
+  min: 3,
+  max: 50,
+  pattern: USERNAME_PATTERN,
+  patternMessage: "hanya boleh berisi huruf, angka, titik, garis bawah dan tanda hubung.",
+};
+
+const createUserBody = {
+  username,
+  password: { type: "string", required: true, min: 6, max: 100, trim: false },
+  full_name: { type: "string", required: true, max: 100 },
+  email: { type: "email", required: true },
+  role: { type: "enum", values: ROLES },
+};
+
+// Password opsional: kosong berarti tidak diganti
+const updateUserBody = {
+  username,
+  full_name: { type: "string", required: true, max: 100 },
+  email: { type: "email", required: true },
+  password: { type: "string", min: 6, max: 100, trim: false },
+};
+
+const roleBody = {
+  role: { type: "enum", required: true, values: ROLES },
+};
+
+const loginBody = {
+  username: { type: "string", required: true, max: 50 },
+  password: { type: "string", required: true, max: 100, trim: false },
+};
+
+const refreshBody = {
+  refreshToken: { type: "string", required: true, max: 500 },
+};
+
+export { createUserBody, updateUserBody, roleBody, loginBody, refreshBody };
@@ -0,0 +1,184 @@
+// services/auditService.js
+// Jejak audit perubahan data admin: siapa, data apa, aksi apa, nilai sebelum / sesudah, IP dan waktu
+import pool from "../config/db.js";
+
+const AUDIT_ENTITIES = [
+  "booking", "package", "user", "marketing", "peserta",
+  "price_rule", "departure", "checkpoint", "expense", "cash_entry", "transaction",
+];
+const AUDIT_ACTIONS = ["create", "update", "delete"];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Kolom yang tidak pernah disimpan ke log (cukup dicatat bahwa nilainya berubah)
+const REDACTED_FIELDS = ["password"];
+const REDACTED = "[disembunyikan]";
+
+// Pelaku perubahan dari request yang sudah login (null untuk route publik)
+function auditActor(req) {
+  return {
+    id: req.user ? req.user.id : null,
+    username: req.user ? req.user.username : null,
+    role: req.user ? req.user.role : null,
+    ip: req.ip || null,
+    userAgent: (req.get("user-agent") || "").slice(0, 255) || null,
+  };
+}
+
+// Kolom DATE / DATETIME dari mysql2 berupa Date (zona waktu server); disimpan sebagai teks lokal
+// agar sama dengan format yang dikirim client ("YYYY-MM-DD" / "YYYY-MM-DD HH:mm:ss")
+function toLogValue(value) {
+  if (value instanceof Date) {
+    const text = value.toLocaleString("sv-SE");
+    return text.endsWith(" 00:00:00") ? text.slice(0, 10) : text;
+  }
+  if (Buffer.isBuffer(value)) return value.toString();
+  return value === undefined ? null : value;
+}
+
+// Samakan bentuk nilai dari DB dan dari request agar "12" vs 12.00 / true vs 1 tidak dianggap berubah
+function normalize(value) {
+  const logValue = toLogValue(value);
+  if (logValue === null) return null;
+  if (typeof logValue === "object") return JSON.stringify(logValue);
+  if (typeof logValue === "boolean") return logValue ? "1" : "0";
+  if (typeof logValue === "number" || (typeof logValue === "string" && logValue.trim() !== "" && !Number.isNaN(Number(logValue)))) {
+    return String(Number(logValue));
+  }
+  return String(logValue).replace("T", " ");
+}
+
+// Snapshot yang disimpan: nilai sudah diformat, kolom rahasia disamarkan
+function toLogData(data) {
+  if (!data) return null;
+  const output = {};
+  for (const [field, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+    output[field] = REDACTED_FIELDS.includes(field) && value !== null ? REDACTED : toLogValue(value);
+  }
+  return output;
+}
+
+function pickFields(data, fields) {
+  if (!data || !fields) return data;
+  return Object.fromEntries(fields.filter((field) => data[field] !== undefined).map((field) => [field, data[field]]));
+}
+
+// Kolom yang berubah antara dua snapshot: { before: { field: lama }, after: { field: baru } }.
+// Hanya field yang ada di `after` yang dibandingkan, jadi `after` boleh berisi sebagian kolom saja.
+function diffRecords(before, after) {
+  const changes = { before: {}, after: {} };
+  for (const [field, value] of Object.entries(after || {})) {
+    if (value === undefined) continue;
+    const previous = before ? before[field] : undefined;
+    if (normalize(previous) !== normalize(value)) {
+      changes.before[field] = previous === undefined ? null : previous;
+      changes.after[field] = value;
+    }
+  }
+  return changes;
+}
+
+// Catat satu perubahan. `db` = pool atau koneksi transaksi yang sedang berjalan,
+// sehingga log ikut di-rollback jika perubahannya gagal.
+//   create -> after = snapshot baru
+//   update -> before / after = snapshot lama / baru (hanya kolom yang berubah yang disimpan;
+//             tidak ada yang berubah -> tidak dicatat)
+//   delete -> before = snapshot yang dihapus
+// `fields` (opsional) membatasi kolom yang dicatat, mis. agar updated_at tidak ikut tercatat.
+async function recordAudit(db, { entity, entityId, action, before = null, after = null, fields = null, actor = {} }) {
+  if (!AUDIT_ENTITIES.includes(entity) || !AUDIT_ACTIONS.includes(action)) {
+    throw new Error(`Entity / aksi audit tidak dikenal: ${entity} ${action}`);
+  }
+
+  let beforeData = action === "create" ? null : pickFields(before, fields);
+  let afterData = action === "delete" ? null : pickFields(after, fields);
+  if (action === "update") {
+    const changes = diffRecords(before, after);
+    if (Object.keys(changes.after).length === 0) return null;
+    beforeData = changes.before;
+    afterData = changes.after;
+  }
+
+  const [result] = await db.execute(
+    "INSERT INTO audit_log (entity, entity_id, action, actor_id, actor_username, actor_role, before_data, after_data, ip, user_agent, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())",
+    [
+      entity,
+      String(entityId),
+      action,
+      actor.id || null,
+      actor.username || null,
+      actor.role || null,
+      beforeData ? JSON.stringify(toLogData(beforeData)) : null,
+      afterData ? JSON.stringify(toLogData(afterData)) : null,
+      actor.ip || null,
+      actor.userAgent || null,
+    ]
+  );
+  return result.insertId;
+}
+
+// mysql2 mengembalikan kolom JSON sebagai object, kecuali di MariaDB (string)
+function parseJson(value) {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+// Daftar log terbaru dulu. Filter: entity, entity_id, actor_id, action, from / to (tanggal)
+async function listAuditLogs(query = {}) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const where = [];
+  const params = [];
+
+  if (query.entity) {
+    where.push("entity = ?");
+    params.push(query.entity);
+  }
+  if (query.entity_id !== undefined && query.entity_id !== null) {
+    where.push("entity_id = ?");
+    params.push(String(query.entity_id));
+  }
+  if (query.actor_id) {
+    where.push("actor_id = ?");
+    params.push(query.actor_id);
+  }
+  if (query.action) {
+    where.push("action = ?");
+    params.push(query.action);
+  }
+  if (query.from) {
+    where.push("created_at >= ?");
+    params.push(query.from);
+  }
+  if (query.to) {
+    where.push("created_at < DATE_ADD(?, INTERVAL 1 DAY)");
+    params.push(query.to);
+  }
+
+  const whereSql = where.length ? ` WHERE ${where.join(" AND ")}` : "";
+  const [[count]] = await pool.execute(`SELECT COUNT(*) AS total FROM audit_log${whereSql}`, params);
+  const [rows] = await pool.execute(
+    `SELECT * FROM audit_log${whereSql} ORDER BY created_at DESC, id DESC LIMIT ${limit} OFFSET ${(page - 1) * limit}`,
+    params
+  );
+
+  return {
+    data: rows.map((row) => ({ ...row, before_data: parseJson(row.before_data), after_data: parseJson(row.after_data) })),
+    pagination: { page, limit, total: count.total, total_pages: Math.ceil(count.total / limit) },
+  };
+}
+
+export {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  auditActor,
+  diffRecords,
+  recordAudit,
+  listAuditLogs,
+};
@@ -0,0 +1,156 @@
+// services/bookingListService.js
+// Daftar booking untuk tabel admin: paginasi, filter, sorting dan pencarian
+import pool from "../config/db.js";
+import { BOOKING_STATUSES } from "./bookingStatusService.js";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Kolom yang boleh dipakai ?sort= -> ekspresi SQL
+const SORT_COLUMNS = {
+  id: "b.id",
+  bookingCode: "b.booking_id",
+  package_name: "p.name",
+  city_name: "c.city_name",
+  customer_name: "b.customer_name",
+  customer_email: "b.customer_email",
+  total_price: "b.total_price",
+  status: "b.status",
+  departure_date: "d.departure_date",
+  created_at: "b.created_at",
+};
+
+const FROM_BOOKINGS = `FROM bookings b LEFT JOIN packages p ON b.package_id = p.id LEFT JOIN cities c ON p.city_id = c.id LEFT JOIN departures d ON b.departure_id = d.id`;
+
+class BookingListError extends Error {
+  constructor(message, httpStatus = 400) {
+    super(message);
+    this.name = "BookingListError";
+    this.httpStatus = httpStatus;
+  }
+}
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+
+function parseNumber(value, label) {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new BookingListError(`${label} harus angka >= 0.`);
+  }
+  return number;
+}
+
+// Filter: status (boleh dipisah koma), package_id, city_id, from / to (tanggal booking),
+// departure_from / departure_to, min_price / max_price, q (kode booking, nama atau email pemesan).
+// skipStatus dipakai untuk hitungan per status agar badge tab tetap terisi.
+function buildFilters(query = {}, { skipStatus = false } = {}) {
+  const where = [];
+  const params = [];
+
+  if (query.status && !skipStatus) {
+    const statuses = String(query.status).split(",").map((status) => status.trim().toLowerCase()).filter(Boolean);
+    const invalid = statuses.filter((status) => !BOOKING_STATUSES.includes(status));
+    if (invalid.length > 0) {
+      throw new BookingListError(`Status harus salah satu dari: ${BOOKING_STATUSES.join(", ")}`);
+    }
+    where.push(`b.status IN (${statuses.map(() => "?").join(", ")})`);
+    params.push(...statuses);
+  }
+  if (query.package_id) {
+    where.push("b.package_id = ?");
+    params.push(query.package_id);
+  }
+  if (query.city_id) {
+    where.push("p.city_id = ?");
+    params.push(query.city_id);
+  }
+
+  for (const [key, clause] of [
+    ["from", "b.created_at >= ?"],
+    ["to", "b.created_at < DATE_ADD(?, INTERVAL 1 DAY)"],
+    ["departure_from", "d.departure_date >= ?"],
+    ["departure_to", "d.departure_date <= ?"],
+  ]) {
+    if (!query[key]) continue;
+    if (!isDate(query[key])) {
+      throw new BookingListError(`${key} harus berformat YYYY-MM-DD.`);
+    }
+    where.push(clause);
+    params.push(query[key]);
+  }
+
+  const minPrice = parseNumber(query.min_price, "min_price");
+  const maxPrice = parseNumber(query.max_price, "max_price");
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    throw new BookingListError("min_price tidak boleh lebih besar dari max_price.");
+  }
+  if (minPrice !== undefined) {
+    where.push("b.total_price >= ?");
+    params.push(minPrice);
+  }
+  if (maxPrice !== undefined) {
+    where.push("b.total_price <= ?");
+    params.push(maxPrice);
+  }
+
+  if (query.q && String(query.q).trim()) {
+    const term = `%${String(query.q).trim()}%`;
+    where.push("(b.booking_id LIKE ? OR b.customer_name LIKE ? OR b.customer_email LIKE ?)");
+    params.push(term, term, term);
+  }
+
+  return { sql: where.length ? ` WHERE ${where.join(" AND ")}` : "", params };
+}
+
+// ?sort=total_price&order=asc atau ?sort=-total_price (tanda minus = descending)
+function buildOrder({ sort, order } = {}) {
+  let column = String(sort || "created_at");
+  let direction = String(order || "").toLowerCase();
+  if (column.startsWith("-")) {
+    column = column.slice(1);
+    direction = direction || "desc";
+  }
+  if (!SORT_COLUMNS[column]) {
+    throw new BookingListError(`sort harus salah satu dari: ${Object.keys(SORT_COLUMNS).join(", ")}`);
+  }
+  if (direction && !["asc", "desc"].includes(direction)) {
+    throw new BookingListError("order harus asc atau desc.");
+  }
+  const sqlDirection = (direction || (sort ? "asc" : "desc")).toUpperCase();
+
+  // b.id sebagai tie-breaker agar urutan halaman stabil
+  return ` ORDER BY ${SORT_COLUMNS[column]} ${sqlDirection}, b.id ${sqlDirection}`;
+}
+
+async function listBookings(query = {}) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const filters = buildFilters(query);
+  const orderBy = buildOrder(query);
+
+  const [[count]] = await pool.execute(`SELECT COUNT(*) AS total ${FROM_BOOKINGS}${filters.sql}`, filters.params);
+  const [rows] = await pool.execute(
+    `SELECT b.id, b.booking_id AS bookingCode, b.package_id, p.name AS package_name, p.city_id, c.city_name, b.customer_name, b.customer_email, b.total_price, b.status, b.departure_id, d.departure_date, b.created_at ${FROM_BOOKINGS}${filters.sql}${orderBy} LIMIT ${limit} OFFSET ${(page - 1) * limit}`,
+    filters.params
+  );
+
+  // Jumlah per status untuk filter yang sama (tanpa filter status)
+  const statusFilters = buildFilters(query, { skipStatus: true });
+  const [statusRows] = await pool.execute(
+    `SELECT b.status, COUNT(*) AS total ${FROM_BOOKINGS}${statusFilters.sql} GROUP BY b.status`,
+    statusFilters.params
+  );
+  const statusCounts = Object.fromEntries(BOOKING_STATUSES.map((status) => [status, 0]));
+  statusRows.forEach((row) => {
+    statusCounts[row.status] = Number(row.total);
+  });
+
+  return {
+    data: rows,
+    pagination: { page, limit, total: count.total, total_pages: Math.ceil(count.total / limit) },
+    status_counts: statusCounts,
+  };
+}
+
+export { SORT_COLUMNS, BookingListError, listBookings };
@@ -0,0 +1,16 @@
+// services/bookingService.js
+// Helper booking yang dipakai bersama (booking customer & konversi lead marketing)
+import { v4 as uuidv4 } from "uuid";
+
+// Kode booking yang dilihat customer: <prefix kota>-<8 karakter acak>, mis. YOG-1A2B3C4D.
+// Prefix = city_code, atau 3 huruf pertama nama kota / nama paket jika kode kota kosong.
+function generateBookingCode({ city_code, city_name, package_name }) {
+  const prefix = city_code
+    ? city_code.toUpperCase()
+    : city_name
+    ? city_name.substring(0, 3).toUpperCase()
+    : package_name.substring(0, 3).toUpperCase();
+  return `${prefix}-${uuidv4().split("-")[0].slice(0, 8).toUpperCase()}`;
+}
+
+export { generateBookingCode };
@@ -0,0 +1,150 @@
+// services/bookingStatusService.js
+// Satu-satunya tempat untuk mengubah status booking + mencatat riwayatnya
+import pool from "../config/db.js";
+import { releaseBookingSeats } from "./departureService.js";
+
+const BOOKING_STATUSES = [
+  "draft",
+  "menunggu_pembayaran",
+  "dp_lunas",
+  "lunas",
+  "selesai",
+  "dibatalkan",
+];
+
+// status asal -> status tujuan yang diizinkan
+const TRANSITIONS = {
+  draft: ["menunggu_pembayaran", "dibatalkan"],
+  menunggu_pembayaran: ["dp_lunas", "lunas", "dibatalkan"],
+  dp_lunas: ["menunggu_pembayaran", "lunas", "dibatalkan"],
+  lunas: ["menunggu_pembayaran", "dp_lunas", "selesai", "dibatalkan"],
+  selesai: [],
+  dibatalkan: [],
+};
+
+// Nilai lama yang masih dikirim frontend / tersimpan di data lama
+const LEGACY_ALIASES = {
+  PENDING: "menunggu_pembayaran",
+  CONFIRMED: "dp_lunas",
+  LUNAS: "lunas",
+  CANCELED: "dibatalkan",
+  CANCELLED: "dibatalkan",
+};
+
+// Status yang ditentukan oleh saldo pembayaran (services/paymentService.js),
+// tidak boleh di-set manual lewat endpoint status
+const LEDGER_STATUSES = ["menunggu_pembayaran", "dp_lunas", "lunas"];
+
+// Draft dari konversi lead marketing; belum menerima pembayaran sampai dikonfirmasi
+const DRAFT_STATUS = "draft";
+
+// Status di mana tiket sudah boleh diterbitkan
+const TICKETABLE_STATUSES = ["lunas", "selesai"];
+
+class BookingStatusError extends Error {
+  constructor(message, httpStatus = 400) {
+    super(message);
+    this.name = "BookingStatusError";
+    this.httpStatus = httpStatus;
+  }
+}
+
+function normalizeStatus(status) {
+  if (typeof status !== "string") {
+    return null;
+  }
+  const trimmed = status.trim();
+  if (LEGACY_ALIASES[trimmed.toUpperCase()]) {
+    return LEGACY_ALIASES[trimmed.toUpperCase()];
+  }
+  const lower = trimmed.toLowerCase();
+  return BOOKING_STATUSES.includes(lower) ? lower : null;
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Catat status awal saat booking dibuat (dipanggil di dalam transaksi pembuatan booking)
+async function recordInitialStatus(connection, bookingId, status, { changedBy = null, reason = null } = {}) {
+  await connection.execute(
+    "INSERT INTO booking_status_history (booking_id, from_status, to_status, changed_by, reason, created_at) VALUES (?, NULL, ?, ?, ?, NOW())",
+    [bookingId, status, changedBy, reason]
+  );
+}
+
+// Ubah status booking dengan validasi transisi.
+// Harus dipanggil dengan koneksi yang sudah beginTransaction() karena memakai SELECT ... FOR UPDATE.
+// source "ledger" dipakai oleh paymentService untuk status yang mengikuti saldo.
+async function changeBookingStatus(connection, bookingId, requestedStatus, { changedBy = null, reason = null, source = "manual" } = {}) {
+  const toStatus = normalizeStatus(requestedStatus);
+  if (!toStatus) {
+    throw new BookingStatusError(`Status harus salah satu dari: ${BOOKING_STATUSES.join(", ")}`);
+  }
+
+  const [rows] = await connection.execute(
+    "SELECT id, status FROM bookings WHERE id = ? FOR UPDATE",
+    [bookingId]
+  );
+  if (rows.length === 0) {
+    throw new BookingStatusError("Booking tidak ditemukan.", 404);
+  }
+
+  const fromStatus = rows[0].status;
+
+  // Pengecualian: konfirmasi draft menjadi menunggu_pembayaran dilakukan manual
+  const confirmingDraft = fromStatus === DRAFT_STATUS && toStatus === "menunggu_pembayaran";
+  if (source !== "ledger" && LEDGER_STATUSES.includes(toStatus) && !confirmingDraft) {
+    throw new BookingStatusError(
+      "Status pembayaran mengikuti saldo. Catat pembayaran lewat /api/transactions.",
+      409
+    );
+  }
+
+  if (fromStatus === toStatus) {
+    return { from: fromStatus, to: toStatus, changed: false };
+  }
+
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new BookingStatusError(
+      `Status booking tidak dapat diubah dari ${fromStatus} ke ${toStatus}.`,
+      409
+    );
+  }
+
+  // Booking batal -> kursi keberangkatan dikembalikan
+  if (toStatus === "dibatalkan") {
+    await releaseBookingSeats(connection, bookingId);
+  }
+
+  await connection.execute(
+    "UPDATE bookings SET status = ?, updated_at = NOW() WHERE id = ?",
+    [toStatus, bookingId]
+  );
+  await connection.execute(
+    "INSERT INTO booking_status_history (booking_id, from_status, to_status, changed_by, reason, created_at) VALUES (?, ?, ?, ?, ?, NOW())",
+    [bookingId, fromStatus, toStatus, changedBy, reason]
+  );
+
+  return { from: fromStatus, to: toStatus, changed: true };
+}
+
+async function getStatusHistory(bookingId) {
+  const sql = `SELECT h.id, h.from_status, h.to_status, h.reason, h.created_at, h.changed_by, u.username AS changed_by_username FROM booking_status_history h LEFT JOIN users u ON h.changed_by = u.id WHERE h.booking_id = ? ORDER BY h.created_at ASC, h.id ASC`;
+  const [rows] = await pool.execute(sql, [bookingId]);
+  return rows;
+}
+
+export {
+  BOOKING_STATUSES,
+  TRANSITIONS,
+  LEDGER_STATUSES,
+  DRAFT_STATUS,
+  TICKETABLE_STATUSES,
+  BookingStatusError,
+  normalizeStatus,
+  canTransition,
+  recordInitialStatus,
+  changeBookingStatus,
+  getStatusHistory,
+};
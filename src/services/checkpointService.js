@@ -0,0 +1,208 @@
+// services/checkpointService.js
+// Titik absensi per keberangkatan (naik bus, hotel, objek wisata, bus pulang).
+// Scan absensi hanya mencatat kehadiran, tiket tidak dianggap terpakai.
+import pool, { withTransaction } from "../config/db.js";
+import { TICKETABLE_STATUSES } from "./bookingStatusService.js";
+import { verifyTicketToken } from "./ticketService.js";
+import { recordAudit } from "./auditService.js";
+
+const ATTENDANCE_RESULTS = {
+  PRESENT: "present",
+  DUPLICATE: "duplicate",
+  INVALID: "invalid",
+  NOT_FOUND: "not_found",
+  WRONG_DEPARTURE: "wrong_departure",
+  UNPAID: "unpaid",
+  HANGUS: "hangus",
+};
+
+class CheckpointError extends Error {
+  constructor(message, httpStatus = 400) {
+    super(message);
+    this.name = "CheckpointError";
+    this.httpStatus = httpStatus;
+  }
+}
+
+async function listCheckpoints(departureId) {
+  const [rows] = await pool.execute(
+    "SELECT c.id, c.departure_id, c.name, c.sequence, c.scheduled_at, c.created_at, COUNT(a.id) AS present FROM departure_checkpoints c LEFT JOIN checkpoint_attendance a ON a.checkpoint_id = c.id WHERE c.departure_id = ? GROUP BY c.id ORDER BY c.sequence ASC, c.id ASC",
+    [departureId]
+  );
+  return rows;
+}
+
+async function getCheckpoint(id) {
+  const [rows] = await pool.execute(
+    "SELECT id, departure_id, name, sequence, scheduled_at, created_at FROM departure_checkpoints WHERE id = ? LIMIT 1",
+    [id]
+  );
+  return rows[0] || null;
+}
+
+// `actor` = pelaku untuk audit log (auditActor(req))
+async function createCheckpoint(departureId, { name, sequence, scheduled_at }, actor = {}) {
+  if (!name || !String(name).trim()) {
+    throw new CheckpointError("Nama checkpoint wajib diisi.");
+  }
+
+  let order = parseInt(sequence);
+  if (!(order > 0)) {
+    const [[last]] = await pool.execute(
+      "SELECT COALESCE(MAX(sequence), 0) AS last FROM departure_checkpoints WHERE departure_id = ?",
+      [departureId]
+    );
+    order = Number(last.last) + 1;
+  }
+
+  const checkpoint = { departure_id: departureId, name: String(name).trim(), sequence: order, scheduled_at: scheduled_at || null };
+  try {
+    const id = await withTransaction(async (connection) => {
+      const [result] = await connection.execute(
+        "INSERT INTO departure_checkpoints (departure_id, name, sequence, scheduled_at, created_at) VALUES (?, ?, ?, ?, NOW())",
+        Object.values(checkpoint)
+      );
+      await recordAudit(connection, { entity: "checkpoint", entityId: result.insertId, action: "create", after: checkpoint, actor });
+      return result.insertId;
+    });
+    return getCheckpoint(id);
+  } catch (err) {
+    if (err.code === "ER_NO_REFERENCED_ROW_2") {
+      throw new CheckpointError("Jadwal keberangkatan tidak ditemukan.", 404);
+    }
+    throw err;
+  }
+}
+
+async function updateCheckpoint(id, { name, sequence, scheduled_at }, actor = {}) {
+  const fields = [];
+  const values = [];
+
+  if (name !== undefined) {
+    if (!String(name).trim()) {
+      throw new CheckpointError("Nama checkpoint wajib diisi.");
+    }
+    fields.push("name = ?");
+    values.push(String(name).trim());
+  }
+  if (sequence !== undefined) {
+    if (!(parseInt(sequence) > 0)) {
+      throw new CheckpointError("Urutan checkpoint harus lebih dari 0.");
+    }
+    fields.push("sequence = ?");
+    values.push(parseInt(sequence));
+  }
+  if (scheduled_at !== undefined) {
+    fields.push("scheduled_at = ?");
+    values.push(scheduled_at || null);
+  }
+
+  if (fields.length === 0) {
+    throw new CheckpointError("Tidak ada data yang valid untuk diupdate.");
+  }
+
+  await withTransaction(async (connection) => {
+    const [rows] = await connection.execute("SELECT * FROM departure_checkpoints WHERE id = ? FOR UPDATE", [id]);
+    if (rows.length === 0) {
+      throw new CheckpointError("Checkpoint tidak ditemukan.", 404);
+    }
+
+    await connection.execute(`UPDATE departure_checkpoints SET ${fields.join(", ")} WHERE id = ?`, [...values, id]);
+    await recordAudit(connection, {
+      entity: "checkpoint",
+      entityId: id,
+      action: "update",
+      before: rows[0],
+      after: Object.fromEntries(fields.map((field, index) => [field.replace(" = ?", ""), values[index]])),
+      actor,
+    });
+  });
+  return getCheckpoint(id);
+}
+
+// Absensi ikut terhapus (ON DELETE CASCADE)
+async function deleteCheckpoint(id, actor = {}) {
+  await withTransaction(async (connection) => {
+    const [rows] = await connection.execute("SELECT * FROM departure_checkpoints WHERE id = ? FOR UPDATE", [id]);
+    if (rows.length === 0) {
+      throw new CheckpointError("Checkpoint tidak ditemukan.", 404);
+    }
+
+    await connection.execute("DELETE FROM departure_checkpoints WHERE id = ?", [id]);
+    await recordAudit(connection, { entity: "checkpoint", entityId: id, action: "delete", before: rows[0], actor });
+  });
+}
+
+// Scan absensi di checkpoint. Peserta yang sudah tercatat hadir dikembalikan sebagai duplicate.
+async function recordAttendance(checkpointId, ticketToken, { deviceId = null, operatorId = null } = {}) {
+  const checkpoint = await getCheckpoint(checkpointId);
+  if (!checkpoint) {
+    throw new CheckpointError("Checkpoint tidak ditemukan.", 404);
+  }
+
+  const ticket = verifyTicketToken(ticketToken);
+  if (!ticket) {
+    return { result: ATTENDANCE_RESULTS.INVALID, checkpoint, participant: null };
+  }
+
+  const [rows] = await pool.execute(
+    "SELECT pt.id, pt.booking_id, pt.name, pt.status, b.status AS booking_status, b.departure_id FROM participants pt JOIN bookings b ON pt.booking_id = b.id WHERE pt.id = ? AND pt.booking_id = ? LIMIT 1",
+    [ticket.participantId, ticket.bookingId]
+  );
+  const participant = rows[0] || null;
+
+  if (!participant) return { result: ATTENDANCE_RESULTS.NOT_FOUND, checkpoint, participant };
+  if (String(participant.departure_id) !== String(checkpoint.departure_id)) {
+    return { result: ATTENDANCE_RESULTS.WRONG_DEPARTURE, checkpoint, participant };
+  }
+  if (!TICKETABLE_STATUSES.includes(participant.booking_status)) {
+    return { result: ATTENDANCE_RESULTS.UNPAID, checkpoint, participant };
+  }
+  if (participant.status === "hangus") return { result: ATTENDANCE_RESULTS.HANGUS, checkpoint, participant };
+
+  // INSERT IGNORE + unique (checkpoint, peserta) agar scan ganda tidak mencatat dua kali
+  const [result] = await pool.execute(
+    "INSERT IGNORE INTO checkpoint_attendance (checkpoint_id, participant_id, operator_id, device_id, scanned_at) VALUES (?, ?, ?, ?, NOW())",
+    [checkpoint.id, participant.id, operatorId, deviceId]
+  );
+
+  return {
+    result: result.affectedRows === 0 ? ATTENDANCE_RESULTS.DUPLICATE : ATTENDANCE_RESULTS.PRESENT,
+    checkpoint,
+    participant,
+  };
+}
+
+// Peserta keberangkatan yang belum tercatat hadir di checkpoint ini
+async function getMissingParticipants(checkpointId) {
+  const checkpoint = await getCheckpoint(checkpointId);
+  if (!checkpoint) {
+    throw new CheckpointError("Checkpoint tidak ditemukan.", 404);
+  }
+
+  const placeholders = TICKETABLE_STATUSES.map(() => "?").join(", ");
+  const [rows] = await pool.execute(
+    `SELECT pt.id, pt.name, pt.status, b.id AS booking_id, b.booking_id AS booking_code, b.customer_name, b.customer_email, a.scanned_at AS present_at FROM participants pt JOIN bookings b ON pt.booking_id = b.id LEFT JOIN checkpoint_attendance a ON a.participant_id = pt.id AND a.checkpoint_id = ? WHERE b.departure_id = ? AND b.status IN (${placeholders}) AND pt.status <> 'hangus' ORDER BY pt.name ASC`,
+    [checkpoint.id, checkpoint.departure_id, ...TICKETABLE_STATUSES]
+  );
+
+  const missing = rows.filter((row) => !row.present_at).map(({ present_at, ...row }) => row);
+  return {
+    checkpoint,
+    total: rows.length,
+    present: rows.length - missing.length,
+    missing,
+  };
+}
+
+export {
+  ATTENDANCE_RESULTS,
+  CheckpointError,
+  listCheckpoints,
+  getCheckpoint,
+  createCheckpoint,
+  updateCheckpoint,
+  deleteCheckpoint,
+  recordAttendance,
+  getMissingParticipants,
+};
@@ -0,0 +1,184 @@
+// services/dashboardService.js
+// Agregasi data untuk dashboard admin. Semua fungsi menerima rentang tanggal { from, to } (inklusif).
+import pool from "../config/db.js";
+import { TICKETABLE_STATUSES } from "./bookingStatusService.js";
+import { NET_AMOUNT_SQL } from "./paymentService.js";
+import { parseDateRange as parseRange } from "../utils/dateRange.js";
+
+class DashboardError extends Error {
+  constructor(message, httpStatus = 400) {
+    super(message);
+    this.name = "DashboardError";
+    this.httpStatus = httpStatus;
+  }
+}
+
+// Validasi ?from=YYYY-MM-DD&to=YYYY-MM-DD dari query string
+const parseDateRange = (query) => parseRange(query, DashboardError);
+
+// Filter kolom DATETIME; 'to' mencakup seluruh hari tersebut
+function rangeFilter(column, { from, to }) {
+  const where = [];
+  const params = [];
+  if (from) {
+    where.push(`${column} >= ?`);
+    params.push(from);
+  }
+  if (to) {
+    where.push(`${column} < DATE_ADD(?, INTERVAL 1 DAY)`);
+    params.push(to);
+  }
+  return { where, params };
+}
+
+const whereClause = (where) => (where.length ? ` WHERE ${where.join(" AND ")}` : "");
+
+// Pendapatan bersih per bulan dari ledger transaksi
+async function getRevenueByMonth(range) {
+  const { where, params } = rangeFilter("t.created_at", range);
+  const [rows] = await pool.execute(
+    `SELECT DATE_FORMAT(t.created_at, '%Y-%m') AS month, SUM(CASE WHEN t.entry_type = 'payment' THEN t.amount_paid ELSE 0 END) AS payments, SUM(CASE WHEN t.entry_type = 'refund' THEN t.amount_paid ELSE 0 END) AS refunds, SUM(CASE WHEN t.entry_type = 'reversal' THEN t.amount_paid ELSE 0 END) AS reversals, ${NET_AMOUNT_SQL} AS net, COUNT(*) AS entries FROM transactions t${whereClause(where)} GROUP BY month ORDER BY month ASC`,
+    params
+  );
+  return rows.map((row) => ({
+    ...row,
+    payments: Number(row.payments),
+    refunds: Number(row.refunds),
+    reversals: Number(row.reversals),
+    net: Number(row.net),
+  }));
+}
+
+async function getBookingsByStatus(range) {
+  const { where, params } = rangeFilter("b.created_at", range);
+  const [rows] = await pool.execute(
+    `SELECT b.status, COUNT(*) AS bookings, COALESCE(SUM(b.total_price), 0) AS total_value FROM bookings b${whereClause(where)} GROUP BY b.status ORDER BY bookings DESC`,
+    params
+  );
+  return rows.map((row) => ({ ...row, total_value: Number(row.total_value) }));
+}
+
+// groupBy: "city" atau "package". Booking dibatalkan tidak dihitung.
+async function getBookingsBreakdown(groupBy, range) {
+  const group =
+    groupBy === "city"
+      ? { select: "c.id AS city_id, c.city_name", key: "c.id, c.city_name" }
+      : { select: "p.id AS package_id, p.name AS package_name, c.city_name", key: "p.id, p.name, c.city_name" };
+
+  const { where, params } = rangeFilter("b.created_at", range);
+  where.push("b.status <> 'dibatalkan'");
+
+  const [rows] = await pool.execute(
+    `SELECT ${group.select}, COUNT(*) AS bookings, COALESCE(SUM(pc.participants), 0) AS participants, COALESCE(SUM(b.total_price), 0) AS total_value FROM bookings b LEFT JOIN packages p ON b.package_id = p.id LEFT JOIN cities c ON p.city_id = c.id LEFT JOIN (SELECT booking_id, COUNT(*) AS participants FROM participants GROUP BY booking_id) pc ON pc.booking_id = b.id${whereClause(where)} GROUP BY ${group.key} ORDER BY bookings DESC`,
+    params
+  );
+  return rows.map((row) => ({ ...row, participants: Number(row.participants), total_value: Number(row.total_value) }));
+}
+
+// Okupansi keberangkatan; tanpa filter default mulai hari ini
+async function getDepartureOccupancy({ from, to }) {
+  const where = ["d.departure_date >= ?", "d.status <> 'cancelled'"];
+  const params = [from || new Date().toLocaleDateString("sv-SE")];
+  if (to) {
+    where.push("d.departure_date <= ?");
+    params.push(to);
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT d.id, d.package_id, p.name AS package_name, d.departure_date, d.status, d.quota, d.seats_reserved, GREATEST(d.quota - d.seats_reserved, 0) AS remaining_seats, ROUND(d.seats_reserved / NULLIF(d.quota, 0) * 100, 1) AS occupancy_rate FROM departures d LEFT JOIN packages p ON d.package_id = p.id${whereClause(where)} ORDER BY d.departure_date ASC, d.id ASC`,
+    params
+  );
+  return rows.map((row) => ({ ...row, occupancy_rate: Number(row.occupancy_rate) || 0 }));
+}
+
+// Tingkat check-in per keberangkatan (berdasarkan participants.scanned_at)
+async function getCheckInRates({ from, to }) {
+  const where = [`b.status IN (${TICKETABLE_STATUSES.map(() => "?").join(", ")})`];
+  const params = [...TICKETABLE_STATUSES];
+  if (from) {
+    where.push("d.departure_date >= ?");
+    params.push(from);
+  }
+  if (to) {
+    where.push("d.departure_date <= ?");
+    params.push(to);
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT d.id AS departure_id, p.name AS package_name, d.departure_date, COUNT(pt.id) AS participants, COUNT(pt.scanned_at) AS checked_in FROM departures d JOIN bookings b ON b.departure_id = d.id JOIN participants pt ON pt.booking_id = b.id LEFT JOIN packages p ON d.package_id = p.id${whereClause(where)} GROUP BY d.id, p.name, d.departure_date ORDER BY d.departure_date ASC`,
+    params
+  );
+
+  const departures = rows.map((row) => ({
+    ...row,
+    check_in_rate: row.participants > 0 ? Math.round((row.checked_in / row.participants) * 1000) / 10 : 0,
+  }));
+  const participants = departures.reduce((sum, row) => sum + Number(row.participants), 0);
+  const checkedIn = departures.reduce((sum, row) => sum + Number(row.checked_in), 0);
+
+  return {
+    overall: {
+      participants,
+      checked_in: checkedIn,
+      check_in_rate: participants > 0 ? Math.round((checkedIn / participants) * 1000) / 10 : 0,
+    },
+    departures,
+  };
+}
+
+// Kunjungan marketing per salesperson (user yang menginput; data lama memakai kolom nama)
+async function getMarketingVisits({ from, to }) {
+  const where = [];
+  const params = [];
+  if (from) {
+    where.push("m.tanggal >= ?");
+    params.push(from);
+  }
+  if (to) {
+    where.push("m.tanggal <= ?");
+    params.push(to);
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT m.created_by AS user_id, COALESCE(u.username, m.nama, 'Tidak diketahui') AS salesperson, COUNT(*) AS visits, MIN(m.tanggal) AS first_visit, MAX(m.tanggal) AS last_visit FROM marketing m LEFT JOIN users u ON m.created_by = u.id${whereClause(where)} GROUP BY m.created_by, salesperson ORDER BY visits DESC`,
+    params
+  );
+  return rows;
+}
+
+async function getSummary(range) {
+  const [revenue, byStatus, occupancy, checkIns, marketing] = await Promise.all([
+    getRevenueByMonth(range),
+    getBookingsByStatus(range),
+    getDepartureOccupancy(range),
+    getCheckInRates(range),
+    getMarketingVisits(range),
+  ]);
+
+  return {
+    range,
+    revenue: {
+      net: revenue.reduce((sum, row) => sum + row.net, 0),
+      by_month: revenue,
+    },
+    bookings: {
+      total: byStatus.reduce((sum, row) => sum + Number(row.bookings), 0),
+      by_status: byStatus,
+    },
+    upcoming_departures: occupancy.length,
+    check_in: checkIns.overall,
+    marketing_visits: marketing.reduce((sum, row) => sum + Number(row.visits), 0),
+  };
+}
+
+export {
+  DashboardError,
+  parseDateRange,
+  getRevenueByMonth,
+  getBookingsByStatus,
+  getBookingsBreakdown,
+  getDepartureOccupancy,
+  getCheckInRates,
+  getMarketingVisits,
+  getSummary,
+};
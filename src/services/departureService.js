@@ -0,0 +1,113 @@
+// services/departureService.js
+// Jadwal keberangkatan per paket dan reservasi kursi
+import pool from "../config/db.js";
+
+const DEPARTURE_STATUSES = ["open", "closed", "departed", "cancelled"];
+
+class DepartureError extends Error {
+  constructor(message, httpStatus = 400, details = undefined) {
+    super(message);
+    this.name = "DepartureError";
+    this.httpStatus = httpStatus;
+    this.details = details;
+  }
+}
+
+const SELECT_DEPARTURE = `SELECT d.id, d.package_id, p.name AS package_name, d.departure_date, d.return_date, d.quota, d.seats_reserved, GREATEST(d.quota - d.seats_reserved, 0) AS remaining_seats, d.status, d.notes, d.created_at, d.updated_at FROM departures d LEFT JOIN packages p ON d.package_id = p.id`;
+
+async function listDepartures({ packageId, from, to, status, availableOnly = false } = {}) {
+  const where = [];
+  const params = [];
+
+  if (packageId) {
+    where.push("d.package_id = ?");
+    params.push(packageId);
+  }
+  if (from) {
+    where.push("d.departure_date >= ?");
+    params.push(from);
+  }
+  if (to) {
+    where.push("d.departure_date <= ?");
+    params.push(to);
+  }
+  if (status) {
+    where.push("d.status = ?");
+    params.push(status);
+  }
+  if (availableOnly) {
+    where.push("d.status = 'open' AND d.departure_date >= CURDATE() AND d.seats_reserved < d.quota");
+  }
+
+  const sql = `${SELECT_DEPARTURE}${where.length ? ` WHERE ${where.join(" AND ")}` : ""} ORDER BY d.departure_date ASC, d.id ASC`;
+  const [rows] = await pool.execute(sql, params);
+  return rows;
+}
+
+async function getDeparture(id) {
+  const [rows] = await pool.execute(`${SELECT_DEPARTURE} WHERE d.id = ? LIMIT 1`, [id]);
+  return rows[0] || null;
+}
+
+// Reservasi kursi di dalam transaksi booking.
+// UPDATE bersyarat bersifat atomik sehingga dua booking bersamaan tidak bisa oversell.
+async function reserveSeats(connection, departureId, packageId, seats) {
+  const [result] = await connection.execute(
+    "UPDATE departures SET seats_reserved = seats_reserved + ?, updated_at = NOW() WHERE id = ? AND package_id = ? AND status = 'open' AND departure_date >= CURDATE() AND seats_reserved + ? <= quota",
+    [seats, departureId, packageId, seats]
+  );
+
+  const [rows] = await connection.execute(
+    "SELECT id, package_id, departure_date, quota, seats_reserved, status FROM departures WHERE id = ? LIMIT 1",
+    [departureId]
+  );
+  const departure = rows[0];
+
+  if (result.affectedRows === 0) {
+    if (!departure || String(departure.package_id) !== String(packageId)) {
+      throw new DepartureError("Jadwal keberangkatan tidak ditemukan untuk paket ini.", 404);
+    }
+    if (departure.status !== "open") {
+      throw new DepartureError("Jadwal keberangkatan sudah ditutup.", 409);
+    }
+    throw new DepartureError("Kursi tidak mencukupi untuk jadwal ini.", 409, {
+      remaining_seats: Math.max(departure.quota - departure.seats_reserved, 0),
+      requested: seats,
+    });
+  }
+
+  return departure;
+}
+
+// Kembalikan kursi saat booking dibatalkan / dihapus
+async function releaseSeats(connection, departureId, seats) {
+  if (!departureId || !seats) {
+    return;
+  }
+  await connection.execute(
+    "UPDATE departures SET seats_reserved = GREATEST(seats_reserved - ?, 0), updated_at = NOW() WHERE id = ?",
+    [seats, departureId]
+  );
+}
+
+// Lepas kursi milik satu booking (jumlah kursi = jumlah peserta).
+// Panggil sebelum status diubah / peserta dihapus; booking batal kursinya sudah dilepas.
+async function releaseBookingSeats(connection, bookingId) {
+  const [rows] = await connection.execute(
+    "SELECT b.departure_id, b.status, COUNT(pt.id) AS seats FROM bookings b LEFT JOIN participants pt ON pt.booking_id = b.id WHERE b.id = ? GROUP BY b.id",
+    [bookingId]
+  );
+  if (rows.length > 0 && rows[0].status !== "dibatalkan") {
+    await releaseSeats(connection, rows[0].departure_id, rows[0].seats);
+  }
+}
+
+export {
+  DEPARTURE_STATUSES,
+  DepartureError,
+  listDepartures,
+  getDeparture,
+  reserveSeats,
+  releaseSeats,
+  releaseBookingSeats,
+};
@@ -0,0 +1,105 @@
+// services/emailTemplates.js
+// Template email customer (Bahasa Indonesia). Setiap template -> { subject, text, html }
+import { formatRupiah, formatDate } from "../utils/format.js";
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+// Baris [label, nilai] -> teks biasa dan tabel HTML
+function renderRows(rows) {
+  return {
+    text: rows.map(([label, value]) => `${label}: ${value}`).join("\n"),
+    html: `<table cellpadding="4" style="border-collapse:collapse">${rows
+      .map(([label, value]) => `<tr><td style="color:#555">${escapeHtml(label)}</td><td><strong>${escapeHtml(value)}</strong></td></tr>`)
+      .join("")}</table>`,
+  };
+}
+
+function layout(booking, paragraphs, rows, closing) {
+  const table = renderRows(rows);
+  const greeting = `Assalamu'alaikum ${booking.customer_name},`;
+  const footer = "Salam hangat,\nBarokah Tour";
+
+  return {
+    text: [greeting, ...paragraphs, table.text, closing, footer].filter(Boolean).join("\n\n"),
+    html: `<div style="font-family:Arial,sans-serif;font-size:14px;color:#222">
+<div style="background:#0B6E4F;color:#fff;padding:16px"><strong style="font-size:18px">BAROKAH TOUR</strong></div>
+<p>${escapeHtml(greeting)}</p>
+${paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join("\n")}
+${table.html}
+${closing ? `<p>${escapeHtml(closing)}</p>` : ""}
+<p>Salam hangat,<br>Barokah Tour</p>
+</div>`,
+  };
+}
+
+function bookingRows(booking) {
+  return [
+    ["Kode Booking", booking.booking_id],
+    ["Paket", booking.package_name || "-"],
+    ["Keberangkatan", formatDate(booking.departure_date)],
+  ];
+}
+
+function bookingCreated({ booking, balance, participantCount }) {
+  const instructions =
+    process.env.PAYMENT_INSTRUCTIONS ||
+    "Pembayaran dapat dilakukan melalui Virtual Account atau QRIS yang diberikan admin kami, atau transfer ke rekening resmi Barokah Tour.";
+
+  return {
+    subject: `Booking ${booking.booking_id} berhasil dibuat - menunggu pembayaran`,
+    ...layout(
+      booking,
+      ["Terima kasih telah melakukan pemesanan di Barokah Tour. Berikut detail booking Anda:"],
+      [
+        ...bookingRows(booking),
+        ["Jumlah Peserta", `${participantCount} orang`],
+        ["Total Tagihan", formatRupiah(balance.total_price)],
+      ],
+      `${instructions} Cantumkan kode booking ${booking.booking_id} saat melakukan pembayaran. E-tiket akan dikirim setelah pembayaran lunas.`
+    ),
+  };
+}
+
+function paymentReceived({ booking, payment, balance }) {
+  return {
+    subject: `Pembayaran diterima - ${booking.booking_id}`,
+    ...layout(
+      booking,
+      ["Pembayaran Anda telah kami terima. Simpan email ini sebagai bukti pembayaran."],
+      [
+        ["No. Kwitansi", `TRX-${payment.id}`],
+        ...bookingRows(booking),
+        ["Tanggal Bayar", formatDate(payment.created_at)],
+        ["Jenis Pembayaran", payment.payment_type || "-"],
+        ["Metode", payment.payment_method || "-"],
+        ["Jumlah Dibayar", formatRupiah(payment.amount_paid)],
+        ["Total Sudah Dibayar", formatRupiah(balance.paid)],
+        ["Sisa Tagihan", formatRupiah(balance.outstanding)],
+      ],
+      balance.outstanding > 0
+        ? "Mohon lunasi sisa tagihan sebelum tanggal keberangkatan."
+        : "Pembayaran Anda sudah lunas. E-tiket akan segera kami kirimkan."
+    ),
+  };
+}
+
+function ticketReady({ booking, participants }) {
+  return {
+    subject: `E-Tiket perjalanan ${booking.booking_id}`,
+    ...layout(
+      booking,
+      [
+        "Pembayaran Anda sudah lunas. E-tiket terlampir dalam email ini (PDF).",
+        "Setiap peserta memiliki QR code masing-masing. Tunjukkan QR code kepada petugas saat keberangkatan.",
+      ],
+      [
+        ...bookingRows(booking),
+        ["Peserta", participants.map((participant) => participant.name).join(", ")],
+      ],
+      "Sampai jumpa di titik kumpul. Semoga perjalanan Anda penuh berkah."
+    ),
+  };
+}
+
+export { bookingCreated, paymentReceived, ticketReady };
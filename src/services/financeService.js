@@ -0,0 +1,385 @@
+// services/financeService.js
+// Keuangan operasional: biaya trip (bus, hotel, makan, guide) per paket / keberangkatan,
+// kas masuk / keluar umum, serta laporan pendapatan, biaya dan margin.
+import pool, { withTransaction } from "../config/db.js";
+import { recordAudit } from "./auditService.js";
+import { NET_AMOUNT_SQL } from "./paymentService.js";
+import { isDateString, parseDateRange as parseRange } from "../utils/dateRange.js";
+
+const EXPENSE_CATEGORIES = ["bus", "hotel", "makan", "guide", "tiket_wisata", "lainnya"];
+const CASH_DIRECTIONS = ["in", "out"];
+
+class FinanceError extends Error {
+  constructor(message, httpStatus = 400) {
+    super(message);
+    this.name = "FinanceError";
+    this.httpStatus = httpStatus;
+  }
+}
+
+function toAmount(value) {
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount > 0 ? Math.round(amount * 100) / 100 : null;
+}
+
+function assertDate(value, label) {
+  if (value && !isDateString(value)) {
+    throw new FinanceError(`Format ${label} harus YYYY-MM-DD.`);
+  }
+}
+
+const parseDateRange = (query) => parseRange(query, FinanceError);
+
+function dateFilter(column, { from, to }, where, params) {
+  if (from) {
+    where.push(`${column} >= ?`);
+    params.push(from);
+  }
+  if (to) {
+    where.push(`${column} <= ?`);
+    params.push(to);
+  }
+}
+
+// Kolom DATETIME: 'to' mencakup seluruh hari tersebut. Kolom tidak dibungkus DATE() agar index tetap terpakai.
+function dateTimeFilter(column, { from, to }, where, params) {
+  if (from) {
+    where.push(`${column} >= ?`);
+    params.push(from);
+  }
+  if (to) {
+    where.push(`${column} < DATE_ADD(?, INTERVAL 1 DAY)`);
+    params.push(to);
+  }
+}
+
+const whereClause = (where) => (where.length ? ` WHERE ${where.join(" AND ")}` : "");
+
+// Keberangkatan menentukan paket; biaya tanpa keberangkatan dicatat sebagai biaya paket
+async function resolveTarget(packageId, departureId) {
+  if (departureId) {
+    const [rows] = await pool.execute("SELECT id, package_id FROM departures WHERE id = ? LIMIT 1", [departureId]);
+    if (rows.length === 0) throw new FinanceError("Jadwal keberangkatan tidak ditemukan.", 404);
+    if (packageId && String(packageId) !== String(rows[0].package_id)) {
+      throw new FinanceError("Keberangkatan bukan milik paket tersebut.");
+    }
+    return { packageId: rows[0].package_id, departureId: rows[0].id };
+  }
+  if (packageId) {
+    const [rows] = await pool.execute("SELECT id FROM packages WHERE id = ? LIMIT 1", [packageId]);
+    if (rows.length === 0) throw new FinanceError("Paket tidak ditemukan.", 404);
+    return { packageId: rows[0].id, departureId: null };
+  }
+  throw new FinanceError("package_id atau departure_id wajib diisi.");
+}
+
+// ------------------ BIAYA TRIP ------------------
+
+const SELECT_EXPENSE = `SELECT e.id, e.package_id, p.name AS package_name, e.departure_id, d.departure_date, e.category, e.description, e.amount, e.expense_date, e.receipt_file, e.created_by, u.username AS created_by_username, e.created_at, e.updated_at FROM trip_expenses e LEFT JOIN packages p ON e.package_id = p.id LEFT JOIN departures d ON e.departure_id = d.id LEFT JOIN users u ON e.created_by = u.id`;
+
+async function listExpenses({ packageId, departureId, category, from, to } = {}) {
+  const where = [];
+  const params = [];
+  if (packageId) {
+    where.push("e.package_id = ?");
+    params.push(packageId);
+  }
+  if (departureId) {
+    where.push("e.departure_id = ?");
+    params.push(departureId);
+  }
+  if (category) {
+    where.push("e.category = ?");
+    params.push(category);
+  }
+  dateFilter("e.expense_date", parseDateRange({ from, to }), where, params);
+
+  const [rows] = await pool.execute(`${SELECT_EXPENSE}${whereClause(where)} ORDER BY e.expense_date DESC, e.id DESC`, params);
+  return rows;
+}
+
+async function getExpense(id) {
+  const [rows] = await pool.execute(`${SELECT_EXPENSE} WHERE e.id = ? LIMIT 1`, [id]);
+  return rows[0] || null;
+}
+
+// `actor` = pelaku untuk audit log (auditActor(req))
+async function createExpense({ package_id, departure_id, category, description, amount, expense_date }, { receiptFile = null, createdBy = null, actor = {} } = {}) {
+  if (!EXPENSE_CATEGORIES.includes(category)) {
+    throw new FinanceError(`Kategori harus salah satu dari: ${EXPENSE_CATEGORIES.join(", ")}`);
+  }
+  const value = toAmount(amount);
+  if (!value) throw new FinanceError("Jumlah biaya harus lebih dari 0.");
+  if (!expense_date) throw new FinanceError("expense_date wajib diisi.");
+  assertDate(expense_date, "expense_date");
+
+  const target = await resolveTarget(package_id, departure_id);
+  const expense = {
+    package_id: target.packageId,
+    departure_id: target.departureId,
+    category,
+    description: description || null,
+    amount: value,
+    expense_date,
+    receipt_file: receiptFile,
+    created_by: createdBy,
+  };
+  const id = await withTransaction(async (connection) => {
+    const [result] = await connection.execute(
+      "INSERT INTO trip_expenses (package_id, departure_id, category, description, amount, expense_date, receipt_file, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())",
+      Object.values(expense)
+    );
+    await recordAudit(connection, { entity: "expense", entityId: result.insertId, action: "create", after: expense, actor });
+    return result.insertId;
+  });
+  return getExpense(id);
+}
+
+async function updateExpense(id, body, { receiptFile = null, actor = {} } = {}) {
+  const existing = await getExpense(id);
+  if (!existing) throw new FinanceError("Data biaya tidak ditemukan.", 404);
+
+  const fields = [];
+  const values = [];
+
+  if (body.package_id !== undefined || body.departure_id !== undefined) {
+    const target = await resolveTarget(
+      body.package_id !== undefined ? body.package_id : existing.package_id,
+      body.departure_id !== undefined ? body.departure_id : existing.departure_id
+    );
+    fields.push("package_id = ?", "departure_id = ?");
+    values.push(target.packageId, target.departureId);
+  }
+  if (body.category !== undefined) {
+    if (!EXPENSE_CATEGORIES.includes(body.category)) {
+      throw new FinanceError(`Kategori harus salah satu dari: ${EXPENSE_CATEGORIES.join(", ")}`);
+    }
+    fields.push("category = ?");
+    values.push(body.category);
+  }
+  if (body.description !== undefined) {
+    fields.push("description = ?");
+    values.push(body.description || null);
+  }
+  if (body.amount !== undefined) {
+    const value = toAmount(body.amount);
+    if (!value) throw new FinanceError("Jumlah biaya harus lebih dari 0.");
+    fields.push("amount = ?");
+    values.push(value);
+  }
+  if (body.expense_date !== undefined) {
+    if (!body.expense_date) throw new FinanceError("expense_date wajib diisi.");
+    assertDate(body.expense_date, "expense_date");
+    fields.push("expense_date = ?");
+    values.push(body.expense_date);
+  }
+  if (receiptFile) {
+    fields.push("receipt_file = ?");
+    values.push(receiptFile);
+  }
+
+  if (fields.length === 0) {
+    throw new FinanceError("Tidak ada data yang valid untuk diupdate.");
+  }
+
+  await withTransaction(async (connection) => {
+    const [rows] = await connection.execute("SELECT * FROM trip_expenses WHERE id = ? FOR UPDATE", [id]);
+    if (rows.length === 0) throw new FinanceError("Data biaya tidak ditemukan.", 404);
+
+    await connection.execute(`UPDATE trip_expenses SET ${fields.join(", ")}, updated_at = NOW() WHERE id = ?`, [...values, id]);
+    await recordAudit(connection, {
+      entity: "expense",
+      entityId: id,
+      action: "update",
+      before: rows[0],
+      after: Object.fromEntries(fields.map((field, index) => [field.replace(" = ?", ""), values[index]])),
+      actor,
+    });
+  });
+  return getExpense(id);
+}
+
+async function deleteExpense(id, { actor = {} } = {}) {
+  return withTransaction(async (connection) => {
+    const [rows] = await connection.execute("SELECT * FROM trip_expenses WHERE id = ? FOR UPDATE", [id]);
+    if (rows.length === 0) throw new FinanceError("Data biaya tidak ditemukan.", 404);
+
+    await connection.execute("DELETE FROM trip_expenses WHERE id = ?", [id]);
+    await recordAudit(connection, { entity: "expense", entityId: id, action: "delete", before: rows[0], actor });
+    return rows[0];
+  });
+}
+
+// ------------------ KAS MASUK / KELUAR ------------------
+
+async function listCashEntries({ direction, category, from, to } = {}) {
+  const where = [];
+  const params = [];
+  if (direction) {
+    where.push("k.direction = ?");
+    params.push(direction);
+  }
+  if (category) {
+    where.push("k.category = ?");
+    params.push(category);
+  }
+  dateFilter("k.entry_date", parseDateRange({ from, to }), where, params);
+
+  const [rows] = await pool.execute(
+    `SELECT k.id, k.direction, k.category, k.description, k.amount, k.entry_date, k.receipt_file, k.created_by, u.username AS created_by_username, k.created_at FROM cash_entries k LEFT JOIN users u ON k.created_by = u.id${whereClause(where)} ORDER BY k.entry_date DESC, k.id DESC`,
+    params
+  );
+  return rows;
+}
+
+async function createCashEntry({ direction, category, description, amount, entry_date }, { receiptFile = null, createdBy = null, actor = {} } = {}) {
+  if (!CASH_DIRECTIONS.includes(direction)) {
+    throw new FinanceError(`direction harus salah satu dari: ${CASH_DIRECTIONS.join(", ")}`);
+  }
+  if (!category || !String(category).trim()) throw new FinanceError("Kategori wajib diisi.");
+  const value = toAmount(amount);
+  if (!value) throw new FinanceError("Jumlah harus lebih dari 0.");
+  if (!entry_date) throw new FinanceError("entry_date wajib diisi.");
+  assertDate(entry_date, "entry_date");
+
+  const entry = {
+    direction,
+    category: String(category).trim(),
+    description: description || null,
+    amount: value,
+    entry_date,
+    receipt_file: receiptFile,
+    created_by: createdBy,
+  };
+  const id = await withTransaction(async (connection) => {
+    const [result] = await connection.execute(
+      "INSERT INTO cash_entries (direction, category, description, amount, entry_date, receipt_file, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())",
+      Object.values(entry)
+    );
+    await recordAudit(connection, { entity: "cash_entry", entityId: result.insertId, action: "create", after: entry, actor });
+    return result.insertId;
+  });
+  const [rows] = await pool.execute("SELECT * FROM cash_entries WHERE id = ?", [id]);
+  return rows[0];
+}
+
+async function deleteCashEntry(id, { actor = {} } = {}) {
+  return withTransaction(async (connection) => {
+    const [rows] = await connection.execute("SELECT * FROM cash_entries WHERE id = ? FOR UPDATE", [id]);
+    if (rows.length === 0) throw new FinanceError("Data kas tidak ditemukan.", 404);
+
+    await connection.execute("DELETE FROM cash_entries WHERE id = ?", [id]);
+    await recordAudit(connection, { entity: "cash_entry", entityId: id, action: "delete", before: rows[0], actor });
+    return rows[0];
+  });
+}
+
+// ------------------ LAPORAN ------------------
+
+const margin = (revenue, cost) => ({
+  margin: Math.round((revenue - cost) * 100) / 100,
+  margin_rate: revenue > 0 ? Math.round(((revenue - cost) / revenue) * 1000) / 10 : null,
+});
+
+// Laba per trip (keberangkatan) berdasarkan tanggal keberangkatan
+async function getTripReport(query) {
+  const range = parseDateRange(query);
+  const where = ["d.status <> 'cancelled'"];
+  const params = [];
+  dateFilter("d.departure_date", range, where, params);
+
+  const [rows] = await pool.execute(
+    `SELECT d.id AS departure_id, d.package_id, p.name AS package_name, d.departure_date, d.status, d.seats_reserved AS participants, (SELECT ${NET_AMOUNT_SQL} FROM transactions t JOIN bookings b ON t.booking_id = b.id WHERE b.departure_id = d.id) AS revenue, (SELECT COALESCE(SUM(e.amount), 0) FROM trip_expenses e WHERE e.departure_id = d.id) AS cost FROM departures d LEFT JOIN packages p ON d.package_id = p.id${whereClause(where)} ORDER BY d.departure_date ASC, d.id ASC`,
+    params
+  );
+  const trips = rows.map((row) => {
+    const revenue = Number(row.revenue);
+    const cost = Number(row.cost);
+    return { ...row, revenue, cost, ...margin(revenue, cost) };
+  });
+
+  // Biaya yang hanya dicatat ke paket (belum dialokasikan ke keberangkatan)
+  const costWhere = ["e.departure_id IS NULL"];
+  const costParams = [];
+  dateFilter("e.expense_date", range, costWhere, costParams);
+  const [packageCosts] = await pool.execute(
+    `SELECT e.package_id, p.name AS package_name, COALESCE(SUM(e.amount), 0) AS cost FROM trip_expenses e LEFT JOIN packages p ON e.package_id = p.id${whereClause(costWhere)} GROUP BY e.package_id, p.name`,
+    costParams
+  );
+
+  const revenue = trips.reduce((sum, trip) => sum + trip.revenue, 0);
+  const cost = trips.reduce((sum, trip) => sum + trip.cost, 0);
+  return {
+    filters: range,
+    totals: { revenue, cost, ...margin(revenue, cost) },
+    trips,
+    unallocated_package_costs: packageCosts.map((row) => ({ ...row, cost: Number(row.cost) })),
+  };
+}
+
+// Rekap bulanan: pendapatan ledger, biaya trip, kas masuk / keluar
+async function getMonthlyReport(query) {
+  const range = parseDateRange(query);
+
+  const revenueWhere = [];
+  const revenueParams = [];
+  dateTimeFilter("t.created_at", range, revenueWhere, revenueParams);
+  const [revenueRows] = await pool.execute(
+    `SELECT DATE_FORMAT(t.created_at, '%Y-%m') AS month, ${NET_AMOUNT_SQL} AS amount FROM transactions t${whereClause(revenueWhere)} GROUP BY month`,
+    revenueParams
+  );
+
+  const costWhere = [];
+  const costParams = [];
+  dateFilter("e.expense_date", range, costWhere, costParams);
+  const [costRows] = await pool.execute(
+    `SELECT DATE_FORMAT(e.expense_date, '%Y-%m') AS month, COALESCE(SUM(e.amount), 0) AS amount FROM trip_expenses e${whereClause(costWhere)} GROUP BY month`,
+    costParams
+  );
+
+  const cashWhere = [];
+  const cashParams = [];
+  dateFilter("k.entry_date", range, cashWhere, cashParams);
+  const [cashRows] = await pool.execute(
+    `SELECT DATE_FORMAT(k.entry_date, '%Y-%m') AS month, COALESCE(SUM(CASE WHEN k.direction = 'in' THEN k.amount ELSE 0 END), 0) AS cash_in, COALESCE(SUM(CASE WHEN k.direction = 'out' THEN k.amount ELSE 0 END), 0) AS cash_out FROM cash_entries k${whereClause(cashWhere)} GROUP BY month`,
+    cashParams
+  );
+
+  const months = {};
+  const monthRow = (month) =>
+    (months[month] = months[month] || { month, revenue: 0, trip_cost: 0, cash_in: 0, cash_out: 0 });
+  revenueRows.forEach((row) => (monthRow(row.month).revenue = Number(row.amount)));
+  costRows.forEach((row) => (monthRow(row.month).trip_cost = Number(row.amount)));
+  cashRows.forEach((row) => {
+    monthRow(row.month).cash_in = Number(row.cash_in);
+    monthRow(row.month).cash_out = Number(row.cash_out);
+  });
+
+  const report = Object.values(months)
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .map((row) => {
+      const income = row.revenue + row.cash_in;
+      const cost = row.trip_cost + row.cash_out;
+      return { ...row, gross_revenue: income, total_cost: cost, ...margin(income, cost) };
+    });
+
+  const income = report.reduce((sum, row) => sum + row.gross_revenue, 0);
+  const cost = report.reduce((sum, row) => sum + row.total_cost, 0);
+  return { filters: range, totals: { gross_revenue: income, total_cost: cost, ...margin(income, cost) }, months: report };
+}
+
+export {
+  EXPENSE_CATEGORIES,
+  CASH_DIRECTIONS,
+  FinanceError,
+  listExpenses,
+  getExpense,
+  createExpense,
+  updateExpense,
+  deleteExpense,
+  listCashEntries,
+  createCashEntry,
+  deleteCashEntry,
+  getTripReport,
+  getMonthlyReport,
+};
@@ -0,0 +1,19 @@
+// services/mailTransports/file.js
+// Transport lokal: setiap email disimpan sebagai file .eml di MAIL_DIR (default mail_outbox/)
+import fs from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+
+const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+
+async function send(message) {
+  const info = await transporter.sendMail(message);
+  const dir = process.env.MAIL_DIR || "mail_outbox";
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const filename = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, "")}.eml`;
+  await fs.promises.writeFile(path.join(dir, filename), info.message);
+  return { messageId: info.messageId };
+}
+
+export default { name: "file", send };
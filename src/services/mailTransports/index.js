@@ -0,0 +1,42 @@
+// services/mailTransports/index.js
+// Registry transport email. Transport aktif dipilih lewat MAIL_TRANSPORT
+// (default di luar production: smtp jika SMTP_HOST di-set, selain itu file; di production wajib di-set).
+//
+// Setiap transport wajib punya:
+//   send({ from, to, subject, text, html, attachments }) -> { messageId }
+import smtp from "./smtp.js";
+import file from "./file.js";
+import memory from "./memory.js";
+import { isProduction } from "../../config/env.js";
+
+const transports = {
+  [smtp.name]: smtp,
+  [file.name]: file,
+  [memory.name]: memory,
+};
+
+function getTransport(name) {
+  return transports[name] || null;
+}
+
+function getDefaultTransport() {
+  if (process.env.MAIL_TRANSPORT) return getTransport(process.env.MAIL_TRANSPORT);
+  if (isProduction()) return null;
+  return getTransport(process.env.SMTP_HOST ? "smtp" : "file");
+}
+
+// Dicek saat server start: di production email tidak boleh diam-diam hanya ditulis ke file
+function assertMailConfig() {
+  if (isProduction() && !process.env.MAIL_TRANSPORT) {
+    throw new Error("MAIL_TRANSPORT wajib di-set di production (smtp).");
+  }
+  if (process.env.MAIL_TRANSPORT && !getTransport(process.env.MAIL_TRANSPORT)) {
+    throw new Error(`MAIL_TRANSPORT tidak dikenal: ${process.env.MAIL_TRANSPORT}`);
+  }
+}
+
+function getSender() {
+  return process.env.MAIL_FROM || "Barokah Tour <no-reply@barokahtour.local>";
+}
+
+export { getTransport, getDefaultTransport, assertMailConfig, getSender };
@@ -0,0 +1,23 @@
+// services/mailTransports/memory.js
+// Transport untuk pengujian lokal: email hanya disimpan di memori proses
+import nodemailer from "nodemailer";
+
+const transporter = nodemailer.createTransport({ jsonTransport: true });
+const outbox = [];
+
+async function send(message) {
+  const info = await transporter.sendMail(message);
+  outbox.push({ ...JSON.parse(info.message), sent_at: new Date().toISOString() });
+  return { messageId: info.messageId };
+}
+
+// Untuk pengujian: ambil / kosongkan email yang sudah "terkirim"
+function getOutbox() {
+  return [...outbox];
+}
+
+function clearOutbox() {
+  outbox.length = 0;
+}
+
+export default { name: "memory", send, getOutbox, clearOutbox };
@@ -0,0 +1,28 @@
+// services/mailTransports/smtp.js
+// Transport produksi lewat server SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+import nodemailer from "nodemailer";
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error("SMTP_HOST belum di-set.");
+    }
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return transporter;
+}
+
+async function send(message) {
+  const info = await getTransporter().sendMail(message);
+  return { messageId: info.messageId };
+}
+
+export default { name: "smtp", send };
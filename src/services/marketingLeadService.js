@@ -0,0 +1,548 @@
+// services/marketingLeadService.js
+// Pipeline lead dari kunjungan marketing: tahapan, follow-up terjadwal dan konversi ke draft booking
+import pool, { withTransaction } from "../config/db.js";
+import { hasPermission } from "../config/permissions.js";
+import { DRAFT_STATUS, recordInitialStatus } from "./bookingStatusService.js";
+import { quoteBooking } from "./pricingService.js";
+import { reserveSeats } from "./departureService.js";
+import { generateBookingCode } from "./bookingService.js";
+import { releaseFile } from "./uploadService.js";
+import { recordAudit } from "./auditService.js";
+
+const LEAD_STAGES = ["visited", "follow_up", "quotation_sent", "deal", "lost"];
+const FOLLOWUP_STATUSES = ["scheduled", "done", "cancelled"];
+const FOLLOWUP_CHANNELS = ["telepon", "whatsapp", "email", "kunjungan"];
+// Role yang boleh menerima penugasan lead / follow-up
+const ASSIGNABLE_ROLES = ["marketing", "admin"];
+// Kolom kunjungan yang boleh diisi lewat POST / PUT (foto_kunjungan diatur terpisah)
+const VISIT_FIELDS = [
+  "nama", "alamat", "perusahaan", "nama_kordinator", "kota_kordinator", "rencana_wisata",
+  "rencana_pemberangkatan", "destinasi_tujuan", "jenis_trip", "telepon", "catatan",
+];
+
+class LeadError extends Error {
+  constructor(message, httpStatus = 400) {
+    super(message);
+    this.name = "LeadError";
+    this.httpStatus = httpStatus;
+  }
+}
+
+const SELECT_LEAD = `SELECT m.*, u.username AS assigned_to_username, c.username AS created_by_username, b.booking_id AS converted_booking_code, b.status AS converted_booking_status FROM marketing m LEFT JOIN users u ON m.assigned_to = u.id LEFT JOIN users c ON m.created_by = c.id LEFT JOIN bookings b ON m.converted_booking_id = b.id`;
+
+// Admin (marketing:manage) melihat semua lead; user marketing hanya lead miliknya
+function canAccessLead(user, lead) {
+  return (
+    hasPermission(user.role, "marketing:manage") ||
+    String(lead.assigned_to) === String(user.id) ||
+    String(lead.created_by) === String(user.id)
+  );
+}
+
+async function getLead(id, user) {
+  const [rows] = await pool.execute(`${SELECT_LEAD} WHERE m.id = ? LIMIT 1`, [id]);
+  const lead = rows[0];
+  if (!lead || (user && !canAccessLead(user, lead))) {
+    throw new LeadError("Lead tidak ditemukan.", 404);
+  }
+  return lead;
+}
+
+async function listLeads(user, { stage, assigned_to, q, from, to } = {}) {
+  const where = [];
+  const params = [];
+
+  if (!hasPermission(user.role, "marketing:manage")) {
+    where.push("(m.assigned_to = ? OR m.created_by = ?)");
+    params.push(user.id, user.id);
+  } else if (assigned_to) {
+    where.push("m.assigned_to = ?");
+    params.push(assigned_to);
+  }
+  if (stage) {
+    if (!LEAD_STAGES.includes(stage)) {
+      throw new LeadError(`Stage harus salah satu dari: ${LEAD_STAGES.join(", ")}`);
+    }
+    where.push("m.stage = ?");
+    params.push(stage);
+  }
+  if (q) {
+    where.push("(m.perusahaan LIKE ? OR m.nama_kordinator LIKE ? OR m.nama LIKE ?)");
+    params.push(`%${q}%`, `%${q}%`, `%${q}%`);
+  }
+  if (from) {
+    where.push("m.tanggal >= ?");
+    params.push(from);
+  }
+  if (to) {
+    where.push("m.tanggal <= ?");
+    params.push(to);
+  }
+
+  const [rows] = await pool.execute(
+    `${SELECT_LEAD}${where.length ? ` WHERE ${where.join(" AND ")}` : ""} ORDER BY m.stage_updated_at DESC, m.id DESC`,
+    params
+  );
+  return rows;
+}
+
+async function assertAssignable(userId) {
+  const [rows] = await pool.execute("SELECT id, role, is_active FROM users WHERE id = ? LIMIT 1", [userId]);
+  const target = rows[0];
+  if (!target || !target.is_active || !ASSIGNABLE_ROLES.includes(target.role)) {
+    throw new LeadError("User tujuan harus user marketing / admin yang aktif.");
+  }
+}
+
+async function recordStage(db, leadId, fromStage, toStage, { changedBy, note }) {
+  await db.execute(
+    "INSERT INTO marketing_stage_history (marketing_id, from_stage, to_stage, changed_by, note, created_at) VALUES (?, ?, ?, ?, ?, NOW())",
+    [leadId, fromStage, toStage, changedBy, note || null]
+  );
+}
+
+// Ubah stage lead yang sudah dikunci (SELECT ... FOR UPDATE) di dalam transaksi `connection`
+async function applyStage(connection, current, stage, { changedBy, note, lost_reason, actor }) {
+  if (current.converted_booking_id) {
+    throw new LeadError("Lead sudah dikonversi menjadi booking.", 409);
+  }
+  if (stage === "lost" && !lost_reason) {
+    throw new LeadError("lost_reason wajib diisi untuk stage lost.");
+  }
+  if (current.stage === stage) {
+    return;
+  }
+
+  const lostReason = stage === "lost" ? lost_reason : null;
+  await connection.execute(
+    "UPDATE marketing SET stage = ?, lost_reason = ?, stage_updated_at = NOW() WHERE id = ?",
+    [stage, lostReason, current.id]
+  );
+  await recordStage(connection, current.id, current.stage, stage, { changedBy, note: note || lost_reason });
+  await recordAudit(connection, {
+    entity: "marketing",
+    entityId: current.id,
+    action: "update",
+    before: current,
+    after: { stage, lost_reason: lostReason },
+    actor,
+  });
+}
+
+async function lockLead(connection, id) {
+  const [rows] = await connection.execute("SELECT * FROM marketing WHERE id = ? FOR UPDATE", [id]);
+  return rows[0];
+}
+
+// `actor` = pelaku untuk audit log (lihat auditService.auditActor)
+async function changeStage(id, stage, user, { note, lost_reason } = {}, actor = {}) {
+  if (!LEAD_STAGES.includes(stage)) {
+    throw new LeadError(`Stage harus salah satu dari: ${LEAD_STAGES.join(", ")}`);
+  }
+  const lead = await getLead(id, user);
+
+  await withTransaction(async (connection) => {
+    const current = await lockLead(connection, lead.id);
+    await applyStage(connection, current, stage, { changedBy: user.id, note, lost_reason, actor });
+  });
+  return getLead(lead.id);
+}
+
+async function assignLead(id, assignedTo, user, actor = {}) {
+  const lead = await getLead(id, user);
+  await assertAssignable(assignedTo);
+
+  await withTransaction(async (connection) => {
+    const current = await lockLead(connection, lead.id);
+    await connection.execute("UPDATE marketing SET assigned_to = ? WHERE id = ?", [assignedTo, lead.id]);
+    await recordAudit(connection, {
+      entity: "marketing",
+      entityId: lead.id,
+      action: "update",
+      before: current,
+      after: { assigned_to: assignedTo },
+      actor,
+    });
+  });
+  return getLead(lead.id);
+}
+
+async function getStageHistory(leadId) {
+  const [rows] = await pool.execute(
+    "SELECT h.id, h.from_stage, h.to_stage, h.note, h.created_at, h.changed_by, u.username AS changed_by_username FROM marketing_stage_history h LEFT JOIN users u ON h.changed_by = u.id WHERE h.marketing_id = ? ORDER BY h.created_at ASC, h.id ASC",
+    [leadId]
+  );
+  return rows;
+}
+
+// ------------------ KUNJUNGAN ------------------
+
+// Catat kunjungan marketing; setiap kunjungan menjadi lead berstage "visited" milik user yang mencatat.
+// `actor` = pelaku untuk audit log (lihat auditService.auditActor)
+async function createVisit(data, foto_kunjungan, user, actor) {
+  const tanggal = new Date().toISOString().split("T")[0];
+  const values = VISIT_FIELDS.map((field) => (data[field] === undefined ? null : data[field]));
+
+  return withTransaction(async (connection) => {
+    const [result] = await connection.execute(
+      `INSERT INTO marketing (tanggal, ${VISIT_FIELDS.join(", ")}, foto_kunjungan, created_by, assigned_to) VALUES (?, ${VISIT_FIELDS.map(() => "?").join(", ")}, ?, ?, ?)`,
+      [tanggal, ...values, foto_kunjungan || null, user.id, user.id]
+    );
+    await recordAudit(connection, {
+      entity: "marketing",
+      entityId: result.insertId,
+      action: "create",
+      after: {
+        tanggal,
+        ...Object.fromEntries(VISIT_FIELDS.map((field, index) => [field, values[index]])),
+        foto_kunjungan: foto_kunjungan || null,
+      },
+      actor,
+    });
+    return result.insertId;
+  });
+}
+
+// Hanya field yang dikirim yang diubah; foto lama dihapus setelah diganti (jika tidak dipakai record lain).
+// false jika data tidak ditemukan.
+async function updateVisit(id, data, foto_kunjungan, actor) {
+  const fields = VISIT_FIELDS.filter((field) => data[field] !== undefined);
+  const values = fields.map((field) => data[field]);
+  if (foto_kunjungan) {
+    fields.push("foto_kunjungan");
+    values.push(foto_kunjungan);
+  }
+  if (fields.length === 0) {
+    throw new LeadError("Tidak ada data yang valid untuk diupdate.");
+  }
+
+  const previous = await withTransaction(async (connection) => {
+    const [rows] = await connection.execute("SELECT * FROM marketing WHERE id = ? FOR UPDATE", [id]);
+    if (rows.length === 0) return null;
+
+    await connection.execute(`UPDATE marketing SET ${fields.map((field) => `${field} = ?`).join(", ")} WHERE id = ?`, [...values, id]);
+    await recordAudit(connection, {
+      entity: "marketing",
+      entityId: id,
+      action: "update",
+      before: rows[0],
+      after: Object.fromEntries(fields.map((field, index) => [field, values[index]])),
+      actor,
+    });
+    return rows[0];
+  });
+  if (!previous) {
+    return false;
+  }
+
+  const oldFoto = previous.foto_kunjungan;
+  if (oldFoto && foto_kunjungan && oldFoto !== foto_kunjungan) {
+    await releaseFile(oldFoto);
+  }
+  return true;
+}
+
+// ------------------ FOLLOW-UP ------------------
+
+async function getFollowUp(id) {
+  const [rows] = await pool.execute(
+    "SELECT f.*, u.username AS assigned_to_username, m.perusahaan, m.nama_kordinator, m.telepon FROM marketing_followups f JOIN marketing m ON f.marketing_id = m.id LEFT JOIN users u ON f.assigned_to = u.id WHERE f.id = ? LIMIT 1",
+    [id]
+  );
+  return rows[0] || null;
+}
+
+// Follow-up dicatat di audit log lead-nya (entity "marketing") di bawah key `followup`,
+// sehingga id follow-up ikut tersimpan. Tanggal disimpan sebagai teks lokal seperti kolom lain di audit log.
+function followUpSnapshot(followUp) {
+  if (!followUp) return { followup: null };
+  const toText = (value) => (value ? new Date(value).toLocaleString("sv-SE") : null);
+  return {
+    followup: {
+      id: followUp.id,
+      assigned_to: followUp.assigned_to,
+      scheduled_at: toText(followUp.scheduled_at),
+      channel: followUp.channel || null,
+      notes: followUp.notes || null,
+      status: followUp.status,
+      outcome: followUp.outcome || null,
+      completed_at: toText(followUp.completed_at),
+    },
+  };
+}
+
+// Follow-up baru; lead yang masih "visited" otomatis pindah ke "follow_up"
+async function scheduleFollowUp(leadId, { scheduled_at, assigned_to, channel, notes }, user, actor = {}) {
+  const lead = await getLead(leadId, user);
+  if (!scheduled_at || Number.isNaN(new Date(scheduled_at).getTime())) {
+    throw new LeadError("scheduled_at wajib diisi dengan tanggal yang valid.");
+  }
+  if (channel && !FOLLOWUP_CHANNELS.includes(channel)) {
+    throw new LeadError(`Channel harus salah satu dari: ${FOLLOWUP_CHANNELS.join(", ")}`);
+  }
+
+  const assignee = assigned_to || lead.assigned_to || user.id;
+  await assertAssignable(assignee);
+
+  const followUpId = await withTransaction(async (connection) => {
+    const current = await lockLead(connection, lead.id);
+    const followUp = {
+      assigned_to: assignee,
+      scheduled_at: new Date(scheduled_at),
+      channel: channel || null,
+      notes: notes || null,
+      status: "scheduled",
+    };
+    const [result] = await connection.execute(
+      "INSERT INTO marketing_followups (marketing_id, assigned_to, scheduled_at, channel, notes, status, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())",
+      [lead.id, followUp.assigned_to, followUp.scheduled_at, followUp.channel, followUp.notes, followUp.status, user.id]
+    );
+    await recordAudit(connection, {
+      entity: "marketing",
+      entityId: lead.id,
+      action: "update",
+      before: followUpSnapshot(null),
+      after: followUpSnapshot({ id: result.insertId, ...followUp }),
+      actor,
+    });
+
+    if (current.stage === "visited") {
+      await applyStage(connection, current, "follow_up", { changedBy: user.id, note: "Follow-up dijadwalkan", actor });
+    }
+    return result.insertId;
+  });
+  return getFollowUp(followUpId);
+}
+
+async function listFollowUps(user, { assigned_to, status, due_before, marketing_id } = {}) {
+  const where = [];
+  const params = [];
+
+  if (!hasPermission(user.role, "marketing:manage")) {
+    where.push("f.assigned_to = ?");
+    params.push(user.id);
+  } else if (assigned_to) {
+    where.push("f.assigned_to = ?");
+    params.push(assigned_to);
+  }
+  if (status) {
+    where.push("f.status = ?");
+    params.push(status);
+  }
+  if (due_before) {
+    where.push("f.scheduled_at <= ?");
+    params.push(due_before);
+  }
+  if (marketing_id) {
+    where.push("f.marketing_id = ?");
+    params.push(marketing_id);
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT f.*, u.username AS assigned_to_username, m.perusahaan, m.nama_kordinator, m.telepon, m.stage FROM marketing_followups f JOIN marketing m ON f.marketing_id = m.id LEFT JOIN users u ON f.assigned_to = u.id${where.length ? ` WHERE ${where.join(" AND ")}` : ""} ORDER BY f.scheduled_at ASC, f.id ASC`,
+    params
+  );
+  return rows;
+}
+
+// Tandai follow-up selesai / batal, atau jadwalkan ulang
+async function updateFollowUp(id, { status, outcome, scheduled_at }, user, actor = {}) {
+  const followUp = await getFollowUp(id);
+  if (!followUp) {
+    throw new LeadError("Follow-up tidak ditemukan.", 404);
+  }
+  await getLead(followUp.marketing_id, user);
+
+  const changes = {};
+
+  if (status !== undefined) {
+    if (!FOLLOWUP_STATUSES.includes(status)) {
+      throw new LeadError(`Status harus salah satu dari: ${FOLLOWUP_STATUSES.join(", ")}`);
+    }
+    changes.status = status;
+    changes.completed_at = status === "scheduled" ? null : new Date();
+  }
+  if (outcome !== undefined) {
+    changes.outcome = outcome || null;
+  }
+  if (scheduled_at !== undefined) {
+    if (Number.isNaN(new Date(scheduled_at).getTime())) {
+      throw new LeadError("scheduled_at tidak valid.");
+    }
+    changes.scheduled_at = new Date(scheduled_at);
+  }
+
+  const fields = Object.keys(changes);
+  if (fields.length === 0) {
+    throw new LeadError("Tidak ada data yang valid untuk diupdate.");
+  }
+
+  await withTransaction(async (connection) => {
+    const [rows] = await connection.execute("SELECT * FROM marketing_followups WHERE id = ? FOR UPDATE", [followUp.id]);
+    await connection.execute(
+      `UPDATE marketing_followups SET ${fields.map((field) => `${field} = ?`).join(", ")}, updated_at = NOW() WHERE id = ?`,
+      [...Object.values(changes), followUp.id]
+    );
+    await recordAudit(connection, {
+      entity: "marketing",
+      entityId: followUp.marketing_id,
+      action: "update",
+      before: followUpSnapshot(rows[0]),
+      after: followUpSnapshot({ ...rows[0], ...changes }),
+      actor,
+    });
+  });
+  return getFollowUp(followUp.id);
+}
+
+// ------------------ KONVERSI ------------------
+
+// Buat draft booking dari lead. Draft belum menerima pembayaran; admin mengonfirmasi lewat
+// PATCH /api/bookings/:id/status -> menunggu_pembayaran. Peserta dibuat sebagai placeholder
+// ("Peserta 1", ...) agar jumlah kursi, harga dan hitung ulang harga tetap sesuai jumlah peserta.
+// Dengan departure_id kursi langsung dipesan; tanpa itu travel_date dipakai untuk aturan harga.
+async function convertLead(id, { package_id, participant_count, departure_id, travel_date, customer_name, customer_email, customer_phone }, user, actor = {}) {
+  const lead = await getLead(id, user);
+  if (lead.converted_booking_id) {
+    throw new LeadError("Lead sudah dikonversi menjadi booking.", 409);
+  }
+  if (lead.stage === "lost") {
+    throw new LeadError("Lead berstatus lost tidak dapat dikonversi.", 409);
+  }
+  if (!package_id) {
+    throw new LeadError("package_id wajib diisi.");
+  }
+
+  const converted = await withTransaction(async (connection) => {
+    // Kunci lead agar konversi ganda tidak membuat dua booking
+    const locked = await lockLead(connection, lead.id);
+    if (locked.converted_booking_id) {
+      throw new LeadError("Lead sudah dikonversi menjadi booking.", 409);
+    }
+
+    const [pkgRows] = await connection.execute(
+      "SELECT p.id, p.name AS package_name, c.city_code, c.city_name FROM packages p LEFT JOIN cities c ON p.city_id = c.id WHERE p.id = ? LIMIT 1",
+      [package_id]
+    );
+    if (pkgRows.length === 0) {
+      throw new LeadError("Paket tidak ditemukan.", 404);
+    }
+
+    const count = participant_count || 1;
+    const departure = departure_id ? await reserveSeats(connection, departure_id, package_id, count) : null;
+    const priceBreakdown = await quoteBooking(connection, package_id, count, {
+      travelDate: departure ? departure.departure_date : travel_date,
+    });
+    const bookingCode = generateBookingCode(pkgRows[0]);
+
+    const booking = {
+      package_id,
+      departure_id: departure ? departure.id : null,
+      travel_date: priceBreakdown.travel_date,
+      booking_id: bookingCode,
+      customer_name: customer_name || lead.nama_kordinator || lead.perusahaan || lead.nama,
+      customer_email: customer_email || "", // lead tidak punya email; dilengkapi admin sebelum konfirmasi
+      customer_phone: customer_phone || lead.telepon || null,
+      total_price: priceBreakdown.total,
+      status: DRAFT_STATUS,
+      marketing_id: lead.id,
+      participant_count: count,
+    };
+    const [result] = await connection.execute(
+      `INSERT INTO bookings (package_id, departure_id, travel_date, booking_id, customer_name, customer_email, customer_phone, total_price, price_breakdown, status, marketing_id, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        booking.package_id,
+        booking.departure_id,
+        booking.travel_date,
+        booking.booking_id,
+        booking.customer_name,
+        booking.customer_email,
+        booking.customer_phone,
+        booking.total_price,
+        JSON.stringify(priceBreakdown),
+        booking.status,
+        booking.marketing_id,
+      ]
+    );
+    for (let i = 1; i <= count; i++) {
+      await connection.execute(
+        "INSERT INTO participants (booking_id, name, status, created_at) VALUES (?, ?, 'valid', NOW())",
+        [result.insertId, `Peserta ${i}`]
+      );
+    }
+    await recordAudit(connection, { entity: "booking", entityId: result.insertId, action: "create", after: booking, actor });
+    await recordInitialStatus(connection, result.insertId, DRAFT_STATUS, {
+      changedBy: user.id,
+      reason: `Konversi lead marketing #${lead.id}`,
+    });
+
+    await connection.execute(
+      "UPDATE marketing SET stage = 'deal', converted_booking_id = ?, converted_at = NOW(), stage_updated_at = NOW() WHERE id = ?",
+      [result.insertId, lead.id]
+    );
+    if (locked.stage !== "deal") {
+      await recordStage(connection, lead.id, locked.stage, "deal", { changedBy: user.id, note: `Dikonversi ke booking ${bookingCode}` });
+    }
+    await recordAudit(connection, {
+      entity: "marketing",
+      entityId: lead.id,
+      action: "update",
+      before: locked,
+      after: { stage: "deal", converted_booking_id: result.insertId },
+      actor,
+    });
+
+    return { bookingId: result.insertId, bookingCode, status: DRAFT_STATUS, price_breakdown: priceBreakdown };
+  });
+  return { ...converted, lead: await getLead(lead.id) };
+}
+
+// Konversi per salesperson (user yang ditugaskan; lead tanpa penugasan memakai penginput)
+async function getConversionReport({ from, to } = {}) {
+  const where = [];
+  const params = [];
+  if (from) {
+    where.push("m.tanggal >= ?");
+    params.push(from);
+  }
+  if (to) {
+    where.push("m.tanggal <= ?");
+    params.push(to);
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT COALESCE(m.assigned_to, m.created_by) AS user_id, COALESCE(u.username, 'Tidak diketahui') AS salesperson, COUNT(*) AS leads, SUM(m.stage = 'follow_up') AS follow_up, SUM(m.stage = 'quotation_sent') AS quotation_sent, SUM(m.stage = 'deal') AS deals, SUM(m.stage = 'lost') AS lost, SUM(m.converted_booking_id IS NOT NULL) AS converted, SUM(CASE WHEN b.status IN ('dp_lunas', 'lunas', 'selesai') THEN 1 ELSE 0 END) AS paid_bookings FROM marketing m LEFT JOIN users u ON u.id = COALESCE(m.assigned_to, m.created_by) LEFT JOIN bookings b ON m.converted_booking_id = b.id${where.length ? ` WHERE ${where.join(" AND ")}` : ""} GROUP BY user_id, salesperson ORDER BY converted DESC, leads DESC`,
+    params
+  );
+
+  return rows.map((row) => {
+    const counts = Object.fromEntries(
+      ["leads", "follow_up", "quotation_sent", "deals", "lost", "converted", "paid_bookings"].map((key) => [key, Number(row[key]) || 0])
+    );
+    return {
+      ...row,
+      ...counts,
+      conversion_rate: counts.leads > 0 ? Math.round((counts.converted / counts.leads) * 1000) / 10 : 0,
+    };
+  });
+}
+
+export {
+  LEAD_STAGES,
+  FOLLOWUP_STATUSES,
+  FOLLOWUP_CHANNELS,
+  VISIT_FIELDS,
+  LeadError,
+  createVisit,
+  updateVisit,
+  getLead,
+  listLeads,
+  changeStage,
+  assignLead,
+  getStageHistory,
+  scheduleFollowUp,
+  listFollowUps,
+  updateFollowUp,
+  convertLead,
+  getConversionReport,
+};
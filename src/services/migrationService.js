@@ -0,0 +1,303 @@
+// services/migrationService.js
+// Migrasi skema berversi + seed data.
+//
+// database/migrations/NNN_nama.up.sql   -> dijalankan oleh `npm run migrate`
+// database/migrations/NNN_nama.down.sql -> dijalankan oleh `npm run migrate:down`
+// database/seeds/*.sql                  -> data awal (kota, contoh paket), harus aman dijalankan ulang
+//
+// Versi yang sudah diterapkan dicatat di tabel schema_migrations beserta checksum file up,
+// sehingga file migrasi yang diubah setelah diterapkan bisa dideteksi.
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import pool from "../config/db.js";
+
+const DATABASE_DIR = fileURLToPath(new URL("../../database/", import.meta.url));
+const MIGRATIONS_DIR = path.join(DATABASE_DIR, "migrations");
+const SEEDS_DIR = path.join(DATABASE_DIR, "seeds");
+
+const MIGRATION_FILE = /^(\d{3,})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Hanya satu proses yang boleh menjalankan migrasi pada saat yang sama
+const LOCK_NAME = "barokah_tour_migrations";
+const LOCK_TIMEOUT_SECONDS = 30;
+
+class MigrationError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = "MigrationError";
+    this.details = details;
+  }
+}
+
+const checksum = (sql) => crypto.createHash("sha256").update(sql).digest("hex");
+
+// Pecah file SQL menjadi statement (driver tidak menjalankan multi-statement).
+// Titik koma di dalam string dan komentar diabaikan.
+function splitStatements(sql) {
+  const statements = [];
+  let current = "";
+  let quote = null;
+
+  for (let i = 0; i < sql.length; i += 1) {
+    const char = sql[i];
+
+    if (quote) {
+      current += char;
+      if (char === "\\") {
+        current += sql[i + 1] || "";
+        i += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+
+    if (char === "-" && sql[i + 1] === "-") {
+      const end = sql.indexOf("\n", i);
+      i = end === -1 ? sql.length : end;
+      current += "\n";
+      continue;
+    }
+    if (char === "'" || char === '"' || char === "`") {
+      quote = char;
+    }
+    if (char === ";") {
+      if (current.trim()) statements.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+}
+
+// Daftar migrasi di disk, urut versi: [{ version, name, upFile, downFile }]
+async function loadMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const migrations = new Map();
+
+  for (const file of files) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+    const [, version, name, direction] = match;
+
+    const existing = migrations.get(version);
+    if (existing && existing.name !== name) {
+      throw new MigrationError(`Versi migrasi ${version} dipakai dua kali (${existing.name} dan ${name}).`);
+    }
+    const migration = existing || { version, name, upFile: null, downFile: null };
+    migration[direction === "up" ? "upFile" : "downFile"] = path.join(MIGRATIONS_DIR, file);
+    migrations.set(version, migration);
+  }
+
+  const list = [...migrations.values()].sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+  const missingUp = list.filter((migration) => !migration.upFile);
+  if (missingUp.length > 0) {
+    throw new MigrationError(`File up tidak ditemukan untuk migrasi: ${missingUp.map((m) => m.version).join(", ")}`);
+  }
+  return list;
+}
+
+async function ensureMigrationTable(connection) {
+  await connection.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(20) NOT NULL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    checksum CHAR(64) NOT NULL,
+    applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+async function getAppliedMigrations(connection) {
+  const [rows] = await connection.query("SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version");
+  return new Map(rows.map((row) => [row.version, row]));
+}
+
+// Jalankan fn dengan satu koneksi yang memegang lock migrasi
+async function withMigrationLock(fn) {
+  const connection = await pool.getConnection();
+  try {
+    const [[lock]] = await connection.query("SELECT GET_LOCK(?, ?) AS acquired", [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+    if (lock.acquired !== 1) {
+      throw new MigrationError("Migrasi lain sedang berjalan. Coba lagi setelah selesai.");
+    }
+    try {
+      await ensureMigrationTable(connection);
+      return await fn(connection);
+    } finally {
+      await connection.query("SELECT RELEASE_LOCK(?)", [LOCK_NAME]);
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+async function runSqlFile(connection, file) {
+  const sql = await fs.readFile(file, "utf8");
+  for (const statement of splitStatements(sql)) {
+    try {
+      await connection.query(statement);
+    } catch (err) {
+      err.statement = statement;
+      throw err;
+    }
+  }
+  return sql;
+}
+
+// Status semua migrasi: applied / pending / changed (file up berubah setelah diterapkan) / missing (tercatat tapi file hilang)
+async function getMigrationStatus() {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (connection) => {
+    const applied = await getAppliedMigrations(connection);
+    const status = [];
+
+    for (const migration of migrations) {
+      const record = applied.get(migration.version);
+      let state = "pending";
+      if (record) {
+        const sql = await fs.readFile(migration.upFile, "utf8");
+        state = record.checksum === checksum(sql) ? "applied" : "changed";
+      }
+      status.push({ version: migration.version, name: migration.name, state, applied_at: record ? record.applied_at : null });
+      applied.delete(migration.version);
+    }
+
+    for (const record of applied.values()) {
+      status.push({ version: record.version, name: record.name, state: "missing", applied_at: record.applied_at });
+    }
+    return status;
+  });
+}
+
+// Jalankan migrasi yang belum diterapkan (sampai versi `to` jika diisi).
+// DDL MySQL tidak bisa di-rollback, jadi setiap migrasi dicatat segera setelah berhasil;
+// migrasi yang gagal di tengah jalan harus diperbaiki manual sebelum dijalankan ulang.
+async function migrateUp({ to = null, dryRun = false, onMigrate = () => {} } = {}) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (connection) => {
+    const applied = await getAppliedMigrations(connection);
+    const pending = migrations.filter(
+      (migration) => !applied.has(migration.version) && (!to || Number(migration.version) <= Number(to))
+    );
+
+    for (const migration of pending) {
+      onMigrate(migration);
+      if (dryRun) continue;
+
+      let sql;
+      try {
+        sql = await runSqlFile(connection, migration.upFile);
+      } catch (err) {
+        throw new MigrationError(`Migrasi ${migration.version}_${migration.name} gagal: ${err.message}`, err.statement);
+      }
+      await connection.query(
+        "INSERT INTO schema_migrations (version, name, checksum, applied_at) VALUES (?, ?, ?, NOW())",
+        [migration.version, migration.name, checksum(sql)]
+      );
+    }
+    return pending;
+  });
+}
+
+// Batalkan `steps` migrasi terakhir (urut terbalik) memakai file down
+async function migrateDown({ steps = 1, dryRun = false, onMigrate = () => {} } = {}) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (connection) => {
+    const applied = await getAppliedMigrations(connection);
+    const targets = migrations.filter((migration) => applied.has(migration.version)).reverse().slice(0, steps);
+
+    const withoutDown = targets.filter((migration) => !migration.downFile);
+    if (withoutDown.length > 0) {
+      throw new MigrationError(`Migrasi tanpa file down: ${withoutDown.map((m) => `${m.version}_${m.name}`).join(", ")}`);
+    }
+
+    for (const migration of targets) {
+      onMigrate(migration);
+      if (dryRun) continue;
+
+      try {
+        await runSqlFile(connection, migration.downFile);
+      } catch (err) {
+        throw new MigrationError(`Rollback ${migration.version}_${migration.name} gagal: ${err.message}`, err.statement);
+      }
+      await connection.query("DELETE FROM schema_migrations WHERE version = ?", [migration.version]);
+    }
+    return targets;
+  });
+}
+
+// Tandai migrasi sampai versi `to` sebagai sudah diterapkan tanpa menjalankannya.
+// Untuk database lama yang skemanya dibuat manual dari file SQL sebelum ada migration runner.
+async function markApplied({ to }) {
+  const migrations = await loadMigrations();
+  if (!migrations.some((migration) => Number(migration.version) === Number(to))) {
+    throw new MigrationError(`Versi migrasi ${to} tidak ditemukan.`);
+  }
+
+  return withMigrationLock(async (connection) => {
+    const applied = await getAppliedMigrations(connection);
+    const marked = migrations.filter(
+      (migration) => !applied.has(migration.version) && Number(migration.version) <= Number(to)
+    );
+
+    for (const migration of marked) {
+      const sql = await fs.readFile(migration.upFile, "utf8");
+      await connection.query(
+        "INSERT INTO schema_migrations (version, name, checksum, applied_at) VALUES (?, ?, ?, NOW())",
+        [migration.version, migration.name, checksum(sql)]
+      );
+    }
+    return marked;
+  });
+}
+
+// Jalankan semua file seed (urut nama). Butuh skema terbaru.
+async function runSeeds({ onSeed = () => {} } = {}) {
+  await assertNoPendingMigrations();
+
+  const files = (await fs.readdir(SEEDS_DIR)).filter((file) => file.endsWith(".sql")).sort();
+  const connection = await pool.getConnection();
+  try {
+    for (const file of files) {
+      onSeed(file);
+      await runSqlFile(connection, path.join(SEEDS_DIR, file));
+    }
+  } finally {
+    connection.release();
+  }
+  return files;
+}
+
+// Dipanggil saat server start: lempar MigrationError jika ada migrasi yang belum diterapkan
+async function assertNoPendingMigrations() {
+  const status = await getMigrationStatus();
+  const pending = status.filter((migration) => migration.state === "pending");
+  if (pending.length > 0) {
+    throw new MigrationError(
+      `Ada ${pending.length} migrasi database yang belum dijalankan. Jalankan \`npm run migrate\` terlebih dahulu.`,
+      pending.map((migration) => `${migration.version}_${migration.name}`)
+    );
+  }
+  return status;
+}
+
+export {
+  MIGRATIONS_DIR,
+  SEEDS_DIR,
+  MigrationError,
+  splitStatements,
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  markApplied,
+  runSeeds,
+  assertNoPendingMigrations,
+};
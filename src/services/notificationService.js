@@ -0,0 +1,161 @@
+// services/notificationService.js
+// Notifikasi email (dan WhatsApp lewat outbox) ke customer. Dipanggil setelah commit dan tidak pernah melempar error,
+// sehingga kegagalan kirim email tidak menggagalkan booking / pembayaran.
+import pool from "../config/db.js";
+import { getDefaultTransport, getSender } from "./mailTransports/index.js";
+import * as templates from "./emailTemplates.js";
+import { TICKETABLE_STATUSES } from "./bookingStatusService.js";
+import { getBalance } from "./paymentService.js";
+import { getTicketData } from "./ticketService.js";
+import { renderTicketPdf } from "./ticketPdfService.js";
+import { queueBookingConfirmation } from "./whatsappService.js";
+
+const EMAIL_EVENTS = {
+  BOOKING_CREATED: "booking_created",
+  PAYMENT_RECEIVED: "payment_received",
+  TICKET_READY: "ticket_ready",
+};
+
+async function loadBooking(bookingId) {
+  const [rows] = await pool.execute(
+    "SELECT b.*, p.name AS package_name, d.departure_date FROM bookings b LEFT JOIN packages p ON b.package_id = p.id LEFT JOIN departures d ON b.departure_id = d.id WHERE b.id = ? LIMIT 1",
+    [bookingId]
+  );
+  return rows[0] || null;
+}
+
+// Kirim lewat transport aktif lalu catat hasilnya di email_log (berhasil maupun gagal)
+async function sendEmail({ event, bookingId = null, to, subject, text, html, attachments }) {
+  const transport = getDefaultTransport();
+  let status = "sent";
+  let messageId = null;
+  let error = null;
+
+  try {
+    if (!transport) {
+      throw new Error("Transport email tidak dikenal.");
+    }
+    ({ messageId } = await transport.send({ from: getSender(), to, subject, text, html, attachments }));
+  } catch (err) {
+    status = "failed";
+    error = err.message;
+    console.error(`❌ Error sending ${event} email:`, err);
+  }
+
+  await pool.execute(
+    "INSERT INTO email_log (booking_id, event, recipient, subject, transport, status, message_id, error, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())",
+    [bookingId, event, to, subject, transport ? transport.name : null, status, messageId, error]
+  );
+  return { status, messageId };
+}
+
+async function hasSentEmail(bookingId, event) {
+  const [rows] = await pool.execute(
+    "SELECT id FROM email_log WHERE booking_id = ? AND event = ? AND status = 'sent' LIMIT 1",
+    [bookingId, event]
+  );
+  return rows.length > 0;
+}
+
+// Email instruksi pembayaran + konfirmasi WhatsApp ke kontak booking
+async function notifyBookingCreated(bookingId) {
+  try {
+    await queueBookingConfirmation(bookingId);
+  } catch (err) {
+    console.error("❌ Error queueing WhatsApp booking confirmation:", err);
+  }
+
+  try {
+    const booking = await loadBooking(bookingId);
+    if (!booking || !booking.customer_email) return;
+
+    const [[count]] = await pool.execute("SELECT COUNT(*) AS total FROM participants WHERE booking_id = ?", [bookingId]);
+    const balance = await getBalance(pool, bookingId);
+    const message = templates.bookingCreated({ booking, balance, participantCount: count.total });
+
+    await sendEmail({ event: EMAIL_EVENTS.BOOKING_CREATED, bookingId, to: booking.customer_email, ...message });
+  } catch (err) {
+    console.error("❌ Error notifying booking created:", err);
+  }
+}
+
+// Kwitansi pembayaran. Jika booking menjadi lunas, e-tiket ikut dikirim.
+async function notifyPaymentReceived(bookingId, transactionId) {
+  try {
+    const booking = await loadBooking(bookingId);
+    if (!booking || !booking.customer_email) return;
+
+    const [payments] = await pool.execute(
+      "SELECT id, payment_type, amount_paid, payment_method, created_at FROM transactions WHERE id = ? AND booking_id = ? LIMIT 1",
+      [transactionId, bookingId]
+    );
+    if (payments.length === 0) return;
+
+    const balance = await getBalance(pool, bookingId);
+    const message = templates.paymentReceived({ booking, payment: payments[0], balance });
+    await sendEmail({ event: EMAIL_EVENTS.PAYMENT_RECEIVED, bookingId, to: booking.customer_email, ...message });
+
+    if (TICKETABLE_STATUSES.includes(booking.status)) {
+      await notifyTicketReady(bookingId);
+    }
+  } catch (err) {
+    console.error("❌ Error notifying payment received:", err);
+  }
+}
+
+// E-tiket PDF hanya dikirim sekali per booking
+async function notifyTicketReady(bookingId, { force = false } = {}) {
+  try {
+    const booking = await loadBooking(bookingId);
+    if (!booking || !booking.customer_email || !TICKETABLE_STATUSES.includes(booking.status)) return;
+    if (!force && (await hasSentEmail(bookingId, EMAIL_EVENTS.TICKET_READY))) return;
+
+    const ticket = await getTicketData(booking.id, booking.booking_id);
+    const pdf = await renderTicketPdf(ticket);
+    const message = templates.ticketReady({ booking: { ...booking, ...ticket.booking }, participants: ticket.participants });
+
+    await sendEmail({
+      event: EMAIL_EVENTS.TICKET_READY,
+      bookingId,
+      to: booking.customer_email,
+      ...message,
+      attachments: [{ filename: `e-tiket-${booking.booking_id}.pdf`, content: pdf, contentType: "application/pdf" }],
+    });
+  } catch (err) {
+    console.error("❌ Error notifying ticket ready:", err);
+  }
+}
+
+async function getEmailLog({ bookingId, event, status, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+
+  if (bookingId) {
+    where.push("booking_id = ?");
+    params.push(bookingId);
+  }
+  if (event) {
+    where.push("event = ?");
+    params.push(event);
+  }
+  if (status) {
+    where.push("status = ?");
+    params.push(status);
+  }
+
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 100, 1), 500);
+  const [rows] = await pool.execute(
+    `SELECT id, booking_id, event, recipient, subject, transport, status, message_id, error, created_at FROM email_log${where.length ? ` WHERE ${where.join(" AND ")}` : ""} ORDER BY created_at DESC, id DESC LIMIT ${safeLimit}`,
+    params
+  );
+  return rows;
+}
+
+export {
+  EMAIL_EVENTS,
+  sendEmail,
+  notifyBookingCreated,
+  notifyPaymentReceived,
+  notifyTicketReady,
+  getEmailLog,
+};
@@ -0,0 +1,159 @@
+// services/paymentGatewayService.js
+// Membuat tagihan VA/QRIS lewat payment gateway dan memproses notifikasinya
+import pool from "../config/db.js";
+import { getProvider, getDefaultProvider } from "./paymentProviders/index.js";
+import { PaymentError, getBalance, recordPayment } from "./paymentService.js";
+import { notifyPaymentReceived } from "./notificationService.js";
+
+const CHARGE_METHODS = ["va", "qris"];
+const CHARGE_TTL_HOURS = 24;
+
+function genReference(bookingId) {
+  return `BRK-${bookingId}-${Date.now().toString(36).toUpperCase()}`;
+}
+
+// Buat tagihan baru. Default nominal = sisa tagihan booking.
+async function createCharge(bookingId, { method, bank, amount, createdBy = null }) {
+  if (!CHARGE_METHODS.includes(method)) {
+    throw new PaymentError(`Metode harus salah satu dari: ${CHARGE_METHODS.join(", ")}`);
+  }
+
+  const provider = getDefaultProvider();
+  if (!provider) {
+    throw new PaymentError("PAYMENT_PROVIDER belum di-set atau tidak dikenal.", 500);
+  }
+
+  const [bookingRows] = await pool.execute("SELECT id, status FROM bookings WHERE id = ?", [bookingId]);
+  if (bookingRows.length === 0) {
+    throw new PaymentError("Booking tidak ditemukan.", 404);
+  }
+  if (["draft", "selesai", "dibatalkan"].includes(bookingRows[0].status)) {
+    throw new PaymentError(`Booking berstatus ${bookingRows[0].status} tidak dapat menerima pembayaran.`, 409);
+  }
+
+  const balance = await getBalance(pool, bookingId);
+  const chargeAmount = amount == null ? balance.outstanding : Number(amount);
+  if (!(chargeAmount > 0) || chargeAmount > balance.outstanding) {
+    throw new PaymentError("Nominal tagihan harus lebih dari 0 dan tidak melebihi sisa tagihan.", 400, {
+      outstanding: balance.outstanding,
+    });
+  }
+
+  const reference = genReference(bookingId);
+  const expiresAt = new Date(Date.now() + CHARGE_TTL_HOURS * 60 * 60 * 1000);
+  const charge = await provider.createCharge({ reference, amount: chargeAmount, method, bank, expiresAt });
+
+  const sql = `INSERT INTO payment_charges (booking_id, provider, reference, provider_reference, method, bank, amount, va_number, qr_string, status, expires_at, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, NOW(), NOW())`;
+  const [result] = await pool.execute(sql, [
+    bookingId,
+    provider.name,
+    reference,
+    charge.providerReference || null,
+    method,
+    charge.bank || bank || null,
+    chargeAmount,
+    charge.va_number || null,
+    charge.qr_string || null,
+    charge.expires_at || expiresAt,
+    createdBy,
+  ]);
+
+  return getCharge(result.insertId);
+}
+
+async function getCharge(id) {
+  const [rows] = await pool.execute("SELECT * FROM payment_charges WHERE id = ? LIMIT 1", [id]);
+  return rows[0] || null;
+}
+
+async function getChargeByReference(reference) {
+  const [rows] = await pool.execute("SELECT * FROM payment_charges WHERE reference = ? LIMIT 1", [reference]);
+  return rows[0] || null;
+}
+
+// Proses notifikasi webhook. Aman dipanggil berkali-kali untuk notifikasi yang sama:
+// charge dikunci FOR UPDATE dan pembayaran hanya dicatat sekali (transaction_id).
+async function handleNotification(providerName, headers, body) {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    throw new PaymentError("Payment provider tidak dikenal.", 404);
+  }
+
+  const notification = provider.verifyNotification(headers, body);
+  if (!notification) {
+    throw new PaymentError("Signature notifikasi tidak valid.", 401);
+  }
+
+  const connection = await pool.getConnection();
+  let paymentId = null;
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute(
+      "SELECT * FROM payment_charges WHERE reference = ? AND provider = ? FOR UPDATE",
+      [notification.reference, provider.name]
+    );
+    if (rows.length === 0) {
+      throw new PaymentError("Tagihan tidak ditemukan.", 404);
+    }
+
+    const charge = rows[0];
+
+    // Notifikasi ulang untuk tagihan yang sudah lunas -> abaikan
+    if (charge.status === "paid") {
+      await connection.commit();
+      return { charge, duplicate: true };
+    }
+
+    if (notification.status === "paid") {
+      // Dana yang dikonfirmasi provider selalu dicatat (webhook yang ditolak akan terus dikirim ulang).
+      // Sisa tagihan bisa sudah berkurang sejak tagihan dibuat (pembayaran manual / harga berubah);
+      // kelebihannya ditandai refund_due untuk dikembalikan admin lewat POST /api/transactions/refund.
+      const amount = Number(notification.amount);
+      const balance = await getBalance(connection, charge.booking_id);
+      const payment = await recordPayment(connection, charge.booking_id, {
+        payment_type: amount < balance.outstanding ? "dp" : "lunas",
+        amount,
+        payment_method: `${charge.provider}:${charge.method}${charge.bank ? `:${charge.bank}` : ""}`,
+        va_number: charge.va_number,
+        confirmed: true,
+      });
+
+      await connection.execute(
+        "UPDATE payment_charges SET status = 'paid', paid_at = NOW(), transaction_id = ?, refund_due = ?, raw_notification = ?, updated_at = NOW() WHERE id = ?",
+        [payment.transactionId, payment.refundDue, JSON.stringify(body), charge.id]
+      );
+      if (payment.refundDue > 0) {
+        console.warn(`⚠️ Pembayaran ${charge.reference} melebihi sisa tagihan booking #${charge.booking_id}, refund_due ${payment.refundDue}`);
+      }
+      if (amount !== Number(charge.amount)) {
+        console.warn(`⚠️ Nominal notifikasi ${charge.reference} (${amount}) berbeda dengan tagihan (${charge.amount})`);
+      }
+      paymentId = payment.transactionId;
+    } else {
+      await connection.execute(
+        "UPDATE payment_charges SET status = ?, raw_notification = ?, updated_at = NOW() WHERE id = ?",
+        [notification.status, JSON.stringify(body), charge.id]
+      );
+    }
+
+    await connection.commit();
+    if (paymentId) {
+      notifyPaymentReceived(charge.booking_id, paymentId);
+    }
+    return { charge: await getCharge(charge.id), duplicate: false };
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+export {
+  CHARGE_METHODS,
+  createCharge,
+  getCharge,
+  getChargeByReference,
+  handleNotification,
+};
@@ -0,0 +1,36 @@
+// services/paymentProviders/index.js
+// Registry provider payment gateway. Provider aktif dipilih lewat PAYMENT_PROVIDER.
+//
+// Setiap provider wajib punya:
+//   createCharge({ reference, amount, method, bank, expiresAt })
+//     -> { providerReference, va_number, bank, qr_string, expires_at }
+//   verifyNotification(headers, body)
+//     -> { reference, status: "paid" | "pending" | "expired" | "failed", amount } atau null jika signature salah
+import simulator from "./simulator.js";
+import midtrans from "./midtrans.js";
+
+const providers = {
+  [simulator.name]: simulator,
+  [midtrans.name]: midtrans,
+};
+
+// Simulator tidak pernah aktif di production: notifikasinya bisa dibuat siapa saja yang tahu secret-nya
+function isSimulatorAllowed() {
+  return process.env.NODE_ENV !== "production";
+}
+
+function getProvider(name) {
+  if (name === simulator.name && !isSimulatorAllowed()) {
+    return null;
+  }
+  return providers[name] || null;
+}
+
+// PAYMENT_PROVIDER wajib di-set di luar development; default simulator hanya untuk development / test lokal
+function getDefaultProvider() {
+  const env = process.env.NODE_ENV || "development";
+  const fallback = ["development", "test"].includes(env) ? simulator.name : null;
+  return getProvider(process.env.PAYMENT_PROVIDER || fallback);
+}
+
+export { isSimulatorAllowed, getProvider, getDefaultProvider };
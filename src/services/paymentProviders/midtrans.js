@@ -0,0 +1,85 @@
+// services/paymentProviders/midtrans.js
+// Adapter Midtrans Core API (bank transfer VA dan QRIS)
+import crypto from "crypto";
+
+const getServerKey = () => process.env.MIDTRANS_SERVER_KEY || "";
+const getBaseUrl = () => process.env.MIDTRANS_IS_PRODUCTION === "true"
+  ? "https://api.midtrans.com"
+  : "https://api.sandbox.midtrans.com";
+
+// transaction_status Midtrans -> status charge internal
+const STATUS_MAP = {
+  capture: "paid",
+  settlement: "paid",
+  pending: "pending",
+  expire: "expired",
+  cancel: "failed",
+  deny: "failed",
+  failure: "failed",
+};
+
+async function createCharge({ reference, amount, method, bank }) {
+  if (!getServerKey()) {
+    throw new Error("MIDTRANS_SERVER_KEY belum di-set.");
+  }
+
+  const payload = {
+    payment_type: method === "qris" ? "qris" : "bank_transfer",
+    transaction_details: { order_id: reference, gross_amount: Math.round(amount) },
+  };
+  if (method !== "qris") {
+    payload.bank_transfer = { bank: bank || "bca" };
+  }
+
+  const response = await fetch(`${getBaseUrl()}/v2/charge`, {
+    method: "POST",
+    headers: {
+      Accept: "application/json",
+      "Content-Type": "application/json",
+      Authorization: `Basic ${Buffer.from(`${getServerKey()}:`).toString("base64")}`,
+    },
+    body: JSON.stringify(payload),
+  });
+  const data = await response.json();
+
+  if (!response.ok || !["200", "201"].includes(String(data.status_code))) {
+    throw new Error(`Midtrans menolak charge: ${data.status_message || response.statusText}`);
+  }
+
+  const qrAction = (data.actions || []).find((action) => action.name === "generate-qr-code");
+  return {
+    providerReference: data.transaction_id,
+    va_number: data.va_numbers ? data.va_numbers[0].va_number : data.permata_va_number || null,
+    bank: data.va_numbers ? data.va_numbers[0].bank : bank || null,
+    qr_string: data.qr_string || (qrAction ? qrAction.url : null),
+    expires_at: data.expiry_time ? new Date(data.expiry_time.replace(" ", "T") + "+07:00") : null,
+  };
+}
+
+// signature_key = SHA512(order_id + status_code + gross_amount + server_key)
+function verifyNotification(headers, body) {
+  if (!body || !body.order_id || !body.signature_key) {
+    return null;
+  }
+
+  const expected = Buffer.from(crypto
+    .createHash("sha512")
+    .update(`${body.order_id}${body.status_code}${body.gross_amount}${getServerKey()}`)
+    .digest("hex"));
+  const actual = Buffer.from(String(body.signature_key));
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  return {
+    reference: body.order_id,
+    status: STATUS_MAP[body.transaction_status] || "pending",
+    amount: Number(body.gross_amount),
+  };
+}
+
+export default {
+  name: "midtrans",
+  createCharge,
+  verifyNotification,
+};
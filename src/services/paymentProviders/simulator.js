@@ -0,0 +1,84 @@
+// services/paymentProviders/simulator.js
+// Provider lokal untuk development/testing tanpa koneksi ke payment gateway asli (ditolak di production).
+// Notifikasi ditandatangani dengan HMAC-SHA256 memakai PAYMENT_SIMULATOR_SECRET.
+import crypto from "crypto";
+
+function getSecret() {
+  if (process.env.PAYMENT_SIMULATOR_SECRET) {
+    return process.env.PAYMENT_SIMULATOR_SECRET;
+  }
+  if (process.env.RAILWAY_ENVIRONMENT) {
+    throw new Error("PAYMENT_SIMULATOR_SECRET belum di-set.");
+  }
+  return "barokah-simulator-secret";
+}
+
+function sign(reference, status, amount) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(`${reference}|${status}|${Number(amount).toFixed(2)}`)
+    .digest("hex");
+}
+
+function randomDigits(length) {
+  let digits = "";
+  while (digits.length < length) {
+    digits += crypto.randomInt(0, 10);
+  }
+  return digits;
+}
+
+async function createCharge({ reference, amount, method, bank, expiresAt }) {
+  if (method === "qris") {
+    return {
+      providerReference: `SIM-${reference}`,
+      va_number: null,
+      qr_string: `SIMULATOR.QRIS.${reference}.${Number(amount).toFixed(2)}`,
+      expires_at: expiresAt,
+    };
+  }
+
+  // Prefix 8808 mengikuti format VA simulasi, sisanya acak
+  return {
+    providerReference: `SIM-${reference}`,
+    va_number: `8808${randomDigits(12)}`,
+    bank: bank || "simulator",
+    qr_string: null,
+    expires_at: expiresAt,
+  };
+}
+
+// Payload notifikasi yang akan dikirim simulator ke webhook
+function buildNotification({ reference, amount, status = "paid" }) {
+  return {
+    body: { reference, status, amount: Number(amount).toFixed(2) },
+    headers: { "x-simulator-signature": sign(reference, status, amount) },
+  };
+}
+
+function verifyNotification(headers, body) {
+  const signature = headers["x-simulator-signature"];
+  if (!signature || !body || !body.reference || !body.status || body.amount == null) {
+    return null;
+  }
+
+  // Bandingkan panjang dalam byte: karakter multibyte membuat timingSafeEqual melempar RangeError
+  const expected = Buffer.from(sign(body.reference, body.status, body.amount));
+  const actual = Buffer.from(String(signature));
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  return {
+    reference: body.reference,
+    status: body.status,
+    amount: Number(body.amount),
+  };
+}
+
+export default {
+  name: "simulator",
+  createCharge,
+  verifyNotification,
+  buildNotification,
+};
@@ -0,0 +1,243 @@
+// services/paymentService.js
+// Buku besar pembayaran per booking: cicilan, refund, reversal dan saldo
+import pool from "../config/db.js";
+import { DRAFT_STATUS, changeBookingStatus } from "./bookingStatusService.js";
+import { recordAudit } from "./auditService.js";
+
+// Jenis entri di tabel transactions.
+// amount_paid selalu positif untuk payment/refund; entri reversal menyimpan
+// kebalikan dari kontribusi entri aslinya (bisa negatif).
+const ENTRY_TYPES = ["payment", "refund", "reversal"];
+
+// Booking dengan status ini tidak (lagi / belum) mengikuti saldo
+const CLOSED_STATUSES = [DRAFT_STATUS, "selesai", "dibatalkan"];
+
+class PaymentError extends Error {
+  constructor(message, httpStatus = 400, details = undefined) {
+    super(message);
+    this.name = "PaymentError";
+    this.httpStatus = httpStatus;
+    this.details = details;
+  }
+}
+
+// Dana bersih di ledger: refund mengurangi, reversal sudah bertanda (dipakai juga oleh dashboard & laporan keuangan)
+const NET_AMOUNT_SQL = "COALESCE(SUM(CASE WHEN entry_type = 'refund' THEN -amount_paid ELSE amount_paid END), 0)";
+
+function toAmount(value) {
+  const amount = Number(value);
+  return Number.isFinite(amount) ? Math.round(amount * 100) / 100 : NaN;
+}
+
+// Tulis satu entri ledger + audit log-nya (actor kosong = notifikasi payment gateway)
+async function insertEntry(connection, entry, actor = {}) {
+  const fields = Object.keys(entry);
+  const [result] = await connection.execute(
+    `INSERT INTO transactions (${fields.join(", ")}, created_at) VALUES (${fields.map(() => "?").join(", ")}, NOW())`,
+    Object.values(entry)
+  );
+  await recordAudit(connection, { entity: "transaction", entityId: result.insertId, action: "create", after: entry, actor });
+  return result.insertId;
+}
+
+// Kunci baris booking agar dua pembayaran bersamaan tidak menghitung saldo yang sama
+async function lockBooking(connection, bookingId) {
+  const [rows] = await connection.execute(
+    "SELECT id, total_price, status FROM bookings WHERE id = ? FOR UPDATE",
+    [bookingId]
+  );
+  if (rows.length === 0) {
+    throw new PaymentError("Booking tidak ditemukan.", 404);
+  }
+  return rows[0];
+}
+
+async function getBalance(db, bookingId) {
+  const [bookingRows] = await db.execute("SELECT total_price FROM bookings WHERE id = ?", [bookingId]);
+  if (bookingRows.length === 0) {
+    return null;
+  }
+  const [sumRows] = await db.execute(
+    `SELECT ${NET_AMOUNT_SQL} AS paid FROM transactions WHERE booking_id = ?`,
+    [bookingId]
+  );
+
+  const totalPrice = toAmount(bookingRows[0].total_price);
+  const paid = toAmount(sumRows[0].paid);
+  return {
+    total_price: totalPrice,
+    paid,
+    outstanding: Math.max(totalPrice - paid, 0),
+    overpaid: Math.max(paid - totalPrice, 0),
+  };
+}
+
+function statusForBalance(balance) {
+  if (balance.paid <= 0) return "menunggu_pembayaran";
+  if (balance.paid < balance.total_price) return "dp_lunas";
+  return "lunas";
+}
+
+// Sesuaikan status booking dengan saldo terbaru
+async function syncStatusWithBalance(connection, booking, { changedBy, reason }) {
+  const balance = await getBalance(connection, booking.id);
+  if (CLOSED_STATUSES.includes(booking.status)) {
+    return { balance, status: booking.status };
+  }
+
+  const status = statusForBalance(balance);
+  await changeBookingStatus(connection, booking.id, status, {
+    changedBy,
+    reason,
+    source: "ledger",
+  });
+  return { balance, status };
+}
+
+// Catat cicilan / pelunasan. Pembayaran melebihi sisa tagihan ditolak, kecuali `confirmed`:
+// dana yang sudah dikonfirmasi payment gateway tetap dicatat, kelebihannya dikembalikan sebagai refundDue
+// (seluruh nominal jika booking sudah ditutup).
+async function recordPayment(connection, bookingId, { payment_type, amount, payment_method, va_number, createdBy = null, confirmed = false, actor = {} }) {
+  const value = toAmount(amount);
+  if (!(value > 0)) {
+    throw new PaymentError("Jumlah pembayaran harus lebih dari 0.");
+  }
+
+  const booking = await lockBooking(connection, bookingId);
+  const closed = CLOSED_STATUSES.includes(booking.status);
+  if (closed && !confirmed) {
+    throw new PaymentError(`Booking berstatus ${booking.status} tidak dapat menerima pembayaran.`, 409);
+  }
+
+  const before = await getBalance(connection, bookingId);
+  if (value > before.outstanding && !confirmed) {
+    throw new PaymentError("Jumlah pembayaran melebihi sisa tagihan.", 409, {
+      outstanding: before.outstanding,
+      amount: value,
+    });
+  }
+  const refundDue = closed ? value : toAmount(Math.max(value - before.outstanding, 0));
+
+  const transactionId = await insertEntry(connection, {
+    booking_id: bookingId,
+    entry_type: "payment",
+    payment_type,
+    amount_paid: value,
+    payment_method: payment_method || null,
+    va_number: va_number || null,
+    created_by: createdBy,
+  }, actor);
+
+  const synced = await syncStatusWithBalance(connection, booking, {
+    changedBy: createdBy,
+    reason: `Pembayaran ${payment_type} #${transactionId}`,
+  });
+  return { transactionId, refundDue, ...synced };
+}
+
+// Kembalikan dana ke customer. Tidak boleh melebihi dana yang sudah masuk.
+async function recordRefund(connection, bookingId, { amount, note, payment_method, createdBy = null, actor = {} }) {
+  const value = toAmount(amount);
+  if (!(value > 0)) {
+    throw new PaymentError("Jumlah refund harus lebih dari 0.");
+  }
+
+  const booking = await lockBooking(connection, bookingId);
+  const before = await getBalance(connection, bookingId);
+  if (value > before.paid) {
+    throw new PaymentError("Jumlah refund melebihi dana yang sudah dibayar.", 409, {
+      paid: before.paid,
+      amount: value,
+    });
+  }
+
+  const transactionId = await insertEntry(connection, {
+    booking_id: bookingId,
+    entry_type: "refund",
+    payment_type: "refund",
+    amount_paid: value,
+    payment_method: payment_method || null,
+    note: note || null,
+    created_by: createdBy,
+  }, actor);
+
+  const synced = await syncStatusWithBalance(connection, booking, {
+    changedBy: createdBy,
+    reason: `Refund #${transactionId}`,
+  });
+  return { transactionId, ...synced };
+}
+
+// Batalkan entri yang salah input dengan entri lawan (entri asli tidak dihapus)
+// Dana bersih setelah reversal tidak boleh negatif (mis. membalik pembayaran yang sudah di-refund).
+async function reverseTransaction(connection, transactionId, { note, createdBy = null, actor = {} }) {
+  const [found] = await connection.execute("SELECT booking_id FROM transactions WHERE id = ? LIMIT 1", [transactionId]);
+  if (found.length === 0) {
+    throw new PaymentError("Transaksi tidak ditemukan.", 404);
+  }
+
+  // Urutan kunci sama dengan recordPayment / recordRefund: booking dulu, lalu baris ledger-nya
+  const booking = await lockBooking(connection, found[0].booking_id);
+  const [rows] = await connection.execute(
+    "SELECT id, booking_id, entry_type, payment_type, amount_paid, reverses_id FROM transactions WHERE booking_id = ? FOR UPDATE",
+    [booking.id]
+  );
+  const original = rows.find((row) => String(row.id) === String(transactionId));
+  if (original.entry_type === "reversal") {
+    throw new PaymentError("Entri reversal tidak dapat dibalik lagi.", 409);
+  }
+  if (rows.some((row) => String(row.reverses_id) === String(transactionId))) {
+    throw new PaymentError("Transaksi ini sudah pernah dibalik.", 409);
+  }
+
+  const originalAmount = toAmount(original.amount_paid);
+  const reversalAmount = original.entry_type === "refund" ? originalAmount : -originalAmount;
+
+  const before = await getBalance(connection, booking.id);
+  if (toAmount(before.paid + reversalAmount) < 0) {
+    throw new PaymentError("Reversal membuat dana yang sudah dibayar menjadi negatif; batalkan refund-nya terlebih dahulu.", 409, {
+      paid: before.paid,
+      amount: reversalAmount,
+    });
+  }
+
+  const reversalId = await insertEntry(connection, {
+    booking_id: original.booking_id,
+    entry_type: "reversal",
+    payment_type: original.payment_type,
+    amount_paid: reversalAmount,
+    reverses_id: transactionId,
+    note: note || null,
+    created_by: createdBy,
+  }, actor);
+
+  const synced = await syncStatusWithBalance(connection, booking, {
+    changedBy: createdBy,
+    reason: `Reversal transaksi #${transactionId}`,
+  });
+  return { transactionId: reversalId, bookingId: original.booking_id, ...synced };
+}
+
+// Dipanggil setelah total_price booking berubah
+async function syncBookingStatus(connection, bookingId, { changedBy = null, reason = null } = {}) {
+  const booking = await lockBooking(connection, bookingId);
+  return syncStatusWithBalance(connection, booking, { changedBy, reason });
+}
+
+async function getPaymentHistory(bookingId) {
+  const sql = `SELECT t.id, t.entry_type, t.payment_type, t.amount_paid, t.payment_method, t.va_number, t.reverses_id, t.note, t.created_at, u.username AS created_by_username FROM transactions t LEFT JOIN users u ON t.created_by = u.id WHERE t.booking_id = ? ORDER BY t.created_at ASC, t.id ASC`;
+  const [rows] = await pool.execute(sql, [bookingId]);
+  return rows;
+}
+
+export {
+  ENTRY_TYPES,
+  NET_AMOUNT_SQL,
+  PaymentError,
+  getBalance,
+  recordPayment,
+  recordRefund,
+  reverseTransaction,
+  syncBookingStatus,
+  getPaymentHistory,
+};
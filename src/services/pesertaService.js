@@ -0,0 +1,220 @@
+// services/pesertaService.js
+// Buku tamu (tabel peserta): isi form, ubah, pencarian, hapus dan ekspor CSV / XLSX
+import ExcelJS from "exceljs";
+import pool, { withTransaction } from "../config/db.js";
+import { recordAudit } from "./auditService.js";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_EXPORT_ROWS = 10000;
+const MAX_BULK_DELETE = 500;
+
+// Kolom yang boleh diisi lewat form buku tamu / PUT admin (tanggal diisi server)
+const PESERTA_FIELDS = ["nama", "alamat", "tempat_lahir", "tanggal_lahir", "telepon", "tujuan"];
+
+// Kolom ekspor: [field, judul]
+const EXPORT_COLUMNS = [
+  ["id", "ID"],
+  ["tanggal", "Tanggal"],
+  ["nama", "Nama"],
+  ["telepon", "Telepon"],
+  ["alamat", "Alamat"],
+  ["tempat_lahir", "Tempat Lahir"],
+  ["tanggal_lahir", "Tanggal Lahir"],
+  ["tujuan", "Tujuan"],
+];
+
+class PesertaError extends Error {
+  constructor(message, httpStatus = 400) {
+    super(message);
+    this.name = "PesertaError";
+    this.httpStatus = httpStatus;
+  }
+}
+
+// Filter: from / to (kolom tanggal), tujuan, q (nama atau telepon)
+function buildFilters({ from, to, tujuan, q } = {}) {
+  const where = [];
+  const params = [];
+
+  if (from) {
+    where.push("tanggal >= ?");
+    params.push(from);
+  }
+  if (to) {
+    where.push("tanggal <= ?");
+    params.push(to);
+  }
+  if (tujuan) {
+    where.push("tujuan LIKE ?");
+    params.push(`%${tujuan}%`);
+  }
+  if (q) {
+    // Pencarian telepon mengabaikan spasi / tanda hubung
+    const digits = String(q).replace(/\D/g, "");
+    where.push(digits ? "(nama LIKE ? OR REPLACE(REPLACE(telepon, ' ', ''), '-', '') LIKE ?)" : "nama LIKE ?");
+    params.push(`%${q}%`);
+    if (digits) params.push(`%${digits}%`);
+  }
+
+  return { sql: where.length ? ` WHERE ${where.join(" AND ")}` : "", params };
+}
+
+async function listPeserta(query = {}) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const filters = buildFilters(query);
+
+  const [[count]] = await pool.execute(`SELECT COUNT(*) AS total FROM peserta${filters.sql}`, filters.params);
+  const [rows] = await pool.execute(
+    `SELECT * FROM peserta${filters.sql} ORDER BY tanggal DESC, id DESC LIMIT ${limit} OFFSET ${(page - 1) * limit}`,
+    filters.params
+  );
+
+  return {
+    data: rows,
+    pagination: { page, limit, total: count.total, total_pages: Math.ceil(count.total / limit) },
+  };
+}
+
+async function getPeserta(id) {
+  const [rows] = await pool.execute("SELECT * FROM peserta WHERE id = ? LIMIT 1", [id]);
+  return rows[0] || null;
+}
+
+// Simpan isian form buku tamu dengan tanggal hari ini, mengembalikan id baru
+async function createPeserta(data) {
+  const values = PESERTA_FIELDS.map((field) => (data[field] === undefined ? null : data[field]));
+  const tanggal = new Date().toISOString().split("T")[0];
+
+  const [result] = await pool.execute(
+    `INSERT INTO peserta (${PESERTA_FIELDS.join(", ")}, tanggal) VALUES (${PESERTA_FIELDS.map(() => "?").join(", ")}, ?)`,
+    [...values, tanggal]
+  );
+  return result.insertId;
+}
+
+// Hanya field yang dikirim yang diubah; false jika data tidak ditemukan.
+// `actor` = pelaku untuk audit log (lihat auditService.auditActor)
+async function updatePeserta(id, data, actor) {
+  const fields = PESERTA_FIELDS.filter((field) => data[field] !== undefined);
+  if (fields.length === 0) {
+    throw new PesertaError("Tidak ada data yang valid untuk diupdate.");
+  }
+
+  return withTransaction(async (connection) => {
+    const [rows] = await connection.execute("SELECT * FROM peserta WHERE id = ? FOR UPDATE", [id]);
+    if (rows.length === 0) return false;
+
+    await connection.execute(
+      `UPDATE peserta SET ${fields.map((field) => `${field} = ?`).join(", ")} WHERE id = ?`,
+      [...fields.map((field) => data[field]), id]
+    );
+    await recordAudit(connection, {
+      entity: "peserta",
+      entityId: id,
+      action: "update",
+      before: rows[0],
+      after: Object.fromEntries(fields.map((field) => [field, data[field]])),
+      actor,
+    });
+    return true;
+  });
+}
+
+// Hapus data yang ada di `ids` + catat satu audit log per data; mengembalikan jumlah yang terhapus
+async function deleteWithAudit(ids, actor) {
+  return withTransaction(async (connection) => {
+    const placeholders = ids.map(() => "?").join(", ");
+    const [rows] = await connection.execute(`SELECT * FROM peserta WHERE id IN (${placeholders}) FOR UPDATE`, ids);
+    if (rows.length === 0) return 0;
+
+    const [result] = await connection.execute(`DELETE FROM peserta WHERE id IN (${placeholders})`, ids);
+    for (const row of rows) {
+      await recordAudit(connection, { entity: "peserta", entityId: row.id, action: "delete", before: row, actor });
+    }
+    return result.affectedRows;
+  });
+}
+
+async function deletePeserta(id, actor) {
+  return (await deleteWithAudit([id], actor)) > 0;
+}
+
+async function bulkDeletePeserta(ids, actor) {
+  const cleanIds = Array.isArray(ids) ? [...new Set(ids.map((id) => parseInt(id)).filter((id) => id > 0))] : [];
+  if (cleanIds.length === 0) {
+    throw new PesertaError("ids wajib berisi minimal satu id.");
+  }
+  if (cleanIds.length > MAX_BULK_DELETE) {
+    throw new PesertaError(`Maksimal ${MAX_BULK_DELETE} data per penghapusan.`);
+  }
+
+  const deleted = await deleteWithAudit(cleanIds, actor);
+  return { requested: cleanIds.length, deleted };
+}
+
+// Teks diawali = + - @ (atau tab / CR) dibaca Excel sebagai formula. Data buku tamu berasal dari form publik,
+// jadi sel seperti itu diberi awalan ' agar tampil sebagai teks biasa (CSV injection).
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function formatCell(value) {
+  if (value instanceof Date) {
+    return value.toLocaleDateString("sv-SE");
+  }
+  if (typeof value === "string" && FORMULA_START.test(value)) {
+    return `'${value}`;
+  }
+  return value ?? "";
+}
+
+function toCsvValue(value) {
+  const text = String(formatCell(value));
+  return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Ekspor seluruh hasil filter (tanpa paginasi). Mengembalikan { buffer, contentType, extension }
+async function exportPeserta(query = {}, format = "csv") {
+  const filters = buildFilters(query);
+  const [rows] = await pool.execute(
+    `SELECT * FROM peserta${filters.sql} ORDER BY tanggal DESC, id DESC LIMIT ${MAX_EXPORT_ROWS}`,
+    filters.params
+  );
+
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet("Buku Tamu");
+    sheet.columns = EXPORT_COLUMNS.map(([key, header]) => ({ key, header, width: key === "alamat" ? 40 : 18 }));
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach((row) => sheet.addRow(Object.fromEntries(EXPORT_COLUMNS.map(([key]) => [key, formatCell(row[key])]))));
+
+    return {
+      buffer: Buffer.from(await workbook.xlsx.writeBuffer()),
+      contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      extension: "xlsx",
+    };
+  }
+
+  // BOM agar Excel membaca UTF-8 dengan benar
+  const lines = [
+    EXPORT_COLUMNS.map(([, header]) => header).join(","),
+    ...rows.map((row) => EXPORT_COLUMNS.map(([key]) => toCsvValue(row[key])).join(",")),
+  ];
+  return {
+    buffer: Buffer.from(`\uFEFF${lines.join("\r\n")}\r\n`, "utf8"),
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+  };
+}
+
+export {
+  PESERTA_FIELDS,
+  PesertaError,
+  listPeserta,
+  getPeserta,
+  createPeserta,
+  updatePeserta,
+  deletePeserta,
+  bulkDeletePeserta,
+  exportPeserta,
+};
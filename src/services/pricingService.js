@@ -0,0 +1,140 @@
+// services/pricingService.js
+// Hitung total harga booking di server: harga paket x peserta + surcharge/diskon
+
+const RULE_TYPES = ["surcharge", "discount"];
+// percent       -> persen dari subtotal harga dasar
+// fixed_per_pax -> nominal per peserta
+// fixed         -> nominal sekali per booking
+const CALC_TYPES = ["percent", "fixed_per_pax", "fixed"];
+
+class PricingError extends Error {
+  constructor(message, httpStatus = 400, details = undefined) {
+    super(message);
+    this.name = "PricingError";
+    this.httpStatus = httpStatus;
+    this.details = details;
+  }
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// "YYYY-MM-DD"; kolom DATE dari mysql2 berupa Date lokal jadi jangan pakai toISOString()
+function toDateOnly(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  const match = /^\d{4}-\d{2}-\d{2}/.exec(String(value));
+  return match ? match[0] : null;
+}
+
+// Aturan berlaku jika jumlah peserta & tanggal perjalanan masuk rentangnya
+function ruleApplies(rule, participantCount, travelDate) {
+  if (rule.min_pax && participantCount < rule.min_pax) return false;
+  if (rule.max_pax && participantCount > rule.max_pax) return false;
+
+  if (rule.valid_from || rule.valid_until) {
+    if (!travelDate) return false;
+    if (rule.valid_from && travelDate < toDateOnly(rule.valid_from)) return false;
+    if (rule.valid_until && travelDate > toDateOnly(rule.valid_until)) return false;
+  }
+  return true;
+}
+
+function ruleAmount(rule, baseTotal, participantCount) {
+  const value = Number(rule.value);
+  if (rule.calc_type === "percent") return roundMoney((baseTotal * value) / 100);
+  if (rule.calc_type === "fixed_per_pax") return roundMoney(value * participantCount);
+  return roundMoney(value);
+}
+
+// Fungsi murni agar mudah dipakai ulang (quote, booking baru, update booking)
+function calculatePrice(pkg, participantCount, rules = [], { travelDate = null } = {}) {
+  const unitPrice = Number(pkg.price) || 0;
+  const baseTotal = roundMoney(unitPrice * participantCount);
+  const date = toDateOnly(travelDate);
+
+  const adjustments = rules
+    .filter((rule) => ruleApplies(rule, participantCount, date))
+    .map((rule) => {
+      const amount = ruleAmount(rule, baseTotal, participantCount);
+      return {
+        rule_id: rule.id,
+        name: rule.name,
+        type: rule.rule_type,
+        amount: rule.rule_type === "discount" ? -amount : amount,
+      };
+    });
+
+  const total = roundMoney(adjustments.reduce((sum, item) => sum + item.amount, baseTotal));
+
+  return {
+    package_id: pkg.id,
+    unit_price: unitPrice,
+    participants: participantCount,
+    travel_date: date,
+    base_total: baseTotal,
+    adjustments,
+    total: Math.max(total, 0),
+  };
+}
+
+async function getActiveRules(db, packageId) {
+  const [rows] = await db.execute(
+    "SELECT * FROM package_price_rules WHERE is_active = 1 AND (package_id IS NULL OR package_id = ?) ORDER BY id ASC",
+    [packageId]
+  );
+  return rows;
+}
+
+// db bisa pool atau koneksi transaksi
+async function quoteBooking(db, packageId, participantCount, { travelDate = null } = {}) {
+  const count = parseInt(participantCount, 10);
+  if (!count || count < 1) {
+    throw new PricingError("Jumlah peserta minimal 1.");
+  }
+
+  const [pkgRows] = await db.execute("SELECT id, price FROM packages WHERE id = ? LIMIT 1", [packageId]);
+  if (pkgRows.length === 0) {
+    throw new PricingError("Paket tidak ditemukan.", 404);
+  }
+
+  const rules = await getActiveRules(db, packageId);
+  return calculatePrice(pkgRows[0], count, rules, { travelDate });
+}
+
+// Booking tanpa jadwal keberangkatan wajib menyebut tanggal perjalanan (hari ini atau sesudahnya);
+// tanpa tanggal, aturan musiman (valid_from / valid_until) tidak akan pernah berlaku
+function assertTravelDate(travelDate) {
+  const date = toDateOnly(travelDate);
+  if (!date) {
+    throw new PricingError("travel_date wajib diisi jika departure_id tidak dipilih.");
+  }
+  if (date < toDateOnly(new Date())) {
+    throw new PricingError("travel_date tidak boleh tanggal yang sudah lewat.");
+  }
+}
+
+// Total dari client (jika dikirim) harus sama dengan hasil hitung server
+function assertClientTotal(clientTotal, breakdown) {
+  if (clientTotal === undefined || clientTotal === null || clientTotal === "") {
+    return;
+  }
+  if (roundMoney(Number(clientTotal)) !== breakdown.total) {
+    throw new PricingError("Total harga tidak sesuai dengan perhitungan server.", 409, {
+      client_total: Number(clientTotal),
+      price_breakdown: breakdown,
+    });
+  }
+}
+
+export {
+  RULE_TYPES,
+  CALC_TYPES,
+  PricingError,
+  calculatePrice,
+  quoteBooking,
+  assertTravelDate,
+  assertClientTotal,
+};
@@ -0,0 +1,293 @@
+// services/scanService.js
+// Check-in tiket peserta: scan online, manifest offline dan sinkronisasi batch
+import crypto from "crypto";
+import pool from "../config/db.js";
+import { TICKETABLE_STATUSES } from "./bookingStatusService.js";
+import { createTicketToken, verifyTicketToken } from "./ticketService.js";
+
+// Hasil scan, dipakai ulang oleh endpoint online dan batch offline
+const SCAN_RESULTS = {
+  OK: "ok",
+  INVALID: "invalid",
+  NOT_FOUND: "not_found",
+  UNPAID: "unpaid",
+  ALREADY_USED: "already_used",
+  HANGUS: "hangus",
+  DUPLICATE: "duplicate",
+  CONFLICT: "conflict",
+  UNDO: "undo",
+};
+
+// Selisih waktu scan yang dianggap kiriman ulang dari perangkat yang sama
+const DUPLICATE_WINDOW_MS = 1000;
+// Toleransi jam perangkat yang lebih cepat dari server
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function hashTicketToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function parseDeviceTime(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime()) || date.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    return null;
+  }
+  return date;
+}
+
+async function findParticipantForUpdate(connection, ticket) {
+  const [rows] = await connection.execute(
+    "SELECT pt.id, pt.booking_id, pt.name, pt.status, pt.scanned_at, pt.scanned_device, b.status AS booking_status, b.departure_id FROM participants pt JOIN bookings b ON pt.booking_id = b.id WHERE pt.id = ? AND pt.booking_id = ? FOR UPDATE",
+    [ticket.participantId, ticket.bookingId]
+  );
+  return rows[0] || null;
+}
+
+// Catat setiap percobaan scan, termasuk yang ditolak. Token mentah tidak disimpan, hanya hash-nya.
+async function logScanEvent(db, { participant = null, ticketToken = null, result, mode, operatorId = null, deviceId = null, scannedAt = null, reason = null }) {
+  await db.execute(
+    "INSERT INTO scan_events (participant_id, booking_id, departure_id, token_hash, result, mode, operator_id, device_id, reason, scanned_at, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())",
+    [
+      participant ? participant.id : null,
+      participant ? participant.booking_id : null,
+      participant ? participant.departure_id : null,
+      typeof ticketToken === "string" ? hashTicketToken(ticketToken) : null,
+      result,
+      mode,
+      operatorId,
+      deviceId,
+      reason,
+      scannedAt || new Date(),
+    ]
+  );
+}
+
+// Scan online: tiket valid langsung ditandai sudah_digunakan
+async function checkInTicket(ticketToken, { deviceId = null, operatorId = null } = {}) {
+  const ticket = verifyTicketToken(ticketToken);
+  if (!ticket) {
+    await logScanEvent(pool, { ticketToken, result: SCAN_RESULTS.INVALID, mode: "online", operatorId, deviceId });
+    return { result: SCAN_RESULTS.INVALID, participant: null };
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const participant = await findParticipantForUpdate(connection, ticket);
+    const scannedAt = new Date();
+    const result = await applyCheckIn(connection, participant, { deviceId, scannedAt });
+    await logScanEvent(connection, { participant, ticketToken, result, mode: "online", operatorId, deviceId, scannedAt });
+    await connection.commit();
+    return { result, participant };
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+async function applyCheckIn(connection, participant, { deviceId, scannedAt }) {
+  if (!participant) return SCAN_RESULTS.NOT_FOUND;
+  if (!TICKETABLE_STATUSES.includes(participant.booking_status)) return SCAN_RESULTS.UNPAID;
+  if (participant.status === "hangus") return SCAN_RESULTS.HANGUS;
+  if (participant.status === "sudah_digunakan") return SCAN_RESULTS.ALREADY_USED;
+  if (participant.status !== "valid") return SCAN_RESULTS.INVALID;
+
+  await connection.execute(
+    "UPDATE participants SET status = 'sudah_digunakan', scanned_at = ?, scanned_device = ? WHERE id = ?",
+    [scannedAt, deviceId, participant.id]
+  );
+  return SCAN_RESULTS.OK;
+}
+
+// Manifest untuk validasi offline. Perangkat hanya menerima hash token,
+// bukan secret HMAC, lalu mencocokkan hash dari QR yang di-scan.
+async function getDepartureManifest(departureId) {
+  const [departures] = await pool.execute(
+    "SELECT d.id, d.package_id, p.name AS package_name, d.departure_date, d.status FROM departures d LEFT JOIN packages p ON d.package_id = p.id WHERE d.id = ? LIMIT 1",
+    [departureId]
+  );
+  if (departures.length === 0) {
+    return null;
+  }
+
+  const placeholders = TICKETABLE_STATUSES.map(() => "?").join(", ");
+  const [rows] = await pool.execute(
+    `SELECT pt.id, pt.booking_id, b.booking_id AS booking_code, pt.name, pt.status, pt.scanned_at, pt.scanned_device FROM participants pt JOIN bookings b ON pt.booking_id = b.id WHERE b.departure_id = ? AND b.status IN (${placeholders}) ORDER BY pt.name ASC`,
+    [departureId, ...TICKETABLE_STATUSES]
+  );
+
+  return {
+    departure: departures[0],
+    generated_at: new Date().toISOString(),
+    participants: rows.map((row) => ({
+      ...row,
+      ticket_hash: hashTicketToken(createTicketToken(row.id, row.booking_id)),
+    })),
+  };
+}
+
+// Satu check-in dari perangkat offline. Jika dua perangkat memakai tiket yang sama,
+// scan paling awal (menurut jam perangkat) yang dianggap sah dan sisanya dilaporkan konflik.
+async function syncOfflineCheckIn(connection, item, deviceId, operatorId) {
+  const ticket = verifyTicketToken(item.ticketToken);
+  const scannedAt = parseDeviceTime(item.scanned_at) || new Date();
+  const base = { local_id: item.local_id ?? null, scanned_at: scannedAt.toISOString() };
+  const logBase = { ticketToken: item.ticketToken, mode: "offline", operatorId, deviceId, scannedAt };
+
+  if (!ticket) {
+    await logScanEvent(connection, { ...logBase, result: SCAN_RESULTS.INVALID });
+    return { ...base, result: SCAN_RESULTS.INVALID };
+  }
+
+  const participant = await findParticipantForUpdate(connection, ticket);
+  const result = await applyCheckIn(connection, participant, { deviceId, scannedAt });
+
+  if (result !== SCAN_RESULTS.ALREADY_USED) {
+    await logScanEvent(connection, { ...logBase, participant, result });
+    return { ...base, result, participant_id: ticket.participantId, name: participant ? participant.name : null };
+  }
+
+  const existingAt = participant.scanned_at ? new Date(participant.scanned_at) : null;
+  const sameDevice = participant.scanned_device === deviceId;
+  if (sameDevice && existingAt && Math.abs(existingAt - scannedAt) < DUPLICATE_WINDOW_MS) {
+    // Kiriman ulang batch yang sama, tidak dicatat lagi
+    return { ...base, result: SCAN_RESULTS.DUPLICATE, participant_id: participant.id, name: participant.name };
+  }
+
+  const incomingWins = existingAt && scannedAt < existingAt;
+  if (incomingWins) {
+    await connection.execute(
+      "UPDATE participants SET scanned_at = ?, scanned_device = ? WHERE id = ?",
+      [scannedAt, deviceId, participant.id]
+    );
+  }
+
+  await logScanEvent(connection, {
+    ...logBase,
+    participant,
+    result: SCAN_RESULTS.CONFLICT,
+    reason: incomingWins ? `Menggantikan scan ${participant.scanned_device || "online"}` : "Tiket sudah dipakai perangkat lain",
+  });
+
+  return {
+    ...base,
+    result: SCAN_RESULTS.CONFLICT,
+    participant_id: participant.id,
+    name: participant.name,
+    conflict: {
+      accepted_device: incomingWins ? deviceId : participant.scanned_device,
+      accepted_at: incomingWins ? scannedAt.toISOString() : existingAt && existingAt.toISOString(),
+      other_device: incomingWins ? participant.scanned_device : deviceId,
+      other_at: incomingWins ? existingAt && existingAt.toISOString() : scannedAt.toISOString(),
+    },
+  };
+}
+
+// Proses batch berurutan menurut waktu scan perangkat
+async function syncOfflineBatch(deviceId, checkins, { operatorId = null } = {}) {
+  const ordered = [...checkins].sort(
+    (a, b) => (parseDeviceTime(a.scanned_at) || 0) - (parseDeviceTime(b.scanned_at) || 0)
+  );
+
+  const results = [];
+  for (const item of ordered) {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      results.push(await syncOfflineCheckIn(connection, item, deviceId, operatorId));
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+  }
+  return results;
+}
+
+// Batalkan check-in yang salah (khusus supervisor). Peserta kembali berstatus valid.
+async function undoCheckIn(participantId, { operatorId, reason }) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute(
+      "SELECT pt.id, pt.booking_id, pt.name, pt.status, b.departure_id FROM participants pt JOIN bookings b ON pt.booking_id = b.id WHERE pt.id = ? FOR UPDATE",
+      [participantId]
+    );
+    const participant = rows[0];
+    if (!participant) {
+      await connection.rollback();
+      return { result: SCAN_RESULTS.NOT_FOUND, participant: null };
+    }
+    if (participant.status !== "sudah_digunakan") {
+      await connection.rollback();
+      return { result: participant.status === "hangus" ? SCAN_RESULTS.HANGUS : SCAN_RESULTS.INVALID, participant };
+    }
+
+    await connection.execute(
+      "UPDATE participants SET status = 'valid', scanned_at = NULL, scanned_device = NULL WHERE id = ?",
+      [participant.id]
+    );
+    await logScanEvent(connection, { participant, result: SCAN_RESULTS.UNDO, mode: "undo", operatorId, reason });
+
+    await connection.commit();
+    return { result: SCAN_RESULTS.UNDO, participant };
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+// Laporan check-in per keberangkatan: rekap status peserta + percobaan scan
+async function getDepartureCheckInReport(departureId) {
+  const placeholders = TICKETABLE_STATUSES.map(() => "?").join(", ");
+  const [[summary]] = await pool.execute(
+    `SELECT COUNT(pt.id) AS total, SUM(pt.status = 'sudah_digunakan') AS checked_in, SUM(pt.status = 'valid') AS not_checked_in, SUM(pt.status = 'hangus') AS hangus FROM participants pt JOIN bookings b ON pt.booking_id = b.id WHERE b.departure_id = ? AND b.status IN (${placeholders})`,
+    [departureId, ...TICKETABLE_STATUSES]
+  );
+
+  const [attempts] = await pool.execute(
+    "SELECT result, COUNT(*) AS count FROM scan_events WHERE departure_id = ? GROUP BY result",
+    [departureId]
+  );
+  const [operators] = await pool.execute(
+    "SELECT e.operator_id, u.username, e.device_id, COUNT(*) AS scans, SUM(e.result = 'ok') AS accepted FROM scan_events e LEFT JOIN users u ON e.operator_id = u.id WHERE e.departure_id = ? GROUP BY e.operator_id, u.username, e.device_id",
+    [departureId]
+  );
+  const [rejected] = await pool.execute(
+    "SELECT e.id, e.participant_id, pt.name, e.result, e.mode, e.device_id, u.username AS operator, e.reason, e.scanned_at FROM scan_events e LEFT JOIN participants pt ON e.participant_id = pt.id LEFT JOIN users u ON e.operator_id = u.id WHERE e.departure_id = ? AND e.result NOT IN ('ok', 'undo') ORDER BY e.scanned_at DESC LIMIT 100",
+    [departureId]
+  );
+
+  const total = Number(summary.total) || 0;
+  const checkedIn = Number(summary.checked_in) || 0;
+  return {
+    departure_id: Number(departureId),
+    summary: {
+      total,
+      checked_in: checkedIn,
+      not_checked_in: Number(summary.not_checked_in) || 0,
+      hangus: Number(summary.hangus) || 0,
+      check_in_rate: total > 0 ? Math.round((checkedIn / total) * 1000) / 10 : 0,
+    },
+    attempts: attempts.reduce((acc, row) => ({ ...acc, [row.result]: Number(row.count) }), {}),
+    operators,
+    rejected,
+  };
+}
+
+export {
+  SCAN_RESULTS,
+  hashTicketToken,
+  checkInTicket,
+  getDepartureManifest,
+  syncOfflineBatch,
+  undoCheckIn,
+  getDepartureCheckInReport,
+};
@@ -0,0 +1,33 @@
+// services/storageDrivers/index.js
+// Registry driver penyimpanan file upload. Driver aktif dipilih lewat STORAGE_DRIVER (default: local).
+//
+// Setiap driver wajib punya (key = object key relatif, mis. "3f2a...-foto.jpg" atau "variants/3f2a...-thumb.webp"):
+//   put(key, buffer, { contentType })
+//   get(key)            -> { stream, size, contentType?, lastModified } | null
+//   read(key)           -> Buffer
+//   exists(key)         -> boolean
+//   remove(key)
+//   list(prefix)        -> [{ key, size, lastModified }]
+//   getSignedUrl(key, { expiresIn }) -> URL sementara, atau null jika driver tidak mendukung
+import local from "./local.js";
+import s3 from "./s3.js";
+
+const drivers = {
+  [local.name]: local,
+  [s3.name]: s3,
+};
+
+function getDriver(name) {
+  return drivers[name] || null;
+}
+
+function getDefaultDriver() {
+  const name = process.env.STORAGE_DRIVER || "local";
+  const driver = getDriver(name);
+  if (!driver) {
+    throw new Error(`STORAGE_DRIVER tidak dikenal: ${name}`);
+  }
+  return driver;
+}
+
+export { getDriver, getDefaultDriver };
@@ -0,0 +1,83 @@
+// services/storageDrivers/local.js
+// Driver disk lokal: object key = path relatif di STORAGE_LOCAL_DIR (default uploads/)
+import fs from "fs";
+import path from "path";
+
+// rootDir bisa string atau fungsi (dibaca saat dipakai, setelah .env dimuat)
+function createLocalDriver(rootDir) {
+  const getRoot = () => path.resolve(typeof rootDir === "function" ? rootDir() : rootDir);
+
+  // Key tidak boleh keluar dari folder root (mis. "../.env")
+  function resolveKey(key) {
+    const root = getRoot();
+    const target = path.resolve(root, String(key));
+    if (target !== root && !target.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Object key tidak valid: ${key}`);
+    }
+    return target;
+  }
+
+  async function put(key, buffer) {
+    const target = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, buffer);
+  }
+
+  async function get(key) {
+    const target = resolveKey(key);
+    try {
+      const stat = await fs.promises.stat(target);
+      return { stream: fs.createReadStream(target), size: stat.size, lastModified: stat.mtime };
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async function read(key) {
+    return fs.promises.readFile(resolveKey(key));
+  }
+
+  async function exists(key) {
+    return fs.existsSync(resolveKey(key));
+  }
+
+  async function remove(key) {
+    await fs.promises.unlink(resolveKey(key)).catch((err) => {
+      if (err.code !== "ENOENT") throw err;
+    });
+  }
+
+  // Semua object di bawah prefix (rekursif), key selalu memakai "/"
+  async function list(prefix = "") {
+    const root = getRoot();
+    if (!fs.existsSync(root)) return [];
+
+    const objects = [];
+    const walk = async (dir) => {
+      for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(full);
+          continue;
+        }
+        const key = path.relative(root, full).split(path.sep).join("/");
+        if (!key.startsWith(prefix)) continue;
+        const stat = await fs.promises.stat(full);
+        objects.push({ key, size: stat.size, lastModified: stat.mtime });
+      }
+    };
+    await walk(root);
+    return objects;
+  }
+
+  // Disk lokal tidak punya signed URL -> file diunduh lewat proxy /uploads
+  async function getSignedUrl() {
+    return null;
+  }
+
+  return { name: "local", put, get, read, exists, remove, list, getSignedUrl };
+}
+
+export { createLocalDriver };
+export default createLocalDriver(() => process.env.STORAGE_LOCAL_DIR || "uploads");
@@ -0,0 +1,106 @@
+// services/storageDrivers/s3.js
+// Driver S3-compatible (AWS S3, MinIO, Cloudflare R2, dsb).
+//   S3_BUCKET, S3_REGION (default us-east-1), S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+//   S3_ENDPOINT untuk MinIO / R2 (mis. http://localhost:9000), S3_FORCE_PATH_STYLE=true untuk MinIO
+//   S3_PREFIX opsional, mis. "barokah/" agar bucket bisa dipakai bersama
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl as presign } from "@aws-sdk/s3-request-presigner";
+
+let client = null;
+
+// Client dibuat saat dipakai pertama kali agar env dari .env sudah terbaca
+function getClient() {
+  if (!client) {
+    if (!process.env.S3_BUCKET) {
+      throw new Error("S3_BUCKET belum di-set.");
+    }
+    client = new S3Client({
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined,
+    });
+  }
+  return client;
+}
+
+const bucket = () => process.env.S3_BUCKET;
+const prefix = () => process.env.S3_PREFIX || "";
+const toObjectKey = (key) => `${prefix()}${key}`;
+
+const isNotFound = (err) => err.name === "NoSuchKey" || err.name === "NotFound" || err.$metadata?.httpStatusCode === 404;
+
+async function put(key, buffer, { contentType } = {}) {
+  await getClient().send(
+    new PutObjectCommand({ Bucket: bucket(), Key: toObjectKey(key), Body: buffer, ContentType: contentType })
+  );
+}
+
+async function get(key) {
+  try {
+    const object = await getClient().send(new GetObjectCommand({ Bucket: bucket(), Key: toObjectKey(key) }));
+    return {
+      stream: object.Body,
+      size: object.ContentLength,
+      contentType: object.ContentType,
+      lastModified: object.LastModified,
+    };
+  } catch (err) {
+    if (isNotFound(err)) return null;
+    throw err;
+  }
+}
+
+async function read(key) {
+  const object = await getClient().send(new GetObjectCommand({ Bucket: bucket(), Key: toObjectKey(key) }));
+  return Buffer.from(await object.Body.transformToByteArray());
+}
+
+async function exists(key) {
+  try {
+    await getClient().send(new HeadObjectCommand({ Bucket: bucket(), Key: toObjectKey(key) }));
+    return true;
+  } catch (err) {
+    if (isNotFound(err)) return false;
+    throw err;
+  }
+}
+
+async function remove(key) {
+  await getClient().send(new DeleteObjectCommand({ Bucket: bucket(), Key: toObjectKey(key) }));
+}
+
+async function list(keyPrefix = "") {
+  const objects = [];
+  let token;
+  do {
+    const page = await getClient().send(
+      new ListObjectsV2Command({ Bucket: bucket(), Prefix: toObjectKey(keyPrefix), ContinuationToken: token })
+    );
+    (page.Contents || []).forEach((object) =>
+      objects.push({ key: object.Key.slice(prefix().length), size: object.Size, lastModified: object.LastModified })
+    );
+    token = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (token);
+  return objects;
+}
+
+// URL sementara untuk unduh langsung dari bucket (default 15 menit)
+async function getSignedUrl(key, { expiresIn } = {}) {
+  return presign(
+    getClient(),
+    new GetObjectCommand({ Bucket: bucket(), Key: toObjectKey(key) }),
+    { expiresIn: expiresIn || parseInt(process.env.S3_SIGNED_URL_TTL) || 900 }
+  );
+}
+
+export default { name: "s3", put, get, read, exists, remove, list, getSignedUrl };
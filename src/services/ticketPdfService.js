@@ -0,0 +1,118 @@
+// services/ticketPdfService.js
+// Render e-tiket / voucher booking ke PDF (A4) dengan QR per peserta
+import PDFDocument from "pdfkit";
+import { renderQrPng } from "./ticketService.js";
+import { formatRupiah, formatDate } from "../utils/format.js";
+
+const BRAND_COLOR = "#0B6E4F";
+const QR_SIZE = 90;
+
+const TERMS = [
+  "Tunjukkan QR code masing-masing peserta kepada petugas saat keberangkatan.",
+  "Satu QR code hanya berlaku untuk satu peserta dan satu kali check-in.",
+  "Jangan membagikan e-tiket ini kepada pihak lain.",
+  "Peserta wajib hadir di titik kumpul 30 menit sebelum jadwal keberangkatan.",
+  "Perubahan jadwal atau pembatalan mengikuti ketentuan Barokah Tour.",
+];
+
+const STATUS_LABELS = {
+  lunas: "LUNAS",
+  selesai: "LUNAS - PERJALANAN SELESAI",
+};
+
+function drawHeader(doc) {
+  doc.rect(0, 0, doc.page.width, 80).fill(BRAND_COLOR);
+  doc.fillColor("#FFFFFF").font("Helvetica-Bold").fontSize(22).text("BAROKAH TOUR", 40, 22);
+  doc.font("Helvetica").fontSize(11).text("E-Tiket & Voucher Perjalanan", 40, 50);
+  doc.fillColor("#000000");
+  doc.y = 100;
+}
+
+function drawInfoRow(doc, label, value) {
+  const y = doc.y;
+  doc.font("Helvetica").fontSize(10).fillColor("#555555").text(label, 40, y, { width: 140 });
+  doc.font("Helvetica-Bold").fillColor("#000000").text(value || "-", 180, y, { width: 375 });
+  doc.moveDown(0.4);
+}
+
+function drawSectionTitle(doc, title) {
+  doc.moveDown(0.8);
+  doc.font("Helvetica-Bold").fontSize(13).fillColor(BRAND_COLOR).text(title, 40);
+  doc.moveTo(40, doc.y + 2).lineTo(doc.page.width - 40, doc.y + 2).strokeColor(BRAND_COLOR).stroke();
+  doc.fillColor("#000000");
+  doc.moveDown(0.6);
+}
+
+async function drawParticipant(doc, participant, index) {
+  // Pindah halaman jika QR tidak muat
+  if (doc.y + QR_SIZE + 20 > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+
+  const top = doc.y;
+  const qr = await renderQrPng(participant.ticket_token);
+  doc.image(qr, 40, top, { width: QR_SIZE, height: QR_SIZE });
+
+  doc.font("Helvetica-Bold").fontSize(12).text(`${index + 1}. ${participant.name}`, 145, top + 10, { width: 410 });
+  doc.font("Helvetica").fontSize(9).fillColor("#555555")
+    .text(`ID Peserta: ${participant.id}`, 145, doc.y + 4)
+    .text(`Status tiket: ${participant.status}`, 145);
+  doc.fillColor("#000000");
+
+  doc.y = top + QR_SIZE + 12;
+}
+
+// ticket = hasil getTicketData(): { booking, participants, balance }
+async function renderTicketPdf({ booking, participants, balance }) {
+  const doc = new PDFDocument({ size: "A4", margin: 40, info: { Title: `E-Tiket ${booking.booking_id}` } });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  drawHeader(doc);
+
+  drawSectionTitle(doc, "Detail Booking");
+  drawInfoRow(doc, "Kode Booking", booking.booking_id);
+  drawInfoRow(doc, "Paket", booking.package_name);
+  drawInfoRow(doc, "Kota Tujuan", booking.city_name);
+  drawInfoRow(
+    doc,
+    "Keberangkatan",
+    booking.return_date
+      ? `${formatDate(booking.departure_date)} s/d ${formatDate(booking.return_date)}`
+      : formatDate(booking.departure_date)
+  );
+  drawInfoRow(doc, "Pemesan", `${booking.customer_name} (${booking.customer_email})`);
+  drawInfoRow(doc, "Jumlah Peserta", `${participants.length} orang`);
+
+  drawSectionTitle(doc, "Status Pembayaran");
+  drawInfoRow(doc, "Status", STATUS_LABELS[booking.status] || booking.status);
+  drawInfoRow(doc, "Total Harga", formatRupiah(balance ? balance.total_price : booking.total_price));
+  if (balance) {
+    drawInfoRow(doc, "Sudah Dibayar", formatRupiah(balance.paid));
+  }
+
+  drawSectionTitle(doc, "Peserta");
+  for (const [index, participant] of participants.entries()) {
+    await drawParticipant(doc, participant, index);
+  }
+
+  drawSectionTitle(doc, "Syarat & Ketentuan");
+  doc.font("Helvetica").fontSize(9);
+  TERMS.forEach((term, index) => {
+    doc.text(`${index + 1}. ${term}`, 40, doc.y, { width: doc.page.width - 80 });
+    doc.moveDown(0.2);
+  });
+
+  doc.moveDown(1);
+  doc.fontSize(8).fillColor("#888888")
+    .text(`Dicetak pada ${formatDate(new Date())}. Dokumen ini sah tanpa tanda tangan.`, 40, doc.y, { align: "center", width: doc.page.width - 80 });
+
+  doc.end();
+  return finished;
+}
+
+export { renderTicketPdf };
@@ -0,0 +1,118 @@
+// services/ticketService.js
+// Token tiket per peserta yang ditandatangani HMAC + render QR di server
+import crypto from "crypto";
+import QRCode from "qrcode";
+import pool from "../config/db.js";
+import { isProduction } from "../config/env.js";
+import { TICKETABLE_STATUSES } from "./bookingStatusService.js";
+import { getBalance } from "./paymentService.js";
+
+// Format token: BRK1.<participantId>.<bookingId>.<signature base64url>
+const TOKEN_PREFIX = "BRK1";
+
+function getSecret() {
+  if (process.env.TICKET_SECRET) {
+    return process.env.TICKET_SECRET;
+  }
+  // Di production wajib di-set: dengan secret bawaan siapa pun bisa membuat tiket sah
+  if (isProduction()) {
+    throw new Error("TICKET_SECRET wajib di-set di production.");
+  }
+  return "barokah-dev-ticket-secret";
+}
+
+// Dicek saat server start, bersama secret login (lihat tokenService.assertTokenConfig)
+function assertTicketConfig() {
+  getSecret();
+}
+
+function sign(participantId, bookingId) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(`${TOKEN_PREFIX}.${participantId}.${bookingId}`)
+    .digest("base64url");
+}
+
+function createTicketToken(participantId, bookingId) {
+  return `${TOKEN_PREFIX}.${participantId}.${bookingId}.${sign(participantId, bookingId)}`;
+}
+
+// Mengembalikan { participantId, bookingId } atau null jika token palsu / diubah
+function verifyTicketToken(token) {
+  if (typeof token !== "string") {
+    return null;
+  }
+
+  const parts = token.trim().split(".");
+  if (parts.length !== 4 || parts[0] !== TOKEN_PREFIX || !/^\d+$/.test(parts[1]) || !/^\d+$/.test(parts[2])) {
+    return null;
+  }
+
+  const [, participantId, bookingId, signature] = parts;
+  const expected = Buffer.from(sign(participantId, bookingId));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  return { participantId: parseInt(participantId, 10), bookingId: parseInt(bookingId, 10) };
+}
+
+// QR sebagai data URL (untuk JSON tiket) atau Buffer PNG (untuk endpoint gambar / PDF)
+function renderQrDataUrl(token) {
+  return QRCode.toDataURL(token, { errorCorrectionLevel: "M", margin: 1, width: 240 });
+}
+
+function renderQrPng(token) {
+  return QRCode.toBuffer(token, { errorCorrectionLevel: "M", margin: 1, width: 240, type: "png" });
+}
+
+class TicketError extends Error {
+  constructor(message, httpStatus = 400) {
+    super(message);
+    this.name = "TicketError";
+    this.httpStatus = httpStatus;
+  }
+}
+
+// Data tiket (booking, paket, keberangkatan, peserta + token) untuk JSON maupun PDF.
+// Tiket publik wajib menyertakan kode booking dan hanya terbit jika sudah lunas.
+async function getTicketData(bookingId, code) {
+  const sql = `SELECT b.*, p.name AS package_name, c.city_name, d.departure_date, d.return_date FROM bookings b LEFT JOIN packages p ON b.package_id = p.id LEFT JOIN cities c ON p.city_id = c.id LEFT JOIN departures d ON b.departure_id = d.id WHERE b.id = ? LIMIT 1`;
+  const [results] = await pool.execute(sql, [bookingId]);
+
+  if (results.length === 0) {
+    throw new TicketError("Booking tidak ditemukan.", 404);
+  }
+
+  const booking = results[0];
+
+  if (!code || String(code).toUpperCase() !== String(booking.booking_id).toUpperCase()) {
+    throw new TicketError("Kode booking tidak sesuai.", 403);
+  }
+
+  if (!TICKETABLE_STATUSES.includes(booking.status)) {
+    throw new TicketError("Pembayaran belum lunas.", 403);
+  }
+
+  const [participantRows] = await pool.execute(
+    "SELECT id, name, status FROM participants WHERE booking_id = ? ORDER BY id ASC",
+    [booking.id]
+  );
+  const participants = participantRows.map((participant) => ({
+    ...participant,
+    ticket_token: createTicketToken(participant.id, booking.id),
+  }));
+
+  return { booking, participants, balance: await getBalance(pool, booking.id) };
+}
+
+export {
+  TicketError,
+  assertTicketConfig,
+  getTicketData,
+  createTicketToken,
+  verifyTicketToken,
+  renderQrDataUrl,
+  renderQrPng,
+};
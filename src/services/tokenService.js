@@ -0,0 +1,119 @@
+// services/tokenService.js
+// Access token (JWT) dan refresh token untuk login staff
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import pool from "../config/db.js";
+import { isProduction } from "../config/env.js";
+
+// Konfigurasi dibaca saat dipakai karena dotenv baru di-load setelah semua import selesai
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || "15m";
+const refreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_DAYS || "7", 10);
+
+function getSecret() {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  // Di production secret wajib di-set: secret bawaan membuat siapa pun bisa membuat token admin
+  if (isProduction()) {
+    throw new Error("JWT_SECRET wajib di-set di production.");
+  }
+  return "barokah-dev-secret";
+}
+
+// Dicek saat server start agar secret yang kosong tidak baru ketahuan saat login pertama
+function assertTokenConfig() {
+  getSecret();
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { sub: user.id, username: user.username, sid: sessionId },
+    getSecret(),
+    { expiresIn: accessTokenTtl() }
+  );
+}
+
+// Lempar error dari jsonwebtoken (TokenExpiredError, JsonWebTokenError) ke pemanggil
+function verifyAccessToken(token) {
+  return jwt.verify(token, getSecret());
+}
+
+// Buat sesi baru dan kembalikan pasangan token
+async function createSession(user, { ip, userAgent } = {}) {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const sql = `INSERT INTO user_sessions (user_id, refresh_token_hash, ip_address, user_agent, expires_at, created_at) VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), NOW())`;
+
+  const [result] = await pool.execute(sql, [
+    user.id, hashToken(refreshToken), ip || null, userAgent || null, refreshTokenDays()
+  ]);
+
+  return {
+    accessToken: signAccessToken(user, result.insertId),
+    refreshToken,
+    expiresIn: accessTokenTtl(),
+  };
+}
+
+// Tukar refresh token dengan pasangan token baru (rotasi).
+// Mengembalikan null jika token tidak dikenal, kedaluwarsa atau sudah dicabut.
+async function rotateSession(refreshToken) {
+  const findSql = `SELECT s.id, u.id AS user_id, u.username FROM user_sessions s JOIN users u ON s.user_id = u.id WHERE s.refresh_token_hash = ? AND s.revoked_at IS NULL AND s.expires_at > NOW() AND u.is_active = 1 LIMIT 1`;
+  const [rows] = await pool.execute(findSql, [hashToken(refreshToken)]);
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const session = rows[0];
+  const newRefreshToken = crypto.randomBytes(48).toString("hex");
+  // Hash lama ikut di WHERE: dari dua /refresh bersamaan dengan token yang sama hanya satu yang berhasil
+  const [result] = await pool.execute(
+    "UPDATE user_sessions SET refresh_token_hash = ?, expires_at = DATE_ADD(NOW(), INTERVAL ? DAY) WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL",
+    [hashToken(newRefreshToken), refreshTokenDays(), session.id, hashToken(refreshToken)]
+  );
+  if (result.affectedRows === 0) {
+    return null;
+  }
+
+  return {
+    accessToken: signAccessToken({ id: session.user_id, username: session.username }, session.id),
+    refreshToken: newRefreshToken,
+    expiresIn: accessTokenTtl(),
+  };
+}
+
+// Role dibaca ulang dari tabel users agar perubahan role/nonaktif langsung berlaku
+async function findActiveSession(sessionId) {
+  const sql = `SELECT s.id, u.id AS user_id, u.role FROM user_sessions s JOIN users u ON s.user_id = u.id WHERE s.id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW() AND u.is_active = 1 LIMIT 1`;
+  const [rows] = await pool.execute(sql, [sessionId]);
+  return rows[0] || null;
+}
+
+async function revokeSession(sessionId) {
+  await pool.execute(
+    "UPDATE user_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+    [sessionId]
+  );
+}
+
+// Dipakai saat password diganti atau user dinonaktifkan
+async function revokeUserSessions(userId) {
+  await pool.execute(
+    "UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+    [userId]
+  );
+}
+
+export {
+  assertTokenConfig,
+  createSession,
+  rotateSession,
+  verifyAccessToken,
+  findActiveSession,
+  revokeSession,
+  revokeUserSessions,
+};
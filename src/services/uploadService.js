@@ -0,0 +1,263 @@
+// services/uploadService.js
+// Penyimpanan file upload: deteksi tipe dari isi file, nama aman, deduplikasi berdasarkan hash,
+// thumbnail / varian ukuran untuk gambar, serta pembersihan file yatim (tidak dirujuk record).
+// File disimpan lewat driver di services/storageDrivers; record menyimpan object key-nya.
+import crypto from "crypto";
+import path from "path";
+import sharp from "sharp";
+import pool from "../config/db.js";
+import { getDefaultDriver } from "./storageDrivers/index.js";
+
+const VARIANT_PREFIX = "variants/";
+
+// Varian gambar yang dibuat otomatis: variants/<nama>-<varian>.webp
+const IMAGE_VARIANTS = {
+  thumb: { width: 200, height: 200, fit: "cover" },
+  medium: { width: 1024, height: 1024, fit: "inside" },
+};
+
+// Kolom yang menyimpan object key file upload. File yang tidak dirujuk kolom mana pun dianggap yatim.
+const FILE_REFERENCES = [
+  ["marketing", "foto_kunjungan"],
+  ["trip_expenses", "receipt_file"],
+  ["cash_entries", "receipt_file"],
+];
+
+// Tanda tangan byte awal -> tipe file sebenarnya (tidak percaya mimetype dari client)
+const SIGNATURES = [
+  { mime: "image/jpeg", ext: ".jpg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mime: "image/png", ext: ".png", test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mime: "image/webp", ext: ".webp", test: (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP" },
+  { mime: "application/pdf", ext: ".pdf", test: (b) => b.subarray(0, 5).toString("latin1") === "%PDF-" },
+];
+
+class UploadError extends Error {
+  constructor(message, httpStatus = 400) {
+    super(message);
+    this.name = "UploadError";
+    this.httpStatus = httpStatus;
+  }
+}
+
+function detectType(buffer) {
+  return SIGNATURES.find((signature) => buffer.length >= 12 && signature.test(buffer)) || null;
+}
+
+// "Foto Kunjungan (1).JPG" -> "foto-kunjungan-1"
+function sanitizeBaseName(originalName) {
+  const base = path.basename(String(originalName || ""), path.extname(String(originalName || "")));
+  const clean = base
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  return clean || "file";
+}
+
+function variantKey(key, variant) {
+  return `${VARIANT_PREFIX}${path.posix.basename(key, path.posix.extname(key))}-${variant}.webp`;
+}
+
+const isImageKey = (key) => /\.(jpe?g|png|webp)$/i.test(key);
+
+// Object key yang dikirim lewat URL / body: tanpa "/uploads/" di depan, tanpa "..", tanpa "\"
+function normalizeKey(key) {
+  const clean = String(key || "").replace(/^\/?uploads\//, "").replace(/^\/+/, "");
+  if (!clean || clean.includes("..") || clean.includes("\\")) {
+    return null;
+  }
+  return clean;
+}
+
+// URL unduh file + variannya (varian hanya ada untuk gambar).
+// STORAGE_URL_MODE=signed -> signed URL langsung ke bucket (jika driver mendukung),
+// selain itu lewat proxy /uploads/<key> di server ini.
+async function fileUrls(key) {
+  if (!key) return null;
+  const driver = getDefaultDriver();
+  const keys = { original: key };
+  if (isImageKey(key)) {
+    for (const variant of Object.keys(IMAGE_VARIANTS)) {
+      keys[variant] = variantKey(key, variant);
+    }
+  }
+
+  const urls = {};
+  for (const [name, objectKey] of Object.entries(keys)) {
+    const signed = process.env.STORAGE_URL_MODE === "signed" ? await driver.getSignedUrl(objectKey) : null;
+    urls[name] = signed || `/uploads/${objectKey}`;
+  }
+  return urls;
+}
+
+async function generateVariants(buffer, key) {
+  const driver = getDefaultDriver();
+  const image = sharp(buffer).rotate();
+  const metadata = await image.metadata();
+
+  for (const [variant, size] of Object.entries(IMAGE_VARIANTS)) {
+    const output = await image
+      .clone()
+      .resize({ ...size, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+    await driver.put(variantKey(key, variant), output, { contentType: "image/webp" });
+  }
+  return { width: metadata.width || null, height: metadata.height || null };
+}
+
+// Simpan buffer upload. File dengan isi sama (sha256) memakai file yang sudah ada.
+// Mengembalikan { filename (object key), mime, size, hash, duplicate }
+async function storeUpload({ buffer, originalname }, { allowedTypes }) {
+  const driver = getDefaultDriver();
+  const type = detectType(buffer);
+  if (!type || !allowedTypes.includes(type.mime)) {
+    throw new UploadError(`Tipe file tidak diizinkan. Hanya: ${allowedTypes.join(", ")}`, 415);
+  }
+
+  const hash = crypto.createHash("sha256").update(buffer).digest("hex");
+  const [existing] = await pool.execute("SELECT object_key FROM uploaded_files WHERE hash = ? LIMIT 1", [hash]);
+  if (existing.length > 0 && (await driver.exists(existing[0].object_key))) {
+    return { filename: existing[0].object_key, mime: type.mime, size: buffer.length, hash, duplicate: true };
+  }
+
+  const filename = `${hash.slice(0, 16)}-${sanitizeBaseName(originalname)}${type.ext}`;
+  await driver.put(filename, buffer, { contentType: type.mime });
+
+  let dimensions = { width: null, height: null };
+  if (type.mime.startsWith("image/")) {
+    try {
+      dimensions = await generateVariants(buffer, filename);
+    } catch (err) {
+      await removeStoredFile(filename);
+      throw new UploadError("File gambar rusak atau tidak dapat diproses.");
+    }
+  }
+
+  await pool.execute(
+    "INSERT INTO uploaded_files (hash, object_key, original_name, mime, size, width, height, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, NOW()) ON DUPLICATE KEY UPDATE object_key = VALUES(object_key), original_name = VALUES(original_name)",
+    [hash, filename, String(originalname || "").slice(0, 255), type.mime, buffer.length, dimensions.width, dimensions.height]
+  );
+  return { filename, mime: type.mime, size: buffer.length, hash, duplicate: false };
+}
+
+async function removeStoredFile(key) {
+  const driver = getDefaultDriver();
+  const targets = [key, ...Object.keys(IMAGE_VARIANTS).map((variant) => variantKey(key, variant))];
+  await Promise.all(targets.map((target) => driver.remove(target).catch(() => {})));
+  await pool.execute("DELETE FROM uploaded_files WHERE object_key = ?", [key]);
+}
+
+async function countReferences(key) {
+  let total = 0;
+  for (const [table, column] of FILE_REFERENCES) {
+    const [[row]] = await pool.execute(`SELECT COUNT(*) AS total FROM ${table} WHERE ${column} = ?`, [key]);
+    total += Number(row.total);
+  }
+  return total;
+}
+
+// Hapus file yang tidak lagi dirujuk (dipanggil setelah record diupdate / dihapus).
+// Karena deduplikasi, satu file bisa dipakai beberapa record -> cek rujukan dulu.
+async function releaseFile(key) {
+  const safeKey = normalizeKey(key);
+  if (!safeKey) return false;
+  if ((await countReferences(safeKey)) > 0) {
+    return false;
+  }
+  await removeStoredFile(safeKey);
+  return true;
+}
+
+async function getReferencedFiles() {
+  const referenced = new Set();
+  for (const [table, column] of FILE_REFERENCES) {
+    const [rows] = await pool.execute(`SELECT DISTINCT ${column} AS filename FROM ${table} WHERE ${column} IS NOT NULL AND ${column} <> ''`);
+    rows.forEach((row) => referenced.add(normalizeKey(row.filename)));
+  }
+  return referenced;
+}
+
+// Gabungkan file lama yang isinya sama: rujukan dipindah ke satu file, sisanya dihapus
+async function dedupeExistingFiles({ dryRun = false } = {}) {
+  const driver = getDefaultDriver();
+  const objects = (await driver.list()).filter((object) => !object.key.startsWith(VARIANT_PREFIX));
+  const byHash = new Map();
+
+  for (const object of objects) {
+    const buffer = await driver.read(object.key);
+    const hash = crypto.createHash("sha256").update(buffer).digest("hex");
+    byHash.set(hash, [...(byHash.get(hash) || []), object.key]);
+  }
+
+  const merged = [];
+  for (const [hash, names] of byHash) {
+    if (names.length < 2) continue;
+    const [keep, ...duplicates] = names.sort();
+    merged.push({ hash, keep, removed: duplicates });
+    if (dryRun) continue;
+
+    for (const duplicate of duplicates) {
+      for (const [table, column] of FILE_REFERENCES) {
+        await pool.execute(`UPDATE ${table} SET ${column} = ? WHERE ${column} = ?`, [keep, duplicate]);
+      }
+      await removeStoredFile(duplicate);
+    }
+  }
+  return merged;
+}
+
+// Hapus file di storage yang tidak dirujuk record mana pun.
+// File yang lebih muda dari minAgeHours dilewati agar upload yang sedang diproses tidak ikut terhapus.
+async function cleanupOrphanFiles({ dryRun = false, minAgeHours = 24 } = {}) {
+  const driver = getDefaultDriver();
+  const referenced = await getReferencedFiles();
+  const objects = await driver.list();
+  const originals = objects.filter((object) => !object.key.startsWith(VARIANT_PREFIX));
+  const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000;
+  const removed = [];
+
+  for (const object of originals) {
+    if (referenced.has(object.key)) continue;
+    if (new Date(object.lastModified).getTime() > cutoff) continue;
+
+    removed.push({ filename: object.key, size: object.size });
+    if (!dryRun) await removeStoredFile(object.key);
+  }
+
+  // Varian tanpa file asli
+  const remaining = new Set(
+    originals
+      .filter((object) => !removed.some((file) => file.filename === object.key))
+      .map((object) => path.posix.basename(object.key, path.posix.extname(object.key)))
+  );
+  const orphanVariants = objects
+    .filter((object) => object.key.startsWith(VARIANT_PREFIX))
+    .filter((object) => !remaining.has(object.key.slice(VARIANT_PREFIX.length).replace(/-[a-z]+\.webp$/, "")));
+  if (!dryRun) {
+    await Promise.all(orphanVariants.map((object) => driver.remove(object.key).catch(() => {})));
+  }
+
+  return {
+    dry_run: dryRun,
+    removed,
+    removed_variants: orphanVariants.length,
+    freed_bytes: removed.reduce((sum, file) => sum + file.size, 0),
+  };
+}
+
+export {
+  VARIANT_PREFIX,
+  IMAGE_VARIANTS,
+  FILE_REFERENCES,
+  UploadError,
+  sanitizeBaseName,
+  normalizeKey,
+  fileUrls,
+  storeUpload,
+  releaseFile,
+  dedupeExistingFiles,
+  cleanupOrphanFiles,
+};
@@ -0,0 +1,26 @@
+// services/whatsappProviders/fonnte.js
+// Adapter WhatsApp gateway Fonnte (FONNTE_TOKEN)
+const API_URL = "https://api.fonnte.com/send";
+
+async function send({ phone, message }) {
+  const token = process.env.FONNTE_TOKEN;
+  if (!token) {
+    throw new Error("FONNTE_TOKEN belum di-set.");
+  }
+
+  // Fonnte menerima nomor tanpa tanda +
+  const response = await fetch(API_URL, {
+    method: "POST",
+    headers: { Authorization: token },
+    body: new URLSearchParams({ target: phone.replace(/^\+/, ""), message }),
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || data.status === false) {
+    throw new Error(`Fonnte menolak pesan: ${data.reason || response.statusText}`);
+  }
+
+  return { providerMessageId: Array.isArray(data.id) ? String(data.id[0]) : data.id ? String(data.id) : null };
+}
+
+export default { name: "fonnte", send };
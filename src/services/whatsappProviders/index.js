@@ -0,0 +1,37 @@
+// services/whatsappProviders/index.js
+// Registry provider WhatsApp. Provider aktif dipilih lewat WHATSAPP_PROVIDER
+// (default di luar production: stub; di production wajib di-set).
+//
+// Setiap provider wajib punya:
+//   send({ phone, message }) -> { providerMessageId }
+//   melempar error jika pengiriman gagal (akan dicoba ulang oleh worker outbox)
+import stub from "./stub.js";
+import fonnte from "./fonnte.js";
+import { isProduction } from "../../config/env.js";
+
+const providers = {
+  [stub.name]: stub,
+  [fonnte.name]: fonnte,
+};
+
+function getProvider(name) {
+  return providers[name] || null;
+}
+
+function getDefaultProvider() {
+  if (process.env.WHATSAPP_PROVIDER) return getProvider(process.env.WHATSAPP_PROVIDER);
+  if (isProduction()) return null;
+  return getProvider("stub");
+}
+
+// Dicek saat server start: di production outbox tidak boleh ditandai terkirim oleh stub
+function assertWhatsAppConfig() {
+  if (isProduction() && !process.env.WHATSAPP_PROVIDER) {
+    throw new Error("WHATSAPP_PROVIDER wajib di-set di production (fonnte).");
+  }
+  if (process.env.WHATSAPP_PROVIDER && !getProvider(process.env.WHATSAPP_PROVIDER)) {
+    throw new Error(`WHATSAPP_PROVIDER tidak dikenal: ${process.env.WHATSAPP_PROVIDER}`);
+  }
+}
+
+export { getProvider, getDefaultProvider, assertWhatsAppConfig };
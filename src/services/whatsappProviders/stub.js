@@ -0,0 +1,30 @@
+// services/whatsappProviders/stub.js
+// Provider lokal untuk pengujian: pesan hanya dicatat di memori dan console.
+// WHATSAPP_STUB_FAIL=true membuat setiap pengiriman gagal (untuk menguji retry).
+
+// Hanya pesan terakhir yang disimpan agar memori proses tidak terus bertambah
+const MAX_SENT = 200;
+const sent = [];
+let counter = 0;
+
+async function send({ phone, message }) {
+  if (process.env.WHATSAPP_STUB_FAIL === "true") {
+    throw new Error("Stub WhatsApp disetel gagal (WHATSAPP_STUB_FAIL).");
+  }
+
+  const providerMessageId = `stub-${Date.now()}-${++counter}`;
+  sent.push({ id: providerMessageId, phone, message, sent_at: new Date().toISOString() });
+  if (sent.length > MAX_SENT) sent.splice(0, sent.length - MAX_SENT);
+  console.log(`💬 [whatsapp-stub] ${phone}: ${message.split("\n")[0]}`);
+  return { providerMessageId };
+}
+
+function getSent() {
+  return [...sent];
+}
+
+function clearSent() {
+  sent.length = 0;
+}
+
+export default { name: "stub", send, getSent, clearSent };
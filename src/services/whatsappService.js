@@ -0,0 +1,317 @@
+// services/whatsappService.js
+// Outbox pesan WhatsApp: pesan diantre ke tabel whatsapp_outbox lalu dikirim worker
+// dengan retry + backoff. Pengingat pembayaran dan keberangkatan dijadwalkan oleh worker.
+import pool from "../config/db.js";
+import { getDefaultProvider } from "./whatsappProviders/index.js";
+import { getBalance } from "./paymentService.js";
+import { formatRupiah, formatDate } from "../utils/format.js";
+
+const OUTBOX_STATUSES = ["pending", "sending", "sent", "failed"];
+const RECIPIENT_TYPES = ["booking", "participant", "peserta", "marketing", "manual"];
+const TEMPLATES = {
+  BOOKING_CONFIRMATION: "booking_confirmation",
+  PAYMENT_REMINDER: "payment_reminder",
+  DEPARTURE_REMINDER: "departure_reminder",
+  MANUAL: "manual",
+};
+
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+// Pesan berstatus sending lebih lama dari ini dianggap macet (worker mati) dan diambil ulang
+const STALE_SENDING_MINUTES = 10;
+// Pengingat pembayaran dikirim H-7, H-3 dan H-1 sebelum keberangkatan
+const PAYMENT_REMINDER_DAYS = [7, 3, 1];
+const SCHEDULE_INTERVAL_MS = 60 * 60 * 1000;
+
+class WhatsAppError extends Error {
+  constructor(message, httpStatus = 400) {
+    super(message);
+    this.name = "WhatsAppError";
+    this.httpStatus = httpStatus;
+  }
+}
+
+// Normalisasi nomor Indonesia ke format +62 (0812..., 62812..., 812..., +62 812-...).
+// Mengembalikan null jika bukan nomor yang valid.
+function normalizePhone(value) {
+  if (value === null || value === undefined) return null;
+
+  let digits = String(value).trim().replace(/[^\d+]/g, "").replace(/(?!^)\+/g, "");
+  if (digits.startsWith("+")) digits = digits.slice(1);
+  if (digits.startsWith("0")) digits = `62${digits.slice(1)}`;
+  else if (digits.startsWith("8")) digits = `62${digits}`;
+
+  return /^628\d{7,12}$/.test(digits) ? `+${digits}` : null;
+}
+
+const messages = {
+  [TEMPLATES.BOOKING_CONFIRMATION]: (b) =>
+    `Assalamu'alaikum ${b.customer_name},\n\nBooking *${b.booking_id}* untuk paket ${b.package_name || "-"} berhasil dibuat.\nTotal tagihan: ${formatRupiah(b.total_price)}\n\nMohon lakukan pembayaran dengan mencantumkan kode booking. E-tiket dikirim setelah pembayaran lunas.\n\nBarokah Tour`,
+  [TEMPLATES.PAYMENT_REMINDER]: (b) =>
+    `Assalamu'alaikum ${b.customer_name},\n\nPengingat: booking *${b.booking_id}* (${b.package_name || "-"}) berangkat ${formatDate(b.departure_date, { weekday: "long" })}.\nSisa tagihan: ${formatRupiah(b.outstanding)}\n\nMohon segera lakukan pelunasan. Abaikan pesan ini jika sudah membayar.\n\nBarokah Tour`,
+  [TEMPLATES.DEPARTURE_REMINDER]: (p) =>
+    `Assalamu'alaikum ${p.name},\n\nBesok ${formatDate(p.departure_date, { weekday: "long" })} adalah jadwal keberangkatan paket ${p.package_name || "-"} (booking ${p.booking_code}).\nMohon hadir di titik kumpul 30 menit sebelum jadwal dan siapkan e-tiket (QR code) Anda.\n\nSelamat berwisata,\nBarokah Tour`,
+};
+
+// Antrekan satu pesan. dedupeKey mencegah pesan otomatis yang sama terantre dua kali.
+async function enqueueWhatsApp({ phone, message, template = TEMPLATES.MANUAL, bookingId = null, recipientType = "manual", recipientId = null, dedupeKey = null, createdBy = null }) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) {
+    throw new WhatsAppError("Nomor WhatsApp tidak valid.");
+  }
+  if (!message || !String(message).trim()) {
+    throw new WhatsAppError("Isi pesan wajib diisi.");
+  }
+
+  // Hanya duplikat dedupe_key yang dilewati; INSERT IGNORE juga akan menelan error lain (data terpotong, FK)
+  const [result] = await pool.execute(
+    "INSERT INTO whatsapp_outbox (booking_id, recipient_type, recipient_id, phone, template, message, status, attempts, max_attempts, next_attempt_at, dedupe_key, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, 'pending', 0, ?, NOW(), ?, ?, NOW(), NOW()) ON DUPLICATE KEY UPDATE id = id",
+    [bookingId, recipientType, recipientId, normalized, template, String(message).trim(), MAX_ATTEMPTS, dedupeKey, createdBy]
+  );
+  if (!dedupeKey) {
+    return getOutboxMessage(result.insertId);
+  }
+
+  // affectedRows tidak bisa dipakai (flag FOUND_ROWS mysql2): pesan baru jika id baris dedupe_key = id yang baru dibuat
+  const [rows] = await pool.execute("SELECT * FROM whatsapp_outbox WHERE dedupe_key = ? LIMIT 1", [dedupeKey]);
+  return rows.length > 0 && String(rows[0].id) === String(result.insertId) ? rows[0] : null;
+}
+
+async function getOutboxMessage(id) {
+  const [rows] = await pool.execute("SELECT * FROM whatsapp_outbox WHERE id = ? LIMIT 1", [id]);
+  return rows[0] || null;
+}
+
+async function listOutbox({ status, bookingId, template, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+
+  if (status) {
+    where.push("status = ?");
+    params.push(status);
+  }
+  if (bookingId) {
+    where.push("booking_id = ?");
+    params.push(bookingId);
+  }
+  if (template) {
+    where.push("template = ?");
+    params.push(template);
+  }
+
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 100, 1), 500);
+  const [rows] = await pool.execute(
+    `SELECT * FROM whatsapp_outbox${where.length ? ` WHERE ${where.join(" AND ")}` : ""} ORDER BY created_at DESC, id DESC LIMIT ${safeLimit}`,
+    params
+  );
+  return rows;
+}
+
+// Kirim ulang pesan yang gagal permanen
+async function retryOutboxMessage(id) {
+  const [result] = await pool.execute(
+    "UPDATE whatsapp_outbox SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL, updated_at = NOW() WHERE id = ? AND status = 'failed'",
+    [id]
+  );
+  if (result.affectedRows === 0) {
+    const existing = await getOutboxMessage(id);
+    if (!existing) throw new WhatsAppError("Pesan tidak ditemukan.", 404);
+    throw new WhatsAppError(`Pesan berstatus ${existing.status} tidak dapat dikirim ulang.`, 409);
+  }
+  return getOutboxMessage(id);
+}
+
+// Nomor kontak booking = telepon pemesan, atau peserta pertama yang punya nomor telepon
+// (booking hasil konversi lead hanya punya peserta placeholder tanpa nomor)
+async function getBookingContact(bookingId) {
+  const [rows] = await pool.execute(
+    "SELECT b.id, b.booking_id, b.customer_name, b.total_price, p.name AS package_name, COALESCE(NULLIF(b.customer_phone, ''), (SELECT pt.phone FROM participants pt WHERE pt.booking_id = b.id AND pt.phone IS NOT NULL AND pt.phone <> '' ORDER BY pt.id ASC LIMIT 1)) AS phone FROM bookings b LEFT JOIN packages p ON b.package_id = p.id WHERE b.id = ? LIMIT 1",
+    [bookingId]
+  );
+  return rows[0] || null;
+}
+
+// Tujuan pesan manual: kontak booking, buku tamu (peserta), kontak marketing atau nomor langsung
+async function resolveRecipient({ booking_id, peserta_id, marketing_id, phone }) {
+  if (booking_id) {
+    const booking = await getBookingContact(booking_id);
+    if (!booking) throw new WhatsAppError("Booking tidak ditemukan.", 404);
+    return { phone: booking.phone, bookingId: booking.id, recipientType: "booking", recipientId: booking.id };
+  }
+  if (peserta_id || marketing_id) {
+    const table = peserta_id ? "peserta" : "marketing";
+    const [rows] = await pool.execute(`SELECT id, telepon FROM ${table} WHERE id = ? LIMIT 1`, [peserta_id || marketing_id]);
+    if (rows.length === 0) throw new WhatsAppError(`Data ${table} tidak ditemukan.`, 404);
+    return { phone: rows[0].telepon, bookingId: null, recipientType: table, recipientId: rows[0].id };
+  }
+  return { phone, bookingId: null, recipientType: "manual", recipientId: null };
+}
+
+async function queueBookingConfirmation(bookingId) {
+  const booking = await getBookingContact(bookingId);
+  if (!booking || !normalizePhone(booking.phone)) return null;
+
+  return enqueueWhatsApp({
+    phone: booking.phone,
+    message: messages[TEMPLATES.BOOKING_CONFIRMATION](booking),
+    template: TEMPLATES.BOOKING_CONFIRMATION,
+    bookingId: booking.id,
+    recipientType: "booking",
+    recipientId: booking.id,
+    dedupeKey: `${TEMPLATES.BOOKING_CONFIRMATION}:${booking.id}`,
+  });
+}
+
+// Backoff eksponensial: 1, 2, 4, 8 ... menit, maksimal 6 jam
+function backoffDelay(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+}
+
+async function deliver(row, provider) {
+  // Klaim pesan; jika worker lain sudah mengambilnya, affectedRows = 0
+  const [claim] = await pool.execute(
+    "UPDATE whatsapp_outbox SET status = 'sending', provider = ?, updated_at = NOW() WHERE id = ? AND attempts = ? AND status IN ('pending', 'sending')",
+    [provider.name, row.id, row.attempts]
+  );
+  if (claim.affectedRows === 0) return null;
+
+  const attempts = row.attempts + 1;
+  try {
+    const { providerMessageId } = await provider.send({ phone: row.phone, message: row.message });
+    await pool.execute(
+      "UPDATE whatsapp_outbox SET status = 'sent', attempts = ?, provider_message_id = ?, last_error = NULL, sent_at = NOW(), updated_at = NOW() WHERE id = ?",
+      [attempts, providerMessageId || null, row.id]
+    );
+    return "sent";
+  } catch (err) {
+    const failed = attempts >= row.max_attempts;
+    await pool.execute(
+      "UPDATE whatsapp_outbox SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?, updated_at = NOW() WHERE id = ?",
+      [failed ? "failed" : "pending", attempts, String(err.message).slice(0, 500), new Date(Date.now() + backoffDelay(attempts)), row.id]
+    );
+    console.error(`❌ Error sending WhatsApp #${row.id} (percobaan ${attempts}):`, err.message);
+    return failed ? "failed" : "retry";
+  }
+}
+
+// Satu putaran worker: kirim pesan yang sudah jatuh tempo
+async function processOutbox({ limit = 20 } = {}) {
+  const provider = getDefaultProvider();
+  if (!provider) {
+    throw new WhatsAppError("Provider WhatsApp tidak dikenal.", 500);
+  }
+
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const [rows] = await pool.execute(
+    `SELECT id, phone, message, attempts, max_attempts FROM whatsapp_outbox WHERE (status = 'pending' AND next_attempt_at <= NOW()) OR (status = 'sending' AND updated_at < NOW() - INTERVAL ${STALE_SENDING_MINUTES} MINUTE) ORDER BY next_attempt_at ASC, id ASC LIMIT ${safeLimit}`
+  );
+
+  const summary = { sent: 0, retry: 0, failed: 0 };
+  for (const row of rows) {
+    const outcome = await deliver(row, provider);
+    if (outcome) summary[outcome] += 1;
+  }
+  return summary;
+}
+
+// Antrekan pengingat pembayaran (H-7/H-3/H-1) dan pengingat keberangkatan (H-1 ke setiap peserta)
+async function scheduleReminders() {
+  let queued = 0;
+
+  const dayPlaceholders = PAYMENT_REMINDER_DAYS.map(() => "?").join(", ");
+  const [unpaid] = await pool.execute(
+    `SELECT b.id, d.departure_date, DATEDIFF(d.departure_date, CURDATE()) AS days_left FROM bookings b JOIN departures d ON b.departure_id = d.id WHERE b.status IN ('menunggu_pembayaran', 'dp_lunas') AND d.status IN ('open', 'closed') AND DATEDIFF(d.departure_date, CURDATE()) IN (${dayPlaceholders})`,
+    PAYMENT_REMINDER_DAYS
+  );
+  for (const row of unpaid) {
+    const booking = await getBookingContact(row.id);
+    if (!booking || !normalizePhone(booking.phone)) continue;
+
+    const { outstanding } = await getBalance(pool, row.id);
+    const queuedMessage = await enqueueWhatsApp({
+      phone: booking.phone,
+      message: messages[TEMPLATES.PAYMENT_REMINDER]({ ...booking, departure_date: row.departure_date, outstanding }),
+      template: TEMPLATES.PAYMENT_REMINDER,
+      bookingId: booking.id,
+      recipientType: "booking",
+      recipientId: booking.id,
+      dedupeKey: `${TEMPLATES.PAYMENT_REMINDER}:${booking.id}:H-${row.days_left}`,
+    });
+    if (queuedMessage) queued += 1;
+  }
+
+  const [travellers] = await pool.execute(
+    "SELECT pt.id, pt.name, pt.phone, b.id AS booking_id, b.booking_id AS booking_code, p.name AS package_name, d.id AS departure_id, d.departure_date FROM participants pt JOIN bookings b ON pt.booking_id = b.id JOIN departures d ON b.departure_id = d.id LEFT JOIN packages p ON b.package_id = p.id WHERE b.status = 'lunas' AND pt.status = 'valid' AND d.status IN ('open', 'closed') AND d.departure_date = CURDATE() + INTERVAL 1 DAY"
+  );
+  for (const participant of travellers) {
+    if (!normalizePhone(participant.phone)) continue;
+
+    const queuedMessage = await enqueueWhatsApp({
+      phone: participant.phone,
+      message: messages[TEMPLATES.DEPARTURE_REMINDER](participant),
+      template: TEMPLATES.DEPARTURE_REMINDER,
+      bookingId: participant.booking_id,
+      recipientType: "participant",
+      recipientId: participant.id,
+      dedupeKey: `${TEMPLATES.DEPARTURE_REMINDER}:${participant.departure_id}:${participant.id}`,
+    });
+    if (queuedMessage) queued += 1;
+  }
+
+  return queued;
+}
+
+let workerTimer = null;
+let workerBusy = false;
+let lastScheduledAt = 0;
+
+// Worker in-process (WHATSAPP_WORKER=false untuk mematikan, mis. jika dijalankan terpisah)
+function startWhatsAppWorker({ intervalMs = parseInt(process.env.WHATSAPP_WORKER_INTERVAL_MS) || 30000 } = {}) {
+  if (workerTimer || process.env.WHATSAPP_WORKER === "false") {
+    return;
+  }
+
+  const tick = async () => {
+    if (workerBusy) return;
+    workerBusy = true;
+    try {
+      if (Date.now() - lastScheduledAt >= SCHEDULE_INTERVAL_MS) {
+        lastScheduledAt = Date.now();
+        await scheduleReminders();
+      }
+      await processOutbox();
+    } catch (err) {
+      console.error("❌ Error WhatsApp worker:", err);
+    } finally {
+      workerBusy = false;
+    }
+  };
+
+  workerTimer = setInterval(tick, intervalMs);
+  workerTimer.unref();
+  console.log(`💬 WhatsApp worker aktif (provider: ${process.env.WHATSAPP_PROVIDER || "stub"}, interval ${intervalMs} ms)`);
+}
+
+function stopWhatsAppWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+export {
+  OUTBOX_STATUSES,
+  RECIPIENT_TYPES,
+  TEMPLATES,
+  WhatsAppError,
+  normalizePhone,
+  enqueueWhatsApp,
+  getOutboxMessage,
+  listOutbox,
+  retryOutboxMessage,
+  resolveRecipient,
+  queueBookingConfirmation,
+  processOutbox,
+  scheduleReminders,
+  startWhatsAppWorker,
+  stopWhatsAppWorker,
+};
@@ -0,0 +1,21 @@
+// utils/dateRange.js
+// Rentang tanggal ?from=YYYY-MM-DD&to=YYYY-MM-DD (inklusif) untuk dashboard dan laporan keuangan
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isDateString = (value) => DATE_PATTERN.test(value) && !Number.isNaN(new Date(value).getTime());
+
+// ErrorType = kelas error milik service pemanggil (mis. DashboardError), dilempar dengan status default 400
+function parseDateRange({ from, to } = {}, ErrorType = Error) {
+  for (const value of [from, to]) {
+    if (value && !isDateString(value)) {
+      throw new ErrorType("Format tanggal harus YYYY-MM-DD.");
+    }
+  }
+  if (from && to && from > to) {
+    throw new ErrorType("Tanggal 'from' tidak boleh setelah 'to'.");
+  }
+  return { from: from || null, to: to || null };
+}
+
+export { DATE_PATTERN, isDateString, parseDateRange };
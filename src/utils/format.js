@@ -0,0 +1,13 @@
+// utils/format.js
+// Format angka / tanggal untuk teks ke customer (email, WhatsApp, e-tiket PDF)
+
+const formatRupiah = (value) =>
+  new Intl.NumberFormat("id-ID", { style: "currency", currency: "IDR", maximumFractionDigits: 0 }).format(Number(value) || 0);
+
+// "5 Mei 2025"; `options` menambah opsi Intl.DateTimeFormat, mis. { weekday: "long" } -> "Senin, 5 Mei 2025"
+const formatDate = (value, options = {}) =>
+  value
+    ? new Intl.DateTimeFormat("id-ID", { day: "numeric", month: "long", year: "numeric", ...options }).format(new Date(value))
+    : "-";
+
+export { formatRupiah, formatDate };
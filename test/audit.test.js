@@ -0,0 +1,78 @@
+// test/audit.test.js
+// Audit log: hanya kolom yang berubah yang dicatat, password disamarkan, filter dan hak akses
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { api, pool, unique, setupDatabase, closeDatabase, createStaff, createPackage } from "./helpers.js";
+
+describe("audit log", () => {
+  let admin;
+
+  before(async () => {
+    await setupDatabase();
+    admin = await createStaff("admin");
+  });
+
+  after(closeDatabase);
+
+  const history = async (entity, id) =>
+    (await api().get(`/api/admin/audit-logs/entities/${entity}/${id}`).set(admin.auth)).body.data;
+
+  it("update hanya mencatat kolom yang berubah; nilai yang sama tidak dicatat", async () => {
+    const packageId = await createPackage(admin, { price: 1000000, duration: "3 hari" });
+
+    // "1000000" vs DECIMAL 1000000.00 dan teks yang sama -> tidak ada perubahan
+    const same = await api().put(`/api/packages/${packageId}`).set(admin.auth).send({ price: "1000000", duration: "3 hari" });
+    assert.equal(same.status, 200);
+    assert.deepEqual((await history("package", packageId)).map((log) => log.action), ["create"]);
+
+    const changed = await api().put(`/api/packages/${packageId}`).set(admin.auth).send({ price: 1100000, duration: "3 hari" });
+    assert.equal(changed.status, 200);
+
+    const [update] = await history("package", packageId);
+    assert.equal(update.action, "update");
+    assert.equal(Number(update.before_data.price), 1000000);
+    assert.deepEqual(update.after_data, { price: 1100000 });
+    assert.equal(update.actor_id, admin.id);
+    assert.equal(update.actor_role, "admin");
+  });
+
+  it("password user tidak pernah tersimpan di audit log", async () => {
+    const username = unique("audit");
+    const created = await api()
+      .post("/api/users")
+      .set(admin.auth)
+      .send({ username, password: "rahasia123", full_name: "Staff Audit", email: `${username}@test.local`, role: "finance" });
+    assert.equal(created.status, 201);
+    const [[user]] = await pool.execute("SELECT id FROM users WHERE username = ?", [username]);
+
+    const updated = await api()
+      .put(`/api/users/${user.id}`)
+      .set(admin.auth)
+      .send({ username, full_name: "Staff Audit", email: `${username}@test.local`, password: "rahasia-baru" });
+    assert.equal(updated.status, 200);
+
+    const logs = await history("user", user.id);
+    assert.deepEqual(logs.map((log) => log.action), ["update", "create"]);
+    assert.deepEqual(logs[0].after_data, { password: "[disembunyikan]" });
+    assert.equal(logs[0].before_data.password, "[disembunyikan]");
+    assert.ok(!JSON.stringify(logs).includes("rahasia"));
+  });
+
+  it("GET /api/admin/audit-logs memfilter entity / actor dan hanya untuk admin", async () => {
+    const packageId = await createPackage(admin);
+
+    const res = await api()
+      .get("/api/admin/audit-logs")
+      .query({ entity: "package", entity_id: packageId, actor_id: admin.id, limit: 5 })
+      .set(admin.auth);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.pagination.total, 1);
+    assert.equal(res.body.data[0].entity_id, String(packageId));
+
+    const invalid = await api().get("/api/admin/audit-logs").query({ entity: "rahasia" }).set(admin.auth);
+    assert.equal(invalid.status, 400);
+
+    const finance = await createStaff("finance");
+    assert.equal((await api().get("/api/admin/audit-logs").set(finance.auth)).status, 403);
+  });
+});
@@ -0,0 +1,144 @@
+// test/bookings.test.js
+// Booking: quote, buat, detail, ubah (termasuk hitung ulang harga) dan hapus beserta kursi keberangkatan
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  api,
+  dateFromNow,
+  setupDatabase,
+  closeDatabase,
+  createStaff,
+  createPackage,
+  createDeparture,
+  createBooking,
+} from "./helpers.js";
+
+describe("bookings", () => {
+  let admin;
+  let packageId;
+  let departureId;
+
+  before(async () => {
+    await setupDatabase();
+    admin = await createStaff("admin");
+    packageId = await createPackage(admin, { price: 1000000 });
+    departureId = await createDeparture(admin, packageId, { quota: 5 });
+  });
+
+  after(closeDatabase);
+
+  const seatsReserved = async () => (await api().get(`/api/departures/${departureId}`)).body.data.seats_reserved;
+
+  it("POST /api/bookings/quote menghitung harga tanpa login", async () => {
+    const res = await api().post("/api/bookings/quote").send({ package_id: packageId, participant_count: 3 });
+
+    assert.equal(res.status, 200);
+    assert.equal(Number(res.body.data.total), 3000000);
+  });
+
+  it("POST /api/bookings/quote menolak tanpa jumlah peserta", async () => {
+    const res = await api().post("/api/bookings/quote").send({ package_id: packageId });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "VALIDATION_ERROR");
+  });
+
+  it("POST /api/bookings menolak body tidak valid", async () => {
+    const res = await api().post("/api/bookings").send({ package_id: packageId, customer_name: "Budi", participants: [] });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.code, "VALIDATION_ERROR");
+  });
+
+  it("membuat, mengubah lalu menghapus booking dan mengembalikan kursi", async () => {
+    const seatsBefore = await seatsReserved();
+
+    const created = await createBooking({ packageId, departureId, participants: 2 });
+    assert.equal(created.status, "menunggu_pembayaran");
+    assert.equal(Number(created.total_price), 2000000);
+    assert.match(created.bookingCode, /^[A-Z0-9]+-[0-9A-F]{8}$/);
+    assert.equal(await seatsReserved(), seatsBefore + 2);
+
+    const detail = await api().get(`/api/bookings/${created.bookingId}`).set(admin.auth);
+    assert.equal(detail.status, 200);
+    assert.equal(detail.body.data.participants.length, 2);
+    assert.equal(detail.body.data.departure_id, departureId);
+    assert.ok(detail.body.data.travel_date);
+    assert.equal(detail.body.data.balance.outstanding, 2000000);
+
+    // Harga paket naik; recalculate_price memakai harga baru untuk tanggal keberangkatan yang sama
+    const repriced = await api().put(`/api/packages/${packageId}`).set(admin.auth).send({ price: 1250000 });
+    assert.equal(repriced.status, 200);
+
+    const updated = await api()
+      .put(`/api/bookings/${created.bookingId}`)
+      .set(admin.auth)
+      .send({ customer_name: "Budi Setiawan", recalculate_price: true });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.data.customer_name, "Budi Setiawan");
+    assert.equal(Number(updated.body.data.total_price), 2500000);
+
+    const deleted = await api().delete(`/api/bookings/${created.bookingId}`).set(admin.auth);
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.deleted_id, created.bookingId);
+    assert.equal(await seatsReserved(), seatsBefore);
+
+    const missing = await api().get(`/api/bookings/${created.bookingId}`).set(admin.auth);
+    assert.equal(missing.status, 404);
+  });
+
+  it("menolak booking yang melebihi kuota keberangkatan", async () => {
+    const res = await api()
+      .post("/api/bookings")
+      .send({
+        package_id: packageId,
+        departure_id: departureId,
+        customer_name: "Rombongan Besar",
+        customer_email: "rombongan@test.local",
+        participants: Array.from({ length: 6 }, (_, index) => ({ name: `Peserta ${index + 1}` })),
+      });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.success, false);
+  });
+
+  it("booking tanpa keberangkatan wajib memakai travel_date yang belum lewat", async () => {
+    const body = {
+      package_id: packageId,
+      customer_name: "Sinta",
+      customer_email: "sinta@test.local",
+      participants: [{ name: "Sinta" }],
+    };
+
+    const missing = await api().post("/api/bookings").send(body);
+    assert.equal(missing.status, 400);
+
+    const past = await api().post("/api/bookings").send({ ...body, travel_date: dateFromNow(-1) });
+    assert.equal(past.status, 400);
+
+    const ok = await api().post("/api/bookings").send({ ...body, travel_date: dateFromNow(7) });
+    assert.equal(ok.status, 201);
+    assert.equal(ok.body.price_breakdown.travel_date, dateFromNow(7));
+  });
+
+  it("PATCH /api/bookings/:id/status mengikuti state machine", async () => {
+    const { bookingId } = await createBooking({ packageId, participants: 1 });
+
+    const invalid = await api().patch(`/api/bookings/${bookingId}/status`).set(admin.auth).send({ status: "lunas" });
+    assert.equal(invalid.status, 409);
+
+    const cancelled = await api().patch(`/api/bookings/${bookingId}/status`).set(admin.auth).send({ status: "dibatalkan", reason: "Test" });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.status, "dibatalkan");
+    assert.equal(cancelled.body.previous_status, "menunggu_pembayaran");
+  });
+
+  it("PUT / DELETE /api/bookings/:id butuh login dan izin", async () => {
+    const { bookingId } = await createBooking({ packageId, participants: 1 });
+    const finance = await createStaff("finance");
+
+    assert.equal((await api().put(`/api/bookings/${bookingId}`).send({ customer_name: "X" })).status, 401);
+    assert.equal((await api().delete(`/api/bookings/${bookingId}`).set(finance.auth)).status, 403);
+  });
+});
@@ -0,0 +1,175 @@
+// test/finance.test.js
+// Keuangan: biaya trip & kas dengan bukti upload (deteksi tipe, varian gambar, proxy /uploads),
+// laporan laba per trip / bulanan dan audit log
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import {
+  api,
+  unique,
+  dateFromNow,
+  setupDatabase,
+  closeDatabase,
+  createStaff,
+  createPackage,
+  createDeparture,
+  createBooking,
+  payInFull,
+} from "./helpers.js";
+
+// Isi PDF unik per run agar tidak dideduplikasi dengan file dari run sebelumnya
+const pdfReceipt = () => Buffer.from(`%PDF-1.4\n% ${unique("nota")}\n%%EOF\n`);
+
+// Tunggu sampai kondisi terpenuhi (file bukti dihapus di belakang setelah response dikirim)
+async function waitFor(check, timeoutMs = 2000) {
+  const started = Date.now();
+  while (!(await check())) {
+    if (Date.now() - started > timeoutMs) return false;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  return true;
+}
+
+describe("finance", () => {
+  let admin;
+  let finance;
+  let packageId;
+  let departureId;
+  const departureDate = dateFromNow(45);
+
+  before(async () => {
+    await setupDatabase();
+    admin = await createStaff("admin");
+    finance = await createStaff("finance");
+    packageId = await createPackage(admin, { price: 2000000 });
+    departureId = await createDeparture(admin, packageId, { departure_date: departureDate, return_date: dateFromNow(47) });
+  });
+
+  after(closeDatabase);
+
+  // Form biaya dikirim sebagai multipart/form-data dengan bukti di field "bukti"
+  const postExpense = (fields, receipt) => {
+    const req = api().post("/api/finance/expenses").set(finance.auth);
+    for (const [field, value] of Object.entries(fields)) req.field(field, String(value));
+    if (receipt) req.attach("bukti", receipt.buffer, { filename: receipt.filename, contentType: receipt.contentType });
+    return req;
+  };
+
+  it("biaya trip dengan bukti PDF tersimpan, bisa diunduh dan tercatat di audit log", async () => {
+    const buffer = pdfReceipt();
+    const created = await postExpense(
+      { departure_id: departureId, category: "bus", description: "Sewa bus", amount: 750000, expense_date: departureDate },
+      { buffer, filename: "Nota Bus (1).PDF", contentType: "application/pdf" }
+    );
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.package_id, packageId);
+    assert.match(created.body.data.receipt_file, /^[0-9a-f]{16}-nota-bus-1\.pdf$/);
+
+    const file = await api().get(`/uploads/${created.body.data.receipt_file}`).buffer(true).parse((res, cb) => {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => cb(null, Buffer.concat(chunks)));
+    });
+    assert.equal(file.status, 200);
+    assert.ok(file.body.equals(buffer));
+
+    const audit = await api().get(`/api/admin/audit-logs/entities/expense/${created.body.data.id}`).set(admin.auth);
+    assert.equal(audit.body.data[0].action, "create");
+    assert.equal(audit.body.data[0].after_data.receipt_file, created.body.data.receipt_file);
+    assert.equal(audit.body.data[0].actor_username, finance.username);
+  });
+
+  it("bukti yang isinya bukan gambar / PDF ditolak walau ekstensinya .pdf", async () => {
+    const res = await postExpense(
+      { package_id: packageId, category: "makan", amount: 100000, expense_date: departureDate },
+      { buffer: Buffer.from("bukan pdf, hanya teks biasa"), filename: "nota.pdf", contentType: "application/pdf" }
+    );
+    assert.equal(res.status, 415);
+    assert.equal(res.body.code, "UNSUPPORTED_FILE_TYPE");
+  });
+
+  it("bukti gambar dibuatkan varian thumb / medium", async () => {
+    const image = await sharp({ create: { width: 40, height: 30, channels: 3, background: { r: Date.now() % 256, g: 110, b: 79 } } })
+      .png()
+      .toBuffer();
+    const created = await postExpense(
+      { package_id: packageId, category: "makan", amount: 300000, expense_date: departureDate },
+      { buffer: image, filename: "struk.png", contentType: "image/png" }
+    );
+    assert.equal(created.status, 201);
+
+    const key = created.body.data.receipt_file;
+    const urls = await api().get("/api/admin/uploads/url").query({ key }).set(finance.auth);
+    assert.equal(urls.status, 200);
+    assert.deepEqual(Object.keys(urls.body.data.urls), ["original", "thumb", "medium"]);
+    assert.equal((await api().get(urls.body.data.urls.thumb)).status, 200);
+  });
+
+  it("/uploads tidak melayani path di luar folder upload", async () => {
+    assert.equal((await api().get("/uploads/%2e%2e/.env")).status, 404);
+    assert.equal((await api().get("/uploads/tidak-ada-file.pdf")).status, 404);
+  });
+
+  it("menghapus biaya juga menghapus file bukti yang tidak dirujuk lagi", async () => {
+    const created = await postExpense(
+      { package_id: packageId, category: "guide", amount: 200000, expense_date: departureDate },
+      { buffer: pdfReceipt(), filename: "guide.pdf", contentType: "application/pdf" }
+    );
+    const key = created.body.data.receipt_file;
+
+    const deleted = await api().delete(`/api/finance/expenses/${created.body.data.id}`).set(finance.auth);
+    assert.equal(deleted.status, 200);
+    assert.ok(await waitFor(async () => (await api().get(`/uploads/${key}`)).status === 404));
+    assert.equal((await api().delete(`/api/finance/expenses/${created.body.data.id}`).set(finance.auth)).status, 404);
+  });
+
+  it("laporan per trip = pembayaran booking keberangkatan dikurangi biayanya", async () => {
+    const { bookingId } = await createBooking({ packageId, departureId, participants: 2 });
+    await payInFull(finance, bookingId);
+
+    const res = await api().get("/api/finance/reports/trips").query({ from: departureDate, to: departureDate }).set(finance.auth);
+    assert.equal(res.status, 200);
+
+    const trip = res.body.data.trips.find((row) => row.departure_id === departureId);
+    assert.equal(trip.revenue, 4000000);
+    assert.equal(trip.cost, 750000);
+    assert.equal(trip.margin, 3250000);
+  });
+
+  it("laporan bulanan menggabungkan biaya trip dan kas masuk / keluar", async () => {
+    // Bulan jauh di depan yang hanya berisi data test ini
+    const year = 2100 + (Date.now() % 7000);
+    const day = `${year}-03-15`;
+
+    const expense = await postExpense({ package_id: packageId, category: "hotel", amount: 500000, expense_date: day });
+    assert.equal(expense.status, 201);
+    for (const [direction, amount] of [["in", 200000], ["out", 50000]]) {
+      const cash = await api()
+        .post("/api/finance/cash")
+        .set(finance.auth)
+        .field("direction", direction)
+        .field("category", "operasional")
+        .field("amount", String(amount))
+        .field("entry_date", day);
+      assert.equal(cash.status, 201);
+    }
+
+    const res = await api().get("/api/finance/reports/monthly").query({ from: `${year}-03-01`, to: `${year}-03-31` }).set(finance.auth);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.months.map((row) => row.month), [`${year}-03`]);
+    assert.equal(res.body.data.totals.gross_revenue, 200000);
+    assert.equal(res.body.data.totals.total_cost, 550000);
+    assert.equal(res.body.data.totals.margin, -350000);
+
+    const invalid = await api().get("/api/finance/reports/monthly").query({ from: `${year}-03-31`, to: `${year}-03-01` }).set(finance.auth);
+    assert.equal(invalid.status, 400);
+  });
+
+  it("data keuangan hanya untuk admin / finance", async () => {
+    const scanner = await createStaff("scanner");
+
+    assert.equal((await api().get("/api/finance/expenses").set(scanner.auth)).status, 403);
+    assert.equal((await api().get("/api/finance/expenses").set(finance.auth)).status, 200);
+    assert.equal((await postExpense({ package_id: packageId, category: "bus", amount: 0, expense_date: departureDate })).status, 400);
+  });
+});
@@ -0,0 +1,149 @@
+// test/helpers.js
+// Helper test API: aplikasi Express (src/app.js) diuji lewat supertest terhadap MySQL sungguhan.
+//
+//   MYSQLHOST=127.0.0.1 MYSQLPORT=3306 MYSQLUSER=root MYSQLPASSWORD=secret MYSQLDATABASE=barokah_test npm test
+//
+// Test menulis data, jadi hanya berjalan di database yang namanya mengandung "test".
+// Migrasi diterapkan otomatis; data dibuat dengan nama unik per run sehingga tidak perlu database kosong.
+import "dotenv/config";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import bcrypt from "bcryptjs";
+
+process.env.NODE_ENV = process.env.NODE_ENV || "test";
+process.env.MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "memory";
+// File upload test tidak ikut masuk ke folder uploads/ aplikasi
+process.env.STORAGE_LOCAL_DIR = process.env.STORAGE_LOCAL_DIR || path.join(os.tmpdir(), "barokah-test-uploads");
+
+if (!/test/i.test(process.env.MYSQLDATABASE || "")) {
+  throw new Error("MYSQLDATABASE harus database khusus test (nama mengandung \"test\"), mis. barokah_test.");
+}
+
+// Di-import setelah environment di atas di-set (db.js membaca env saat di-load)
+const { default: app } = await import("../src/app.js");
+const { default: pool } = await import("../src/config/db.js");
+const { migrateUp } = await import("../src/services/migrationService.js");
+
+const api = () => request(app);
+
+let counter = 0;
+// Teks unik per run, mis. "pkg-lx3k9a-1"
+const unique = (prefix) => `${prefix}-${Date.now().toString(36)}-${++counter}`;
+
+// YYYY-MM-DD `days` hari dari sekarang
+function dateFromNow(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toLocaleDateString("sv-SE");
+}
+
+async function setupDatabase() {
+  await migrateUp();
+}
+
+// Notifikasi booking / pembayaran dikirim di belakang; beri waktu selesai sebelum pool ditutup
+async function closeDatabase() {
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  await pool.end();
+}
+
+// Buat akun staff langsung di database lalu login lewat API.
+// Hasil: { id, username, password, role, token, auth } - auth dipakai di .set(auth)
+async function createStaff(role = "admin") {
+  const username = unique(role).replace(/[^a-zA-Z0-9._-]/g, "");
+  const password = "rahasia123";
+  const [result] = await pool.execute(
+    "INSERT INTO users (username, password, full_name, email, role) VALUES (?, ?, ?, ?, ?)",
+    [username, await bcrypt.hash(password, 4), `Test ${role}`, `${username}@test.local`, role]
+  );
+
+  const res = await api().post("/api/users/login").send({ username, password });
+  if (res.status !== 200) {
+    throw new Error(`Login ${username} gagal: ${res.status} ${JSON.stringify(res.body)}`);
+  }
+  return {
+    id: result.insertId,
+    username,
+    password,
+    role,
+    token: res.body.accessToken,
+    auth: { Authorization: `Bearer ${res.body.accessToken}` },
+  };
+}
+
+async function createCity() {
+  const code = `T${Date.now().toString(36).slice(-5)}${++counter}`.toUpperCase();
+  const [result] = await pool.execute("INSERT INTO cities (city_name, city_code) VALUES (?, ?)", [`Kota ${code}`, code]);
+  return { id: result.insertId, city_code: code };
+}
+
+async function createPackage(admin, overrides = {}) {
+  const city = overrides.city_id ? { id: overrides.city_id } : await createCity();
+  const res = await api()
+    .post("/api/packages")
+    .set(admin.auth)
+    .send({ name: unique("Paket"), city_id: city.id, price: 1500000, duration: "3 hari", ...overrides });
+  if (res.status !== 201) {
+    throw new Error(`Buat paket gagal: ${res.status} ${JSON.stringify(res.body)}`);
+  }
+  return res.body.id;
+}
+
+async function createDeparture(admin, packageId, overrides = {}) {
+  const res = await api()
+    .post("/api/departures")
+    .set(admin.auth)
+    .send({ package_id: packageId, departure_date: dateFromNow(30), return_date: dateFromNow(33), quota: 10, ...overrides });
+  if (res.status !== 201) {
+    throw new Error(`Buat keberangkatan gagal: ${res.status} ${JSON.stringify(res.body)}`);
+  }
+  return res.body.id;
+}
+
+// Booking publik; hasil = body respons POST /api/bookings
+async function createBooking({ packageId, departureId = null, participants = 2 }) {
+  const res = await api()
+    .post("/api/bookings")
+    .send({
+      package_id: packageId,
+      departure_id: departureId || undefined,
+      travel_date: departureId ? undefined : dateFromNow(14),
+      customer_name: "Budi Santoso",
+      customer_email: "budi@test.local",
+      participants: Array.from({ length: participants }, (_, index) => ({ name: `Peserta ${index + 1}`, phone: "081234567890" })),
+    });
+  if (res.status !== 201) {
+    throw new Error(`Buat booking gagal: ${res.status} ${JSON.stringify(res.body)}`);
+  }
+  return res.body;
+}
+
+// Lunasi seluruh sisa tagihan lewat pembayaran manual
+async function payInFull(staff, bookingId) {
+  const detail = await api().get(`/api/bookings/${bookingId}`).set(staff.auth);
+  const res = await api()
+    .post("/api/transactions")
+    .set(staff.auth)
+    .send({ bookingDbId: bookingId, payment_type: "lunas", amount_paid: detail.body.data.balance.outstanding, payment_method: "transfer" });
+  if (res.status !== 201) {
+    throw new Error(`Pelunasan gagal: ${res.status} ${JSON.stringify(res.body)}`);
+  }
+  return res.body;
+}
+
+export {
+  app,
+  pool,
+  api,
+  unique,
+  dateFromNow,
+  setupDatabase,
+  closeDatabase,
+  createStaff,
+  createCity,
+  createPackage,
+  createDeparture,
+  createBooking,
+  payInFull,
+};
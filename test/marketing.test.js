@@ -0,0 +1,135 @@
+// test/marketing.test.js
+// Kunjungan & lead marketing: catat kunjungan, ubah stage, konversi ke draft booking dan koreksi oleh admin
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { api, setupDatabase, closeDatabase, createStaff, createPackage, createDeparture } from "./helpers.js";
+
+describe("marketing", () => {
+  let admin;
+  let marketing;
+  let packageId;
+  let departureId;
+
+  before(async () => {
+    await setupDatabase();
+    admin = await createStaff("admin");
+    marketing = await createStaff("marketing");
+    packageId = await createPackage(admin, { price: 1200000 });
+    departureId = await createDeparture(admin, packageId, { quota: 10 });
+  });
+
+  after(closeDatabase);
+
+  // Form kunjungan dikirim sebagai multipart/form-data
+  const createVisit = (fields) => {
+    const req = api().post("/api/marketing").set(marketing.auth);
+    for (const [field, value] of Object.entries(fields)) req.field(field, value);
+    return req;
+  };
+
+  it("POST /api/marketing mencatat kunjungan sebagai lead baru", async () => {
+    const invalid = await createVisit({ nama: "Tanpa alamat" });
+    assert.equal(invalid.status, 400);
+
+    const res = await createVisit({ nama: "Pak Slamet", alamat: "Jl. Kaliurang 5", perusahaan: "SMA 1", telepon: "081298765432" });
+    assert.equal(res.status, 201);
+
+    const lead = await api().get(`/api/marketing/leads/${res.body.id}`).set(marketing.auth);
+    assert.equal(lead.status, 200);
+    assert.equal(lead.body.data.stage, "visited");
+    assert.equal(lead.body.data.perusahaan, "SMA 1");
+
+    const scanner = await createStaff("scanner");
+    assert.equal((await api().get(`/api/marketing/leads/${res.body.id}`).set(scanner.auth)).status, 403);
+  });
+
+  it("lead dikonversi menjadi draft booking dengan peserta dan kursi keberangkatan", async () => {
+    const { body } = await createVisit({ nama: "Bu Rina", alamat: "Jl. Solo 10", perusahaan: "SD Negeri 2" });
+
+    const staged = await api().patch(`/api/marketing/leads/${body.id}/stage`).set(marketing.auth).send({ stage: "quotation_sent" });
+    assert.equal(staged.status, 200);
+    assert.equal(staged.body.data.stage, "quotation_sent");
+
+    const seatsBefore = (await api().get(`/api/departures/${departureId}`)).body.data.seats_reserved;
+
+    const converted = await api()
+      .post(`/api/marketing/leads/${body.id}/convert`)
+      .set(marketing.auth)
+      .send({ package_id: packageId, participant_count: 3, departure_id: departureId });
+    assert.equal(converted.status, 201);
+    assert.equal(converted.body.data.status, "draft");
+    assert.equal(converted.body.data.lead.stage, "deal");
+    assert.equal(Number(converted.body.data.price_breakdown.total), 3600000);
+
+    const booking = await api().get(`/api/bookings/${converted.body.data.bookingId}`).set(admin.auth);
+    assert.equal(booking.status, 200);
+    assert.equal(booking.body.data.departure_id, departureId);
+    assert.equal(booking.body.data.participants.length, 3);
+    assert.equal((await api().get(`/api/departures/${departureId}`)).body.data.seats_reserved, seatsBefore + 3);
+
+    const again = await api()
+      .post(`/api/marketing/leads/${body.id}/convert`)
+      .set(marketing.auth)
+      .send({ package_id: packageId, participant_count: 1 });
+    assert.equal(again.status, 409);
+  });
+
+  it("konversi ditolak jika kursi keberangkatan tidak cukup", async () => {
+    const { body } = await createVisit({ nama: "Pak Joko", alamat: "Jl. Magelang 3" });
+
+    const res = await api()
+      .post(`/api/marketing/leads/${body.id}/convert`)
+      .set(marketing.auth)
+      .send({ package_id: packageId, participant_count: 50, departure_id: departureId });
+    assert.equal(res.status, 409);
+
+    const lead = await api().get(`/api/marketing/leads/${body.id}`).set(marketing.auth);
+    assert.equal(lead.body.data.converted_booking_id, null);
+  });
+
+  it("penugasan, follow-up dan perubahan stage tercatat di audit log lead", async () => {
+    const { body } = await createVisit({ nama: "Pak Darto", alamat: "Jl. Godean 4" });
+
+    const assigned = await api().patch(`/api/marketing/leads/${body.id}/assign`).set(admin.auth).send({ assigned_to: admin.id });
+    assert.equal(assigned.status, 200);
+
+    const scheduled = await api()
+      .post(`/api/marketing/leads/${body.id}/followups`)
+      .set(admin.auth)
+      .send({ scheduled_at: "2030-01-15 10:00:00", channel: "telepon" });
+    assert.equal(scheduled.status, 201);
+
+    const done = await api().patch(`/api/marketing/followups/${scheduled.body.data.id}`).set(admin.auth).send({ status: "done", outcome: "Minta penawaran" });
+    assert.equal(done.status, 200);
+
+    const audit = await api().get(`/api/admin/audit-logs/entities/marketing/${body.id}`).set(admin.auth);
+    const changes = audit.body.data.map((log) => log.after_data).reverse();
+    // create, assign, follow-up dijadwalkan, stage visited -> follow_up, follow-up selesai
+    assert.equal(changes.length, 5);
+    assert.deepEqual(changes[1], { assigned_to: admin.id });
+    assert.equal(changes[2].followup.id, scheduled.body.data.id);
+    assert.equal(changes[2].followup.scheduled_at, "2030-01-15 10:00:00");
+    assert.deepEqual(changes[3], { stage: "follow_up" });
+    assert.equal(changes[4].followup.status, "done");
+    assert.equal(changes[4].followup.outcome, "Minta penawaran");
+    assert.equal(audit.body.data[0].actor_username, admin.username);
+  });
+
+  it("PUT /api/admin/marketing/:id hanya untuk admin dan tercatat di audit log", async () => {
+    const { body } = await createVisit({ nama: "Bu Sari", alamat: "Jl. Wates 7" });
+
+    const forbidden = await api().put(`/api/admin/marketing/${body.id}`).set(marketing.auth).field("alamat", "Jl. Baru");
+    assert.equal(forbidden.status, 403);
+
+    const updated = await api().put(`/api/admin/marketing/${body.id}`).set(admin.auth).field("alamat", "Jl. Wates 8");
+    assert.equal(updated.status, 200);
+
+    const lead = await api().get(`/api/marketing/leads/${body.id}`).set(admin.auth);
+    assert.equal(lead.body.data.alamat, "Jl. Wates 8");
+
+    const audit = await api().get(`/api/admin/audit-logs/entities/marketing/${body.id}`).set(admin.auth);
+    assert.deepEqual(audit.body.data[0].after_data, { alamat: "Jl. Wates 8" });
+
+    assert.equal((await api().put("/api/admin/marketing/999999999").set(admin.auth).field("alamat", "X")).status, 404);
+  });
+});
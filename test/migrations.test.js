@@ -0,0 +1,69 @@
+// test/migrations.test.js
+// Migration runner: pemecah statement SQL, file migrasi di database/migrations dan status di database test
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { setupDatabase, closeDatabase } from "./helpers.js";
+
+// Service di-import setelah helpers.js men-set environment test (sama seperti app di helpers.js)
+const { splitStatements, loadMigrations, getMigrationStatus, migrateUp, migrateDown, assertNoPendingMigrations } = await import(
+  "../src/services/migrationService.js"
+);
+
+describe("migrations", () => {
+  before(setupDatabase);
+  after(closeDatabase);
+
+  it("splitStatements memecah per titik koma di luar string dan komentar", () => {
+    const sql = `
+      -- komentar; tidak dihitung
+      CREATE TABLE a (id INT);
+      INSERT INTO a VALUES ('titik;koma'), ("kutip \\" ganda;");
+      ALTER TABLE \`tabel;aneh\` ADD COLUMN b INT -- komentar di akhir baris;
+      ;
+      UPDATE a SET id = 2 WHERE id = 1
+    `;
+
+    const statements = splitStatements(sql);
+    assert.equal(statements.length, 4);
+    assert.equal(statements[0], "CREATE TABLE a (id INT)");
+    assert.equal(statements[1], `INSERT INTO a VALUES ('titik;koma'), ("kutip \\" ganda;")`);
+    assert.equal(statements[2], "ALTER TABLE `tabel;aneh` ADD COLUMN b INT");
+    assert.equal(statements[3], "UPDATE a SET id = 2 WHERE id = 1");
+    assert.deepEqual(splitStatements("  -- hanya komentar\n ; ;"), []);
+  });
+
+  it("setiap migrasi punya file up dan down dengan versi berurutan", async () => {
+    const migrations = await loadMigrations();
+
+    assert.ok(migrations.length > 0);
+    assert.deepEqual(
+      migrations.map((migration) => Number(migration.version)),
+      migrations.map((_, index) => index + 1)
+    );
+    for (const migration of migrations) {
+      assert.ok(migration.downFile, `${migration.version}_${migration.name} tanpa file down`);
+    }
+  });
+
+  it("semua migrasi sudah diterapkan dan migrateUp ulang tidak menjalankan apa pun", async () => {
+    const status = await getMigrationStatus();
+    assert.deepEqual(
+      status.filter((migration) => migration.state !== "applied").map((migration) => `${migration.version} ${migration.state}`),
+      []
+    );
+
+    assert.deepEqual(await migrateUp(), []);
+    await assertNoPendingMigrations();
+  });
+
+  it("dry run rollback hanya menyebut migrasi terakhir tanpa menjalankannya", async () => {
+    const migrations = await loadMigrations();
+
+    const targets = await migrateDown({ steps: 2, dryRun: true });
+    assert.deepEqual(
+      targets.map((migration) => migration.version),
+      migrations.slice(-2).reverse().map((migration) => migration.version)
+    );
+    assert.ok((await getMigrationStatus()).every((migration) => migration.state === "applied"));
+  });
+});
@@ -0,0 +1,121 @@
+// test/notifications.test.js
+// Notifikasi customer: email (transport memory) tercatat di email_log, outbox WhatsApp dikirim
+// lewat provider stub dengan retry, gagal permanen dan kirim ulang
+import { describe, it, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { api, pool, setupDatabase, closeDatabase, createStaff, createPackage, createBooking, payInFull } from "./helpers.js";
+
+// Service di-import setelah helpers.js men-set environment test (sama seperti app di helpers.js)
+const { processOutbox } = await import("../src/services/whatsappService.js");
+
+// Kirim semua pesan yang sudah jatuh tempo (outbox bisa berisi pesan dari test / run lain)
+async function drainOutbox() {
+  for (;;) {
+    const summary = await processOutbox({ limit: 100 });
+    if (summary.sent + summary.retry + summary.failed === 0) return;
+  }
+}
+
+// Email dikirim di belakang setelah response; tunggu sampai log muncul
+async function waitForEmails(staff, bookingId, count) {
+  for (let attempt = 0; attempt < 40; attempt += 1) {
+    const res = await api().get("/api/notifications/emails").query({ booking_id: bookingId }).set(staff.auth);
+    if (res.body.data.length >= count) return res.body.data;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error(`Email booking #${bookingId} tidak terkirim`);
+}
+
+describe("notifications", () => {
+  let admin;
+  let packageId;
+
+  before(async () => {
+    await setupDatabase();
+    admin = await createStaff("admin");
+    packageId = await createPackage(admin, { price: 500000 });
+  });
+
+  afterEach(() => {
+    delete process.env.WHATSAPP_STUB_FAIL;
+  });
+
+  after(closeDatabase);
+
+  const outboxFor = async (bookingId) =>
+    (await api().get("/api/notifications/whatsapp").query({ booking_id: bookingId }).set(admin.auth)).body.data;
+
+  it("booking baru mengirim email instruksi pembayaran dan mengantrekan konfirmasi WhatsApp", async () => {
+    const { bookingId } = await createBooking({ packageId, participants: 1 });
+
+    const [email] = await waitForEmails(admin, bookingId, 1);
+    assert.equal(email.event, "booking_created");
+    assert.equal(email.status, "sent");
+    assert.equal(email.transport, "memory");
+    assert.equal(email.recipient, "budi@test.local");
+
+    // Booking publik tanpa customer_phone -> nomor peserta pertama
+    const [queued] = await outboxFor(bookingId);
+    assert.equal(queued.template, "booking_confirmation");
+    assert.equal(queued.phone, "+6281234567890");
+
+    await drainOutbox();
+    const [sent] = await outboxFor(bookingId);
+    assert.equal(sent.status, "sent");
+    assert.equal(sent.attempts, 1);
+    assert.match(sent.provider_message_id, /^stub-/);
+  });
+
+  it("pelunasan mengirim kwitansi dan e-tiket PDF", async () => {
+    const { bookingId } = await createBooking({ packageId, participants: 2 });
+    await waitForEmails(admin, bookingId, 1);
+
+    await payInFull(admin, bookingId);
+    const emails = await waitForEmails(admin, bookingId, 3);
+    assert.deepEqual(emails.map((email) => email.event).sort(), ["booking_created", "payment_received", "ticket_ready"]);
+
+    const resent = await api().post(`/api/notifications/bookings/${bookingId}/resend`).set(admin.auth).send({ event: "ticket_ready" });
+    assert.equal(resent.status, 200);
+    assert.equal(resent.body.data.event, "ticket_ready");
+  });
+
+  it("pesan yang gagal dicoba ulang, lalu gagal permanen dan bisa dikirim ulang", async () => {
+    const created = await api().post("/api/notifications/whatsapp").set(admin.auth).send({ phone: "0812-3456-7890", message: "Halo dari test" });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.phone, "+6281234567890");
+    const id = created.body.data.id;
+
+    process.env.WHATSAPP_STUB_FAIL = "true";
+    await drainOutbox();
+    let [row] = await pool.execute("SELECT * FROM whatsapp_outbox WHERE id = ?", [id]);
+    assert.equal(row[0].status, "pending");
+    assert.equal(row[0].attempts, 1);
+    assert.ok(row[0].next_attempt_at > new Date());
+    assert.match(row[0].last_error, /WHATSAPP_STUB_FAIL/);
+
+    // Percobaan terakhir yang gagal menandai pesan failed
+    await pool.execute("UPDATE whatsapp_outbox SET max_attempts = 2, next_attempt_at = NOW() WHERE id = ?", [id]);
+    await drainOutbox();
+    [row] = await pool.execute("SELECT status, attempts FROM whatsapp_outbox WHERE id = ?", [id]);
+    assert.deepEqual({ ...row[0] }, { status: "failed", attempts: 2 });
+
+    delete process.env.WHATSAPP_STUB_FAIL;
+    const retried = await api().post(`/api/notifications/whatsapp/${id}/retry`).set(admin.auth);
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.data.status, "pending");
+
+    await drainOutbox();
+    [row] = await pool.execute("SELECT status FROM whatsapp_outbox WHERE id = ?", [id]);
+    assert.equal(row[0].status, "sent");
+    assert.equal((await api().post(`/api/notifications/whatsapp/${id}/retry`).set(admin.auth)).status, 409);
+  });
+
+  it("nomor tidak valid ditolak dan outbox hanya untuk staff berizin", async () => {
+    const invalid = await api().post("/api/notifications/whatsapp").set(admin.auth).send({ phone: "12345", message: "Halo" });
+    assert.equal(invalid.status, 400);
+
+    const scanner = await createStaff("scanner");
+    assert.equal((await api().get("/api/notifications/whatsapp").set(scanner.auth)).status, 403);
+    assert.equal((await api().post("/api/notifications/whatsapp").set(scanner.auth).send({ phone: "081234567890", message: "Halo" })).status, 403);
+  });
+});
@@ -0,0 +1,100 @@
+// test/packages.test.js
+// Katalog paket: daftar publik, CRUD admin, hak akses dan aturan harga (termasuk audit log)
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { api, unique, setupDatabase, closeDatabase, createStaff, createCity, createPackage } from "./helpers.js";
+
+describe("packages", () => {
+  let admin;
+  let scanner;
+  let city;
+
+  before(async () => {
+    await setupDatabase();
+    admin = await createStaff("admin");
+    scanner = await createStaff("scanner");
+    city = await createCity();
+  });
+
+  after(closeDatabase);
+
+  it("GET /api/packages dan /api/packages/:id bisa diakses tanpa login", async () => {
+    const packageId = await createPackage(admin, { city_id: city.id });
+
+    const list = await api().get("/api/packages").query({ code: city.city_code });
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.data.map((row) => row.id), [packageId]);
+
+    const detail = await api().get(`/api/packages/${packageId}`);
+    assert.equal(detail.status, 200);
+    assert.equal(detail.body.data.city_code, city.city_code);
+
+    assert.equal((await api().get("/api/packages/999999999")).status, 404);
+  });
+
+  it("POST /api/packages butuh login dan izin packages:manage", async () => {
+    const body = { name: unique("Paket"), city_id: city.id, price: 500000 };
+
+    const anonymous = await api().post("/api/packages").send(body);
+    assert.equal(anonymous.status, 401);
+
+    const forbidden = await api().post("/api/packages").set(scanner.auth).send(body);
+    assert.equal(forbidden.status, 403);
+    assert.equal(forbidden.body.code, "FORBIDDEN");
+  });
+
+  it("POST /api/packages memvalidasi body dan kota", async () => {
+    const invalid = await api().post("/api/packages").set(admin.auth).send({ name: "", city_id: city.id, price: -1 });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, "VALIDATION_ERROR");
+
+    const noCity = await api().post("/api/packages").set(admin.auth).send({ name: unique("Paket"), city_id: 999999999, price: 1 });
+    assert.equal(noCity.status, 404);
+    assert.equal(noCity.body.code, "REFERENCE_NOT_FOUND");
+  });
+
+  it("admin membuat, mengubah dan menghapus paket", async () => {
+    const packageId = await createPackage(admin, { city_id: city.id, price: 750000 });
+
+    const updated = await api().put(`/api/packages/${packageId}`).set(admin.auth).send({ price: 800000, duration: "2 hari" });
+    assert.equal(updated.status, 200);
+
+    const detail = await api().get(`/api/packages/${packageId}`);
+    assert.equal(Number(detail.body.data.price), 800000);
+    assert.equal(detail.body.data.duration, "2 hari");
+
+    const audit = await api().get(`/api/admin/audit-logs/entities/package/${packageId}`).set(admin.auth);
+    assert.equal(audit.status, 200);
+    assert.deepEqual(audit.body.data.map((row) => row.action), ["update", "create"]);
+
+    const deleted = await api().delete(`/api/packages/${packageId}`).set(admin.auth);
+    assert.equal(deleted.status, 200);
+    assert.equal((await api().get(`/api/packages/${packageId}`)).status, 404);
+    assert.equal((await api().delete(`/api/packages/${packageId}`).set(admin.auth)).status, 404);
+  });
+
+  it("aturan harga paket dipakai quote dan tercatat di audit log", async () => {
+    const packageId = await createPackage(admin, { city_id: city.id, price: 1000000 });
+
+    const created = await api()
+      .post("/api/price-rules")
+      .set(admin.auth)
+      .send({ package_id: packageId, name: "Diskon rombongan", rule_type: "discount", calc_type: "percent", value: 10, min_pax: 3 });
+    assert.equal(created.status, 201);
+
+    const small = await api().post("/api/bookings/quote").send({ package_id: packageId, participant_count: 2 });
+    assert.equal(Number(small.body.data.total), 2000000);
+
+    const group = await api().post("/api/bookings/quote").send({ package_id: packageId, participant_count: 3 });
+    assert.equal(Number(group.body.data.total), 2700000);
+
+    const deactivated = await api().patch(`/api/price-rules/${created.body.id}/active`).set(admin.auth).send({ is_active: false });
+    assert.equal(deactivated.status, 200);
+
+    const audit = await api().get(`/api/admin/audit-logs/entities/price_rule/${created.body.id}`).set(admin.auth);
+    assert.deepEqual(audit.body.data.map((row) => row.action), ["update", "create"]);
+
+    const forbidden = await api().get("/api/price-rules").set(scanner.auth);
+    assert.equal(forbidden.status, 403);
+  });
+});
@@ -0,0 +1,101 @@
+// test/payments.test.js
+// Payment gateway (provider simulator): tagihan VA, webhook bertanda tangan dan pembayaran yang dicatat ke ledger
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import simulator from "../src/services/paymentProviders/simulator.js";
+import { api, setupDatabase, closeDatabase, createStaff, createPackage, createBooking } from "./helpers.js";
+
+describe("payments", () => {
+  let finance;
+  let packageId;
+
+  before(async () => {
+    await setupDatabase();
+    const admin = await createStaff("admin");
+    finance = await createStaff("finance");
+    packageId = await createPackage(admin, { price: 1000000 });
+  });
+
+  after(closeDatabase);
+
+  const createCharge = async (bookingId) => {
+    const res = await api().post("/api/payments/charges").set(finance.auth).send({ bookingDbId: bookingId, method: "va", bank: "bca" });
+    assert.equal(res.status, 201);
+    return res.body.data;
+  };
+
+  const webhook = (provider, { headers, body }) => api().post(`/api/payments/webhook/${provider}`).set(headers).send(body);
+
+  const bookingDetail = async (bookingId) => (await api().get(`/api/bookings/${bookingId}`).set(finance.auth)).body.data;
+
+  it("webhook dengan signature salah ditolak tanpa mencatat pembayaran", async () => {
+    const { bookingId } = await createBooking({ packageId, participants: 1 });
+    const charge = await createCharge(bookingId);
+    const notification = simulator.buildNotification({ reference: charge.reference, amount: charge.amount });
+
+    const tampered = await webhook("simulator", { ...notification, body: { ...notification.body, amount: "1.00" } });
+    assert.equal(tampered.status, 401);
+
+    // Panjang karakter sama dengan signature asli, tapi panjang byte berbeda
+    const multibyte = await webhook("simulator", { ...notification, headers: { "x-simulator-signature": "é".repeat(64) } });
+    assert.equal(multibyte.status, 401);
+
+    const unknown = await webhook("paypal", notification);
+    assert.equal(unknown.status, 404);
+
+    const detail = await bookingDetail(bookingId);
+    assert.equal(detail.status, "menunggu_pembayaran");
+    assert.equal(detail.balance.outstanding, 1000000);
+  });
+
+  it("webhook yang sah melunasi booking dan aman dikirim ulang", async () => {
+    const { bookingId } = await createBooking({ packageId, participants: 1 });
+    const charge = await createCharge(bookingId);
+    assert.equal(charge.status, "pending");
+    assert.match(charge.va_number, /^8808\d{12}$/);
+
+    const notification = simulator.buildNotification({ reference: charge.reference, amount: charge.amount });
+    const paid = await webhook("simulator", notification);
+    assert.equal(paid.status, 200);
+    assert.equal(paid.body.status, "paid");
+
+    const again = await webhook("simulator", notification);
+    assert.equal(again.status, 200);
+    assert.equal(again.body.message, "Notifikasi sudah pernah diproses.");
+
+    const detail = await bookingDetail(bookingId);
+    assert.equal(detail.status, "lunas");
+    assert.equal(detail.balance.paid, 1000000);
+    assert.equal(detail.balance.outstanding, 0);
+  });
+
+  it("kelebihan bayar dari gateway dicatat sebagai refund_due", async () => {
+    const { bookingId } = await createBooking({ packageId, participants: 1 });
+    const charge = await createCharge(bookingId);
+
+    // Sebagian dibayar manual setelah tagihan VA terbit
+    const manual = await api()
+      .post("/api/transactions")
+      .set(finance.auth)
+      .send({ bookingDbId: bookingId, payment_type: "dp", amount_paid: 400000, payment_method: "transfer" });
+    assert.equal(manual.status, 201);
+
+    const paid = await webhook("simulator", simulator.buildNotification({ reference: charge.reference, amount: charge.amount }));
+    assert.equal(paid.status, 200);
+
+    const updated = await api().get(`/api/payments/charges/${charge.id}`).set(finance.auth);
+    assert.equal(Number(updated.body.data.refund_due), 400000);
+    assert.equal((await bookingDetail(bookingId)).status, "lunas");
+  });
+
+  it("tagihan tidak boleh melebihi sisa tagihan dan butuh izin", async () => {
+    const { bookingId } = await createBooking({ packageId, participants: 1 });
+    const scanner = await createStaff("scanner");
+
+    const tooMuch = await api().post("/api/payments/charges").set(finance.auth).send({ bookingDbId: bookingId, method: "qris", amount: 2000000 });
+    assert.equal(tooMuch.status, 400);
+
+    const forbidden = await api().post("/api/payments/charges").set(scanner.auth).send({ bookingDbId: bookingId, method: "qris" });
+    assert.equal(forbidden.status, 403);
+  });
+});
@@ -0,0 +1,110 @@
+// test/peserta.test.js
+// Buku tamu: form publik dan kelola data oleh admin (daftar, cari, ubah, hapus, hapus massal)
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import ExcelJS from "exceljs";
+import { api, unique, setupDatabase, closeDatabase, createStaff } from "./helpers.js";
+
+describe("peserta", () => {
+  let admin;
+
+  before(async () => {
+    await setupDatabase();
+    admin = await createStaff("admin");
+  });
+
+  after(closeDatabase);
+
+  // Nama tanpa angka: pencarian q yang berisi angka juga mencocokkan nomor telepon
+  const uniqueName = () => unique("Tamu").replace(/\d/g, (digit) => "abcdefghij"[digit]);
+
+  const submit = (nama) =>
+    api().post("/api/peserta").send({ nama, alamat: "Jl. Malioboro 1", telepon: "081234567890", tujuan: "Dieng" });
+
+  it("POST /api/peserta menyimpan data tanpa login dan memvalidasi isian", async () => {
+    const ok = await submit(uniqueName());
+    assert.equal(ok.status, 201);
+    assert.ok(ok.body.id > 0);
+
+    const invalid = await api().post("/api/peserta").send({ alamat: "Tanpa nama" });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, "VALIDATION_ERROR");
+  });
+
+  it("admin mencari, membaca, mengubah dan menghapus data", async () => {
+    const nama = uniqueName();
+    const { body } = await submit(nama);
+
+    const list = await api().get("/api/admin/peserta").set(admin.auth).query({ q: nama });
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.data.map((row) => row.id), [body.id]);
+    assert.equal(list.body.pagination.total, 1);
+
+    const updated = await api().put(`/api/admin/peserta/${body.id}`).set(admin.auth).send({ telepon: "089876543210" });
+    assert.equal(updated.status, 200);
+
+    const detail = await api().get(`/api/admin/peserta/${body.id}`).set(admin.auth);
+    assert.equal(detail.status, 200);
+    assert.equal(detail.body.data.nama, nama);
+    assert.equal(detail.body.data.telepon, "089876543210");
+
+    const audit = await api().get(`/api/admin/audit-logs/entities/peserta/${body.id}`).set(admin.auth);
+    assert.deepEqual(audit.body.data[0].after_data, { telepon: "089876543210" });
+
+    assert.equal((await api().delete(`/api/admin/peserta/${body.id}`).set(admin.auth)).status, 200);
+    assert.equal((await api().get(`/api/admin/peserta/${body.id}`).set(admin.auth)).status, 404);
+    assert.equal((await api().put(`/api/admin/peserta/${body.id}`).set(admin.auth).send({ telepon: "0811" })).status, 404);
+  });
+
+  it("POST /api/admin/peserta/bulk-delete menghapus beberapa data sekaligus", async () => {
+    const ids = [];
+    for (let i = 0; i < 3; i += 1) {
+      ids.push((await submit(uniqueName())).body.id);
+    }
+
+    const res = await api().post("/api/admin/peserta/bulk-delete").set(admin.auth).send({ ids: [...ids, 999999999] });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.requested, 4);
+    assert.equal(res.body.deleted, 3);
+
+    const invalid = await api().post("/api/admin/peserta/bulk-delete").set(admin.auth).send({ ids: [] });
+    assert.equal(invalid.status, 400);
+  });
+
+  it("ekspor CSV / XLSX menetralkan isian yang dibaca sebagai formula", async () => {
+    const tujuan = uniqueName();
+    const created = await api()
+      .post("/api/peserta")
+      .send({ nama: "=HYPERLINK(\"http://evil.test\",\"klik\")", alamat: "@SUM(1+1)", telepon: "+6281234567890", tujuan });
+    assert.equal(created.status, 201);
+
+    const csv = await api().get("/api/admin/peserta/export").set(admin.auth).query({ format: "csv", tujuan }).buffer();
+    assert.equal(csv.status, 200);
+    assert.match(csv.text, /"'=HYPERLINK\(""http:\/\/evil.test"",""klik""\)"/);
+    assert.match(csv.text, /,'@SUM\(1\+1\),/);
+    assert.match(csv.text, /,'\+6281234567890,/);
+
+    const xlsx = await api()
+      .get("/api/admin/peserta/export")
+      .set(admin.auth)
+      .query({ format: "xlsx", tujuan })
+      .buffer()
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => callback(null, Buffer.concat(chunks)));
+      });
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(xlsx.body);
+    const values = workbook.getWorksheet("Buku Tamu").getRow(2).values;
+    assert.ok(values.includes("'=HYPERLINK(\"http://evil.test\",\"klik\")"));
+    assert.ok(values.includes("'@SUM(1+1)"));
+  });
+
+  it("data buku tamu hanya untuk admin", async () => {
+    const marketing = await createStaff("marketing");
+
+    assert.equal((await api().get("/api/admin/peserta")).status, 401);
+    assert.equal((await api().get("/api/admin/peserta").set(marketing.auth)).status, 403);
+  });
+});
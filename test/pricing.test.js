@@ -0,0 +1,102 @@
+// test/pricing.test.js
+// Hitung harga (fungsi murni, tanpa database): aturan harga per jumlah peserta dan rentang tanggal perjalanan
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { calculatePrice, assertTravelDate, assertClientTotal, PricingError } from "../src/services/pricingService.js";
+
+const pkg = { id: 1, price: 1000000 };
+
+// Surcharge musim liburan 10% untuk 20-31 Desember 2030
+const holiday = { id: 7, name: "Musim liburan", rule_type: "surcharge", calc_type: "percent", value: 10, valid_from: "2030-12-20", valid_until: "2030-12-31" };
+
+// YYYY-MM-DD `days` hari dari hari ini (zona waktu lokal, sama dengan pricingService)
+function dateFromNow(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toLocaleDateString("sv-SE");
+}
+
+describe("pricing", () => {
+  it("harga dasar = harga paket x jumlah peserta", () => {
+    const price = calculatePrice(pkg, 3);
+
+    assert.equal(price.base_total, 3000000);
+    assert.equal(price.total, 3000000);
+    assert.deepEqual(price.adjustments, []);
+    assert.equal(price.travel_date, null);
+  });
+
+  it("aturan musiman hanya berlaku di dalam rentang valid_from - valid_until (inklusif)", () => {
+    const total = (travelDate) => calculatePrice(pkg, 2, [holiday], { travelDate }).total;
+
+    assert.equal(total("2030-12-19"), 2000000);
+    assert.equal(total("2030-12-20"), 2200000);
+    assert.equal(total("2030-12-31"), 2200000);
+    assert.equal(total("2031-01-01"), 2000000);
+  });
+
+  it("aturan bertanggal tidak berlaku tanpa tanggal perjalanan", () => {
+    const price = calculatePrice(pkg, 2, [holiday]);
+
+    assert.equal(price.total, 2000000);
+    assert.deepEqual(price.adjustments, []);
+  });
+
+  it("tanggal dari kolom DATE (Date lokal) dibaca tanpa bergeser hari", () => {
+    // mysql2 mengembalikan kolom DATE sebagai Date pukul 00:00 waktu lokal
+    const rule = { ...holiday, valid_from: new Date(2030, 11, 20), valid_until: new Date(2030, 11, 31) };
+
+    assert.equal(calculatePrice(pkg, 1, [rule], { travelDate: new Date(2030, 11, 20) }).total, 1100000);
+    assert.equal(calculatePrice(pkg, 1, [rule], { travelDate: "2030-12-19" }).total, 1000000);
+    assert.equal(calculatePrice(pkg, 1, [rule], { travelDate: "2030-12-31T23:00:00" }).travel_date, "2030-12-31");
+  });
+
+  it("aturan dengan hanya valid_from / hanya valid_until", () => {
+    const from = { ...holiday, valid_until: null };
+    const until = { ...holiday, valid_from: null };
+
+    assert.equal(calculatePrice(pkg, 1, [from], { travelDate: "2035-01-01" }).total, 1100000);
+    assert.equal(calculatePrice(pkg, 1, [from], { travelDate: "2030-12-19" }).total, 1000000);
+    assert.equal(calculatePrice(pkg, 1, [until], { travelDate: "2020-01-01" }).total, 1100000);
+    assert.equal(calculatePrice(pkg, 1, [until], { travelDate: "2031-01-01" }).total, 1000000);
+  });
+
+  it("min_pax / max_pax dan jenis perhitungan", () => {
+    const rules = [
+      { id: 1, name: "Diskon rombongan", rule_type: "discount", calc_type: "percent", value: 10, min_pax: 5 },
+      { id: 2, name: "Asuransi", rule_type: "surcharge", calc_type: "fixed_per_pax", value: 25000 },
+      { id: 3, name: "Biaya admin", rule_type: "surcharge", calc_type: "fixed", value: 15000, max_pax: 4 },
+    ];
+
+    const small = calculatePrice(pkg, 2, rules);
+    assert.deepEqual(small.adjustments.map((item) => item.rule_id), [2, 3]);
+    assert.equal(small.total, 2000000 + 50000 + 15000);
+
+    const group = calculatePrice(pkg, 5, rules);
+    assert.deepEqual(group.adjustments.map((item) => [item.rule_id, item.amount]), [[1, -500000], [2, 125000]]);
+    assert.equal(group.total, 5000000 - 500000 + 125000);
+  });
+
+  it("total tidak pernah negatif", () => {
+    const rule = { id: 1, name: "Gratis", rule_type: "discount", calc_type: "fixed", value: 5000000 };
+
+    assert.equal(calculatePrice(pkg, 1, [rule]).total, 0);
+  });
+
+  it("assertTravelDate menolak tanggal kosong atau yang sudah lewat", () => {
+    assert.throws(() => assertTravelDate(null), PricingError);
+    assert.throws(() => assertTravelDate("bukan-tanggal"), PricingError);
+    assert.throws(() => assertTravelDate(dateFromNow(-1)), (err) => err instanceof PricingError && err.httpStatus === 400);
+
+    assert.doesNotThrow(() => assertTravelDate(dateFromNow(0)));
+    assert.doesNotThrow(() => assertTravelDate(dateFromNow(30)));
+  });
+
+  it("assertClientTotal hanya menerima total yang sama dengan hitungan server", () => {
+    const breakdown = calculatePrice(pkg, 2, [holiday], { travelDate: "2030-12-25" });
+
+    assert.doesNotThrow(() => assertClientTotal(undefined, breakdown));
+    assert.doesNotThrow(() => assertClientTotal("2200000.00", breakdown));
+    assert.throws(() => assertClientTotal(2000000, breakdown), (err) => err.httpStatus === 409 && err.details.price_breakdown === breakdown);
+  });
+});
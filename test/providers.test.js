@@ -0,0 +1,191 @@
+// test/providers.test.js
+// Provider tanpa database: verifikasi signature webhook payment gateway, stub WhatsApp,
+// transport email memory dan pengecekan konfigurasi saat server start.
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import simulator from "../src/services/paymentProviders/simulator.js";
+import midtrans from "../src/services/paymentProviders/midtrans.js";
+import { getProvider as getPaymentProvider } from "../src/services/paymentProviders/index.js";
+import whatsappStub from "../src/services/whatsappProviders/stub.js";
+import { getDefaultProvider as getDefaultWhatsApp, assertWhatsAppConfig } from "../src/services/whatsappProviders/index.js";
+import memory from "../src/services/mailTransports/memory.js";
+import { getDefaultTransport, assertMailConfig } from "../src/services/mailTransports/index.js";
+
+const ENV_KEYS = [
+  "NODE_ENV", "RAILWAY_ENVIRONMENT", "PAYMENT_SIMULATOR_SECRET", "MIDTRANS_SERVER_KEY",
+  "WHATSAPP_PROVIDER", "WHATSAPP_STUB_FAIL", "MAIL_TRANSPORT", "SMTP_HOST",
+];
+
+// Setiap test mulai dari environment development yang bersih dan dikembalikan sesudahnya
+let savedEnv;
+beforeEach(() => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+  for (const key of ENV_KEYS) delete process.env[key];
+  process.env.NODE_ENV = "test";
+});
+afterEach(() => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+describe("payment simulator", () => {
+  const notification = () => simulator.buildNotification({ reference: "PAY-1", amount: 1500000 });
+
+  it("notifikasi bertanda tangan benar diterima", () => {
+    const { headers, body } = notification();
+
+    assert.deepEqual(simulator.verifyNotification(headers, body), { reference: "PAY-1", status: "paid", amount: 1500000 });
+  });
+
+  it("nominal / status yang diubah atau signature salah ditolak", () => {
+    const { headers, body } = notification();
+
+    assert.equal(simulator.verifyNotification(headers, { ...body, amount: "1.00" }), null);
+    assert.equal(simulator.verifyNotification(headers, { ...body, status: "failed" }), null);
+    assert.equal(simulator.verifyNotification({ "x-simulator-signature": "0".repeat(64) }, body), null);
+    assert.equal(simulator.verifyNotification({ "x-simulator-signature": "abc" }, body), null);
+    assert.equal(simulator.verifyNotification({}, body), null);
+  });
+
+  it("signature multibyte dengan panjang karakter yang sama ditolak tanpa error", () => {
+    const { body } = notification();
+
+    assert.equal(simulator.verifyNotification({ "x-simulator-signature": "é".repeat(64) }, body), null);
+  });
+
+  it("signature memakai PAYMENT_SIMULATOR_SECRET", () => {
+    const { headers, body } = notification();
+    process.env.PAYMENT_SIMULATOR_SECRET = "secret-lain";
+
+    assert.equal(simulator.verifyNotification(headers, body), null);
+  });
+
+  it("simulator tidak tersedia di production", () => {
+    assert.equal(getPaymentProvider("simulator"), simulator);
+
+    process.env.NODE_ENV = "production";
+    assert.equal(getPaymentProvider("simulator"), null);
+    assert.equal(getPaymentProvider("midtrans"), midtrans);
+  });
+});
+
+describe("payment midtrans", () => {
+  const SERVER_KEY = "SB-Mid-server-test";
+
+  // signature_key = SHA512(order_id + status_code + gross_amount + server_key)
+  const notification = (overrides = {}) => {
+    const body = { order_id: "PAY-2", status_code: "200", gross_amount: "250000.00", transaction_status: "settlement", ...overrides };
+    const signature_key = crypto
+      .createHash("sha512")
+      .update(`${body.order_id}${body.status_code}${body.gross_amount}${SERVER_KEY}`)
+      .digest("hex");
+    return { ...body, signature_key };
+  };
+
+  beforeEach(() => {
+    process.env.MIDTRANS_SERVER_KEY = SERVER_KEY;
+  });
+
+  it("notifikasi bertanda tangan benar diterima dan status dipetakan", () => {
+    assert.deepEqual(midtrans.verifyNotification({}, notification()), { reference: "PAY-2", status: "paid", amount: 250000 });
+    assert.equal(midtrans.verifyNotification({}, notification({ transaction_status: "expire" })).status, "expired");
+    assert.equal(midtrans.verifyNotification({}, notification({ transaction_status: "deny" })).status, "failed");
+    assert.equal(midtrans.verifyNotification({}, notification({ transaction_status: "lainnya" })).status, "pending");
+  });
+
+  it("nominal yang diubah, signature salah atau server key lain ditolak", () => {
+    const body = notification();
+
+    assert.equal(midtrans.verifyNotification({}, { ...body, gross_amount: "1.00" }), null);
+    assert.equal(midtrans.verifyNotification({}, { ...body, signature_key: "0".repeat(128) }), null);
+    assert.equal(midtrans.verifyNotification({}, { ...body, signature_key: undefined }), null);
+
+    process.env.MIDTRANS_SERVER_KEY = "server-key-lain";
+    assert.equal(midtrans.verifyNotification({}, body), null);
+  });
+
+  it("signature multibyte dengan panjang karakter yang sama ditolak tanpa error", () => {
+    assert.equal(midtrans.verifyNotification({}, { ...notification(), signature_key: "é".repeat(128) }), null);
+  });
+});
+
+describe("whatsapp provider", () => {
+  beforeEach(() => whatsappStub.clearSent());
+
+  it("stub hanya menyimpan 200 pesan terakhir", async (t) => {
+    t.mock.method(console, "log", () => {});
+    for (let i = 1; i <= 205; i += 1) {
+      await whatsappStub.send({ phone: "+6281234567890", message: `Pesan ${i}` });
+    }
+
+    const sent = whatsappStub.getSent();
+    assert.equal(sent.length, 200);
+    assert.equal(sent[0].message, "Pesan 6");
+    assert.equal(sent[199].message, "Pesan 205");
+    assert.equal(new Set(sent.map((message) => message.id)).size, 200);
+  });
+
+  it("WHATSAPP_STUB_FAIL membuat pengiriman gagal", async () => {
+    process.env.WHATSAPP_STUB_FAIL = "true";
+
+    await assert.rejects(whatsappStub.send({ phone: "+6281234567890", message: "Halo" }));
+    assert.equal(whatsappStub.getSent().length, 0);
+  });
+
+  it("stub hanya menjadi default di luar production", () => {
+    assert.equal(getDefaultWhatsApp(), whatsappStub);
+    assert.doesNotThrow(assertWhatsAppConfig);
+
+    process.env.RAILWAY_ENVIRONMENT = "production";
+    assert.equal(getDefaultWhatsApp(), null);
+    assert.throws(assertWhatsAppConfig, /WHATSAPP_PROVIDER wajib/);
+
+    process.env.WHATSAPP_PROVIDER = "fonnte";
+    assert.doesNotThrow(assertWhatsAppConfig);
+  });
+
+  it("nama provider yang tidak dikenal ditolak saat start", () => {
+    process.env.WHATSAPP_PROVIDER = "twilio";
+
+    assert.equal(getDefaultWhatsApp(), null);
+    assert.throws(assertWhatsAppConfig, /tidak dikenal/);
+  });
+});
+
+describe("mail transport", () => {
+  beforeEach(() => memory.clearOutbox());
+
+  it("transport memory menyimpan email beserta lampirannya", async () => {
+    const { messageId } = await memory.send({
+      from: "Barokah Tour <no-reply@test.local>",
+      to: "budi@test.local",
+      subject: "E-tiket",
+      text: "Terlampir",
+      attachments: [{ filename: "e-tiket.pdf", content: Buffer.from("%PDF-1.4"), contentType: "application/pdf" }],
+    });
+
+    const [mail] = memory.getOutbox();
+    assert.ok(messageId);
+    assert.equal(mail.subject, "E-tiket");
+    assert.deepEqual(mail.to, [{ address: "budi@test.local", name: "" }]);
+    assert.equal(mail.attachments[0].filename, "e-tiket.pdf");
+  });
+
+  it("MAIL_TRANSPORT wajib di production dan harus dikenal", () => {
+    assert.equal(getDefaultTransport().name, "file");
+    assert.doesNotThrow(assertMailConfig);
+
+    process.env.NODE_ENV = "production";
+    assert.equal(getDefaultTransport(), null);
+    assert.throws(assertMailConfig, /MAIL_TRANSPORT wajib/);
+
+    process.env.MAIL_TRANSPORT = "smtp";
+    assert.doesNotThrow(assertMailConfig);
+
+    process.env.MAIL_TRANSPORT = "sendgrid";
+    assert.throws(assertMailConfig, /tidak dikenal/);
+  });
+});
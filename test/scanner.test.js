@@ -0,0 +1,119 @@
+// test/scanner.test.js
+// Tiket & scanner: e-tiket peserta, scan online, manifest offline, checkpoint dan sinkronisasi batch
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  api,
+  setupDatabase,
+  closeDatabase,
+  createStaff,
+  createPackage,
+  createDeparture,
+  createBooking,
+  payInFull,
+} from "./helpers.js";
+
+describe("scanner", () => {
+  let admin;
+  let scanner;
+  let departureId;
+  let booking;
+  let tokens;
+
+  before(async () => {
+    await setupDatabase();
+    admin = await createStaff("admin");
+    scanner = await createStaff("scanner");
+    const packageId = await createPackage(admin);
+    departureId = await createDeparture(admin, packageId);
+    booking = await createBooking({ packageId, departureId, participants: 3 });
+  });
+
+  after(closeDatabase);
+
+  it("tiket hanya terbit dengan kode booking yang benar dan setelah lunas", async () => {
+    const unpaid = await api().get(`/api/bookings/${booking.bookingId}/ticket`).query({ code: booking.bookingCode });
+    assert.equal(unpaid.status, 403);
+
+    await payInFull(admin, booking.bookingId);
+
+    const wrongCode = await api().get(`/api/bookings/${booking.bookingId}/ticket`).query({ code: "XXX-00000000" });
+    assert.equal(wrongCode.status, 403);
+
+    const ticket = await api().get(`/api/bookings/${booking.bookingId}/ticket`).query({ code: booking.bookingCode });
+    assert.equal(ticket.status, 200);
+    assert.equal(ticket.body.ticket.participants.length, 3);
+    tokens = ticket.body.ticket.participants.map((participant) => participant.ticket_token);
+    assert.ok(tokens.every((token) => token.startsWith("BRK1.")));
+  });
+
+  it("POST /api/bookings/scan memakai tiket sekali saja", async () => {
+    const first = await api().post("/api/bookings/scan").set(scanner.auth).send({ ticketToken: tokens[0], device_id: "gate-1" });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.name, "Peserta 1");
+
+    const again = await api().post("/api/bookings/scan").set(scanner.auth).send({ ticketToken: tokens[0], device_id: "gate-1" });
+    assert.equal(again.status, 409);
+
+    const forged = await api().post("/api/bookings/scan").set(scanner.auth).send({ ticketToken: `${tokens[1]}x` });
+    assert.equal(forged.status, 401);
+
+    const finance = await createStaff("finance");
+    assert.equal((await api().post("/api/bookings/scan").set(finance.auth).send({ ticketToken: tokens[1] })).status, 403);
+  });
+
+  it("scanner bisa membaca manifest dan checkpoint keberangkatan", async () => {
+    const manifest = await api().get(`/api/scanner/departures/${departureId}/manifest`).set(scanner.auth);
+    assert.equal(manifest.status, 200);
+    assert.equal(manifest.body.data.participants.length, 3);
+    assert.ok(manifest.body.data.participants.every((participant) => participant.ticket_hash && !participant.ticket_token));
+
+    const created = await api().post(`/api/departures/${departureId}/checkpoints`).set(admin.auth).send({ name: "Titik kumpul", sequence: 1 });
+    assert.equal(created.status, 201);
+
+    const checkpoints = await api().get(`/api/scanner/departures/${departureId}/checkpoints`).set(scanner.auth);
+    assert.equal(checkpoints.status, 200);
+    assert.deepEqual(checkpoints.body.data.map((checkpoint) => checkpoint.name), ["Titik kumpul"]);
+
+    // Endpoint admin tetap khusus pengelola keberangkatan
+    assert.equal((await api().get(`/api/departures/${departureId}/checkpoints`).set(scanner.auth)).status, 403);
+  });
+
+  it("POST /api/scanner/checkins/batch menyinkronkan scan offline", async () => {
+    const scannedAt = new Date(Date.now() - 60 * 1000).toISOString();
+    const res = await api()
+      .post("/api/scanner/checkins/batch")
+      .set(scanner.auth)
+      .send({
+        device_id: "tablet-2",
+        checkins: [
+          { local_id: 1, ticketToken: tokens[1], scanned_at: scannedAt },
+          { local_id: 2, ticketToken: "BRK1.1.1.palsu", scanned_at: scannedAt },
+        ],
+      });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.summary, { ok: 1, invalid: 1 });
+
+    // Kiriman ulang batch yang sama tidak dihitung dua kali
+    const resend = await api()
+      .post("/api/scanner/checkins/batch")
+      .set(scanner.auth)
+      .send({ device_id: "tablet-2", checkins: [{ local_id: 1, ticketToken: tokens[1], scanned_at: scannedAt }] });
+    assert.deepEqual(resend.body.summary, { duplicate: 1 });
+  });
+
+  it("device_id maksimal 64 karakter", async () => {
+    const longId = "d".repeat(65);
+
+    const batch = await api()
+      .post("/api/scanner/checkins/batch")
+      .set(scanner.auth)
+      .send({ device_id: longId, checkins: [{ local_id: 1, ticketToken: tokens[2] }] });
+    assert.equal(batch.status, 400);
+    assert.equal(batch.body.code, "VALIDATION_ERROR");
+
+    const scan = await api().post("/api/bookings/scan").set(scanner.auth).send({ ticketToken: tokens[2], device_id: longId });
+    assert.equal(scan.status, 400);
+  });
+});
@@ -0,0 +1,60 @@
+// test/storage.test.js
+// Driver storage disk lokal (tanpa database): simpan, baca, daftar, hapus dan tolak key di luar folder root
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createLocalDriver } from "../src/services/storageDrivers/local.js";
+
+describe("storage lokal", () => {
+  let root;
+  let driver;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "barokah-storage-"));
+    driver = createLocalDriver(root);
+  });
+
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  it("put / read / get / exists untuk key biasa dan key varian", async () => {
+    await driver.put("a1b2-nota.pdf", Buffer.from("%PDF-1.4 nota"));
+    await driver.put("variants/a1b2-foto-thumb.webp", Buffer.from("webp"));
+
+    assert.equal((await driver.read("a1b2-nota.pdf")).toString(), "%PDF-1.4 nota");
+    assert.equal(await driver.exists("variants/a1b2-foto-thumb.webp"), true);
+    assert.equal(await driver.exists("tidak-ada.pdf"), false);
+
+    const object = await driver.get("a1b2-nota.pdf");
+    assert.equal(object.size, 13);
+    object.stream.destroy();
+    assert.equal(await driver.get("tidak-ada.pdf"), null);
+  });
+
+  it("list memakai key dengan '/' dan bisa difilter prefix", async () => {
+    const keys = (await driver.list()).map((object) => object.key).sort();
+    assert.deepEqual(keys, ["a1b2-nota.pdf", "variants/a1b2-foto-thumb.webp"]);
+
+    const variants = (await driver.list("variants/")).map((object) => object.key);
+    assert.deepEqual(variants, ["variants/a1b2-foto-thumb.webp"]);
+  });
+
+  it("remove menghapus file dan tidak error untuk key yang sudah tidak ada", async () => {
+    await driver.remove("a1b2-nota.pdf");
+    await driver.remove("a1b2-nota.pdf");
+
+    assert.equal(await driver.exists("a1b2-nota.pdf"), false);
+  });
+
+  it("key yang keluar dari folder root ditolak", async () => {
+    await assert.rejects(driver.put("../luar.txt", Buffer.from("x")), /Object key tidak valid/);
+    await assert.rejects(driver.read("variants/../../.env"), /Object key tidak valid/);
+    await assert.rejects(driver.get(path.resolve(root, "..", "luar.txt")), /Object key tidak valid/);
+    assert.equal(fs.existsSync(path.join(root, "..", "luar.txt")), false);
+  });
+
+  it("driver lokal tidak punya signed URL", async () => {
+    assert.equal(await driver.getSignedUrl("a1b2-nota.pdf"), null);
+  });
+});
@@ -0,0 +1,114 @@
+// test/transactions.test.js
+// Ledger pembayaran: pembayaran manual, refund dan reversal beserta status booking yang mengikuti saldo
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { api, setupDatabase, closeDatabase, createStaff, createPackage, createBooking } from "./helpers.js";
+
+describe("transactions", () => {
+  let admin;
+  let finance;
+  let packageId;
+
+  before(async () => {
+    await setupDatabase();
+    admin = await createStaff("admin");
+    finance = await createStaff("finance");
+    packageId = await createPackage(admin, { price: 1500000 });
+  });
+
+  after(closeDatabase);
+
+  const pay = (bookingId, amount, paymentType = "dp") =>
+    api()
+      .post("/api/transactions")
+      .set(finance.auth)
+      .send({ bookingDbId: bookingId, payment_type: paymentType, amount_paid: amount, payment_method: "transfer" });
+
+  const refund = (bookingId, amount) =>
+    api().post("/api/transactions/refund").set(finance.auth).send({ bookingDbId: bookingId, amount, note: "Test refund" });
+
+  const reverse = (transactionId) =>
+    api().post(`/api/transactions/${transactionId}/reverse`).set(finance.auth).send({ note: "Salah input" });
+
+  it("pembayaran mengubah status booking sesuai saldo", async () => {
+    const { bookingId } = await createBooking({ packageId, participants: 2 });
+
+    const dp = await pay(bookingId, 1000000);
+    assert.equal(dp.status, 201);
+    assert.equal(dp.body.status, "dp_lunas");
+    assert.equal(dp.body.balance.paid, 1000000);
+    assert.equal(dp.body.balance.outstanding, 2000000);
+
+    const overpay = await pay(bookingId, 2500000, "lunas");
+    assert.equal(overpay.status, 409);
+    assert.equal(overpay.body.success, false);
+
+    const rest = await pay(bookingId, 2000000, "lunas");
+    assert.equal(rest.status, 201);
+    assert.equal(rest.body.status, "lunas");
+    assert.equal(rest.body.balance.outstanding, 0);
+
+    const detail = await api().get(`/api/bookings/${bookingId}`).set(admin.auth);
+    assert.equal(detail.body.data.status, "lunas");
+    assert.equal(detail.body.data.payments.length, 2);
+  });
+
+  it("menolak pembayaran untuk booking yang tidak ada atau tanpa izin", async () => {
+    assert.equal((await pay(999999999, 1000)).status, 404);
+
+    const scanner = await createStaff("scanner");
+    const forbidden = await api()
+      .post("/api/transactions")
+      .set(scanner.auth)
+      .send({ bookingDbId: 1, payment_type: "dp", amount_paid: 1000 });
+    assert.equal(forbidden.status, 403);
+  });
+
+  it("refund tidak boleh melebihi dana yang sudah dibayar", async () => {
+    const { bookingId } = await createBooking({ packageId, participants: 2 });
+    await pay(bookingId, 1000000);
+
+    const tooMuch = await refund(bookingId, 1500000);
+    assert.equal(tooMuch.status, 409);
+
+    const ok = await refund(bookingId, 400000);
+    assert.equal(ok.status, 201);
+    assert.equal(ok.body.balance.paid, 600000);
+  });
+
+  it("reversal membalik transaksi sekali saja dan tidak membuat saldo negatif", async () => {
+    const { bookingId } = await createBooking({ packageId, participants: 2 });
+    const payment = await pay(bookingId, 1000000);
+    const refunded = await refund(bookingId, 500000);
+    assert.equal(refunded.status, 201);
+
+    // Membalik pembayaran saat refund masih tercatat -> dana dibayar menjadi -500.000
+    const negative = await reverse(payment.body.transactionId);
+    assert.equal(negative.status, 409);
+
+    const refundReversal = await reverse(refunded.body.transactionId);
+    assert.equal(refundReversal.status, 201);
+    assert.equal(refundReversal.body.bookingDbId, bookingId);
+    assert.equal(refundReversal.body.balance.paid, 1000000);
+
+    assert.equal((await reverse(refunded.body.transactionId)).status, 409);
+    assert.equal((await reverse(refundReversal.body.transactionId)).status, 409);
+
+    const paymentReversal = await reverse(payment.body.transactionId);
+    assert.equal(paymentReversal.status, 201);
+    assert.equal(paymentReversal.body.balance.paid, 0);
+    assert.equal(paymentReversal.body.status, "menunggu_pembayaran");
+
+    const audit = await api()
+      .get("/api/admin/audit-logs")
+      .set(admin.auth)
+      .query({ entity: "transaction", entity_id: paymentReversal.body.transactionId });
+    assert.equal(audit.body.data.length, 1);
+    assert.equal(audit.body.data[0].action, "create");
+    assert.equal(audit.body.data[0].actor_id, finance.id);
+  });
+
+  it("reversal transaksi yang tidak ada -> 404", async () => {
+    assert.equal((await reverse(999999999)).status, 404);
+  });
+});
@@ -0,0 +1,141 @@
+// test/users.test.js
+// Akun staff: login, profil, kelola user, role, nonaktif dan logout (sesi dicabut)
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { api, unique, setupDatabase, closeDatabase, createStaff } from "./helpers.js";
+
+describe("users", () => {
+  let admin;
+
+  before(async () => {
+    await setupDatabase();
+    admin = await createStaff("admin");
+  });
+
+  after(closeDatabase);
+
+  const login = (username, password) => api().post("/api/users/login").send({ username, password });
+
+  it("POST /api/users/login membedakan user tidak ada dan password salah", async () => {
+    assert.equal((await login(unique("tidak-ada"), "rahasia123")).status, 404);
+    assert.equal((await login(admin.username, "salah-password")).status, 401);
+
+    const ok = await login(admin.username, admin.password);
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.user.role, "admin");
+    assert.ok(ok.body.accessToken);
+    assert.ok(ok.body.refreshToken);
+  });
+
+  it("GET /api/users/me butuh token yang sah", async () => {
+    assert.equal((await api().get("/api/users/me")).status, 401);
+    assert.equal((await api().get("/api/users/me").set({ Authorization: "Bearer bukan-jwt" })).status, 401);
+
+    const me = await api().get("/api/users/me").set(admin.auth);
+    assert.equal(me.status, 200);
+    assert.equal(me.body.data.username, admin.username);
+  });
+
+  it("admin membuat user baru; username / email ganda ditolak", async () => {
+    const username = unique("staff");
+    const body = { username, password: "rahasia123", full_name: "Staff Baru", email: `${username}@test.local`, role: "finance" };
+
+    const created = await api().post("/api/users").set(admin.auth).send(body);
+    assert.equal(created.status, 201);
+
+    const duplicate = await api().post("/api/users").set(admin.auth).send(body);
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.code, "DUPLICATE_ENTRY");
+
+    const invalid = await api().post("/api/users").set(admin.auth).send({ ...body, username: "a b", role: "owner" });
+    assert.equal(invalid.status, 400);
+
+    const loggedIn = await login(username, "rahasia123");
+    assert.equal(loggedIn.status, 200);
+    assert.equal(loggedIn.body.user.role, "finance");
+  });
+
+  it("spasi di awal / akhir password tidak dibuang", async () => {
+    const username = unique("spasi");
+    const password = "  rahasia 123  ";
+    const created = await api()
+      .post("/api/users")
+      .set(admin.auth)
+      .send({ username, password, full_name: "Staff Spasi", email: `${username}@test.local` });
+    assert.equal(created.status, 201);
+
+    assert.equal((await login(username, password)).status, 200);
+    assert.equal((await login(username, password.trim())).status, 401);
+  });
+
+  it("hanya admin yang bisa mengelola user", async () => {
+    const finance = await createStaff("finance");
+
+    assert.equal((await api().get("/api/users").set(finance.auth)).status, 403);
+    assert.equal((await api().get("/api/users").set(admin.auth)).status, 200);
+  });
+
+  it("PATCH /api/users/:id/role mengubah role, kecuali akun sendiri", async () => {
+    const staff = await createStaff("scanner");
+
+    const self = await api().patch(`/api/users/${admin.id}/role`).set(admin.auth).send({ role: "scanner" });
+    assert.equal(self.status, 400);
+
+    const changed = await api().patch(`/api/users/${staff.id}/role`).set(admin.auth).send({ role: "supervisor" });
+    assert.equal(changed.status, 200);
+
+    // Role dibaca dari sesi, jadi berlaku tanpa login ulang
+    const me = await api().get("/api/users/me").set(staff.auth);
+    assert.equal(me.body.data.role, "supervisor");
+    assert.equal((await api().get(`/api/scanner/departures/999999999/report`).set(staff.auth)).status, 404);
+  });
+
+  it("user nonaktif tidak bisa memakai token lama maupun login", async () => {
+    const staff = await createStaff("finance");
+
+    const deactivated = await api().patch(`/api/users/${staff.id}/deactivate`).set(admin.auth);
+    assert.equal(deactivated.status, 200);
+
+    const oldToken = await api().get("/api/users/me").set(staff.auth);
+    assert.equal(oldToken.status, 401);
+    assert.equal(oldToken.body.code, "SESSION_EXPIRED");
+    assert.equal((await login(staff.username, staff.password)).status, 403);
+
+    const activated = await api().patch(`/api/users/${staff.id}/activate`).set(admin.auth);
+    assert.equal(activated.status, 200);
+    assert.equal((await login(staff.username, staff.password)).status, 200);
+  });
+
+  it("logout mencabut sesi; refresh token menerbitkan access token baru", async () => {
+    const staff = await createStaff("scanner");
+    const session = await login(staff.username, staff.password);
+
+    const refreshed = await api().post("/api/users/refresh").send({ refreshToken: session.body.refreshToken });
+    assert.equal(refreshed.status, 200);
+    const auth = { Authorization: `Bearer ${refreshed.body.accessToken}` };
+
+    assert.equal((await api().post("/api/users/logout").set(auth)).status, 200);
+    assert.equal((await api().get("/api/users/me").set(auth)).status, 401);
+
+    // Sesi dari login lain tetap berlaku
+    assert.equal((await api().get("/api/users/me").set(staff.auth)).status, 200);
+  });
+
+  it("refresh token yang sama hanya bisa ditukar sekali, juga saat bersamaan", async () => {
+    const staff = await createStaff("scanner");
+    const session = await login(staff.username, staff.password);
+    const refresh = () => api().post("/api/users/refresh").send({ refreshToken: session.body.refreshToken });
+
+    const statuses = (await Promise.all([refresh(), refresh()])).map((res) => res.status).sort();
+    assert.deepEqual(statuses, [200, 401]);
+    assert.equal((await refresh()).status, 401);
+  });
+
+  it("DELETE /api/users/:id menghapus user", async () => {
+    const staff = await createStaff("marketing");
+
+    assert.equal((await api().delete(`/api/users/${staff.id}`).set(admin.auth)).status, 200);
+    assert.equal((await login(staff.username, staff.password)).status, 404);
+    assert.equal((await api().delete(`/api/users/${staff.id}`).set(admin.auth)).status, 404);
+  });
+});